@@ -0,0 +1,215 @@
+// adaptive-filter.js - 참조 입력을 쓰는 적응 노이즈 제거(ANC) 필터 (LMS, NLMS, RLS)
+// 참조 채널 x로 측정 채널 d에 섞인 노이즈를 추정(y = wᵀx)해 빼고, 그 오차 e = d - y를 출력 (신호와 무관한 노이즈만 제거됨)
+
+class AdaptiveFilter {
+    /**
+     * @param {string} algorithm - 적응 알고리즘 (AdaptiveFilter.ALGORITHMS의 키)
+     * @param {number} numTaps - 탭 수 (참조 입력의 최근 샘플 몇 개로 노이즈를 추정할지)
+     * @param {Object} options - {stepSize, forgettingFactor, regularization}
+     */
+    constructor(algorithm = 'nlms', numTaps = 8, options = {}) {
+        if (!AdaptiveFilter.ALGORITHMS[algorithm]) {
+            throw new Error(`지원하지 않는 적응 알고리즘입니다: ${algorithm}`);
+        }
+
+        this.algorithm = algorithm;
+        this.numTaps = Math.max(1, Math.round(numTaps));
+        this.stepSize = options.stepSize || (algorithm === 'lms' ? 0.005 : 0.05);  // LMS/NLMS 스텝 크기 μ
+        this.forgettingFactor = options.forgettingFactor || 0.999;                 // RLS 망각 인자 λ
+        this.regularization = options.regularization || 0.01;                      // NLMS 분모 보정 ε, RLS 초기 P = I / δ의 δ
+
+        this.reset();
+    }
+
+    /**
+     * 지원하는 적응 알고리즘
+     */
+    static get ALGORITHMS() {
+        return {
+            lms: 'LMS (최소 평균 제곱)',
+            nlms: 'NLMS (정규화 LMS)',
+            rls: 'RLS (재귀 최소 제곱)'
+        };
+    }
+
+    /**
+     * 한 샘플 처리: 참조 입력으로 노이즈를 추정해 빼고 가중치를 갱신
+     * @param {number} input - 측정 채널 d (신호 + 상관 노이즈)
+     * @param {number} reference - 참조 채널 x (없으면 0으로 보고 가중치가 바뀌지 않음)
+     * @returns {number} 오차 e = d - y (노이즈가 제거된 신호 추정)
+     */
+    filter(input, reference = 0) {
+        // 탭 지연선: x[0]이 가장 최근 참조 샘플
+        this.taps.unshift(Number.isFinite(reference) ? reference : 0);
+        this.taps.pop();
+
+        const x = this.taps;
+        const w = this.weights;
+        let y = 0;
+        for (let i = 0; i < this.numTaps; i++) {
+            y += w[i] * x[i];
+        }
+        const e = input - y;
+
+        switch (this.algorithm) {
+            case 'lms':
+                this.updateLMS(x, e, this.stepSize);
+                break;
+            case 'rls':
+                this.updateRLS(x, e);
+                break;
+            default: {
+                // NLMS: 입력 전력으로 나눠 참조 신호 크기와 무관한 수렴 속도 (0 < μ < 2에서 안정)
+                const power = x.reduce((sum, value) => sum + value * value, 0);
+                this.updateLMS(x, e, this.stepSize / (this.regularization + power));
+            }
+        }
+
+        this.noiseEstimate = y;
+        this.error = e;
+        return e;
+    }
+
+    /**
+     * LMS 가중치 갱신: w = w + μ e x
+     */
+    updateLMS(x, e, mu) {
+        for (let i = 0; i < this.numTaps; i++) {
+            this.weights[i] += mu * e * x[i];
+        }
+    }
+
+    /**
+     * RLS 가중치 갱신 (사전 오차 e 사용)
+     * k = P x / (λ + xᵀ P x), w = w + k e, P = (P - k xᵀ P) / λ
+     */
+    updateRLS(x, e) {
+        const n = this.numTaps;
+        const lambda = this.forgettingFactor;
+        const P = this.P;
+
+        const Px = P.map(row => row.reduce((sum, value, j) => sum + value * x[j], 0));
+        const denominator = lambda + Px.reduce((sum, value, i) => sum + value * x[i], 0);
+        const k = Px.map(value => value / denominator);
+
+        for (let i = 0; i < n; i++) {
+            this.weights[i] += k[i] * e;
+            for (let j = 0; j < n; j++) {
+                P[i][j] = (P[i][j] - k[i] * Px[j]) / lambda;
+            }
+        }
+    }
+
+    /**
+     * 배치 처리 - 측정 채널과 참조 채널을 한번에 필터링
+     * @param {Array} inputArray - 측정 채널 배열
+     * @param {Array} referenceArray - 참조 채널 배열 (없으면 0)
+     * @returns {Array} 오차(노이즈 제거된 신호) 배열
+     */
+    filterBatch(inputArray, referenceArray = null) {
+        const output = [];
+        for (let i = 0; i < inputArray.length; i++) {
+            output.push(this.filter(inputArray[i], referenceArray ? referenceArray[i] : 0));
+        }
+        return output;
+    }
+
+    /**
+     * 적응 알고리즘 설정 (가중치는 유지, RLS 역상관 행렬은 새로 시작)
+     */
+    setAlgorithm(algorithm) {
+        if (!AdaptiveFilter.ALGORITHMS[algorithm]) {
+            throw new Error(`지원하지 않는 적응 알고리즘입니다: ${algorithm}`);
+        }
+        this.algorithm = algorithm;
+        this.P = Matrix.scale(Matrix.identity(this.numTaps), 1 / this.regularization);
+    }
+
+    /**
+     * 스텝 크기 μ 설정 (LMS/NLMS)
+     */
+    setStepSize(stepSize) {
+        if (stepSize <= 0) {
+            throw new Error('스텝 크기는 0보다 커야 합니다.');
+        }
+        this.stepSize = stepSize;
+    }
+
+    /**
+     * 망각 인자 λ 설정 (RLS, 1에 가까울수록 긴 기억)
+     */
+    setForgettingFactor(forgettingFactor) {
+        if (forgettingFactor <= 0 || forgettingFactor > 1) {
+            throw new Error('망각 인자는 0보다 크고 1 이하여야 합니다.');
+        }
+        this.forgettingFactor = forgettingFactor;
+    }
+
+    /**
+     * 탭 수 설정 (가중치 벡터 크기가 바뀌므로 필터를 리셋)
+     */
+    setNumTaps(numTaps) {
+        if (numTaps < 1) {
+            throw new Error('탭 수는 1 이상이어야 합니다.');
+        }
+        this.numTaps = Math.round(numTaps);
+        this.reset();
+    }
+
+    /**
+     * 현재 가중치 벡터 (참조 입력에서 측정 채널까지의 경로 추정)
+     * @returns {Array} 탭별 가중치
+     */
+    getWeights() {
+        return this.weights.slice();
+    }
+
+    /**
+     * 마지막 샘플의 노이즈 추정 y = wᵀx
+     */
+    getNoiseEstimate() {
+        return this.noiseEstimate;
+    }
+
+    /**
+     * 마지막 샘플의 오차 e = d - y (필터 출력과 같음)
+     */
+    getError() {
+        return this.error;
+    }
+
+    /**
+     * 필터 초기화 (가중치 0, 탭 지연선 비움, RLS P = I / δ)
+     */
+    reset() {
+        this.weights = new Array(this.numTaps).fill(0);
+        this.taps = new Array(this.numTaps).fill(0);
+        this.P = Matrix.scale(Matrix.identity(this.numTaps), 1 / this.regularization);
+        this.noiseEstimate = 0;
+        this.error = 0;
+    }
+
+    /**
+     * 현재 필터 설정 정보 반환
+     * 가중치가 입력에 따라 계속 바뀌므로 주파수 응답(getFrequencyResponse)을 제공하지 않음
+     */
+    getInfo() {
+        return {
+            type: `Adaptive Filter (${AdaptiveFilter.ALGORITHMS[this.algorithm]})`,
+            numTaps: this.numTaps,
+            stepSize: this.algorithm === 'rls' ? null : this.stepSize,
+            forgettingFactor: this.algorithm === 'rls' ? this.forgettingFactor : null,
+            weights: this.getWeights()
+        };
+    }
+}
+
+// 브라우저 환경에서 사용 가능하게 만들기
+if (typeof window !== 'undefined') {
+    window.AdaptiveFilter = AdaptiveFilter;
+}
+
+// 모듈로 내보내기 (Node.js 환경에서 사용시)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AdaptiveFilter;
+}
\ No newline at end of file
@@ -0,0 +1,172 @@
+// exponential-moving-average-filter.js - 지수 가중 이동평균(EMA) 필터 구현
+// y[n] = y[n-1] + α (x[n] - y[n-1]), 평활 계수 α는 스팬 또는 반감기로 지정
+
+class ExponentialMovingAverageFilter {
+    /**
+     * @param {Object} options - {parameterization, span, halfLife}
+     * @param {number} sampleRate - 샘플링 레이트 (Hz)
+     */
+    constructor(options = {}, sampleRate = 100) {
+        this.parameterization = options.parameterization || 'span';
+        this.span = options.span || 10;             // 스팬 N: 같은 지연을 갖는 단순 이동평균의 윈도우 크기
+        this.halfLife = options.halfLife || 5;      // 반감기: 가중치가 절반으로 줄어드는 샘플 수
+        this.sampleRate = sampleRate;
+        this.updateAlpha();
+
+        // 필터 상태 초기화
+        this.reset();
+    }
+
+    /**
+     * 평활 계수 지정 방식
+     */
+    static get PARAMETERIZATIONS() {
+        return {
+            span: '스팬 (α = 2 / (N + 1))',
+            'half-life': '반감기 (α = 1 - 0.5^(1/h))'
+        };
+    }
+
+    /**
+     * 현재 지정 방식으로 평활 계수 α 계산
+     */
+    updateAlpha() {
+        this.alpha = this.parameterization === 'half-life'
+            ? 1 - Math.pow(0.5, 1 / this.halfLife)
+            : 2 / (this.span + 1);
+    }
+
+    /**
+     * 새로운 데이터 포인트를 필터에 입력하고 필터링된 값을 반환
+     * @param {number} input - 입력 신호 값
+     * @returns {number} 필터링된 출력 값
+     */
+    filter(input) {
+        // 첫 번째 입력은 그대로 출력 (초기화)
+        if (!this.isInitialized) {
+            this.output = input;
+            this.isInitialized = true;
+            return this.output;
+        }
+
+        this.output += this.alpha * (input - this.output);
+        return this.output;
+    }
+
+    /**
+     * 배치 처리 - 여러 데이터를 한번에 필터링
+     * @param {Array} inputArray - 입력 데이터 배열
+     * @returns {Array} 필터링된 출력 배열
+     */
+    filterBatch(inputArray) {
+        const output = [];
+        for (let i = 0; i < inputArray.length; i++) {
+            output.push(this.filter(inputArray[i]));
+        }
+        return output;
+    }
+
+    /**
+     * 평활 계수 지정 방식 설정 ('span', 'half-life')
+     */
+    setParameterization(parameterization) {
+        if (!ExponentialMovingAverageFilter.PARAMETERIZATIONS[parameterization]) {
+            throw new Error(`지원하지 않는 지정 방식입니다: ${parameterization}`);
+        }
+        this.parameterization = parameterization;
+        this.updateAlpha();
+    }
+
+    /**
+     * 스팬 설정 (1이면 입력을 그대로 통과)
+     */
+    setSpan(span) {
+        if (span < 1) {
+            throw new Error('스팬은 1 이상이어야 합니다.');
+        }
+        this.span = span;
+        this.updateAlpha();
+    }
+
+    /**
+     * 반감기 설정 (샘플 단위)
+     */
+    setHalfLife(halfLife) {
+        if (halfLife <= 0) {
+            throw new Error('반감기는 0보다 커야 합니다.');
+        }
+        this.halfLife = halfLife;
+        this.updateAlpha();
+    }
+
+    /**
+     * 샘플링 레이트 설정
+     */
+    setSampleRate(newSampleRate) {
+        if (newSampleRate <= 0) {
+            throw new Error('샘플링 레이트는 0보다 커야 합니다.');
+        }
+        this.sampleRate = newSampleRate;
+    }
+
+    /**
+     * 필터 상태 리셋
+     */
+    reset() {
+        this.output = 0;
+        this.isInitialized = false;
+    }
+
+    /**
+     * 필터의 지연시간 반환 (샘플 단위)
+     * 저주파 그룹 지연은 (1-α)/α 샘플, 스팬으로 지정하면 (N-1)/2로 같은 크기의 이동평균과 같음
+     * @returns {number} 지연 샘플 수
+     */
+    getGroupDelay() {
+        return (1 - this.alpha) / this.alpha;
+    }
+
+    /**
+     * 현재 필터 설정 정보 반환
+     */
+    getInfo() {
+        return {
+            type: 'Exponential Moving Average',
+            alpha: this.alpha,
+            span: this.parameterization === 'span' ? this.span : null,
+            halfLife: this.parameterization === 'half-life' ? this.halfLife : null,
+            groupDelay: this.getGroupDelay(),
+            sampleRate: this.sampleRate
+        };
+    }
+
+    /**
+     * 주파수 응답 계산
+     * H(z) = α / (1 - (1-α) z^-1)
+     * @param {number} frequency - 주파수 (Hz)
+     * @returns {Object} {magnitude, phase} 주파수 응답 (phase는 라디안)
+     */
+    getFrequencyResponse(frequency) {
+        const omega = 2 * Math.PI * frequency / this.sampleRate;
+        const decay = 1 - this.alpha;
+
+        // 분모 1 - (1-α) e^(-jω)
+        const real = 1 - decay * Math.cos(omega);
+        const imag = decay * Math.sin(omega);
+
+        return {
+            magnitude: this.alpha / Math.hypot(real, imag),
+            phase: -Math.atan2(imag, real)
+        };
+    }
+}
+
+// 브라우저 환경에서 사용 가능하게 만들기
+if (typeof window !== 'undefined') {
+    window.ExponentialMovingAverageFilter = ExponentialMovingAverageFilter;
+}
+
+// 모듈로 내보내기 (Node.js 환경에서 사용시)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExponentialMovingAverageFilter;
+}
\ No newline at end of file
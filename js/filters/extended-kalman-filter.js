@@ -0,0 +1,56 @@
+// extended-kalman-filter.js - 확장 칼만 필터(EKF) 구현
+// 비선형 f(x), h(x)를 현재 추정점에서 야코비안으로 선형화해 선형 칼만 필터와 같은 식으로 공분산을 전파
+
+class ExtendedKalmanFilter extends NonlinearKalmanFilter {
+    /**
+     * 상태 전이 야코비안 ∂f/∂x (모델에 없으면 수치 미분)
+     */
+    transitionJacobian(x) {
+        if (this.transitionModel.jacobian) {
+            return this.transitionModel.jacobian(x, this.dt, this.params);
+        }
+        return NonlinearKalmanFilter.numericalJacobian(state => this.transitionFunction(state), x);
+    }
+
+    /**
+     * 예측 단계
+     * x = f(x), P = F P Fᵀ + Q  (F는 예측 전 추정점에서의 야코비안)
+     */
+    predict() {
+        const F = this.transitionJacobian(this.state);
+        this.state = this.transitionFunction(this.state);
+        this.P = Matrix.add(Matrix.multiply(Matrix.multiply(F, this.P), Matrix.transpose(F)), this.Q);
+    }
+
+    /**
+     * 업데이트 단계
+     * y = z - h(x), S = H P Hᵀ + R, K = P Hᵀ / S  (H는 예측 추정점에서의 야코비안 행 벡터)
+     */
+    update(measurement) {
+        const H = this.measurementJacobian(this.state);
+        const PHT = Matrix.multiplyVector(this.P, H);
+        const S = PHT.reduce((sum, value, i) => sum + value * H[i], 0) + this.measurementNoise;
+
+        if (Math.abs(S) < 1e-10) return; // 분모가 0에 가까우면 업데이트 스킵
+
+        const y = measurement - this.measurementFunction(this.state);
+        this.applyCorrection(y, S, PHT.map(value => value / S));
+    }
+
+    /**
+     * 현재 필터 정보 반환
+     */
+    getInfo() {
+        return super.getInfo('Extended Kalman Filter');
+    }
+}
+
+// 브라우저 환경에서 사용 가능하게 만들기
+if (typeof window !== 'undefined') {
+    window.ExtendedKalmanFilter = ExtendedKalmanFilter;
+}
+
+// 모듈로 내보내기 (Node.js 환경에서 사용시)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExtendedKalmanFilter;
+}
\ No newline at end of file
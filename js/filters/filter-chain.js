@@ -0,0 +1,135 @@
+// js/filters/filter-chain.js - 여러 필터를 순서대로 연결하는 캐스케이드 필터
+
+class FilterChain {
+    constructor(stages = []) {
+        this.stages = [...stages];      // 순서대로 적용할 필터 인스턴스 목록
+        this.stageOutputs = [];         // 마지막 샘플에 대한 각 단계 출력
+    }
+
+    /**
+     * 단계 추가
+     * @param {Object} filter - filter()/reset()을 가진 필터 인스턴스
+     * @param {number} index - 삽입 위치 (생략 시 맨 뒤)
+     */
+    addStage(filter, index = this.stages.length) {
+        if (!filter || typeof filter.filter !== 'function') {
+            throw new Error('필터 단계는 filter() 메서드를 가져야 합니다.');
+        }
+
+        this.stages.splice(index, 0, filter);
+        this.stageOutputs = [];
+    }
+
+    /**
+     * 단계 제거
+     * @param {number} index - 제거할 단계 위치
+     * @returns {Object} 제거된 필터
+     */
+    removeStage(index) {
+        if (index < 0 || index >= this.stages.length) {
+            throw new Error(`존재하지 않는 필터 단계입니다: ${index}`);
+        }
+
+        const [removed] = this.stages.splice(index, 1);
+        this.stageOutputs = [];
+        return removed;
+    }
+
+    /**
+     * 단계 순서 변경
+     * @param {number} fromIndex - 현재 위치
+     * @param {number} toIndex - 이동할 위치
+     */
+    moveStage(fromIndex, toIndex) {
+        if (toIndex < 0 || toIndex >= this.stages.length) return;
+
+        const [stage] = this.stages.splice(fromIndex, 1);
+        this.stages.splice(toIndex, 0, stage);
+        this.stageOutputs = [];
+    }
+
+    /**
+     * 입력을 모든 단계에 차례로 통과시킴
+     * 단계가 없으면 입력을 그대로 반환
+     * @param {number} input - 입력 신호 값
+     * @param {number|null} reference - 참조 채널 값 (적응 필터 단계에 그대로 전달)
+     * @returns {number} 마지막 단계의 출력
+     */
+    filter(input, reference = null) {
+        let value = input;
+
+        this.stageOutputs = this.stages.map(stage => {
+            value = stage.filter(value, reference);
+            return value;
+        });
+
+        return value;
+    }
+
+    /**
+     * 배치 처리 - 여러 데이터를 한번에 필터링
+     * @param {Array} inputArray - 입력 데이터 배열
+     * @returns {Array} 필터링된 출력 배열
+     */
+    filterBatch(inputArray) {
+        return inputArray.map(value => this.filter(value));
+    }
+
+    /**
+     * 마지막 샘플에 대한 단계별 중간 출력 반환
+     * @returns {Array} 각 단계 출력 값
+     */
+    getStageOutputs() {
+        return [...this.stageOutputs];
+    }
+
+    /**
+     * 모든 단계 상태 리셋
+     */
+    reset() {
+        this.stages.forEach(stage => stage.reset());
+        this.stageOutputs = [];
+    }
+
+    /**
+     * 모든 단계가 선형 필터인지 (주파수 응답을 제공하는지) 확인
+     * @returns {boolean} 선형 여부
+     */
+    isLinear() {
+        return this.stages.every(stage => typeof stage.getFrequencyResponse === 'function');
+    }
+
+    /**
+     * 전체 주파수 응답 (각 단계 응답의 곱)
+     * 크기는 곱하고 위상은 더한다
+     * @param {number} frequency - 주파수 (Hz)
+     * @returns {Object} {magnitude, phase} 주파수 응답
+     */
+    getFrequencyResponse(frequency) {
+        return this.stages.reduce((total, stage) => {
+            const response = stage.getFrequencyResponse(frequency);
+            return {
+                magnitude: total.magnitude * response.magnitude,
+                phase: total.phase + response.phase
+            };
+        }, { magnitude: 1, phase: 0 });
+    }
+
+    /**
+     * 현재 필터 체인 정보 반환
+     */
+    getInfo() {
+        return {
+            type: 'Filter Chain',
+            stageCount: this.stages.length,
+            stages: this.stages.map(stage =>
+                typeof stage.getInfo === 'function' ? stage.getInfo() : stage.getFilterInfo()
+            )
+        };
+    }
+}
+
+// 모듈로 내보내기 (Node.js 환경에서 사용시)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FilterChain;
+}
\ No newline at end of file
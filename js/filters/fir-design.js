@@ -0,0 +1,378 @@
+// fir-design.js - 선형 위상 FIR 필터 설계 (윈도우 sinc, 파크스-매클렐런 등리플)
+// 주파수는 내부적으로 샘플링 레이트로 정규화한 값(사이클/샘플, 0 ~ 0.5)을 사용
+
+class FIRDesign {
+    /**
+     * 지원하는 설계 방식 (custom은 사용자가 입력한 계수를 그대로 사용)
+     */
+    static get METHODS() {
+        return {
+            hamming: '윈도우 sinc (해밍)',
+            blackman: '윈도우 sinc (블랙맨)',
+            kaiser: '윈도우 sinc (카이저)',
+            remez: '파크스-매클렐런 (등리플)',
+            custom: '사용자 계수'
+        };
+    }
+
+    /**
+     * 지원하는 대역 종류
+     */
+    static get BAND_TYPES() {
+        return {
+            lowpass: '저역 통과',
+            highpass: '고역 통과',
+            bandpass: '대역 통과',
+            bandstop: '대역 저지'
+        };
+    }
+
+    /**
+     * FIR 계수 설계
+     * 고역 통과/대역 저지는 나이퀴스트에서 이득이 있어야 하므로 홀수 탭(대칭 중심이 샘플)만 가능하고,
+     * 파크스-매클렐런도 홀수 탭으로 구현했으므로 이 경우 짝수 탭 수는 하나 늘림
+     * @param {Object} spec - {method, bandType, numTaps, frequencies: [f] 또는 [f1, f2] (Hz), kaiserBeta, transitionWidth (Hz)}
+     * @param {number} sampleRate - 샘플링 레이트 (Hz)
+     * @returns {Array} 계수 배열 (임펄스 응답)
+     */
+    static design(spec, sampleRate) {
+        const needsOdd = spec.method === 'remez' || spec.bandType === 'highpass' || spec.bandType === 'bandstop';
+        const numTaps = needsOdd && spec.numTaps % 2 === 0 ? spec.numTaps + 1 : spec.numTaps;
+        const frequencies = spec.frequencies.map(frequency => frequency / sampleRate);
+
+        if (spec.method === 'remez') {
+            return FIRDesign.remez(numTaps, FIRDesign.remezBands(spec.bandType, frequencies, spec.transitionWidth / sampleRate));
+        }
+        return FIRDesign.windowedSinc(spec.bandType, numTaps, frequencies, FIRDesign.createWindow(spec.method, numTaps, spec.kaiserBeta));
+    }
+
+    // ===== 윈도우 sinc =====
+
+    /**
+     * 이상적인 필터의 임펄스 응답(sinc)에 윈도우를 곱해 설계
+     * 저역 통과를 기본으로 고역 통과 = δ - 저역, 대역 통과 = 저역(f2) - 저역(f1), 대역 저지 = δ - 대역 통과
+     * @param {string} bandType - 대역 종류
+     * @param {number} numTaps - 탭 수
+     * @param {Array} frequencies - 정규화 경계 주파수 (사이클/샘플)
+     * @param {Array} window - 윈도우 계수
+     * @returns {Array} 계수 배열
+     */
+    static windowedSinc(bandType, numTaps, frequencies, window) {
+        const center = (numTaps - 1) / 2;
+        const lowpass = cutoff => window.map((w, n) => w * 2 * cutoff * FIRDesign.sinc(2 * cutoff * (n - center)));
+        const impulse = window.map((w, n) => (n === center ? 1 : 0));
+        const [f1, f2] = frequencies;
+
+        let taps;
+        let normalizeAt;   // 이득을 1로 맞출 정규화 주파수
+        switch (bandType) {
+            case 'highpass':
+                taps = impulse.map((value, n) => value - lowpass(f1)[n]);
+                normalizeAt = 0.5;
+                break;
+            case 'bandpass': {
+                const high = lowpass(f2);
+                taps = lowpass(f1).map((value, n) => high[n] - value);
+                normalizeAt = (f1 + f2) / 2;
+                break;
+            }
+            case 'bandstop': {
+                const high = lowpass(f2);
+                const low = lowpass(f1);
+                taps = impulse.map((value, n) => value - (high[n] - low[n]));
+                normalizeAt = 0;
+                break;
+            }
+            default:
+                taps = lowpass(f1);
+                normalizeAt = 0;
+        }
+
+        // 윈도우로 줄어든 통과대역 이득 보정
+        const gain = FIRDesign.magnitudeAt(taps, normalizeAt);
+        return gain > 0 ? taps.map(value => value / gain) : taps;
+    }
+
+    /**
+     * 정규화 sinc 함수 sin(πx) / (πx)
+     */
+    static sinc(x) {
+        if (Math.abs(x) < 1e-12) return 1;
+        return Math.sin(Math.PI * x) / (Math.PI * x);
+    }
+
+    /**
+     * 윈도우 계수 생성
+     * @param {string} type - 'hamming', 'blackman', 'kaiser'
+     * @param {number} size - 윈도우 길이
+     * @param {number} beta - 카이저 β (클수록 부엽이 작고 주엽이 넓음)
+     * @returns {Array} 윈도우 계수
+     */
+    static createWindow(type, size, beta = 5) {
+        if (size === 1) return [1];
+
+        const window = new Array(size);
+        for (let n = 0; n < size; n++) {
+            const phase = 2 * Math.PI * n / (size - 1);
+            switch (type) {
+                case 'blackman':
+                    window[n] = 0.42 - 0.5 * Math.cos(phase) + 0.08 * Math.cos(2 * phase);
+                    break;
+                case 'kaiser': {
+                    const ratio = 2 * n / (size - 1) - 1;
+                    window[n] = FIRDesign.besselI0(beta * Math.sqrt(1 - ratio * ratio)) / FIRDesign.besselI0(beta);
+                    break;
+                }
+                default:
+                    window[n] = 0.54 - 0.46 * Math.cos(phase);
+            }
+        }
+        return window;
+    }
+
+    /**
+     * 0차 제1종 변형 베셀 함수 I0(x) (급수 전개)
+     */
+    static besselI0(x) {
+        let sum = 1;
+        let term = 1;
+        for (let k = 1; k < 50; k++) {
+            term *= (x / (2 * k)) * (x / (2 * k));
+            sum += term;
+            if (term < sum * 1e-16) break;
+        }
+        return sum;
+    }
+
+    /**
+     * 정규화 주파수에서 계수의 크기 응답 |H|
+     */
+    static magnitudeAt(taps, frequency) {
+        const omega = 2 * Math.PI * frequency;
+        let real = 0;
+        let imag = 0;
+        taps.forEach((value, n) => {
+            real += value * Math.cos(omega * n);
+            imag -= value * Math.sin(omega * n);
+        });
+        return Math.hypot(real, imag);
+    }
+
+    // ===== 파크스-매클렐런 (Remez 교환 알고리즘) =====
+
+    /**
+     * 대역 종류별 통과/저지 대역 구성 (경계 주파수를 중심으로 전이 대역폭만큼 비움)
+     * @returns {Array} [{start, end, desired}] - 정규화 주파수
+     */
+    static remezBands(bandType, frequencies, transitionWidth) {
+        const half = transitionWidth / 2;
+        const edge = 1e-4;
+        const clamp = frequency => Math.min(Math.max(frequency, edge), 0.5 - edge);
+        const [f1, f2] = frequencies;
+
+        const edges = bandType === 'bandpass' || bandType === 'bandstop'
+            ? [0, clamp(f1 - half), clamp(f1 + half), clamp(f2 - half), clamp(f2 + half), 0.5]
+            : [0, clamp(f1 - half), clamp(f1 + half), 0.5];
+        const desired = {
+            lowpass: [1, 0],
+            highpass: [0, 1],
+            bandpass: [0, 1, 0],
+            bandstop: [1, 0, 1]
+        }[bandType];
+
+        return desired
+            .map((value, i) => ({ start: edges[2 * i], end: edges[2 * i + 1], desired: value }))
+            .filter(band => band.end > band.start);
+    }
+
+    /**
+     * 등리플 최적 FIR 설계 (홀수 탭, 대칭 = 1형 선형 위상)
+     * 진폭 응답 A(f) = Σ a_k cos(2πfk) 를 극점(extremal) 교환으로 최대 오차가 가장 작아지게 맞춤
+     * @param {number} numTaps - 탭 수 (홀수)
+     * @param {Array} bands - [{start, end, desired}] 정규화 주파수
+     * @param {number} maxIterations - 최대 반복 횟수
+     * @returns {Array} 계수 배열
+     */
+    static remez(numTaps, bands, maxIterations = 40) {
+        const order = (numTaps - 1) / 2;          // 코사인 항 개수 - 1
+        const extremalCount = order + 2;
+
+        // 대역 폭에 비례해 촘촘한 주파수 격자 구성 (대역 끝점 포함)
+        const totalWidth = bands.reduce((sum, band) => sum + band.end - band.start, 0);
+        const gridSize = Math.max(16 * (order + 1), extremalCount * 2);
+        const grid = [];
+        bands.forEach(band => {
+            const count = Math.max(2, Math.round(gridSize * (band.end - band.start) / totalWidth));
+            for (let i = 0; i < count; i++) {
+                const frequency = band.start + (band.end - band.start) * i / (count - 1);
+                grid.push({ frequency, x: Math.cos(2 * Math.PI * frequency), desired: band.desired, bandEnd: i === count - 1 });
+            }
+        });
+
+        // 초기 극점: 격자에서 같은 간격
+        let extremals = [];
+        for (let i = 0; i < extremalCount; i++) {
+            extremals.push(Math.round(i * (grid.length - 1) / (extremalCount - 1)));
+        }
+
+        let interpolant = null;
+        for (let iteration = 0; iteration < maxIterations; iteration++) {
+            interpolant = FIRDesign.remezInterpolant(grid, extremals);
+            const error = grid.map(point => point.desired - FIRDesign.evaluateInterpolant(interpolant, point.x));
+
+            const next = FIRDesign.remezExtremals(error, grid, extremalCount);
+            if (!next) break;
+
+            const maxError = next.reduce((max, index) => Math.max(max, Math.abs(error[index])), 0);
+            extremals = next;
+            if (maxError - Math.abs(interpolant.delta) <= Math.abs(interpolant.delta) * 1e-4) break;
+        }
+        interpolant = FIRDesign.remezInterpolant(grid, extremals);
+
+        // 주파수 샘플링으로 A(f)에서 계수 복원: h[M ± n] = (1/N)[A(0) + 2 Σ A(j/N) cos(2πjn/N)]
+        const amplitudes = [];
+        for (let j = 0; j <= order; j++) {
+            amplitudes.push(FIRDesign.evaluateInterpolant(interpolant, Math.cos(2 * Math.PI * j / numTaps)));
+        }
+
+        const taps = new Array(numTaps);
+        for (let n = 0; n <= order; n++) {
+            let sum = amplitudes[0];
+            for (let j = 1; j <= order; j++) {
+                sum += 2 * amplitudes[j] * Math.cos(2 * Math.PI * j * n / numTaps);
+            }
+            taps[order + n] = sum / numTaps;
+            taps[order - n] = sum / numTaps;
+        }
+        return taps;
+    }
+
+    /**
+     * 현재 극점에서 등리플 조건을 만족하는 δ와 보간 다항식(무게중심 라그랑주 형식) 계산
+     * @returns {Object} {delta, nodes, values, weights}
+     */
+    static remezInterpolant(grid, extremals) {
+        const xs = extremals.map(index => grid[index].x);
+        const weightsFor = count => xs.slice(0, count).map((xi, i) => {
+            let product = 1;
+            for (let j = 0; j < count; j++) {
+                if (j !== i) product *= 2 * (xi - xs[j]);   // 2를 곱해 차수가 높아도 넘침/언더플로 방지
+            }
+            return 1 / product;
+        });
+
+        const all = weightsFor(xs.length);
+        let numerator = 0;
+        let denominator = 0;
+        all.forEach((weight, i) => {
+            numerator += weight * grid[extremals[i]].desired;
+            denominator += weight * (i % 2 === 0 ? 1 : -1);
+        });
+        const delta = numerator / denominator;
+
+        // 마지막 극점을 뺀 나머지 점에서 A = D - (-1)^i δ 를 지나는 다항식
+        const count = xs.length - 1;
+        return {
+            delta,
+            nodes: xs.slice(0, count),
+            values: extremals.slice(0, count).map((index, i) => grid[index].desired - (i % 2 === 0 ? 1 : -1) * delta),
+            weights: weightsFor(count)
+        };
+    }
+
+    /**
+     * 무게중심 보간 다항식 값 (x = cos 2πf)
+     */
+    static evaluateInterpolant({ nodes, values, weights }, x) {
+        let numerator = 0;
+        let denominator = 0;
+        for (let i = 0; i < nodes.length; i++) {
+            const difference = x - nodes[i];
+            if (Math.abs(difference) < 1e-14) return values[i];
+            const term = weights[i] / difference;
+            numerator += term * values[i];
+            denominator += term;
+        }
+        return numerator / denominator;
+    }
+
+    /**
+     * 오차 곡선에서 부호가 번갈아 바뀌는 새 극점 선택
+     * @returns {Array|null} 격자 인덱스 배열 (개수가 모자라면 null)
+     */
+    static remezExtremals(error, grid, count) {
+        // 국소 극값 (대역 끝점 포함)
+        const candidates = [];
+        for (let i = 0; i < error.length; i++) {
+            const startsBand = i === 0 || grid[i - 1].bandEnd;
+            const endsBand = grid[i].bandEnd;
+            const value = Math.abs(error[i]);
+            const aboveLeft = startsBand || value >= Math.abs(error[i - 1]) || Math.sign(error[i]) !== Math.sign(error[i - 1]);
+            const aboveRight = endsBand || value >= Math.abs(error[i + 1]) || Math.sign(error[i]) !== Math.sign(error[i + 1]);
+            if (aboveLeft && aboveRight && value > 0) {
+                candidates.push(i);
+            }
+        }
+
+        // 같은 부호가 이어지면 더 큰 쪽만 남김
+        const alternating = [];
+        candidates.forEach(index => {
+            const last = alternating[alternating.length - 1];
+            if (last !== undefined && Math.sign(error[last]) === Math.sign(error[index])) {
+                if (Math.abs(error[index]) > Math.abs(error[last])) {
+                    alternating[alternating.length - 1] = index;
+                }
+            } else {
+                alternating.push(index);
+            }
+        });
+
+        // 너무 많으면 양 끝 중 오차가 작은 쪽부터 제거
+        while (alternating.length > count) {
+            if (Math.abs(error[alternating[0]]) < Math.abs(error[alternating[alternating.length - 1]])) {
+                alternating.shift();
+            } else {
+                alternating.pop();
+            }
+        }
+
+        return alternating.length === count ? alternating : null;
+    }
+
+    // ===== 사용자 계수 =====
+
+    /**
+     * 붙여 넣은 계수 문자열 해석 (쉼표, 공백, 줄바꿈, 세미콜론 구분)
+     * 숫자가 아닌 항목은 계수에서 빼고 errors에 기록 (잘못 입력한 목록이 모르는 사이 다른 필터가 되지 않도록)
+     * @param {string} text - 계수 목록
+     * @returns {Object} {coefficients, errors} - errors: [{index, token, message}] (index는 1부터)
+     */
+    static parseCoefficients(text) {
+        const coefficients = [];
+        const errors = [];
+
+        String(text)
+            .split(/[\s,;]+/)
+            .filter(token => token !== '')
+            .forEach((token, i) => {
+                const value = Number(token);
+                if (Number.isFinite(value)) {
+                    coefficients.push(value);
+                } else {
+                    errors.push({ index: i + 1, token, message: `${i + 1}번째 항목이 숫자가 아닙니다: "${token}"` });
+                }
+            });
+
+        return { coefficients, errors };
+    }
+}
+
+// 브라우저 환경에서 사용 가능하게 만들기
+if (typeof window !== 'undefined') {
+    window.FIRDesign = FIRDesign;
+}
+
+// 모듈로 내보내기 (Node.js 환경에서 사용시)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FIRDesign;
+}
\ No newline at end of file
@@ -0,0 +1,282 @@
+// js/filters/fir-filter.js - 원형 버퍼로 스트리밍 처리하는 범용 FIR 필터
+// 계수는 FIRDesign으로 설계하거나 (윈도우 sinc, 파크스-매클렐런) 사용자가 직접 입력
+
+class FIRFilter {
+    /**
+     * @param {Object} options - {method, bandType, numTaps, cutoffFrequency, cutoffHigh, kaiserBeta, transitionWidth, customCoefficients}
+     *                           대역 통과/저지는 cutoffFrequency ~ cutoffHigh 구간 사용
+     * @param {number} sampleRate - 샘플링 레이트 (Hz)
+     */
+    constructor(options = {}, sampleRate = 100) {
+        this.method = options.method || 'hamming';
+        this.bandType = options.bandType || 'lowpass';
+        this.numTaps = options.numTaps || 31;
+        this.cutoffFrequency = options.cutoffFrequency || 5;
+        this.cutoffHigh = options.cutoffHigh || 15;
+        this.kaiserBeta = options.kaiserBeta !== undefined ? options.kaiserBeta : 5;
+        this.transitionWidth = options.transitionWidth || 4;     // 전이 대역폭 (Hz, 파크스-매클렐런)
+        this.customCoefficients = FIRFilter.toCoefficients(options.customCoefficients || [1]);
+        this.sampleRate = sampleRate;
+
+        this.updateCoefficients();
+    }
+
+    /**
+     * 계수 배열 또는 계수 문자열을 숫자 배열로 변환 (숫자가 없으면 통과 필터 [1])
+     * 무시한 항목은 FIRDesign.parseCoefficients의 errors로 확인
+     */
+    static toCoefficients(value) {
+        const coefficients = Array.isArray(value) ? value.filter(Number.isFinite) : FIRDesign.parseCoefficients(value).coefficients;
+        return coefficients.length > 0 ? coefficients : [1];
+    }
+
+    /**
+     * 현재 설정으로 계수를 다시 설계하고 버퍼를 계수 길이에 맞춤
+     */
+    updateCoefficients() {
+        if (this.method === 'custom') {
+            this.coefficients = this.customCoefficients.slice();
+        } else {
+            const nyquist = this.sampleRate / 2;
+            const clamp = frequency => Math.min(Math.max(frequency, nyquist * 1e-3), nyquist * 0.99);
+            const isBand = this.bandType === 'bandpass' || this.bandType === 'bandstop';
+            const low = clamp(Math.min(this.cutoffFrequency, this.cutoffHigh));
+            const high = clamp(Math.max(this.cutoffFrequency, this.cutoffHigh));
+
+            this.coefficients = FIRDesign.design({
+                method: this.method,
+                bandType: this.bandType,
+                numTaps: this.numTaps,
+                frequencies: isBand ? [low, Math.max(high, low * 1.01)] : [clamp(this.cutoffFrequency)],
+                kaiserBeta: this.kaiserBeta,
+                transitionWidth: this.transitionWidth
+            }, this.sampleRate);
+        }
+
+        this.buffer = new Array(this.coefficients.length).fill(0);
+        this.reset();
+    }
+
+    /**
+     * 새로운 데이터 포인트를 필터에 입력하고 필터링된 값을 반환
+     * y[n] = Σ h[k] x[n-k]
+     * @param {number} input - 입력 신호 값
+     * @returns {number} 필터링된 출력 값
+     */
+    filter(input) {
+        // 첫 입력이 계속 들어왔던 것처럼 버퍼를 채움 (시작 시 과도 응답 방지)
+        if (!this.isInitialized) {
+            this.buffer.fill(input);
+            this.isInitialized = true;
+        }
+
+        // 새로운 값을 버퍼에 저장 후 인덱스 이동 (원형 버퍼)
+        this.buffer[this.bufferIndex] = input;
+        const length = this.buffer.length;
+
+        let output = 0;
+        for (let k = 0; k < length; k++) {
+            output += this.coefficients[k] * this.buffer[(this.bufferIndex - k + length) % length];
+        }
+
+        this.bufferIndex = (this.bufferIndex + 1) % length;
+        return output;
+    }
+
+    /**
+     * 배치 처리 - 여러 데이터를 한번에 필터링
+     * @param {Array} inputArray - 입력 데이터 배열
+     * @returns {Array} 필터링된 출력 배열
+     */
+    filterBatch(inputArray) {
+        const output = [];
+        for (let i = 0; i < inputArray.length; i++) {
+            output.push(this.filter(inputArray[i]));
+        }
+        return output;
+    }
+
+    /**
+     * 설계 방식 설정 ('hamming', 'blackman', 'kaiser', 'remez', 'custom')
+     */
+    setMethod(method) {
+        if (!FIRDesign.METHODS[method]) {
+            throw new Error(`지원하지 않는 설계 방식입니다: ${method}`);
+        }
+        this.method = method;
+        this.updateCoefficients();
+    }
+
+    /**
+     * 대역 종류 설정 ('lowpass', 'highpass', 'bandpass', 'bandstop')
+     */
+    setBandType(bandType) {
+        if (!FIRDesign.BAND_TYPES[bandType]) {
+            throw new Error(`지원하지 않는 대역 종류입니다: ${bandType}`);
+        }
+        this.bandType = bandType;
+        this.updateCoefficients();
+    }
+
+    /**
+     * 탭 수 설정 (고역 통과/대역 저지와 파크스-매클렐런은 홀수로 올림)
+     */
+    setNumTaps(numTaps) {
+        if (numTaps < 1) {
+            throw new Error('탭 수는 1 이상이어야 합니다.');
+        }
+        this.numTaps = Math.round(numTaps);
+        this.updateCoefficients();
+    }
+
+    /**
+     * 컷오프 주파수 설정 (대역 통과/저지에서는 아래쪽 경계)
+     */
+    setCutoffFrequency(newCutoffFrequency) {
+        if (newCutoffFrequency <= 0) {
+            throw new Error('컷오프 주파수는 0보다 커야 합니다.');
+        }
+        this.cutoffFrequency = newCutoffFrequency;
+        this.updateCoefficients();
+    }
+
+    /**
+     * 위쪽 경계 주파수 설정 (대역 통과/저지)
+     */
+    setCutoffHigh(newCutoffHigh) {
+        if (newCutoffHigh <= 0) {
+            throw new Error('경계 주파수는 0보다 커야 합니다.');
+        }
+        this.cutoffHigh = newCutoffHigh;
+        this.updateCoefficients();
+    }
+
+    /**
+     * 카이저 윈도우 β 설정
+     */
+    setKaiserBeta(beta) {
+        if (beta < 0) {
+            throw new Error('카이저 β는 0 이상이어야 합니다.');
+        }
+        this.kaiserBeta = beta;
+        this.updateCoefficients();
+    }
+
+    /**
+     * 전이 대역폭 설정 (Hz, 파크스-매클렐런)
+     */
+    setTransitionWidth(width) {
+        if (width <= 0) {
+            throw new Error('전이 대역폭은 0보다 커야 합니다.');
+        }
+        this.transitionWidth = width;
+        this.updateCoefficients();
+    }
+
+    /**
+     * 사용자 계수 설정 (배열 또는 쉼표/공백으로 구분한 문자열)
+     * 설계 방식이 'custom'일 때 사용
+     */
+    setCustomCoefficients(coefficients) {
+        this.customCoefficients = FIRFilter.toCoefficients(coefficients);
+        this.updateCoefficients();
+    }
+
+    /**
+     * 샘플링 레이트 설정
+     */
+    setSampleRate(newSampleRate) {
+        if (newSampleRate <= 0) {
+            throw new Error('샘플링 레이트는 0보다 커야 합니다.');
+        }
+        this.sampleRate = newSampleRate;
+        this.updateCoefficients();
+    }
+
+    /**
+     * 필터 초기화 (모든 데이터 제거)
+     */
+    reset() {
+        this.buffer.fill(0);
+        this.bufferIndex = 0;
+        this.isInitialized = false;
+    }
+
+    /**
+     * 필터 계수 반환 (= 임펄스 응답)
+     * @returns {Array} 필터 계수 배열
+     */
+    getCoefficients() {
+        return this.coefficients;
+    }
+
+    /**
+     * 필터의 지연시간 반환 (샘플 단위)
+     * 대칭/반대칭 계수(선형 위상)의 그룹 지연은 (N-1)/2 샘플
+     * 사용자 계수가 비대칭이면 주파수마다 지연이 달라 하나로 정할 수 없으므로 null
+     * @returns {number|null} 지연 샘플 수
+     */
+    getGroupDelay() {
+        return FIRFilter.isLinearPhase(this.coefficients) ? (this.coefficients.length - 1) / 2 : null;
+    }
+
+    /**
+     * 계수가 대칭(h[k] = h[N-1-k]) 또는 반대칭(h[k] = -h[N-1-k])인지 확인
+     * 붙여 넣은 계수의 반올림 오차를 고려해 최대 계수 크기 대비 1e-9까지 허용
+     */
+    static isLinearPhase(coefficients) {
+        const n = coefficients.length;
+        const tolerance = 1e-9 * coefficients.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+        const matches = sign => coefficients.every((value, k) => Math.abs(value - sign * coefficients[n - 1 - k]) <= tolerance);
+        return matches(1) || matches(-1);
+    }
+
+    /**
+     * 현재 필터 설정 정보 반환
+     */
+    getInfo() {
+        const isBand = this.bandType === 'bandpass' || this.bandType === 'bandstop';
+        return {
+            type: this.method === 'custom'
+                ? 'FIR Filter (사용자 계수)'
+                : `FIR Filter (${FIRDesign.METHODS[this.method]} ${FIRDesign.BAND_TYPES[this.bandType]})`,
+            taps: this.coefficients.length,
+            groupDelay: this.getGroupDelay(),
+            cutoffFrequency: this.method === 'custom' ? null : this.cutoffFrequency,
+            cutoffHigh: this.method !== 'custom' && isBand ? this.cutoffHigh : null,
+            sampleRate: this.sampleRate
+        };
+    }
+
+    /**
+     * 주파수 응답 계산
+     * H(ω) = Σ h[k] exp(-jωk), k = 0..N-1
+     * @param {number} frequency - 주파수 (Hz)
+     * @returns {Object} {magnitude, phase} 주파수 응답 (phase는 라디안)
+     */
+    getFrequencyResponse(frequency) {
+        const omega = 2 * Math.PI * frequency / this.sampleRate;
+
+        let real = 0;
+        let imag = 0;
+        this.coefficients.forEach((coefficient, k) => {
+            real += coefficient * Math.cos(omega * k);
+            imag -= coefficient * Math.sin(omega * k);
+        });
+
+        return {
+            magnitude: Math.hypot(real, imag),
+            phase: Math.atan2(imag, real)
+        };
+    }
+}
+
+// 브라우저 환경에서 사용 가능하게 만들기
+if (typeof window !== 'undefined') {
+    window.FIRFilter = FIRFilter;
+}
+
+// 모듈로 내보내기 (Node.js 환경에서 사용시)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FIRFilter;
+}
\ No newline at end of file
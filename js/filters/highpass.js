@@ -46,6 +46,19 @@ class HighpassFilter {
         return output;
     }
 
+    /**
+     * 배치 처리 - 여러 데이터를 한번에 필터링
+     * @param {Array} inputArray - 입력 데이터 배열
+     * @returns {Array} 필터링된 출력 배열
+     */
+    filterBatch(inputArray) {
+        const output = [];
+        for (let i = 0; i < inputArray.length; i++) {
+            output.push(this.filter(inputArray[i]));
+        }
+        return output;
+    }
+
     /**
      * 컷오프 주파수 설정
      */
@@ -98,23 +111,29 @@ class HighpassFilter {
     }
 
     /**
-     * 주파수 응답 계산 (선택적)
-     * 주어진 주파수에서의 크기 응답을 계산
+     * 주파수 응답 계산
+     * H(z) = α(1 - z^-1) / (1 - αz^-1)
+     * @param {number} frequency - 주파수 (Hz)
+     * @returns {Object} {magnitude, phase} 주파수 응답 (phase는 라디안)
      */
     getFrequencyResponse(frequency) {
         const omega = 2 * Math.PI * frequency / this.sampleRate;
-        const magnitude = (1 - this.alpha) * Math.sin(omega / 2) / Math.sqrt(
-            Math.pow(1 - this.alpha * Math.cos(omega), 2) + 
-            Math.pow(this.alpha * Math.sin(omega), 2)
-        );
-        return Math.abs(magnitude);
+        const numeratorReal = this.alpha * (1 - Math.cos(omega));
+        const numeratorImag = this.alpha * Math.sin(omega);
+        const denominatorReal = 1 - this.alpha * Math.cos(omega);
+        const denominatorImag = this.alpha * Math.sin(omega);
+        
+        return {
+            magnitude: Math.hypot(numeratorReal, numeratorImag) / Math.hypot(denominatorReal, denominatorImag),
+            phase: Math.atan2(numeratorImag, numeratorReal) - Math.atan2(denominatorImag, denominatorReal)
+        };
     }
 
     /**
      * 3dB 컷오프 주파수에서의 감쇠 확인
      */
     getCutoffAttenuation() {
-        return this.getFrequencyResponse(this.cutoffFrequency);
+        return this.getFrequencyResponse(this.cutoffFrequency).magnitude;
     }
 
     /**
@@ -0,0 +1,209 @@
+// holt-winters-filter.js - 이중/삼중 지수 평활 (홀트 선형 추세, 홀트-윈터스 가법 계절성) 구현
+// 수준(level)과 추세(trend)를 함께 추적하므로 기울기가 있는 신호를 지연 없이 따라감
+
+class HoltWintersFilter {
+    /**
+     * @param {Object} options - {seasonal, alpha, beta, gamma, seasonLength}
+     *                           seasonal이 false면 홀트(이중), true면 홀트-윈터스(삼중) 평활
+     * @param {number} sampleRate - 샘플링 레이트 (Hz)
+     */
+    constructor(options = {}, sampleRate = 100) {
+        this.seasonal = !!options.seasonal;
+        this.alpha = options.alpha || 0.3;              // 수준 평활 계수
+        this.beta = options.beta !== undefined ? options.beta : 0.1;      // 추세 평활 계수
+        this.gamma = options.gamma !== undefined ? options.gamma : 0.1;   // 계절 성분 평활 계수
+        this.seasonLength = Math.round(options.seasonLength || 20);       // 계절 주기 (샘플)
+        this.sampleRate = sampleRate;
+
+        // 필터 상태 초기화
+        this.reset();
+    }
+
+    /**
+     * 새로운 데이터 포인트를 필터에 입력하고 필터링된 값을 반환
+     * ℓ[n] = α (x[n] - s[n-m]) + (1-α)(ℓ[n-1] + b[n-1])
+     * b[n] = β (ℓ[n] - ℓ[n-1]) + (1-β) b[n-1]
+     * s[n] = γ (x[n] - ℓ[n]) + (1-γ) s[n-m]
+     * 출력은 홀트면 ℓ[n], 홀트-윈터스면 ℓ[n] + s[n]
+     * @param {number} input - 입력 신호 값
+     * @returns {number} 필터링된 출력 값
+     */
+    filter(input) {
+        // 첫 번째 입력을 수준으로 두고 추세/계절 성분은 0에서 시작
+        if (!this.isInitialized) {
+            this.level = input;
+            this.isInitialized = true;
+            return input;
+        }
+
+        const previousLevel = this.level;
+        const previousSeason = this.seasonal ? this.season[this.seasonIndex] : 0;
+
+        this.level = this.alpha * (input - previousSeason) + (1 - this.alpha) * (previousLevel + this.trend);
+        this.trend = this.beta * (this.level - previousLevel) + (1 - this.beta) * this.trend;
+
+        if (!this.seasonal) {
+            return this.level;
+        }
+
+        const season = this.gamma * (input - this.level) + (1 - this.gamma) * previousSeason;
+        this.season[this.seasonIndex] = season;
+        this.seasonIndex = (this.seasonIndex + 1) % this.seasonLength;
+        return this.level + season;
+    }
+
+    /**
+     * 배치 처리 - 여러 데이터를 한번에 필터링
+     * @param {Array} inputArray - 입력 데이터 배열
+     * @returns {Array} 필터링된 출력 배열
+     */
+    filterBatch(inputArray) {
+        const output = [];
+        for (let i = 0; i < inputArray.length; i++) {
+            output.push(this.filter(inputArray[i]));
+        }
+        return output;
+    }
+
+    /**
+     * 수준 평활 계수 설정 (0 < α ≤ 1)
+     */
+    setAlpha(alpha) {
+        if (alpha <= 0 || alpha > 1) {
+            throw new Error('α는 0보다 크고 1 이하여야 합니다.');
+        }
+        this.alpha = alpha;
+    }
+
+    /**
+     * 추세 평활 계수 설정 (0 ≤ β ≤ 1, 0이면 추세를 갱신하지 않음)
+     */
+    setBeta(beta) {
+        if (beta < 0 || beta > 1) {
+            throw new Error('β는 0 이상 1 이하여야 합니다.');
+        }
+        this.beta = beta;
+    }
+
+    /**
+     * 계절 성분 평활 계수 설정 (0 ≤ γ ≤ 1)
+     */
+    setGamma(gamma) {
+        if (gamma < 0 || gamma > 1) {
+            throw new Error('γ는 0 이상 1 이하여야 합니다.');
+        }
+        this.gamma = gamma;
+    }
+
+    /**
+     * 계절 주기 설정 (샘플 단위, 계절 성분은 다시 학습)
+     */
+    setSeasonLength(seasonLength) {
+        if (seasonLength < 2) {
+            throw new Error('계절 주기는 2 샘플 이상이어야 합니다.');
+        }
+        this.seasonLength = Math.round(seasonLength);
+        this.season = new Array(this.seasonLength).fill(0);
+        this.seasonIndex = 0;
+    }
+
+    /**
+     * 샘플링 레이트 설정
+     */
+    setSampleRate(newSampleRate) {
+        if (newSampleRate <= 0) {
+            throw new Error('샘플링 레이트는 0보다 커야 합니다.');
+        }
+        this.sampleRate = newSampleRate;
+    }
+
+    /**
+     * 필터 상태 리셋
+     */
+    reset() {
+        this.level = 0;
+        this.trend = 0;
+        this.season = new Array(this.seasonLength).fill(0);
+        this.seasonIndex = 0;
+        this.isInitialized = false;
+    }
+
+    /**
+     * 정규화 각주파수 ω에서의 복소 전달함수 (q = e^-jω)
+     * G = β(1-q) / (1-(1-β)q),  P = 1 - (1-γ)q^m
+     * ℓ = αX (1 - γq^m/P) / [1 - (1-α)q(1+G) - αγq^m/P]
+     * Y = ℓ(1 - γ/P) + γX/P   (홀트는 γ = 0으로 계산)
+     */
+    transfer(omega) {
+        const { complex, add, subtract, multiply, divide, scale } = IIRDesign;
+        const one = complex(1);
+        const q = complex(Math.cos(omega), -Math.sin(omega));
+        const qm = complex(Math.cos(omega * this.seasonLength), -Math.sin(omega * this.seasonLength));
+        const gamma = this.seasonal ? this.gamma : 0;
+
+        const trendGain = divide(scale(subtract(one, q), this.beta), subtract(one, scale(q, 1 - this.beta)));
+
+        // γ = 0이면 계절 성분이 0에 머물러 홀트와 같음 (P가 DC에서 0이 되는 것도 피함)
+        const seasonDenominator = subtract(one, scale(qm, 1 - gamma));
+        const seasonTerm = gamma > 0 ? scale(divide(qm, seasonDenominator), gamma) : complex(0);
+        const inputShare = gamma > 0 ? scale(divide(one, seasonDenominator), gamma) : complex(0);
+
+        const level = divide(
+            scale(subtract(one, seasonTerm), this.alpha),
+            subtract(subtract(one, scale(multiply(q, add(one, trendGain)), 1 - this.alpha)), scale(seasonTerm, this.alpha))
+        );
+        return add(multiply(level, subtract(one, inputShare)), inputShare);
+    }
+
+    /**
+     * 필터의 지연시간 반환 (샘플 단위)
+     * 저주파(ω → 0) 그룹 지연 -dφ/dω를 수치 미분으로 계산
+     * 추세를 추적하므로 β > 0이면 0에 가깝고 (기울기 입력도 지연 없이 따라감), β = 0이면 EMA와 같은 (1-α)/α
+     * @returns {number} 지연 샘플 수
+     */
+    getGroupDelay() {
+        const delta = 1e-4;
+        const above = this.transfer(delta);
+        const below = this.transfer(-delta);
+        const phaseDifference = Math.atan2(above.im, above.re) - Math.atan2(below.im, below.re);
+        return -phaseDifference / (2 * delta);
+    }
+
+    /**
+     * 현재 필터 설정 정보 반환
+     */
+    getInfo() {
+        return {
+            type: this.seasonal ? 'Holt-Winters (Triple Exponential)' : 'Holt (Double Exponential)',
+            alpha: this.alpha,
+            beta: this.beta,
+            gamma: this.seasonal ? this.gamma : null,
+            seasonLength: this.seasonal ? this.seasonLength : null,
+            groupDelay: this.getGroupDelay(),
+            sampleRate: this.sampleRate
+        };
+    }
+
+    /**
+     * 주파수 응답 계산
+     * @param {number} frequency - 주파수 (Hz)
+     * @returns {Object} {magnitude, phase} 주파수 응답 (phase는 라디안)
+     */
+    getFrequencyResponse(frequency) {
+        const response = this.transfer(2 * Math.PI * frequency / this.sampleRate);
+        return {
+            magnitude: Math.hypot(response.re, response.im),
+            phase: Math.atan2(response.im, response.re)
+        };
+    }
+}
+
+// 브라우저 환경에서 사용 가능하게 만들기
+if (typeof window !== 'undefined') {
+    window.HoltWintersFilter = HoltWintersFilter;
+}
+
+// 모듈로 내보내기 (Node.js 환경에서 사용시)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HoltWintersFilter;
+}
\ No newline at end of file
@@ -0,0 +1,611 @@
+// iir-design.js - 고차 IIR 필터 설계 (아날로그 원형 → 주파수 변환 → 쌍선형 변환 → 2차 섹션 분해)
+// 극점/영점/이득(zpk) 표현을 사용하고 복소수는 {re, im} 객체로 다룸
+
+class IIRDesign {
+    /**
+     * 지원하는 설계 방식
+     */
+    static get DESIGNS() {
+        return {
+            butterworth: '버터워스',
+            chebyshev1: '체비셰프 I',
+            chebyshev2: '체비셰프 II',
+            bessel: '베셀',
+            elliptic: '타원(엘립틱)'
+        };
+    }
+
+    /**
+     * 지원하는 대역 종류
+     */
+    static get BAND_TYPES() {
+        return {
+            lowpass: '저역 통과',
+            highpass: '고역 통과',
+            bandpass: '대역 통과',
+            bandstop: '대역 저지'
+        };
+    }
+
+    /**
+     * 디지털 필터 설계
+     * 컷오프 의미: 버터워스/베셀은 -3dB, 체비셰프 I/타원은 통과대역 끝(-ripple dB), 체비셰프 II는 저지대역 시작(-attenuation dB)
+     * @param {Object} spec - {design, bandType, order, frequencies: [f] 또는 [f1, f2] (Hz), ripple (dB), attenuation (dB)}
+     * @param {number} sampleRate - 샘플링 레이트 (Hz)
+     * @returns {Object} {zeros, poles, gain, sections} - 디지털 극점/영점/이득과 2차 섹션 배열 [{b, a}]
+     */
+    static design(spec, sampleRate) {
+        const analog = IIRDesign.analogPrototype(spec.design, spec.order, spec.ripple, spec.attenuation);
+
+        // 쌍선형 변환의 주파수 왜곡을 미리 보정 (prewarping)
+        const warp = frequency => 2 * sampleRate * Math.tan(Math.PI * frequency / sampleRate);
+        const band = spec.frequencies.map(warp);
+
+        let transformed;
+        switch (spec.bandType) {
+            case 'highpass':
+                transformed = IIRDesign.lowpassToHighpass(analog, band[0]);
+                break;
+            case 'bandpass':
+                transformed = IIRDesign.lowpassToBandpass(analog, Math.sqrt(band[0] * band[1]), band[1] - band[0]);
+                break;
+            case 'bandstop':
+                transformed = IIRDesign.lowpassToBandstop(analog, Math.sqrt(band[0] * band[1]), band[1] - band[0]);
+                break;
+            default:
+                transformed = IIRDesign.lowpassToLowpass(analog, band[0]);
+        }
+
+        const digital = IIRDesign.bilinear(transformed, sampleRate);
+        return { ...digital, sections: IIRDesign.zpkToSections(digital) };
+    }
+
+    // ===== 아날로그 저역 통과 원형 (기준 주파수 1 rad/s) =====
+
+    /**
+     * 설계 방식별 아날로그 원형
+     * @returns {Object} {zeros, poles, gain}
+     */
+    static analogPrototype(design, order, ripple = 1, attenuation = 40) {
+        switch (design) {
+            case 'chebyshev1':
+                return IIRDesign.chebyshev1Prototype(order, ripple);
+            case 'chebyshev2':
+                return IIRDesign.chebyshev2Prototype(order, attenuation);
+            case 'bessel':
+                return IIRDesign.besselPrototype(order);
+            case 'elliptic':
+                return IIRDesign.ellipticPrototype(order, ripple, attenuation);
+            default:
+                return IIRDesign.butterworthPrototype(order);
+        }
+    }
+
+    /**
+     * 버터워스: 단위원 왼쪽 반평면에 같은 간격으로 놓인 극점
+     */
+    static butterworthPrototype(order) {
+        const poles = [];
+        for (let k = 0; k < order; k++) {
+            const angle = Math.PI * (2 * k + order + 1) / (2 * order);
+            poles.push(IIRDesign.complex(Math.cos(angle), Math.sin(angle)));
+        }
+        return { zeros: [], poles, gain: 1 };
+    }
+
+    /**
+     * 체비셰프 I: 통과대역에 ripple dB의 등리플
+     */
+    static chebyshev1Prototype(order, ripple) {
+        const epsilon = Math.sqrt(Math.pow(10, ripple / 10) - 1);
+        const mu = Math.asinh(1 / epsilon) / order;
+        const poles = [];
+
+        for (let m = -order + 1; m < order; m += 2) {
+            const theta = Math.PI * m / (2 * order);
+            // p = -sinh(mu + jθ)
+            poles.push(IIRDesign.complex(-Math.sinh(mu) * Math.cos(theta), -Math.cosh(mu) * Math.sin(theta)));
+        }
+
+        let gain = IIRDesign.product(poles.map(p => IIRDesign.scale(p, -1))).re;
+        if (order % 2 === 0) {
+            gain /= Math.sqrt(1 + epsilon * epsilon);
+        }
+        return { zeros: [], poles, gain };
+    }
+
+    /**
+     * 체비셰프 II: 저지대역에 attenuation dB의 등리플, 통과대역은 평탄
+     */
+    static chebyshev2Prototype(order, attenuation) {
+        const delta = 1 / Math.sqrt(Math.pow(10, attenuation / 10) - 1);
+        const mu = Math.asinh(1 / delta) / order;
+        const zeros = [];
+        const poles = [];
+
+        for (let m = -order + 1; m < order; m += 2) {
+            // 홀수 차수의 가운데 항(m = 0)은 무한대 영점이므로 제외
+            if (m !== 0) {
+                zeros.push(IIRDesign.complex(0, 1 / Math.sin(m * Math.PI / (2 * order))));
+            }
+
+            const angle = Math.PI * m / (2 * order);
+            const p = IIRDesign.complex(-Math.sinh(mu) * Math.cos(angle), -Math.cosh(mu) * Math.sin(angle));
+            poles.push(IIRDesign.divide(IIRDesign.complex(1, 0), p));
+        }
+
+        const gain = IIRDesign.divide(
+            IIRDesign.product(poles.map(p => IIRDesign.scale(p, -1))),
+            IIRDesign.product(zeros.map(z => IIRDesign.scale(z, -1)))
+        ).re;
+        return { zeros, poles, gain };
+    }
+
+    /**
+     * 베셀: 역 베셀 다항식의 근 (군지연이 가장 평탄), 1 rad/s에서 -3dB가 되도록 정규화
+     */
+    static besselPrototype(order) {
+        // 역 베셀 다항식 계수 a_k = (2n-k)! / (2^(n-k) k! (n-k)!)
+        const factorial = n => (n <= 1 ? 1 : n * factorial(n - 1));
+        const coefficients = [];
+        for (let k = 0; k <= order; k++) {
+            coefficients.push(factorial(2 * order - k) / (Math.pow(2, order - k) * factorial(k) * factorial(order - k)));
+        }
+
+        let poles = IIRDesign.polynomialRoots(coefficients);
+
+        // |H(jw)| = 1/√2 인 w를 이분법으로 찾아 극점 크기 조정
+        const magnitude = w => {
+            const s = IIRDesign.complex(0, w);
+            const denominator = IIRDesign.product(poles.map(p => IIRDesign.subtract(s, p)));
+            const dcGain = IIRDesign.product(poles.map(p => IIRDesign.scale(p, -1)));
+            return IIRDesign.abs(dcGain) / IIRDesign.abs(denominator);
+        };
+        let low = 1e-3;
+        let high = 1e3;
+        for (let i = 0; i < 100; i++) {
+            const middle = Math.sqrt(low * high);
+            if (magnitude(middle) > Math.SQRT1_2) {
+                low = middle;
+            } else {
+                high = middle;
+            }
+        }
+        const cutoff = Math.sqrt(low * high);
+        poles = poles.map(p => IIRDesign.scale(p, 1 / cutoff));
+
+        const gain = IIRDesign.product(poles.map(p => IIRDesign.scale(p, -1))).re;
+        return { zeros: [], poles, gain };
+    }
+
+    /**
+     * 타원(엘립틱): 통과대역 ripple dB, 저지대역 attenuation dB의 등리플
+     * 같은 차수에서 전이대역이 가장 좁음 (Orfanidis의 란덴 변환 방식)
+     */
+    static ellipticPrototype(order, ripple, attenuation) {
+        const epsilonPass = Math.sqrt(Math.pow(10, ripple / 10) - 1);
+        const epsilonStop = Math.sqrt(Math.pow(10, attenuation / 10) - 1);
+        const k1 = epsilonPass / epsilonStop;
+        const k = IIRDesign.ellipticDegree(order, k1);
+
+        const pairs = Math.floor(order / 2);
+        const odd = order % 2 === 1;
+        const v0 = Math.abs(IIRDesign.asne(IIRDesign.complex(0, 1 / epsilonPass), k1).im) / order;
+
+        const zeros = [];
+        const poles = [];
+        for (let i = 1; i <= pairs; i++) {
+            const u = (2 * i - 1) / order;
+            const zeta = IIRDesign.cde(IIRDesign.complex(u, 0), k).re;
+            const zero = IIRDesign.complex(0, 1 / (k * zeta));
+            zeros.push(zero, IIRDesign.conjugate(zero));
+
+            // p = j * cd((u - j v0) K, k)
+            const pole = IIRDesign.multiply(IIRDesign.complex(0, 1), IIRDesign.cde(IIRDesign.complex(u, -v0), k));
+            const stablePole = IIRDesign.complex(-Math.abs(pole.re), pole.im);
+            poles.push(stablePole, IIRDesign.conjugate(stablePole));
+        }
+        if (odd) {
+            // p0 = j * sn(j v0 K, k) (음의 실수 극점)
+            const pole = IIRDesign.multiply(IIRDesign.complex(0, 1), IIRDesign.sne(IIRDesign.complex(0, v0), k));
+            poles.push(IIRDesign.complex(-Math.abs(pole.re), 0));
+        }
+
+        // 직류 이득: 홀수 차수는 1, 짝수 차수는 통과대역 리플의 아래쪽 값
+        const dcGain = odd ? 1 : 1 / Math.sqrt(1 + epsilonPass * epsilonPass);
+        const gain = dcGain * IIRDesign.abs(IIRDesign.divide(
+            IIRDesign.product(poles.map(p => IIRDesign.scale(p, -1))),
+            IIRDesign.product(zeros.map(z => IIRDesign.scale(z, -1)))
+        ));
+        return { zeros, poles, gain };
+    }
+
+    // ===== 타원 함수 (란덴 변환) =====
+
+    /**
+     * 내림차순 란덴 모듈러스 수열
+     */
+    static landen(k) {
+        const moduli = [];
+        for (let i = 0; i < 20 && k > 1e-15; i++) {
+            k = Math.pow(k / (1 + Math.sqrt(1 - k * k)), 2);
+            moduli.push(k);
+        }
+        return moduli;
+    }
+
+    /**
+     * cd(uK, k) - u는 K(k)로 정규화된 복소수
+     */
+    static cde(u, k) {
+        return IIRDesign.landenAscend(IIRDesign.cos(IIRDesign.scale(u, Math.PI / 2)), k);
+    }
+
+    /**
+     * sn(uK, k) - u는 K(k)로 정규화된 복소수
+     */
+    static sne(u, k) {
+        return IIRDesign.landenAscend(IIRDesign.sin(IIRDesign.scale(u, Math.PI / 2)), k);
+    }
+
+    /**
+     * cos/sin 값에서 시작해 란덴 수열을 거꾸로 올라가며 cd/sn 계산
+     */
+    static landenAscend(w, k) {
+        const moduli = IIRDesign.landen(k);
+        for (let n = moduli.length - 1; n >= 0; n--) {
+            const v = moduli[n];
+            // w = (1 + v) w / (1 + v w²)
+            w = IIRDesign.divide(
+                IIRDesign.scale(w, 1 + v),
+                IIRDesign.add(IIRDesign.complex(1, 0), IIRDesign.scale(IIRDesign.multiply(w, w), v))
+            );
+        }
+        return w;
+    }
+
+    /**
+     * sn의 역함수 (K로 정규화된 값 반환): asne(w, k) = 1 - acde(w, k)
+     */
+    static asne(w, k) {
+        const moduli = IIRDesign.landen(k);
+        for (let n = 0; n < moduli.length; n++) {
+            const previous = n === 0 ? k : moduli[n - 1];
+            // w = w / (1 + sqrt(1 - w² k²)) * 2 / (1 + v)
+            const root = IIRDesign.sqrt(IIRDesign.subtract(
+                IIRDesign.complex(1, 0),
+                IIRDesign.scale(IIRDesign.multiply(w, w), previous * previous)
+            ));
+            w = IIRDesign.scale(
+                IIRDesign.divide(w, IIRDesign.add(IIRDesign.complex(1, 0), root)),
+                2 / (1 + moduli[n])
+            );
+        }
+        const acde = IIRDesign.scale(IIRDesign.acos(w), 2 / Math.PI);
+        return IIRDesign.subtract(IIRDesign.complex(1, 0), acde);
+    }
+
+    /**
+     * 차수 방정식: 차수와 k1(리플 비)로부터 선택도 k(통과대역 끝 / 저지대역 시작) 계산
+     */
+    static ellipticDegree(order, k1) {
+        const k1Complement = Math.sqrt(1 - k1 * k1);
+        let product = 1;
+        for (let i = 1; i <= Math.floor(order / 2); i++) {
+            product *= IIRDesign.sne(IIRDesign.complex((2 * i - 1) / order, 0), k1Complement).re;
+        }
+        const kComplement = Math.pow(k1Complement, order) * Math.pow(product, 4);
+        return Math.sqrt(1 - kComplement * kComplement);
+    }
+
+    // ===== 주파수 변환 (아날로그 zpk) =====
+
+    /**
+     * 저역 통과 → 저역 통과 (컷오프 wo rad/s)
+     */
+    static lowpassToLowpass({ zeros, poles, gain }, wo) {
+        const degree = poles.length - zeros.length;
+        return {
+            zeros: zeros.map(z => IIRDesign.scale(z, wo)),
+            poles: poles.map(p => IIRDesign.scale(p, wo)),
+            gain: gain * Math.pow(wo, degree)
+        };
+    }
+
+    /**
+     * 저역 통과 → 고역 통과 (s → wo/s)
+     */
+    static lowpassToHighpass({ zeros, poles, gain }, wo) {
+        const degree = poles.length - zeros.length;
+        const invert = r => IIRDesign.divide(IIRDesign.complex(wo, 0), r);
+        const ratio = IIRDesign.divide(
+            IIRDesign.product(zeros.map(z => IIRDesign.scale(z, -1))),
+            IIRDesign.product(poles.map(p => IIRDesign.scale(p, -1)))
+        );
+
+        return {
+            zeros: [...zeros.map(invert), ...new Array(degree).fill(null).map(() => IIRDesign.complex(0, 0))],
+            poles: poles.map(invert),
+            gain: gain * ratio.re
+        };
+    }
+
+    /**
+     * 저역 통과 → 대역 통과 (중심 wo, 대역폭 bw rad/s)
+     */
+    static lowpassToBandpass({ zeros, poles, gain }, wo, bw) {
+        const degree = poles.length - zeros.length;
+        const split = roots => IIRDesign.splitBand(roots.map(r => IIRDesign.scale(r, bw / 2)), wo);
+
+        return {
+            zeros: [...split(zeros), ...new Array(degree).fill(null).map(() => IIRDesign.complex(0, 0))],
+            poles: split(poles),
+            gain: gain * Math.pow(bw, degree)
+        };
+    }
+
+    /**
+     * 저역 통과 → 대역 저지 (중심 wo, 대역폭 bw rad/s)
+     */
+    static lowpassToBandstop({ zeros, poles, gain }, wo, bw) {
+        const degree = poles.length - zeros.length;
+        const invert = r => IIRDesign.divide(IIRDesign.complex(bw / 2, 0), r);
+        const ratio = IIRDesign.divide(
+            IIRDesign.product(zeros.map(z => IIRDesign.scale(z, -1))),
+            IIRDesign.product(poles.map(p => IIRDesign.scale(p, -1)))
+        );
+
+        const notchZeros = [];
+        for (let i = 0; i < degree; i++) {
+            notchZeros.push(IIRDesign.complex(0, wo), IIRDesign.complex(0, -wo));
+        }
+
+        return {
+            zeros: [...IIRDesign.splitBand(zeros.map(invert), wo), ...notchZeros],
+            poles: IIRDesign.splitBand(poles.map(invert), wo),
+            gain: gain * ratio.re
+        };
+    }
+
+    /**
+     * 대역 변환에서 근 하나를 r ± sqrt(r² - wo²) 두 개로 나눔
+     */
+    static splitBand(roots, wo) {
+        const result = [];
+        roots.forEach(r => {
+            const root = IIRDesign.sqrt(IIRDesign.subtract(IIRDesign.multiply(r, r), IIRDesign.complex(wo * wo, 0)));
+            result.push(IIRDesign.add(r, root), IIRDesign.subtract(r, root));
+        });
+        return result;
+    }
+
+    /**
+     * 쌍선형 변환 s = 2fs (z - 1) / (z + 1)
+     */
+    static bilinear({ zeros, poles, gain }, sampleRate) {
+        const fs2 = IIRDesign.complex(2 * sampleRate, 0);
+        const degree = poles.length - zeros.length;
+        const map = r => IIRDesign.divide(IIRDesign.add(fs2, r), IIRDesign.subtract(fs2, r));
+        const ratio = IIRDesign.divide(
+            IIRDesign.product(zeros.map(z => IIRDesign.subtract(fs2, z))),
+            IIRDesign.product(poles.map(p => IIRDesign.subtract(fs2, p)))
+        );
+
+        return {
+            zeros: [...zeros.map(map), ...new Array(degree).fill(null).map(() => IIRDesign.complex(-1, 0))],
+            poles: poles.map(map),
+            gain: gain * ratio.re
+        };
+    }
+
+    // ===== 2차 섹션 분해 =====
+
+    /**
+     * 디지털 zpk를 2차 섹션(biquad) 배열로 분해
+     * 단위원에 가까운(공진이 큰) 극점 쌍부터 가장 가까운 영점 쌍과 묶고, 그런 섹션을 뒤쪽에 둠
+     * @returns {Array} [{b: [b0, b1, b2], a: [1, a1, a2]}]
+     */
+    static zpkToSections({ zeros, poles, gain }) {
+        const poleGroups = IIRDesign.groupConjugates(poles)
+            .sort((a, b) => IIRDesign.abs(b[0]) - IIRDesign.abs(a[0]));
+        const zeroGroups = IIRDesign.groupConjugates(zeros);
+
+        const sections = poleGroups.map(poleGroup => {
+            // 근 개수가 같은 영점 묶음을 우선으로, 극점에 가장 가까운 것
+            const sameSize = zeroGroups.filter(group => group.length === poleGroup.length);
+            const candidates = sameSize.length > 0 ? sameSize : zeroGroups;
+            const distance = group => IIRDesign.abs(IIRDesign.subtract(group[0], poleGroup[0]));
+
+            let closest = null;
+            candidates.forEach(group => {
+                if (!closest || distance(group) < distance(closest)) {
+                    closest = group;
+                }
+            });
+            const zeroGroup = closest ? zeroGroups.splice(zeroGroups.indexOf(closest), 1)[0] : [];
+
+            return {
+                b: IIRDesign.groupToPolynomial(zeroGroup),
+                a: IIRDesign.groupToPolynomial(poleGroup)
+            };
+        }).reverse();
+
+        if (sections.length === 0) {
+            return [{ b: [gain, 0, 0], a: [1, 0, 0] }];
+        }
+
+        sections[0].b = sections[0].b.map(value => value * gain);
+        return sections;
+    }
+
+    /**
+     * 근을 실계수 다항식이 되는 묶음으로 나눔 (켤레 복소쌍, 실근 두 개, 남는 실근 하나)
+     */
+    static groupConjugates(roots) {
+        const remaining = roots.slice();
+        const groups = [];
+        const reals = [];
+
+        while (remaining.length > 0) {
+            const root = remaining.shift();
+            const tolerance = 1e-9 * Math.max(1, IIRDesign.abs(root));
+            if (Math.abs(root.im) <= tolerance) {
+                reals.push(IIRDesign.complex(root.re, 0));
+                continue;
+            }
+
+            // 가장 가까운 켤레 근을 짝으로
+            let partner = 0;
+            remaining.forEach((candidate, index) => {
+                const target = IIRDesign.conjugate(root);
+                if (IIRDesign.abs(IIRDesign.subtract(candidate, target)) <
+                    IIRDesign.abs(IIRDesign.subtract(remaining[partner], target))) {
+                    partner = index;
+                }
+            });
+            remaining.splice(partner, 1);
+            groups.push([root, IIRDesign.conjugate(root)]);
+        }
+
+        reals.sort((a, b) => a.re - b.re);
+        for (let i = 0; i < reals.length; i += 2) {
+            groups.push(reals.slice(i, i + 2));
+        }
+        return groups;
+    }
+
+    /**
+     * 근 묶음(0~2개)을 z⁻¹ 다항식 계수 [1, c1, c2]로 변환
+     */
+    static groupToPolynomial(group) {
+        if (group.length === 0) return [1, 0, 0];
+        if (group.length === 1) return [1, -group[0].re, 0];
+
+        const sum = IIRDesign.add(group[0], group[1]);
+        const product = IIRDesign.multiply(group[0], group[1]);
+        return [1, -sum.re, product.re];
+    }
+
+    // ===== 다항식 근 =====
+
+    /**
+     * 실계수 다항식의 근 (Durand-Kerner 반복)
+     * @param {Array} coefficients - 오름차순 계수 [a0, a1, ..., an]
+     * @returns {Array} 복소수 근 배열
+     */
+    static polynomialRoots(coefficients) {
+        const degree = coefficients.length - 1;
+        const monic = coefficients.map(c => c / coefficients[degree]);
+        const evaluate = z => {
+            let result = IIRDesign.complex(monic[degree], 0);
+            for (let i = degree - 1; i >= 0; i--) {
+                result = IIRDesign.add(IIRDesign.multiply(result, z), IIRDesign.complex(monic[i], 0));
+            }
+            return result;
+        };
+
+        // 근 크기 정도의 반지름에서 대칭이 아닌 시작점
+        const radius = Math.pow(Math.abs(monic[0]), 1 / degree);
+        let roots = [];
+        for (let i = 0; i < degree; i++) {
+            const angle = 2 * Math.PI * i / degree + 0.4;
+            roots.push(IIRDesign.complex(radius * Math.cos(angle), radius * Math.sin(angle)));
+        }
+
+        for (let iteration = 0; iteration < 500; iteration++) {
+            let change = 0;
+            roots = roots.map((root, i) => {
+                let denominator = IIRDesign.complex(1, 0);
+                roots.forEach((other, j) => {
+                    if (i !== j) denominator = IIRDesign.multiply(denominator, IIRDesign.subtract(root, other));
+                });
+                const step = IIRDesign.divide(evaluate(root), denominator);
+                change = Math.max(change, IIRDesign.abs(step));
+                return IIRDesign.subtract(root, step);
+            });
+            if (change < 1e-14 * radius) break;
+        }
+
+        return roots;
+    }
+
+    // ===== 복소수 연산 =====
+
+    static complex(re, im = 0) {
+        return { re, im };
+    }
+
+    static add(a, b) {
+        return { re: a.re + b.re, im: a.im + b.im };
+    }
+
+    static subtract(a, b) {
+        return { re: a.re - b.re, im: a.im - b.im };
+    }
+
+    static multiply(a, b) {
+        return { re: a.re * b.re - a.im * b.im, im: a.re * b.im + a.im * b.re };
+    }
+
+    static divide(a, b) {
+        const denominator = b.re * b.re + b.im * b.im;
+        return {
+            re: (a.re * b.re + a.im * b.im) / denominator,
+            im: (a.im * b.re - a.re * b.im) / denominator
+        };
+    }
+
+    static scale(a, factor) {
+        return { re: a.re * factor, im: a.im * factor };
+    }
+
+    static conjugate(a) {
+        return { re: a.re, im: -a.im };
+    }
+
+    static abs(a) {
+        return Math.hypot(a.re, a.im);
+    }
+
+    static product(values) {
+        return values.reduce((result, value) => IIRDesign.multiply(result, value), IIRDesign.complex(1, 0));
+    }
+
+    static sqrt(a) {
+        const magnitude = IIRDesign.abs(a);
+        const re = Math.sqrt((magnitude + a.re) / 2);
+        const im = Math.sqrt(Math.max(0, (magnitude - a.re) / 2));
+        return { re, im: a.im < 0 ? -im : im };
+    }
+
+    static cos(a) {
+        return { re: Math.cos(a.re) * Math.cosh(a.im), im: -Math.sin(a.re) * Math.sinh(a.im) };
+    }
+
+    static sin(a) {
+        return { re: Math.sin(a.re) * Math.cosh(a.im), im: Math.cos(a.re) * Math.sinh(a.im) };
+    }
+
+    static log(a) {
+        return { re: Math.log(IIRDesign.abs(a)), im: Math.atan2(a.im, a.re) };
+    }
+
+    /**
+     * acos(z) = -j ln(z + j sqrt(1 - z²))
+     */
+    static acos(a) {
+        const root = IIRDesign.sqrt(IIRDesign.subtract(IIRDesign.complex(1, 0), IIRDesign.multiply(a, a)));
+        const inner = IIRDesign.add(a, IIRDesign.multiply(IIRDesign.complex(0, 1), root));
+        return IIRDesign.multiply(IIRDesign.complex(0, -1), IIRDesign.log(inner));
+    }
+}
+
+// 브라우저 환경에서 전역으로 사용 가능하게 만들기
+if (typeof window !== 'undefined') {
+    window.IIRDesign = IIRDesign;
+}
+
+// 모듈로 내보내기 (Node.js 환경에서 사용시)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IIRDesign;
+}
\ No newline at end of file
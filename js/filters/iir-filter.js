@@ -0,0 +1,268 @@
+// js/filters/iir-filter.js - 2차 섹션(biquad) 직렬 연결로 구현한 고차 IIR 필터
+// 설계는 IIRDesign (버터워스, 체비셰프 I/II, 베셀, 타원 / 저역·고역·대역 통과·대역 저지)
+
+class IIRFilter {
+    /**
+     * @param {Object} options - {design, bandType, order, cutoffFrequency, cutoffHigh, ripple, attenuation}
+     *                           대역 통과/저지는 cutoffFrequency ~ cutoffHigh 구간 사용
+     * @param {number} sampleRate - 샘플링 레이트 (Hz)
+     */
+    constructor(options = {}, sampleRate = 100) {
+        this.design = options.design || 'butterworth';
+        this.bandType = options.bandType || 'lowpass';
+        this.order = options.order || 4;
+        this.cutoffFrequency = options.cutoffFrequency || 5;
+        this.cutoffHigh = options.cutoffHigh || 15;
+        this.ripple = options.ripple || 1;              // 통과대역 리플 (dB, 체비셰프 I/타원)
+        this.attenuation = options.attenuation || 40;   // 저지대역 감쇠 (dB, 체비셰프 II/타원)
+        this.sampleRate = sampleRate;
+
+        // 필터 상태 초기화
+        this.isInitialized = false;
+        this.updateCoefficients();
+    }
+
+    /**
+     * 현재 설정으로 극점/영점과 2차 섹션 계수를 다시 설계
+     * 섹션 수가 바뀔 수 있으므로 상태는 다음 샘플에서 다시 초기화
+     */
+    updateCoefficients() {
+        const nyquist = this.sampleRate / 2;
+        const clamp = frequency => Math.min(Math.max(frequency, nyquist * 1e-4), nyquist * 0.99);
+        const low = clamp(Math.min(this.cutoffFrequency, this.cutoffHigh));
+        const high = clamp(Math.max(this.cutoffFrequency, this.cutoffHigh));
+        const isBand = this.bandType === 'bandpass' || this.bandType === 'bandstop';
+
+        const result = IIRDesign.design({
+            design: this.design,
+            bandType: this.bandType,
+            order: this.order,
+            // 두 경계가 같으면 대역폭이 0이 되므로 위쪽 경계를 조금 띄움
+            frequencies: isBand ? [low, Math.max(high, low * 1.01)] : [clamp(this.cutoffFrequency)],
+            ripple: this.ripple,
+            attenuation: this.attenuation
+        }, this.sampleRate);
+
+        this.zeros = result.zeros;
+        this.poles = result.poles;
+        this.gain = result.gain;
+        this.sections = result.sections;
+        this.reset();
+    }
+
+    /**
+     * 입력 신호를 필터링 (섹션마다 Direct Form II Transposed)
+     * y = b0 x + s1,  s1 = b1 x - a1 y + s2,  s2 = b2 x - a2 y
+     */
+    filter(input) {
+        if (!this.isInitialized) {
+            this.initializeState(input);
+        }
+
+        let value = input;
+        this.sections.forEach((section, index) => {
+            const state = this.state[index];
+            const { b, a } = section;
+            const output = b[0] * value + state[0];
+            state[0] = b[1] * value - a[1] * output + state[1];
+            state[1] = b[2] * value - a[2] * output;
+            value = output;
+        });
+
+        return value;
+    }
+
+    /**
+     * 첫 입력이 계속 들어왔던 것처럼 정상 상태로 초기화 (시작 시 과도 응답 방지)
+     * 저역 통과는 첫 입력 × 직류 이득, 고역 통과는 0에서 시작 (1차 필터들의 첫 샘플 처리와 같은 동작)
+     */
+    initializeState(input) {
+        let value = input;
+        this.state = this.sections.map(({ b, a }) => {
+            const dcGain = (b[0] + b[1] + b[2]) / (1 + a[1] + a[2]);
+            const output = dcGain * value;
+            const state = [output - b[0] * value, b[2] * value - a[2] * output];
+            value = output;
+            return state;
+        });
+        this.isInitialized = true;
+    }
+
+    /**
+     * 배치 처리 - 여러 데이터를 한번에 필터링
+     * @param {Array} inputArray - 입력 데이터 배열
+     * @returns {Array} 필터링된 출력 배열
+     */
+    filterBatch(inputArray) {
+        const output = [];
+        for (let i = 0; i < inputArray.length; i++) {
+            output.push(this.filter(inputArray[i]));
+        }
+        return output;
+    }
+
+    /**
+     * 설계 방식 설정 ('butterworth', 'chebyshev1', 'chebyshev2', 'bessel', 'elliptic')
+     */
+    setDesign(design) {
+        if (!IIRDesign.DESIGNS[design]) {
+            throw new Error(`지원하지 않는 설계 방식입니다: ${design}`);
+        }
+        this.design = design;
+        this.updateCoefficients();
+    }
+
+    /**
+     * 대역 종류 설정 ('lowpass', 'highpass', 'bandpass', 'bandstop')
+     */
+    setBandType(bandType) {
+        if (!IIRDesign.BAND_TYPES[bandType]) {
+            throw new Error(`지원하지 않는 대역 종류입니다: ${bandType}`);
+        }
+        this.bandType = bandType;
+        this.updateCoefficients();
+    }
+
+    /**
+     * 차수 설정 (대역 통과/저지는 실제 차수가 두 배)
+     */
+    setOrder(order) {
+        if (order < 1 || order > 12) {
+            throw new Error('차수는 1 ~ 12 사이여야 합니다.');
+        }
+        this.order = Math.round(order);
+        this.updateCoefficients();
+    }
+
+    /**
+     * 컷오프 주파수 설정 (대역 통과/저지에서는 아래쪽 경계)
+     */
+    setCutoffFrequency(newCutoffFrequency) {
+        if (newCutoffFrequency <= 0) {
+            throw new Error('컷오프 주파수는 0보다 커야 합니다.');
+        }
+        this.cutoffFrequency = newCutoffFrequency;
+        this.updateCoefficients();
+    }
+
+    /**
+     * 위쪽 경계 주파수 설정 (대역 통과/저지)
+     */
+    setCutoffHigh(newCutoffHigh) {
+        if (newCutoffHigh <= 0) {
+            throw new Error('경계 주파수는 0보다 커야 합니다.');
+        }
+        this.cutoffHigh = newCutoffHigh;
+        this.updateCoefficients();
+    }
+
+    /**
+     * 통과대역 리플 설정 (dB)
+     */
+    setRipple(ripple) {
+        if (ripple <= 0) {
+            throw new Error('리플은 0보다 커야 합니다.');
+        }
+        this.ripple = ripple;
+        this.updateCoefficients();
+    }
+
+    /**
+     * 저지대역 감쇠 설정 (dB)
+     */
+    setAttenuation(attenuation) {
+        if (attenuation <= this.ripple) {
+            throw new Error('저지대역 감쇠는 통과대역 리플보다 커야 합니다.');
+        }
+        this.attenuation = attenuation;
+        this.updateCoefficients();
+    }
+
+    /**
+     * 샘플링 레이트 설정
+     */
+    setSampleRate(newSampleRate) {
+        if (newSampleRate <= 0) {
+            throw new Error('샘플링 레이트는 0보다 커야 합니다.');
+        }
+        this.sampleRate = newSampleRate;
+        this.updateCoefficients();
+    }
+
+    /**
+     * 필터 상태 리셋
+     */
+    reset() {
+        this.state = this.sections.map(() => [0, 0]);
+        this.isInitialized = false;
+    }
+
+    /**
+     * 디지털 극점/영점/이득 (z 평면)
+     * @returns {Object} {zeros, poles, gain} - 근은 {re, im}
+     */
+    getPolesZeros() {
+        return { zeros: this.zeros, poles: this.poles, gain: this.gain };
+    }
+
+    /**
+     * 2차 섹션 계수
+     * @returns {Array} [{b: [b0, b1, b2], a: [1, a1, a2]}]
+     */
+    getCoefficients() {
+        return this.sections;
+    }
+
+    /**
+     * 현재 필터 설정 정보 반환
+     */
+    getInfo() {
+        const isBand = this.bandType === 'bandpass' || this.bandType === 'bandstop';
+        return {
+            type: `IIR Filter (${IIRDesign.DESIGNS[this.design]} ${IIRDesign.BAND_TYPES[this.bandType]})`,
+            order: isBand ? this.order * 2 : this.order,
+            sections: this.sections.length,
+            cutoffFrequency: this.cutoffFrequency,
+            cutoffHigh: isBand ? this.cutoffHigh : null,
+            sampleRate: this.sampleRate
+        };
+    }
+
+    /**
+     * 주파수 응답 계산 (섹션별 응답의 곱)
+     * H(z) = Π (b0 + b1 z^-1 + b2 z^-2) / (1 + a1 z^-1 + a2 z^-2)
+     * @param {number} frequency - 주파수 (Hz)
+     * @returns {Object} {magnitude, phase} 주파수 응답 (phase는 라디안)
+     */
+    getFrequencyResponse(frequency) {
+        const omega = 2 * Math.PI * frequency / this.sampleRate;
+        const evaluate = c => ({
+            re: c[0] + c[1] * Math.cos(omega) + c[2] * Math.cos(2 * omega),
+            im: -(c[1] * Math.sin(omega) + c[2] * Math.sin(2 * omega))
+        });
+
+        let magnitude = 1;
+        let phase = 0;
+        this.sections.forEach(({ b, a }) => {
+            const numerator = evaluate(b);
+            const denominator = evaluate(a);
+            magnitude *= Math.hypot(numerator.re, numerator.im) / Math.hypot(denominator.re, denominator.im);
+            phase += Math.atan2(numerator.im, numerator.re) - Math.atan2(denominator.im, denominator.re);
+        });
+
+        return {
+            magnitude,
+            phase: Math.atan2(Math.sin(phase), Math.cos(phase))
+        };
+    }
+}
+
+// 브라우저 환경에서 사용 가능하게 만들기
+if (typeof window !== 'undefined') {
+    window.IIRFilter = IIRFilter;
+}
+
+// 모듈로 내보내기 (Node.js 환경에서 사용시)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IIRFilter;
+}
\ No newline at end of file
@@ -0,0 +1,111 @@
+// kalman-smoother.js - 라우흐-텅-스트리벨(RTS) 고정 구간 스무더
+// 기록된 데이터 전체를 쓰는 비인과 추정: KalmanFilter의 predict/update로 순방향 패스를 돌며 상태와 P를 저장한 뒤
+// 끝에서부터 거꾸로 보정해 각 시점에 과거와 미래 측정을 모두 반영 (순방향 추정의 지연이 사라지고 분산이 줄어듦)
+
+class KalmanSmoother {
+    /**
+     * @param {KalmanFilter} filter - 순방향 패스에 쓸 선형 칼만 필터 (smooth 호출 시 리셋됨)
+     */
+    constructor(filter) {
+        this.filter = filter;
+        this.clear();
+    }
+
+    /**
+     * 저장된 순방향/역방향 패스 결과 비우기
+     */
+    clear() {
+        // k번째 샘플의 예측(x_k|k-1, P_k|k-1), 갱신(x_k|k, P_k|k), 스무딩(x_k|N, P_k|N) 추정
+        this.predicted = [];
+        this.filtered = [];
+        this.smoothed = [];
+    }
+
+    /**
+     * 순방향 패스: 샘플마다 예측 → 업데이트하며 예측값과 갱신값을 저장
+     * 첫 샘플은 필터의 초기화 방식(filter.filter)을 그대로 따름
+     * @param {Array} values - 입력 샘플 배열
+     */
+    forward(values) {
+        const filter = this.filter;
+        filter.reset();
+        this.clear();
+
+        values.forEach((measurement, k) => {
+            if (k === 0) {
+                filter.filter(measurement);
+                this.predicted.push(null);
+            } else {
+                filter.predict();
+                this.predicted.push({ state: filter.state.slice(), P: Matrix.clone(filter.P) });
+                filter.update(measurement);
+            }
+            this.filtered.push({ state: filter.state.slice(), P: Matrix.clone(filter.P) });
+        });
+    }
+
+    /**
+     * 역방향 패스 (RTS 재귀, 마지막 샘플은 x_N|N에서 시작)
+     * C_k = P_k|k Fᵀ P_k+1|k⁻¹
+     * x_k|N = x_k|k + C_k (x_k+1|N - x_k+1|k)
+     * P_k|N = P_k|k + C_k (P_k+1|N - P_k+1|k) C_kᵀ
+     */
+    backward() {
+        const N = this.filtered.length;
+        if (N === 0) return;
+
+        const FT = Matrix.transpose(this.filter.F);
+        this.smoothed = new Array(N);
+        this.smoothed[N - 1] = this.filtered[N - 1];
+
+        for (let k = N - 2; k >= 0; k--) {
+            const current = this.filtered[k];
+            const next = this.predicted[k + 1];
+            const nextSmoothed = this.smoothed[k + 1];
+
+            const C = Matrix.multiply(Matrix.multiply(current.P, FT), Matrix.inverse(next.P));
+            const correction = Matrix.multiplyVector(C, nextSmoothed.state.map((value, i) => value - next.state[i]));
+            const P = Matrix.add(current.P, Matrix.multiply(Matrix.multiply(C, Matrix.subtract(nextSmoothed.P, next.P)), Matrix.transpose(C)));
+
+            this.smoothed[k] = {
+                state: current.state.map((value, i) => value + correction[i]),
+                P: Matrix.symmetrize(P)
+            };
+        }
+    }
+
+    /**
+     * 입력 전체를 순방향 필터링한 뒤 역방향으로 스무딩
+     * @param {Array} values - 입력 샘플 배열
+     * @returns {Object} {filtered, smoothed, filteredVariance, smoothedVariance} - 위치 추정과 그 분산 배열
+     */
+    smooth(values) {
+        this.forward(values);
+        this.backward();
+
+        return {
+            filtered: this.filtered.map(estimate => estimate.state[0]),
+            smoothed: this.smoothed.map(estimate => estimate.state[0]),
+            filteredVariance: this.filtered.map(estimate => estimate.P[0][0]),
+            smoothedVariance: this.smoothed.map(estimate => estimate.P[0][0])
+        };
+    }
+
+    /**
+     * 스무딩된 상태 추정 배열 (속도 등 위치 외 상태가 필요할 때)
+     * @returns {Array} 샘플별 [위치, 속도, ...]
+     */
+    getSmoothedStates() {
+        return this.smoothed.map(estimate => estimate.state.slice());
+    }
+}
+
+// 브라우저 환경에서 사용 가능하게 만들기
+if (typeof window !== 'undefined') {
+    window.KalmanSmoother = KalmanSmoother;
+}
+
+// 모듈로 내보내기 (Node.js 환경에서 사용시)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KalmanSmoother;
+}
\ No newline at end of file
@@ -0,0 +1,401 @@
+// kalman-tuner.js - 기록된 측정값으로 칼만 필터의 Q(프로세스 노이즈)와 R(측정 노이즈)을 추정하는 자동 튜닝
+// 최대 우도(잔차 로그우도), 자기공분산 최소제곱(ALS), 기준 신호 대비 RMSE 격자 탐색 중 하나를 골라 쓰고
+// 결과는 setProcessNoise/setMeasurementNoise로 적용 (KalmanFilter, EKF/UKF 공통, ALS는 선형 칼만 필터만)
+
+class KalmanTuner {
+    /**
+     * @param {Object} filter - 튜닝할 칼만 필터 (탐색 중 Q, R을 바꾸고 리셋하므로 실시간 필터와 별개 인스턴스 사용)
+     * @param {Object} options - {maxSamples, lags, iterations}
+     */
+    constructor(filter, options = {}) {
+        this.filter = filter;
+        this.maxSamples = options.maxSamples || 2000;   // 기록이 길면 마지막 구간만 사용
+        this.lags = options.lags || 15;                 // ALS에서 맞출 잔차 자기공분산 지연 수
+        this.iterations = options.iterations || 3;      // ALS 반복 횟수 (추정값으로 게인을 다시 계산)
+    }
+
+    /**
+     * 지원하는 튜닝 방식
+     */
+    static get METHODS() {
+        return {
+            mle: '최대 우도 (잔차 로그우도 최대화)',
+            als: '자기공분산 최소제곱 (ALS, 선형 칼만 필터)',
+            grid: '격자 탐색 (기준 신호로 R 측정, RMSE 최소 Q)'
+        };
+    }
+
+    /**
+     * 기준 신호(노이즈 없는 신호)가 있어야 하는 방식인지
+     */
+    static requiresReference(method) {
+        return method === 'grid';
+    }
+
+    /**
+     * 필터에 쓸 수 있는 방식인지 (ALS는 F, H와 정상상태 게인이 필요해 선형 칼만 필터만)
+     */
+    static supports(filter, method) {
+        return method !== 'als' || filter instanceof KalmanFilter;
+    }
+
+    /**
+     * 측정값으로 Q, R을 추정하고 필터에 적용
+     * @param {Array} values - 기록된 측정값
+     * @param {string} method - KalmanTuner.METHODS의 키
+     * @param {Array|null} clean - 기준 신호 (격자 탐색에 필요, 있으면 RMSE도 보고)
+     * @returns {Object} {method, processNoise, measurementNoise, metric: {label, before, after}, rmse, averageNis, evaluations, samples}
+     *                   rmse, averageNis는 {before, after} (rmse는 기준 신호가 없으면 null)
+     */
+    tune(values, method, clean = null) {
+        if (!KalmanTuner.METHODS[method]) {
+            throw new Error(`지원하지 않는 튜닝 방식입니다: ${method}`);
+        }
+        if (!KalmanTuner.supports(this.filter, method)) {
+            throw new Error('자기공분산 최소제곱(ALS)은 선형 칼만 필터에서만 쓸 수 있습니다.');
+        }
+        if (KalmanTuner.requiresReference(method) && !clean) {
+            throw new Error('격자 탐색에는 기준 신호가 필요합니다 (신호 생성기로 만든 신호를 기록하세요).');
+        }
+
+        const start = Math.max(0, values.length - this.maxSamples);
+        const measurements = values.slice(start);
+        const reference = clean ? clean.slice(start) : null;
+        if (measurements.length < 4 * this.lags) {
+            throw new Error(`자동 튜닝에는 최소 ${4 * this.lags}개 샘플이 필요합니다.`);
+        }
+
+        this.evaluations = 0;
+        const initial = { processNoise: this.filter.processNoise, measurementNoise: this.filter.measurementNoise };
+        const before = this.evaluate(measurements, initial.processNoise, initial.measurementNoise, reference);
+
+        let best;
+        let metric;
+        if (method === 'als') {
+            const estimate = this.estimateALS(measurements);
+            best = estimate;
+            metric = { label: '자기공분산 적합 오차 (상대)', before: estimate.fitError(initial), after: estimate.fitError(estimate) };
+        } else {
+            // RMSE는 Q/R 비율에만 민감하므로 격자 탐색은 R을 기준 신호와의 차이로 직접 재고 Q만 찾음
+            const objective = method === 'mle'
+                ? run => run.negativeLogLikelihood
+                : run => run.rmse;
+            const measurementNoise = method === 'grid'
+                ? Math.max(measurements.reduce((sum, value, i) => sum + (value - reference[i]) ** 2, 0) / measurements.length, 1e-12)
+                : null;
+            best = this.search(measurements, reference, objective, measurementNoise);
+            metric = {
+                label: method === 'mle' ? '잔차 음의 로그우도 (샘플당)' : '기준 신호 대비 RMSE',
+                before: objective(before),
+                after: null
+            };
+        }
+
+        const after = this.evaluate(measurements, best.processNoise, best.measurementNoise, reference);
+        if (metric.after === null) {
+            metric.after = method === 'mle' ? after.negativeLogLikelihood : after.rmse;
+        }
+
+        // 찾은 값으로 필터를 설정하고 처음부터 다시 시작할 수 있게 리셋
+        this.filter.setProcessNoise(best.processNoise);
+        this.filter.setMeasurementNoise(best.measurementNoise);
+        this.filter.reset();
+
+        return {
+            method,
+            processNoise: best.processNoise,
+            measurementNoise: best.measurementNoise,
+            metric,
+            rmse: reference ? { before: before.rmse, after: after.rmse } : null,
+            averageNis: { before: before.averageNis, after: after.averageNis },
+            evaluations: this.evaluations,
+            samples: measurements.length
+        };
+    }
+
+    /**
+     * 초기 과도 구간 길이 (초기 상태 오차는 Q, R과 무관하므로 지표 계산에서 제외)
+     */
+    static burnIn(length) {
+        return Math.min(100, Math.floor(length / 10));
+    }
+
+    /**
+     * 주어진 Q, R로 필터를 처음부터 돌려 잔차 통계와 오차 계산 (초기 과도 구간 제외)
+     * 음의 로그우도 = 평균 ½(ln 2πS + y²/S)
+     * @returns {Object} {negativeLogLikelihood, averageNis, rmse (기준 신호가 없으면 null)}
+     */
+    evaluate(values, processNoise, measurementNoise, clean = null) {
+        const filter = this.filter;
+        filter.setProcessNoise(processNoise);
+        filter.setMeasurementNoise(measurementNoise);
+        filter.reset();
+        this.evaluations++;
+
+        const burnIn = KalmanTuner.burnIn(values.length);
+        let logLikelihood = 0;
+        let nisSum = 0;
+        let count = 0;
+        let squaredError = 0;
+
+        for (let i = 0; i < values.length; i++) {
+            const output = filter.filter(values[i]);
+            if (i < burnIn) continue;
+
+            if (clean) {
+                squaredError += (output - clean[i]) ** 2;
+            }
+            if (filter.innovation !== null && filter.innovationVariance > 0) {
+                const nis = filter.innovation * filter.innovation / filter.innovationVariance;
+                logLikelihood += 0.5 * (Math.log(2 * Math.PI * filter.innovationVariance) + nis);
+                nisSum += nis;
+                count++;
+            }
+        }
+
+        // 발산하면 (NaN) 탐색에서 밀려나도록 무한대로
+        const finite = value => (Number.isFinite(value) ? value : Infinity);
+        return {
+            negativeLogLikelihood: finite(count > 0 ? logLikelihood / count : Infinity),
+            averageNis: count > 0 ? nisSum / count : null,
+            rmse: clean ? finite(Math.sqrt(squaredError / (values.length - burnIn))) : null
+        };
+    }
+
+    /**
+     * 탐색 범위 (log10 Q, log10 R)
+     * 1차 차분 분산의 절반은 R의 상한, 상태 수 n만큼 차분한 분산 / dt^2n은 Q의 상한 근처
+     * @returns {Object} {processNoise: [low, high], measurementNoise: [low, high], upper: [Q 상한 추정, R 상한 추정]}
+     */
+    searchRange(values) {
+        const n = this.filter.state.length;
+        const dt = this.filter.dt;
+        const variance = array => {
+            const mean = array.reduce((sum, value) => sum + value, 0) / array.length;
+            return array.reduce((sum, value) => sum + (value - mean) ** 2, 0) / array.length;
+        };
+        const difference = array => array.slice(1).map((value, i) => value - array[i]);
+
+        let differenced = values;
+        for (let i = 0; i < n; i++) {
+            differenced = difference(differenced);
+        }
+        const firstDifference = difference(values);
+
+        const q = Math.log10(Math.max(variance(differenced), 1e-12) / Math.pow(dt, 2 * n));
+        const r = Math.log10(Math.max(variance(firstDifference) / 2, 1e-12));
+        return {
+            processNoise: [Math.floor(q) - 7, Math.ceil(q) + 1],
+            measurementNoise: [Math.floor(r) - 4, Math.ceil(r)],
+            upper: [Math.pow(10, q), Math.pow(10, r)]
+        };
+    }
+
+    /**
+     * log10 Q, log10 R 공간에서 목적 함수 최소화
+     * 1 decade 간격 격자에서 가장 좋은 점을 찾은 뒤, 좌표 방향 패턴 탐색으로 간격을 절반씩 줄여 세분화
+     * @param {Function} objective - evaluate 결과 → 최소화할 값
+     * @param {number|null} measurementNoise - R을 고정할 값 (null이면 R도 탐색)
+     * @returns {Object} {processNoise, measurementNoise}
+     */
+    search(values, clean, objective, measurementNoise = null) {
+        const range = this.searchRange(values);
+        if (measurementNoise !== null) {
+            const fixed = Math.log10(measurementNoise);
+            range.measurementNoise = [fixed, fixed];
+        }
+        const cost = ([logQ, logR]) => objective(this.evaluate(values, Math.pow(10, logQ), Math.pow(10, logR), clean));
+
+        let best = null;
+        let bestCost = Infinity;
+        for (let logQ = range.processNoise[0]; logQ <= range.processNoise[1]; logQ++) {
+            for (let logR = range.measurementNoise[0]; logR <= range.measurementNoise[1]; logR++) {
+                const value = cost([logQ, logR]);
+                if (value < bestCost) {
+                    best = [logQ, logR];
+                    bestCost = value;
+                }
+            }
+        }
+        if (!best) {
+            throw new Error('모든 후보에서 필터가 발산했습니다.');
+        }
+
+        const bounds = [range.processNoise, range.measurementNoise];
+        for (let step = 0.5; step >= 0.05; step /= 2) {
+            let improved = true;
+            while (improved) {
+                improved = false;
+                for (let axis = 0; axis < 2; axis++) {
+                    for (const direction of [-1, 1]) {
+                        const candidate = best.slice();
+                        candidate[axis] += direction * step;
+                        if (candidate[axis] < bounds[axis][0] || candidate[axis] > bounds[axis][1]) continue;
+
+                        const value = cost(candidate);
+                        if (value < bestCost) {
+                            best = candidate;
+                            bestCost = value;
+                            improved = true;
+                        }
+                    }
+                }
+            }
+        }
+
+        return { processNoise: Math.pow(10, best[0]), measurementNoise: Math.pow(10, best[1]) };
+    }
+
+    /**
+     * 자기공분산 최소제곱(ALS) 추정
+     * 정상상태 게인 L로 고정한 필터의 잔차 e_k는 Q, R에 선형인 자기공분산을 가짐 (Ā = F(I - LH), Q = q Q₀)
+     *   C₀ = H P̄ Hᵀ + r,  C_j = H Āʲ P̄ Hᵀ - r H Āʲ⁻¹ F L  (j ≥ 1)
+     *   P̄ = Ā P̄ Āᵀ + q Q₀ + r F L Lᵀ Fᵀ
+     * 표본 자기공분산에 최소제곱으로 맞춰 q, r을 구하고, 새 값의 게인으로 몇 번 반복
+     * 첫 게인은 차분으로 잡은 상한 추정값으로 계산 (게인이 너무 작으면 잔차가 모델링되지 않은 신호로 채워짐)
+     * @returns {Object} {processNoise, measurementNoise, fitError({processNoise, measurementNoise})}
+     */
+    estimateALS(values) {
+        const filter = this.filter;
+        const range = this.searchRange(values);
+        const minimum = [Math.pow(10, range.processNoise[0]), Math.pow(10, range.measurementNoise[0])];
+        let estimate = { processNoise: range.upper[0], measurementNoise: range.upper[1] };
+        let system = null;
+
+        for (let iteration = 0; iteration < this.iterations; iteration++) {
+            filter.setProcessNoise(estimate.processNoise);
+            filter.setMeasurementNoise(estimate.measurementNoise);
+            this.evaluations++;
+
+            system = this.autocovarianceSystem(values, filter.getSteadyStateGain());
+            const [q, r] = KalmanTuner.nonNegativeLeastSquares(system.columns, system.target, minimum);
+            estimate = { processNoise: q, measurementNoise: r };
+        }
+
+        // 적합 오차 = ‖C_model - C_sample‖ / ‖C_sample‖ (마지막 반복의 게인 기준)
+        const { columns, target } = system;
+        const norm = Math.sqrt(target.reduce((sum, value) => sum + value * value, 0)) || 1;
+        const fitError = ({ processNoise, measurementNoise }) => Math.sqrt(target.reduce((sum, value, j) => {
+            const model = processNoise * columns[0][j] + measurementNoise * columns[1][j];
+            return sum + (model - value) ** 2;
+        }, 0)) / norm;
+
+        return { ...estimate, fitError };
+    }
+
+    /**
+     * 고정 게인 L로 잔차를 만들고 ALS 선형 방정식 구성
+     * @param {Array} values - 측정값
+     * @param {Array} gain - 고정 게인 L (상태 수 길이)
+     * @returns {Object} {columns: [q 계수 배열, r 계수 배열], target: 표본 자기공분산 배열}
+     */
+    autocovarianceSystem(values, gain) {
+        const filter = this.filter;
+        const F = filter.F;
+        const n = F.length;
+        const lags = this.lags;
+
+        // 고정 게인 필터의 잔차 (첫 샘플로 위치 초기화, 초기 과도 구간은 버림)
+        let state = new Array(n).fill(0);
+        state[0] = values[0];
+        const innovations = [];
+        for (let i = 1; i < values.length; i++) {
+            state = Matrix.multiplyVector(F, state);
+            const innovation = values[i] - state[0];
+            state = state.map((value, j) => value + gain[j] * innovation);
+            innovations.push(innovation);
+        }
+        const residuals = innovations.slice(KalmanTuner.burnIn(innovations.length));
+
+        const target = [];
+        for (let j = 0; j < lags; j++) {
+            let sum = 0;
+            for (let k = 0; k + j < residuals.length; k++) {
+                sum += residuals[k + j] * residuals[k];
+            }
+            target.push(sum / (residuals.length - j));
+        }
+
+        // Ā = F(I - LH), H = [1, 0, ...]
+        const L = gain.map(value => [value]);
+        const A = Matrix.multiply(F, Matrix.subtract(Matrix.identity(n), Matrix.multiply(L, filter.H)));
+        const FL = Matrix.multiplyVector(F, gain);
+        const PQ = KalmanTuner.lyapunov(A, KalmanFilter.processNoiseMatrix(n, filter.dt, 1));
+        const PR = KalmanTuner.lyapunov(A, Matrix.outer(FL, FL));
+
+        // H Āʲ P Hᵀ는 Āʲ P의 첫 열 첫 성분, H Āʲ⁻¹ F L은 Āʲ⁻¹ F L의 첫 성분
+        const qColumn = [];
+        const rColumn = [];
+        let AQ = PQ;
+        let AR = PR;
+        let AFL = FL;
+        for (let j = 0; j < lags; j++) {
+            qColumn.push(AQ[0][0]);
+            if (j === 0) {
+                rColumn.push(AR[0][0] + 1);
+            } else {
+                rColumn.push(AR[0][0] - AFL[0]);
+                AFL = Matrix.multiplyVector(A, AFL);
+            }
+            AQ = Matrix.multiply(A, AQ);
+            AR = Matrix.multiply(A, AR);
+        }
+
+        return { columns: [qColumn, rColumn], target };
+    }
+
+    /**
+     * 이산 리아푸노프 방정식 P = A P Aᵀ + M의 해 (배가 반복: P ← P + Aᵏ P Aᵏᵀ, Aᵏ ← Aᵏ²)
+     * A의 고유값이 단위원 안에 있어야 수렴 (정상상태 칼만 게인이면 성립)
+     */
+    static lyapunov(A, M) {
+        let P = M;
+        let power = A;
+        for (let i = 0; i < 64; i++) {
+            const increment = Matrix.multiply(Matrix.multiply(power, P), Matrix.transpose(power));
+            P = Matrix.add(P, increment);
+            power = Matrix.multiply(power, power);
+            if (Math.abs(Matrix.trace(increment)) <= 1e-14 * Math.abs(Matrix.trace(P))) break;
+        }
+        return Matrix.symmetrize(P);
+    }
+
+    /**
+     * 두 계수의 최소제곱 해를 하한 이상으로 제한 (하한에 걸리면 나머지 하나만 다시 맞춤)
+     * @param {Array} columns - [a, b] 계수 배열
+     * @param {Array} target - 맞출 값 배열
+     * @param {Array} minimum - [a 하한, b 하한]
+     * @returns {Array} [x₀, x₁]
+     */
+    static nonNegativeLeastSquares(columns, target, minimum) {
+        const dot = (u, v) => u.reduce((sum, value, i) => sum + value * v[i], 0);
+        const [a, b] = columns;
+        const aa = dot(a, a);
+        const bb = dot(b, b);
+        const ab = dot(a, b);
+        const at = dot(a, target);
+        const bt = dot(b, target);
+        const determinant = aa * bb - ab * ab;
+
+        if (Math.abs(determinant) > 1e-12 * aa * bb) {
+            const x = [(bb * at - ab * bt) / determinant, (aa * bt - ab * at) / determinant];
+            if (x[0] >= minimum[0] && x[1] >= minimum[1]) return x;
+        }
+
+        // 한쪽을 하한에 고정하고 다른 쪽만 맞춘 두 후보 중 잔차가 작은 것
+        const residual = x => target.reduce((sum, value, i) => sum + (x[0] * a[i] + x[1] * b[i] - value) ** 2, 0);
+        const fixQ = [minimum[0], Math.max((bt - minimum[0] * ab) / (bb || 1), minimum[1])];
+        const fixR = [Math.max((at - minimum[1] * ab) / (aa || 1), minimum[0]), minimum[1]];
+        return residual(fixQ) <= residual(fixR) ? fixQ : fixR;
+    }
+}
+
+// 브라우저 환경에서 사용 가능하게 만들기
+if (typeof window !== 'undefined') {
+    window.KalmanTuner = KalmanTuner;
+}
+
+// 모듈로 내보내기 (Node.js 환경에서 사용시)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = KalmanTuner;
+}
\ No newline at end of file
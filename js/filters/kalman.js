@@ -1,109 +1,102 @@
 // js/filters/kalman.js - 1차원 칼만 필터 구현
+// 운동 모델(랜덤 워크, 등속도, 등가속도)에 따라 상태 크기가 1~3으로 바뀌며 행렬 연산은 Matrix로 일반화
 
 class KalmanFilter {
-    constructor(processNoise = 0.01, measurementNoise = 0.1, dt = 0.01) {
+    /**
+     * @param {number} processNoise - Q 스케일 (모델의 최고차 미분 다음 항을 구동하는 백색 노이즈 분산)
+     * @param {number} measurementNoise - R (위치 측정 노이즈 분산)
+     * @param {number} dt - 시간 간격 (초)
+     * @param {Object} options - {model, initialization, initialState, initialVariance}
+     *                           initialState/initialVariance는 [위치, 속도, 가속도] 순서 (모델 상태 수만큼 사용)
+     */
+    constructor(processNoise = 0.01, measurementNoise = 0.1, dt = 0.01, options = {}) {
         // 칼만필터 파라미터
         this.processNoise = processNoise;      // Q - 프로세스 노이즈
         this.measurementNoise = measurementNoise; // R - 측정 노이즈
         this.dt = dt;                          // 시간 간격
-        
-        // 상태 벡터 [위치, 속도]
-        this.state = [0, 0];                   // x = [position, velocity]
-        
-        // 오차 공분산 행렬 P (2x2)
-        this.P = [
-            [1, 0],
-            [0, 1]
-        ];
-        
-        // 상태 전이 행렬 F (2x2)
-        // F = [[1, dt],
-        //      [0, 1 ]]
-        this.F = [
-            [1, this.dt],
-            [0, 1]
-        ];
-        
-        // 관측 행렬 H (1x2) - 위치만 관측
-        this.H = [1, 0];
-        
-        // 프로세스 노이즈 공분산 행렬 Q (2x2)
-        this.Q = [
-            [this.processNoise * Math.pow(this.dt, 4) / 4, this.processNoise * Math.pow(this.dt, 3) / 2],
-            [this.processNoise * Math.pow(this.dt, 3) / 2, this.processNoise * Math.pow(this.dt, 2)]
-        ];
-        
-        // 측정 노이즈 공분산 R (스칼라)
-        this.R = this.measurementNoise;
-        
-        // 초기화 플래그
-        this.isInitialized = false;
+
+        this.model = options.model || 'constant-velocity';
+        this.initialization = options.initialization || 'measurement';
+        this.initialState = [0, 0, 0].map((value, i) => (options.initialState && Number.isFinite(options.initialState[i]) ? options.initialState[i] : value));
+        this.initialVariance = [1, 1, 1].map((value, i) => (options.initialVariance && options.initialVariance[i] > 0 ? options.initialVariance[i] : value));
+
+        // 정상상태 게인 캐시 (주파수 응답 계산용)
+        this.steadyStateGain = null;
+
+        // F, H, Q, R 구성 후 상태 초기화
+        this.updateModel();
     }
 
     /**
-     * 행렬 곱셈 (2x2) * (2x1)
+     * 지원하는 운동 모델
      */
-    multiplyMatrixVector(matrix, vector) {
-        return [
-            matrix[0][0] * vector[0] + matrix[0][1] * vector[1],
-            matrix[1][0] * vector[0] + matrix[1][1] * vector[1]
-        ];
+    static get MODELS() {
+        return {
+            'random-walk': '랜덤 워크 (위치, 1상태)',
+            'constant-velocity': '등속도 (위치·속도, 2상태)',
+            'constant-acceleration': '등가속도 (위치·속도·가속도, 3상태)'
+        };
     }
 
     /**
-     * 행렬 곱셈 (2x2) * (2x2)
+     * 초기 상태 지정 방식
      */
-    multiplyMatrix(A, B) {
-        return [
-            [A[0][0] * B[0][0] + A[0][1] * B[1][0], A[0][0] * B[0][1] + A[0][1] * B[1][1]],
-            [A[1][0] * B[0][0] + A[1][1] * B[1][0], A[1][0] * B[0][1] + A[1][1] * B[1][1]]
-        ];
+    static get INITIALIZATIONS() {
+        return {
+            measurement: '첫 측정값으로 위치 초기화',
+            manual: '초기 위치 직접 입력'
+        };
     }
 
     /**
-     * 행렬 덧셈 (2x2)
+     * 모델별 상태 수
      */
-    addMatrix(A, B) {
-        return [
-            [A[0][0] + B[0][0], A[0][1] + B[0][1]],
-            [A[1][0] + B[1][0], A[1][1] + B[1][1]]
-        ];
+    static stateSize(model) {
+        return { 'random-walk': 1, 'constant-velocity': 2, 'constant-acceleration': 3 }[model] || 2;
     }
 
     /**
-     * 행렬 전치 (2x2)
+     * 현재 모델과 dt로 상태 전이/관측/노이즈 행렬 구성
+     * F[i][j] = dt^(j-i) / (j-i)!  (테일러 전개, 예: 등속도 [[1, dt], [0, 1]])
+     * H = [1, 0, ...]  (위치만 관측)
      */
-    transpose(matrix) {
-        return [
-            [matrix[0][0], matrix[1][0]],
-            [matrix[0][1], matrix[1][1]]
-        ];
+    updateModel() {
+        const n = KalmanFilter.stateSize(this.model);
+        this.F = Matrix.zeros(n).map((row, i) => row.map((_, j) => (j >= i ? Math.pow(this.dt, j - i) / KalmanFilter.factorial(j - i) : 0)));
+        this.H = [Matrix.zeros(1, n)[0].map((_, j) => (j === 0 ? 1 : 0))];
+        this.R = [[this.measurementNoise]];
+        this.updateQ();
+        this.steadyStateGain = null;
+        this.reset();
     }
 
     /**
-     * 스칼라와 행렬 곱셈
+     * Q 행렬 업데이트 (구간 상수 백색 노이즈 모델)
+     * 마지막 상태의 다음 미분이 샘플마다 분산 q로 바뀐다고 보고 G = [dt^n/n!, ..., dt], Q = q G Gᵀ
+     * (등속도: 가속도 노이즈 → [[dt⁴/4, dt³/2], [dt³/2, dt²]] q)
      */
-    scalarMultiply(scalar, matrix) {
-        return [
-            [scalar * matrix[0][0], scalar * matrix[0][1]],
-            [scalar * matrix[1][0], scalar * matrix[1][1]]
-        ];
+    updateQ() {
+        this.Q = KalmanFilter.processNoiseMatrix(this.F.length, this.dt, this.processNoise);
     }
 
     /**
-     * 2x2 행렬의 역행렬
+     * 구간 상수 백색 노이즈 모델의 Q = q G Gᵀ, G = [dt^n/n!, ..., dt]
+     * (EKF/UKF도 같은 방식으로 상태 수에 맞는 Q를 만듦)
+     * @param {number} n - 상태 수
+     * @param {number} dt - 시간 간격 (초)
+     * @param {number} q - 노이즈 분산 스케일
+     * @returns {Array} n×n Q 행렬
      */
-    inverse2x2(matrix) {
-        const det = matrix[0][0] * matrix[1][1] - matrix[0][1] * matrix[1][0];
-        if (Math.abs(det) < 1e-10) {
-            // 특이행렬인 경우 단위행렬 반환
-            return [[1, 0], [0, 1]];
-        }
-        
-        return [
-            [matrix[1][1] / det, -matrix[0][1] / det],
-            [-matrix[1][0] / det, matrix[0][0] / det]
-        ];
+    static processNoiseMatrix(n, dt, q) {
+        const G = Array.from({ length: n }, (_, i) => Math.pow(dt, n - i) / KalmanFilter.factorial(n - i));
+        return Matrix.scale(Matrix.outer(G, G), q);
+    }
+
+    /**
+     * 계승 k!
+     */
+    static factorial(k) {
+        return k <= 1 ? 1 : k * KalmanFilter.factorial(k - 1);
     }
 
     /**
@@ -111,13 +104,10 @@ class KalmanFilter {
      */
     predict() {
         // 상태 예측: x_k|k-1 = F * x_k-1|k-1
-        this.state = this.multiplyMatrixVector(this.F, this.state);
-        
+        this.state = Matrix.multiplyVector(this.F, this.state);
+
         // 오차 공분산 예측: P_k|k-1 = F * P_k-1|k-1 * F^T + Q
-        const FT = this.transpose(this.F);
-        const FP = this.multiplyMatrix(this.F, this.P);
-        const FPFT = this.multiplyMatrix(FP, FT);
-        this.P = this.addMatrix(FPFT, this.Q);
+        this.P = Matrix.add(Matrix.multiply(Matrix.multiply(this.F, this.P), Matrix.transpose(this.F)), this.Q);
     }
 
     /**
@@ -125,37 +115,29 @@ class KalmanFilter {
      */
     update(measurement) {
         // 잔차(innovation): y = z - H * x_k|k-1
-        const Hx = this.H[0] * this.state[0] + this.H[1] * this.state[1];
-        const y = measurement - Hx;
-        
+        const y = [measurement - Matrix.multiplyVector(this.H, this.state)[0]];
+
         // 잔차 공분산: S = H * P_k|k-1 * H^T + R
-        const HP = [
-            this.H[0] * this.P[0][0] + this.H[1] * this.P[1][0],
-            this.H[0] * this.P[0][1] + this.H[1] * this.P[1][1]
-        ];
-        const S = HP[0] * this.H[0] + HP[1] * this.H[1] + this.R;
-        
-        if (Math.abs(S) < 1e-10) return; // 분모가 0에 가까우면 업데이트 스킵
-        
+        const PHT = Matrix.multiply(this.P, Matrix.transpose(this.H));
+        const S = Matrix.add(Matrix.multiply(this.H, PHT), this.R);
+
+        if (Math.abs(S[0][0]) < 1e-10) return; // 분모가 0에 가까우면 업데이트 스킵
+
         // 칼만 게인: K = P_k|k-1 * H^T * S^-1
-        const PH = [this.P[0][0] * this.H[0] + this.P[0][1] * this.H[1],
-                    this.P[1][0] * this.H[0] + this.P[1][1] * this.H[1]];
-        const K = [PH[0] / S, PH[1] / S];
-        
+        const K = Matrix.multiply(PHT, Matrix.inverse(S));
+
+        // 진단용 보관 (NIS = yᵀ S^-1 y, 모델이 맞으면 자유도 1인 카이제곱 분포)
+        this.innovation = y[0];
+        this.innovationVariance = S[0][0];
+        this.gain = K.map(row => row[0]);
+
         // 상태 업데이트: x_k|k = x_k|k-1 + K * y
-        this.state[0] += K[0] * y;
-        this.state[1] += K[1] * y;
-        
+        const correction = Matrix.multiplyVector(K, y);
+        this.state = this.state.map((value, i) => value + correction[i]);
+
         // 오차 공분산 업데이트: P_k|k = (I - K * H) * P_k|k-1
-        const KH = [
-            [K[0] * this.H[0], K[0] * this.H[1]],
-            [K[1] * this.H[0], K[1] * this.H[1]]
-        ];
-        const I_KH = [
-            [1 - KH[0][0], -KH[0][1]],
-            [-KH[1][0], 1 - KH[1][1]]
-        ];
-        this.P = this.multiplyMatrix(I_KH, this.P);
+        const I_KH = Matrix.subtract(Matrix.identity(this.state.length), Matrix.multiply(K, this.H));
+        this.P = Matrix.multiply(I_KH, this.P);
     }
 
     /**
@@ -163,26 +145,46 @@ class KalmanFilter {
      */
     filter(measurement) {
         if (!this.isInitialized) {
-            // 첫 번째 측정값으로 초기화
-            this.state[0] = measurement;
-            this.state[1] = 0; // 초기 속도는 0
             this.isInitialized = true;
-            return measurement;
+
+            if (this.initialization === 'measurement') {
+                // 첫 번째 측정값으로 위치 초기화 (속도/가속도는 설정한 초기값)
+                this.state[0] = measurement;
+                return measurement;
+            }
+
+            // 직접 입력한 초기 상태를 사전 추정으로 두고 첫 측정값으로 갱신
+            this.update(measurement);
+            return this.state[0];
         }
 
         // 예측 -> 업데이트
         this.predict();
         this.update(measurement);
-        
+
         return this.state[0]; // 추정된 위치 반환
     }
 
+    /**
+     * 배치 처리 - 여러 데이터를 한번에 필터링
+     * @param {Array} inputArray - 입력 데이터 배열
+     * @returns {Array} 필터링된 출력 배열
+     */
+    filterBatch(inputArray) {
+        const output = [];
+        for (let i = 0; i < inputArray.length; i++) {
+            output.push(this.filter(inputArray[i]));
+        }
+        return output;
+    }
+
     /**
      * 프로세스 노이즈 설정
      */
     setProcessNoise(processNoise) {
         this.processNoise = processNoise;
         this.updateQ();
+        this.steadyStateGain = null;
     }
 
     /**
@@ -190,29 +192,110 @@ class KalmanFilter {
      */
     setMeasurementNoise(measurementNoise) {
         this.measurementNoise = measurementNoise;
-        this.R = measurementNoise;
+        this.R = [[measurementNoise]];
+        this.steadyStateGain = null;
     }
 
     /**
-     * Q 행렬 업데이트
+     * 운동 모델 설정 (상태 수가 바뀌므로 필터를 리셋)
      */
-    updateQ() {
-        this.Q = [
-            [this.processNoise * Math.pow(this.dt, 4) / 4, this.processNoise * Math.pow(this.dt, 3) / 2],
-            [this.processNoise * Math.pow(this.dt, 3) / 2, this.processNoise * Math.pow(this.dt, 2)]
-        ];
+    setModel(model) {
+        if (!KalmanFilter.MODELS[model]) {
+            throw new Error(`지원하지 않는 운동 모델입니다: ${model}`);
+        }
+        this.model = model;
+        this.updateModel();
+    }
+
+    /**
+     * 초기 상태 지정 방식 설정 ('measurement', 'manual')
+     */
+    setInitialization(initialization) {
+        if (!KalmanFilter.INITIALIZATIONS[initialization]) {
+            throw new Error(`지원하지 않는 초기화 방식입니다: ${initialization}`);
+        }
+        this.initialization = initialization;
+        this.reset();
+    }
+
+    /**
+     * 초기 상태 설정 ([위치, 속도, 가속도], 필터를 리셋해 새 초기값으로 다시 시작)
+     */
+    setInitialState(state) {
+        state.forEach((value, i) => {
+            if (i < this.initialState.length && Number.isFinite(value)) this.initialState[i] = value;
+        });
+        this.reset();
     }
 
     /**
-     * 필터 상태 리셋
+     * 초기 오차 공분산의 대각 성분 설정 ([위치, 속도, 가속도] 분산, 필터를 리셋)
+     */
+    setInitialVariance(variance) {
+        if (variance.some(value => value <= 0)) {
+            throw new Error('초기 분산은 0보다 커야 합니다.');
+        }
+        variance.forEach((value, i) => {
+            if (i < this.initialVariance.length) this.initialVariance[i] = value;
+        });
+        this.reset();
+    }
+
+    /**
+     * 초기 위치 설정 (직접 입력 방식에서 사용)
+     */
+    setInitialPosition(value) {
+        this.setInitialState([value]);
+    }
+
+    /**
+     * 초기 속도 설정
+     */
+    setInitialVelocity(value) {
+        this.setInitialState([this.initialState[0], value]);
+    }
+
+    /**
+     * 초기 가속도 설정
+     */
+    setInitialAcceleration(value) {
+        this.setInitialState([this.initialState[0], this.initialState[1], value]);
+    }
+
+    /**
+     * 초기 위치 분산 설정
+     */
+    setInitialPositionVariance(value) {
+        this.setInitialVariance([value]);
+    }
+
+    /**
+     * 초기 속도 분산 설정
+     */
+    setInitialVelocityVariance(value) {
+        this.setInitialVariance([this.initialVariance[0], value]);
+    }
+
+    /**
+     * 초기 가속도 분산 설정
+     */
+    setInitialAccelerationVariance(value) {
+        this.setInitialVariance([this.initialVariance[0], this.initialVariance[1], value]);
+    }
+
+    /**
+     * 필터 상태 리셋 (설정한 초기 상태와 초기 공분산으로)
      */
     reset() {
-        this.state = [0, 0];
-        this.P = [
-            [1, 0],
-            [0, 1]
-        ];
+        const n = this.F.length;
+        this.state = this.initialState.slice(0, n);
+        this.P = Matrix.diagonal(this.initialVariance.slice(0, n));
         this.isInitialized = false;
+
+        // 마지막 업데이트 단계의 잔차, 잔차 분산, 게인 (업데이트 전에는 null)
+        this.innovation = null;
+        this.innovationVariance = null;
+        this.gain = null;
     }
 
     /**
@@ -220,27 +303,138 @@ class KalmanFilter {
      */
     getInfo() {
         return {
-            type: 'Kalman Filter (1D)',
+            type: `Kalman Filter (${KalmanFilter.MODELS[this.model]})`,
             processNoise: this.processNoise,
             measurementNoise: this.measurementNoise,
             state: [...this.state],
             estimatedPosition: this.state[0],
-            estimatedVelocity: this.state[1]
+            estimatedVelocity: this.getVelocity(),
+            estimatedAcceleration: this.getAcceleration()
         };
     }
 
     /**
-     * 현재 추정 속도 반환
+     * 현재 추정 속도 반환 (랜덤 워크 모델은 속도 상태가 없으므로 null)
      */
     getVelocity() {
-        return this.state[1];
+        return this.state.length > 1 ? this.state[1] : null;
+    }
+
+    /**
+     * 현재 추정 가속도 반환 (등가속도 모델에서만, 아니면 null)
+     */
+    getAcceleration() {
+        return this.state.length > 2 ? this.state[2] : null;
     }
 
     /**
      * 예측 품질 평가 (P 행렬의 trace)
      */
     getUncertainty() {
-        return this.P[0][0] + this.P[1][1]; // trace of P matrix
+        return Matrix.trace(this.P);
+    }
+
+    /**
+     * 위치 추정의 분산 P[0][0] (신뢰 구간 ±kσ의 σ²)
+     */
+    getPositionVariance() {
+        return this.P[0][0];
+    }
+
+    /**
+     * 필터 출력의 분산 (선형 칼만 필터는 출력이 추정 위치이므로 P[0][0])
+     */
+    getOutputVariance() {
+        return this.getPositionVariance();
+    }
+
+    /**
+     * 마지막 업데이트 단계의 진단 값 (Q, R 튜닝용)
+     * 잔차가 ±2√S 안에 약 95% 들어오고 NIS 평균이 1 근처면 Q, R이 실제 노이즈와 맞는 것
+     * @returns {Object|null} {innovation, innovationVariance, nis, gain, positionVariance}, 업데이트 전에는 null
+     */
+    getDiagnostics() {
+        if (this.innovation === null) return null;
+
+        return {
+            innovation: this.innovation,
+            innovationVariance: this.innovationVariance,
+            nis: this.innovation * this.innovation / this.innovationVariance,
+            gain: this.gain.slice(),
+            positionVariance: this.P[0][0]
+        };
+    }
+
+    /**
+     * 정상상태 칼만 게인 계산 (모델, Q, R이 바뀔 때만 다시 계산)
+     * 예측 공분산의 리카티 방정식 X = F X (I + G X)⁻¹ Fᵀ + Q (G = Hᵀ R⁻¹ H)를 구조 보존 배가 알고리즘으로 풀이
+     * 한 번 반복할 때마다 리카티 반복 2ᵏ번에 해당하므로, 게인이 작아 수렴이 느린 높은 샘플링 레이트에서도 수십 번 안에 수렴
+     * @returns {Array} 정상상태 게인 K (상태 수 길이, [K_position, K_velocity, ...])
+     */
+    getSteadyStateGain() {
+        if (this.steadyStateGain) {
+            return this.steadyStateGain;
+        }
+
+        const n = this.F.length;
+        const HT = Matrix.transpose(this.H);
+        let A = Matrix.transpose(this.F);
+        let G = Matrix.scale(Matrix.multiply(HT, this.H), 1 / this.R[0][0]);
+        let X = this.Q;
+        let converged = false;
+
+        for (let i = 0; i < 64 && !converged; i++) {
+            // W = (I + G X)⁻¹, A ← A W A, G ← G + A W G Aᵀ, X ← X + Aᵀ X W A
+            const W = Matrix.inverse(Matrix.add(Matrix.identity(n), Matrix.multiply(G, X)));
+            const AW = Matrix.multiply(A, W);
+            const increment = Matrix.multiply(Matrix.multiply(Matrix.transpose(A), X), Matrix.multiply(W, A));
+            G = Matrix.add(G, Matrix.multiply(Matrix.multiply(AW, G), Matrix.transpose(A)));
+            X = Matrix.add(X, increment);
+            A = Matrix.multiply(AW, A);
+            converged = Math.abs(Matrix.trace(increment)) <= 1e-14 * Math.abs(Matrix.trace(X));
+        }
+
+        if (!converged || !X.every(row => row.every(Number.isFinite))) {
+            throw new Error(`정상상태 칼만 게인이 수렴하지 않았습니다 (Q = ${this.processNoise}, R = ${this.measurementNoise}, dt = ${this.dt}).`);
+        }
+
+        // 게인 (H = [1, 0, ...]이므로 S = X[0][0] + R, K = X의 첫 열 / S)
+        const S = X[0][0] + this.R[0][0];
+        this.steadyStateGain = X.map(row => row[0] / S);
+        return this.steadyStateGain;
+    }
+
+    /**
+     * 정상상태 칼만 필터의 주파수 응답 계산
+     * 정상상태에서 x_k = A x_k-1 + K z_k (A = (I - KH)F)이므로
+     * H(z) = H (I - A z^-1)^-1 K
+     * 복소 연립방정식 (I - A z^-1) v = K 를 실수부/허수부로 나눈 2n 크기 실수 연립방정식으로 풀이
+     * @param {number} frequency - 주파수 (Hz)
+     * @returns {Object} {magnitude, phase} 주파수 응답 (phase는 라디안)
+     */
+    getFrequencyResponse(frequency) {
+        const K = this.getSteadyStateGain();
+        const n = K.length;
+        const A = Matrix.multiply(Matrix.subtract(Matrix.identity(n), Matrix.multiply(K.map(k => [k]), this.H)), this.F);
+
+        // z^-1 = e^(-jω) = c + js
+        const omega = 2 * Math.PI * frequency * this.dt;
+        const c = Math.cos(omega);
+        const s = -Math.sin(omega);
+
+        // M = I - A z^-1 = (I - cA) + j(-sA)  →  [[Re, -Im], [Im, Re]] [vr; vi] = [K; 0]
+        const real = Matrix.subtract(Matrix.identity(n), Matrix.scale(A, c));
+        const imag = Matrix.scale(A, -s);
+        const system = [
+            ...real.map((row, i) => [...row, ...imag[i].map(value => -value)]),
+            ...imag.map((row, i) => [...row, ...real[i]])
+        ];
+        const v = Matrix.solve(system, [...K, ...new Array(n).fill(0)]);
+
+        return {
+            magnitude: Math.hypot(v[0], v[n]),
+            phase: Math.atan2(v[n], v[0])
+        };
     }
 }
 
@@ -0,0 +1,192 @@
+// matrix.js - 상태공간 필터(칼만 등)에서 쓰는 일반 NxN 행렬 연산
+// 행렬은 행 배열의 배열 [[a00, a01], [a10, a11]], 벡터는 숫자 배열
+
+class Matrix {
+    /**
+     * n×n 단위행렬
+     */
+    static identity(n) {
+        return Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+    }
+
+    /**
+     * rows×cols 영행렬
+     */
+    static zeros(rows, cols = rows) {
+        return Array.from({ length: rows }, () => new Array(cols).fill(0));
+    }
+
+    /**
+     * 대각행렬
+     * @param {Array} values - 대각 성분
+     */
+    static diagonal(values) {
+        return values.map((value, i) => values.map((_, j) => (i === j ? value : 0)));
+    }
+
+    /**
+     * 깊은 복사
+     */
+    static clone(A) {
+        return A.map(row => row.slice());
+    }
+
+    /**
+     * 행렬 곱셈 A * B
+     */
+    static multiply(A, B) {
+        const inner = B.length;
+        const cols = B[0].length;
+        return A.map(row => {
+            const result = new Array(cols).fill(0);
+            for (let k = 0; k < inner; k++) {
+                if (row[k] === 0) continue;
+                for (let j = 0; j < cols; j++) {
+                    result[j] += row[k] * B[k][j];
+                }
+            }
+            return result;
+        });
+    }
+
+    /**
+     * 행렬 * 벡터
+     */
+    static multiplyVector(A, v) {
+        return A.map(row => row.reduce((sum, value, j) => sum + value * v[j], 0));
+    }
+
+    /**
+     * 행렬 덧셈 A + B
+     */
+    static add(A, B) {
+        return A.map((row, i) => row.map((value, j) => value + B[i][j]));
+    }
+
+    /**
+     * 행렬 뺄셈 A - B
+     */
+    static subtract(A, B) {
+        return A.map((row, i) => row.map((value, j) => value - B[i][j]));
+    }
+
+    /**
+     * 스칼라 곱
+     */
+    static scale(A, factor) {
+        return A.map(row => row.map(value => value * factor));
+    }
+
+    /**
+     * 전치 행렬
+     */
+    static transpose(A) {
+        return A[0].map((_, j) => A.map(row => row[j]));
+    }
+
+    /**
+     * 외적 u vᵀ
+     */
+    static outer(u, v) {
+        return u.map(a => v.map(b => a * b));
+    }
+
+    /**
+     * 대각합 (trace)
+     */
+    static trace(A) {
+        return A.reduce((sum, row, i) => sum + row[i], 0);
+    }
+
+    /**
+     * 연립방정식 A x = b 풀이 (부분 피벗 가우스 소거)
+     * @param {Array} A - n×n 행렬
+     * @param {Array} b - 길이 n 벡터
+     * @returns {Array} 해 x
+     */
+    static solve(A, b) {
+        const n = A.length;
+        const augmented = A.map((row, i) => [...row, b[i]]);
+
+        for (let column = 0; column < n; column++) {
+            let pivot = column;
+            for (let row = column + 1; row < n; row++) {
+                if (Math.abs(augmented[row][column]) > Math.abs(augmented[pivot][column])) pivot = row;
+            }
+            if (Math.abs(augmented[pivot][column]) < 1e-14) {
+                throw new Error('특이행렬이라 해를 구할 수 없습니다.');
+            }
+            [augmented[column], augmented[pivot]] = [augmented[pivot], augmented[column]];
+
+            for (let row = column + 1; row < n; row++) {
+                const factor = augmented[row][column] / augmented[column][column];
+                for (let k = column; k <= n; k++) {
+                    augmented[row][k] -= factor * augmented[column][k];
+                }
+            }
+        }
+
+        const x = new Array(n).fill(0);
+        for (let row = n - 1; row >= 0; row--) {
+            let value = augmented[row][n];
+            for (let k = row + 1; k < n; k++) {
+                value -= augmented[row][k] * x[k];
+            }
+            x[row] = value / augmented[row][row];
+        }
+        return x;
+    }
+
+    /**
+     * 숄레스키 분해 A = L Lᵀ (L은 하삼각)
+     * 반올림 오차로 대각 성분이 0 아래로 살짝 내려가도 0으로 두어 준정부호 행렬까지 허용
+     * @param {Array} A - 대칭 n×n 행렬
+     * @returns {Array} 하삼각 행렬 L
+     */
+    static cholesky(A) {
+        const n = A.length;
+        const L = Matrix.zeros(n);
+
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j <= i; j++) {
+                let sum = A[i][j];
+                for (let k = 0; k < j; k++) {
+                    sum -= L[i][k] * L[j][k];
+                }
+
+                if (i === j) {
+                    L[i][i] = Math.sqrt(Math.max(sum, 0));
+                } else {
+                    L[i][j] = L[j][j] > 0 ? sum / L[j][j] : 0;
+                }
+            }
+        }
+        return L;
+    }
+
+    /**
+     * 대칭화 (A + Aᵀ) / 2 - 공분산 갱신에서 쌓이는 반올림 오차 제거
+     */
+    static symmetrize(A) {
+        return A.map((row, i) => row.map((value, j) => (value + A[j][i]) / 2));
+    }
+
+    /**
+     * 역행렬 (단위행렬의 각 열에 대해 A x = e_j 풀이)
+     */
+    static inverse(A) {
+        const n = A.length;
+        const columns = Matrix.identity(n).map(e => Matrix.solve(A, e));
+        return Matrix.transpose(columns);
+    }
+}
+
+// 브라우저 환경에서 사용 가능하게 만들기
+if (typeof window !== 'undefined') {
+    window.Matrix = Matrix;
+}
+
+// 모듈로 내보내기 (Node.js 환경에서 사용시)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Matrix;
+}
\ No newline at end of file
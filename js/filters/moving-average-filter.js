@@ -1,8 +1,9 @@
 // moving-average-filter.js - 이동평균 필터 구현
 
 class MovingAverageFilter {
-    constructor(windowSize = 10) {
+    constructor(windowSize = 10, sampleRate = 100) {
         this.windowSize = windowSize;
+        this.sampleRate = sampleRate;  // 주파수 응답 계산용 샘플링 레이트 (Hz)
         this.buffer = [];           // 데이터를 저장할 원형 버퍼
         this.bufferIndex = 0;       // 현재 버퍼 인덱스
         this.bufferFull = false;    // 버퍼가 가득 찼는지 여부
@@ -180,28 +181,38 @@ class MovingAverageFilter {
     }
 
     /**
-     * 주파수 응답 계산 (이론적 값)
-     * @param {number} frequency - 정규화된 주파수 (0~0.5, 나이퀴스트 주파수 = 0.5)
-     * @returns {Object} {magnitude, phase} 주파수 응답
+     * 샘플링 레이트 설정
+     * @param {number} newSampleRate - 새로운 샘플링 레이트 (Hz)
      */
-    getFrequencyResponse(frequency) {
-        if (frequency === 0) {
-            return { magnitude: 1, phase: 0 };
+    setSampleRate(newSampleRate) {
+        if (newSampleRate <= 0) {
+            throw new Error('샘플링 레이트는 0보다 커야 합니다.');
         }
         
-        const omega = 2 * Math.PI * frequency;
+        this.sampleRate = newSampleRate;
+    }
+
+    /**
+     * 주파수 응답 계산 (이론적 값)
+     * H(ω) = (1/N) * Σ exp(-jωk), k = 0..N-1
+     * @param {number} frequency - 주파수 (Hz)
+     * @returns {Object} {magnitude, phase} 주파수 응답 (phase는 라디안)
+     */
+    getFrequencyResponse(frequency) {
+        const omega = 2 * Math.PI * frequency / this.sampleRate;
         const N = this.windowSize;
         
-        // 이동평균 필터의 주파수 응답
-        // H(ω) = (1/N) * sin(Nω/2) / sin(ω/2) * exp(-j(N-1)ω/2)
-        const numerator = Math.sin(N * omega / 2);
-        const denominator = N * Math.sin(omega / 2);
-        const magnitude = Math.abs(numerator / denominator);
-        
-        // 위상 응답
-        const phase = -(N - 1) * omega / 2;
+        let real = 0;
+        let imag = 0;
+        for (let k = 0; k < N; k++) {
+            real += Math.cos(omega * k) / N;
+            imag -= Math.sin(omega * k) / N;
+        }
         
-        return { magnitude, phase };
+        return {
+            magnitude: Math.hypot(real, imag),
+            phase: Math.atan2(imag, real)
+        };
     }
 
     /**
@@ -210,7 +221,7 @@ class MovingAverageFilter {
      * @returns {Array} 스텝 응답 배열
      */
     getStepResponse(samples = 50) {
-        const tempFilter = new MovingAverageFilter(this.windowSize);
+        const tempFilter = new MovingAverageFilter(this.windowSize, this.sampleRate);
         const response = [];
         
         for (let i = 0; i < samples; i++) {
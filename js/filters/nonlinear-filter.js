@@ -0,0 +1,275 @@
+// nonlinear-filter.js - 이동 윈도우 기반 비선형(강건) 필터 구현
+// 중앙값, 햄펠 이상치 필터, 절사 평균, 가중 중앙값, 최소/최대(형태학적) 포락선
+
+class NonlinearFilter {
+    /**
+     * @param {number} windowSize - 윈도우 크기
+     * @param {string} mode - 동작 방식 (NonlinearFilter.MODES의 키)
+     * @param {Object} options - {hampelThreshold, trimRatio}
+     */
+    constructor(windowSize = 9, mode = 'median', options = {}) {
+        this.windowSize = windowSize;
+        this.mode = mode;
+        this.hampelThreshold = options.hampelThreshold || 3;   // 햄펠: 이상치로 판단할 MAD 배수
+        this.trimRatio = options.trimRatio !== undefined ? options.trimRatio : 0.2;   // 절사 평균: 양쪽에서 버릴 비율
+
+        this.buffer = new Array(windowSize).fill(0);   // 입력 순서대로 저장하는 원형 버퍼
+        this.sorted = [];                               // 현재 윈도우 값의 정렬된 사본
+        this.bufferIndex = 0;
+        this.bufferFull = false;
+    }
+
+    /**
+     * 지원하는 동작 방식
+     */
+    static get MODES() {
+        return {
+            median: '중앙값',
+            hampel: '햄펠 (이상치만 중앙값으로 교체)',
+            trimmed: '절사 평균',
+            'weighted-median': '가중 중앙값 (최근 샘플 가중)',
+            min: '최소 (하한 포락선)',
+            max: '최대 (상한 포락선)',
+            midrange: '최소/최대 중간값'
+        };
+    }
+
+    /**
+     * 새로운 데이터 포인트를 필터에 입력하고 필터링된 값을 반환
+     * @param {number} input - 입력 신호 값
+     * @returns {number} 필터링된 출력 값
+     */
+    filter(input) {
+        this.push(input);
+
+        switch (this.mode) {
+            case 'hampel':
+                return this.hampel(input);
+            case 'trimmed':
+                return this.trimmedMean();
+            case 'weighted-median':
+                return this.weightedMedian();
+            case 'min':
+                return this.sorted[0];
+            case 'max':
+                return this.sorted[this.sorted.length - 1];
+            case 'midrange':
+                return (this.sorted[0] + this.sorted[this.sorted.length - 1]) / 2;
+            default:
+                return NonlinearFilter.median(this.sorted);
+        }
+    }
+
+    /**
+     * 원형 버퍼에 값 추가 (정렬된 사본도 함께 갱신, 샘플당 O(N))
+     * @param {number} input - 입력 값
+     */
+    push(input) {
+        // 윈도우가 가득 찼으면 가장 오래된 값을 정렬 사본에서 제거
+        if (this.bufferFull) {
+            this.sorted.splice(NonlinearFilter.lowerBound(this.sorted, this.buffer[this.bufferIndex]), 1);
+        }
+
+        this.buffer[this.bufferIndex] = input;
+        this.sorted.splice(NonlinearFilter.lowerBound(this.sorted, input), 0, input);
+
+        // 버퍼 인덱스 업데이트 (원형 버퍼)
+        this.bufferIndex = (this.bufferIndex + 1) % this.windowSize;
+        if (!this.bufferFull && this.bufferIndex === 0) {
+            this.bufferFull = true;
+        }
+    }
+
+    /**
+     * 정렬된 배열에서 value 이상인 첫 위치 (이진 탐색)
+     */
+    static lowerBound(sorted, value) {
+        let low = 0;
+        let high = sorted.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (sorted[middle] < value) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    }
+
+    /**
+     * 정렬된 배열의 중앙값 (짝수 개면 가운데 두 값의 평균)
+     */
+    static median(sorted) {
+        const middle = sorted.length >> 1;
+        return sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    /**
+     * 햄펠 필터: 새 샘플이 윈도우 중앙값에서 threshold × 1.4826 × MAD 이상 벗어나면 중앙값으로 교체
+     * 1.4826 × MAD는 가우시안 노이즈에서 표준편차의 강건한 추정값
+     * @param {number} input - 현재 입력 (이미 윈도우에 들어 있음)
+     */
+    hampel(input) {
+        const median = NonlinearFilter.median(this.sorted);
+        const deviations = this.sorted.map(value => Math.abs(value - median)).sort((a, b) => a - b);
+        const scale = 1.4826 * NonlinearFilter.median(deviations);
+
+        return Math.abs(input - median) > this.hampelThreshold * scale ? median : input;
+    }
+
+    /**
+     * 절사 평균: 정렬 후 양쪽 trimRatio 비율을 버리고 평균 (0이면 이동평균, 0.5에 가까우면 중앙값)
+     */
+    trimmedMean() {
+        const count = this.sorted.length;
+        const trim = Math.min(Math.floor(count * this.trimRatio), (count - 1) >> 1);
+        let sum = 0;
+        for (let i = trim; i < count - trim; i++) {
+            sum += this.sorted[i];
+        }
+        return sum / (count - 2 * trim);
+    }
+
+    /**
+     * 가중 중앙값: 오래된 샘플부터 가중치 1, 2, ..., N을 주고 누적 가중치가 절반을 넘는 값
+     * 최근 샘플의 비중이 커서 일반 중앙값보다 지연이 작음
+     */
+    weightedMedian() {
+        const data = this.getCurrentData();
+        const weighted = data
+            .map((value, index) => ({ value, weight: index + 1 }))
+            .sort((a, b) => a.value - b.value);
+        const half = data.length * (data.length + 1) / 4;
+
+        let cumulative = 0;
+        for (const { value, weight } of weighted) {
+            cumulative += weight;
+            if (cumulative >= half) return value;
+        }
+        return weighted[weighted.length - 1].value;
+    }
+
+    /**
+     * 윈도우 크기 변경
+     * @param {number} newWindowSize - 새로운 윈도우 크기
+     */
+    setWindowSize(newWindowSize) {
+        if (newWindowSize < 1) {
+            throw new Error('윈도우 크기는 1 이상이어야 합니다.');
+        }
+
+        // 기존 데이터 백업
+        const oldData = this.getCurrentData();
+
+        // 새로운 크기로 초기화
+        this.windowSize = Math.round(newWindowSize);
+        this.buffer = new Array(this.windowSize).fill(0);
+        this.reset();
+
+        // 기존 데이터가 있다면 새 윈도우 크기에 맞게 복원
+        oldData.slice(Math.max(0, oldData.length - this.windowSize)).forEach(value => this.push(value));
+    }
+
+    /**
+     * 현재 윈도우 크기 반환
+     * @returns {number} 현재 윈도우 크기
+     */
+    getWindowSize() {
+        return this.windowSize;
+    }
+
+    /**
+     * 동작 방식 설정
+     */
+    setMode(mode) {
+        if (!NonlinearFilter.MODES[mode]) {
+            throw new Error(`지원하지 않는 동작 방식입니다: ${mode}`);
+        }
+        this.mode = mode;
+    }
+
+    /**
+     * 햄펠 임계값 설정 (MAD 배수)
+     */
+    setHampelThreshold(threshold) {
+        if (threshold <= 0) {
+            throw new Error('임계값은 0보다 커야 합니다.');
+        }
+        this.hampelThreshold = threshold;
+    }
+
+    /**
+     * 절사 비율 설정 (0 ~ 0.5 미만)
+     */
+    setTrimRatio(ratio) {
+        if (ratio < 0 || ratio >= 0.5) {
+            throw new Error('절사 비율은 0 이상 0.5 미만이어야 합니다.');
+        }
+        this.trimRatio = ratio;
+    }
+
+    /**
+     * 현재 버퍼의 데이터를 입력 순서대로 반환
+     * @returns {Array} 현재 버퍼 데이터
+     */
+    getCurrentData() {
+        if (!this.bufferFull) {
+            return this.buffer.slice(0, this.bufferIndex);
+        }
+
+        // 원형 버퍼에서 올바른 순서로 데이터 반환
+        const result = [];
+        for (let i = 0; i < this.windowSize; i++) {
+            result.push(this.buffer[(this.bufferIndex + i) % this.windowSize]);
+        }
+        return result;
+    }
+
+    /**
+     * 필터 초기화 (모든 데이터 제거)
+     */
+    reset() {
+        this.buffer.fill(0);
+        this.sorted = [];
+        this.bufferIndex = 0;
+        this.bufferFull = false;
+    }
+
+    /**
+     * 배치 처리 - 여러 데이터를 한번에 필터링
+     * @param {Array} inputArray - 입력 데이터 배열
+     * @returns {Array} 필터링된 출력 배열
+     */
+    filterBatch(inputArray) {
+        const output = [];
+        for (let i = 0; i < inputArray.length; i++) {
+            output.push(this.filter(inputArray[i]));
+        }
+        return output;
+    }
+
+    /**
+     * 현재 필터 설정 정보 반환
+     * 비선형 필터는 입력에 따라 동작이 달라지므로 주파수 응답(getFrequencyResponse)을 제공하지 않음
+     */
+    getInfo() {
+        return {
+            type: `Nonlinear Filter (${NonlinearFilter.MODES[this.mode]})`,
+            windowSize: this.windowSize,
+            hampelThreshold: this.mode === 'hampel' ? this.hampelThreshold : null,
+            trimRatio: this.mode === 'trimmed' ? this.trimRatio : null,
+            currentSize: this.sorted.length
+        };
+    }
+}
+
+// 브라우저 환경에서 사용 가능하게 만들기
+if (typeof window !== 'undefined') {
+    window.NonlinearFilter = NonlinearFilter;
+}
+
+// 모듈로 내보내기 (Node.js 환경에서 사용시)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NonlinearFilter;
+}
\ No newline at end of file
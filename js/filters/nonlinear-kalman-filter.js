@@ -0,0 +1,367 @@
+// nonlinear-kalman-filter.js - 비선형 상태 전이/측정 모델을 쓰는 칼만 필터의 공통 부분
+// 예측/업데이트 단계는 ExtendedKalmanFilter(야코비안 선형화), UnscentedKalmanFilter(시그마 포인트)가 구현
+
+class NonlinearKalmanFilter {
+    /**
+     * @param {Object} options - {transition, measurement, processNoise, measurementNoise,
+     *                           frequency, damping, sensorDistance, saturationLimit, output, initialVariance}
+     *                           transition/measurement는 StateSpaceModels의 모델 이름이나
+     *                           같은 형태의 사용자 정의 객체 ({states, f, jacobian?} / {h, jacobian?, inverse?})
+     * @param {number} sampleRate - 샘플링 레이트 (Hz)
+     */
+    constructor(options = {}, sampleRate = 100) {
+        this.sampleRate = sampleRate;
+        this.dt = 1 / sampleRate;
+        this.processNoise = options.processNoise || 1;
+        this.measurementNoise = options.measurementNoise || 0.01;
+        this.output = options.output || 'measurement';
+        this.initialVariance = options.initialVariance || [1, 100];
+
+        // 모델 함수에 넘기는 파라미터
+        this.params = {
+            frequency: options.frequency || 5,                // 진자 고유 주파수 (Hz)
+            damping: options.damping || 0,                    // 진자 감쇠비 ζ
+            sensorDistance: options.sensorDistance || 1,      // 거리/각도 센서와 궤적 사이 거리 d
+            saturationLimit: options.saturationLimit || 1.5   // 포화 센서의 최대 출력 L
+        };
+
+        this.setMeasurementModel(options.measurement || 'position');
+        this.setTransition(options.transition || 'constant-velocity');
+    }
+
+    /**
+     * 출력 방식
+     */
+    static get OUTPUTS() {
+        return {
+            measurement: '측정값 추정 h(x̂) (입력과 같은 단위)',
+            state: '상태 추정 x̂₀ (위치/각도)'
+        };
+    }
+
+    /**
+     * 모델 이름을 모델 객체로 (사용자 정의 객체는 그대로)
+     */
+    static resolveModel(model, library, kind) {
+        if (typeof model !== 'string') return model;
+        if (!library[model]) {
+            throw new Error(`지원하지 않는 ${kind} 모델입니다: ${model}`);
+        }
+        return library[model];
+    }
+
+    /**
+     * 상태 전이 모델 설정 (상태 수가 바뀔 수 있으므로 필터를 리셋)
+     * @param {string|Object} transition - 모델 이름 또는 {states, f(x, dt, params), jacobian?}
+     */
+    setTransition(transition) {
+        this.transitionModel = NonlinearKalmanFilter.resolveModel(transition, StateSpaceModels.TRANSITIONS, '상태 전이');
+        this.transition = typeof transition === 'string' ? transition : 'custom';
+        this.updateQ();
+        this.reset();
+    }
+
+    /**
+     * 측정 모델 설정
+     * @param {string|Object} measurement - 모델 이름 또는 {h(x, params), jacobian?, inverse?}
+     */
+    setMeasurementModel(measurement) {
+        this.measurementModel = NonlinearKalmanFilter.resolveModel(measurement, StateSpaceModels.MEASUREMENTS, '측정');
+        this.measurement = typeof measurement === 'string' ? measurement : 'custom';
+    }
+
+    /**
+     * Q 행렬 업데이트 (선형 칼만 필터와 같은 구간 상수 백색 노이즈 모델)
+     */
+    updateQ() {
+        this.Q = KalmanFilter.processNoiseMatrix(this.transitionModel.states, this.dt, this.processNoise);
+    }
+
+    /**
+     * 상태 전이 f(x)
+     */
+    transitionFunction(x) {
+        return this.transitionModel.f(x, this.dt, this.params);
+    }
+
+    /**
+     * 측정 함수 h(x)
+     */
+    measurementFunction(x) {
+        return this.measurementModel.h(x, this.params);
+    }
+
+    /**
+     * 예측 단계 (하위 클래스에서 구현)
+     */
+    predict() {
+        throw new Error('predict()는 하위 클래스에서 구현해야 합니다.');
+    }
+
+    /**
+     * 업데이트 단계 (하위 클래스에서 구현)
+     * 잔차 y, 잔차 분산 S, 게인 K를 계산해 applyCorrection에 넘김
+     */
+    update() {
+        throw new Error('update()는 하위 클래스에서 구현해야 합니다.');
+    }
+
+    /**
+     * 스칼라 측정의 보정 적용과 진단 값 보관
+     * x = x + K y, P = P - K S Kᵀ
+     * @param {number} innovation - 잔차 y = z - ẑ
+     * @param {number} innovationVariance - 잔차 분산 S
+     * @param {Array} gain - 칼만 게인 K (상태 수 길이)
+     */
+    applyCorrection(innovation, innovationVariance, gain) {
+        this.state = this.state.map((value, i) => value + gain[i] * innovation);
+        this.P = Matrix.symmetrize(Matrix.subtract(this.P, Matrix.scale(Matrix.outer(gain, gain), innovationVariance)));
+
+        this.innovation = innovation;
+        this.innovationVariance = innovationVariance;
+        this.gain = gain.slice();
+    }
+
+    /**
+     * 필터링 메인 함수
+     * @param {number} measurement - 측정값
+     * @returns {number} 측정값 추정 h(x̂) 또는 상태 추정 x̂₀ (출력 방식에 따라)
+     */
+    filter(measurement) {
+        if (!this.isInitialized) {
+            // 측정 모델을 거꾸로 풀어 첫 상태를 정함 (역함수가 없으면 0)
+            this.isInitialized = true;
+            if (this.measurementModel.inverse) {
+                this.state[0] = this.measurementModel.inverse(measurement, this.params);
+            }
+            return this.getOutput();
+        }
+
+        this.predict();
+        this.update(measurement);
+        return this.getOutput();
+    }
+
+    /**
+     * 배치 처리 - 여러 데이터를 한번에 필터링
+     * @param {Array} inputArray - 입력 데이터 배열
+     * @returns {Array} 필터링된 출력 배열
+     */
+    filterBatch(inputArray) {
+        const output = [];
+        for (let i = 0; i < inputArray.length; i++) {
+            output.push(this.filter(inputArray[i]));
+        }
+        return output;
+    }
+
+    /**
+     * 현재 출력 (출력 방식에 따라 측정값 추정 또는 첫 상태)
+     */
+    getOutput() {
+        return this.output === 'state' ? this.state[0] : this.measurementFunction(this.state);
+    }
+
+    /**
+     * 출력의 분산 (측정값 추정이면 1차 근사 H P Hᵀ)
+     */
+    getOutputVariance() {
+        if (this.output === 'state') return this.P[0][0];
+
+        const H = this.measurementJacobian(this.state);
+        return Matrix.multiplyVector(this.P, H).reduce((sum, value, i) => sum + value * H[i], 0);
+    }
+
+    /**
+     * 측정 야코비안 ∂h/∂x (모델에 없으면 수치 미분)
+     */
+    measurementJacobian(x) {
+        if (this.measurementModel.jacobian) {
+            return this.measurementModel.jacobian(x, this.params);
+        }
+        return NonlinearKalmanFilter.numericalJacobian(state => [this.measurementFunction(state)], x)[0];
+    }
+
+    /**
+     * 중앙 차분 야코비안 (사용자 정의 모델에 야코비안이 없을 때)
+     * @param {Function} fn - 벡터 → 벡터 함수
+     * @param {Array} x - 미분할 지점
+     * @returns {Array} ∂fn/∂x 행렬
+     */
+    static numericalJacobian(fn, x) {
+        const columns = x.map((value, j) => {
+            const step = 1e-6 * Math.max(1, Math.abs(value));
+            const plus = x.slice();
+            const minus = x.slice();
+            plus[j] += step;
+            minus[j] -= step;
+            const high = fn(plus);
+            return fn(minus).map((low, i) => (high[i] - low) / (2 * step));
+        });
+        return Matrix.transpose(columns);
+    }
+
+    /**
+     * 프로세스 노이즈 설정
+     */
+    setProcessNoise(processNoise) {
+        this.processNoise = processNoise;
+        this.updateQ();
+    }
+
+    /**
+     * 측정 노이즈 설정
+     */
+    setMeasurementNoise(measurementNoise) {
+        this.measurementNoise = measurementNoise;
+    }
+
+    /**
+     * 진자 고유 주파수 설정 (Hz)
+     */
+    setFrequency(frequency) {
+        if (frequency <= 0) {
+            throw new Error('고유 주파수는 0보다 커야 합니다.');
+        }
+        this.params.frequency = frequency;
+    }
+
+    /**
+     * 진자 감쇠비 설정
+     */
+    setDamping(damping) {
+        if (damping < 0) {
+            throw new Error('감쇠비는 0 이상이어야 합니다.');
+        }
+        this.params.damping = damping;
+    }
+
+    /**
+     * 거리/각도 센서와 궤적 사이 거리 설정
+     */
+    setSensorDistance(distance) {
+        if (distance <= 0) {
+            throw new Error('센서 거리는 0보다 커야 합니다.');
+        }
+        this.params.sensorDistance = distance;
+    }
+
+    /**
+     * 포화 센서의 최대 출력 설정
+     */
+    setSaturationLimit(limit) {
+        if (limit <= 0) {
+            throw new Error('포화 한계는 0보다 커야 합니다.');
+        }
+        this.params.saturationLimit = limit;
+    }
+
+    /**
+     * 출력 방식 설정 ('measurement', 'state')
+     */
+    setOutput(output) {
+        if (!NonlinearKalmanFilter.OUTPUTS[output]) {
+            throw new Error(`지원하지 않는 출력 방식입니다: ${output}`);
+        }
+        this.output = output;
+    }
+
+    /**
+     * 샘플링 레이트 설정
+     */
+    setSampleRate(newSampleRate) {
+        if (newSampleRate <= 0) {
+            throw new Error('샘플링 레이트는 0보다 커야 합니다.');
+        }
+        this.sampleRate = newSampleRate;
+        this.dt = 1 / newSampleRate;
+        this.updateQ();
+    }
+
+    /**
+     * 필터 상태 리셋 (상태 0, 초기 공분산 대각)
+     */
+    reset() {
+        const n = this.transitionModel.states;
+        this.state = new Array(n).fill(0);
+        this.P = Matrix.diagonal(Array.from({ length: n }, (_, i) => this.initialVariance[Math.min(i, this.initialVariance.length - 1)]));
+        this.isInitialized = false;
+
+        // 마지막 업데이트 단계의 잔차, 잔차 분산, 게인 (업데이트 전에는 null)
+        this.innovation = null;
+        this.innovationVariance = null;
+        this.gain = null;
+    }
+
+    /**
+     * 비선형 모델이므로 주파수 응답(getFrequencyResponse)을 제공하지 않음
+     */
+    isLinear() {
+        return false;
+    }
+
+    /**
+     * 현재 추정 속도 반환 (두 번째 상태, 없으면 null)
+     */
+    getVelocity() {
+        return this.state.length > 1 ? this.state[1] : null;
+    }
+
+    /**
+     * 첫 상태 추정의 분산 P[0][0]
+     */
+    getPositionVariance() {
+        return this.P[0][0];
+    }
+
+    /**
+     * 예측 품질 평가 (P 행렬의 trace)
+     */
+    getUncertainty() {
+        return Matrix.trace(this.P);
+    }
+
+    /**
+     * 마지막 업데이트 단계의 진단 값 (KalmanFilter.getDiagnostics와 같은 형태)
+     * @returns {Object|null} {innovation, innovationVariance, nis, gain, positionVariance}, 업데이트 전에는 null
+     */
+    getDiagnostics() {
+        if (this.innovation === null) return null;
+
+        return {
+            innovation: this.innovation,
+            innovationVariance: this.innovationVariance,
+            nis: this.innovation * this.innovation / this.innovationVariance,
+            gain: this.gain.slice(),
+            positionVariance: this.P[0][0]
+        };
+    }
+
+    /**
+     * 현재 필터 정보 반환
+     * @param {string} type - 필터 종류 이름 (하위 클래스에서 전달)
+     */
+    getInfo(type = 'Nonlinear Kalman Filter') {
+        return {
+            type,
+            transition: this.transition,
+            measurement: this.measurement,
+            processNoise: this.processNoise,
+            measurementNoise: this.measurementNoise,
+            output: this.output,
+            state: [...this.state],
+            estimatedPosition: this.state[0],
+            estimatedVelocity: this.getVelocity()
+        };
+    }
+}
+
+// 브라우저 환경에서 사용 가능하게 만들기
+if (typeof window !== 'undefined') {
+    window.NonlinearKalmanFilter = NonlinearKalmanFilter;
+}
+
+// 모듈로 내보내기 (Node.js 환경에서 사용시)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NonlinearKalmanFilter;
+}
\ No newline at end of file
@@ -0,0 +1,210 @@
+// js/filters/notch.js - 2차 IIR 노치(대역 제거) / 피크(공진) 필터 구현
+// 전원 험이나 특정 진동 주파수 하나만 제거하거나 골라낼 때 사용
+
+class NotchFilter {
+    constructor(centerFrequency = 10, q = 5, mode = 'notch', sampleRate = 100) {
+        this.centerFrequency = centerFrequency;
+        this.q = q;                 // 품질 계수 (중심 주파수 / -3dB 대역폭)
+        this.mode = mode;
+        this.sampleRate = sampleRate;
+        this.updateCoefficients();
+
+        // 필터 상태 초기화
+        this.reset();
+    }
+
+    /**
+     * 지원하는 동작 방식
+     */
+    static get MODES() {
+        return {
+            notch: '노치 (중심 주파수 제거)',
+            peak: '피크 (중심 주파수만 통과)'
+        };
+    }
+
+    /**
+     * 계수 계산 (RBJ Audio EQ Cookbook)
+     * ω0 = 2πf0/fs, α = sin(ω0) / 2Q
+     * 노치: b = [1, -2cos ω0, 1] / (1 + α)
+     * 피크: b = [α, 0, -α] / (1 + α)   (중심 주파수 이득 0dB, 노치와 더하면 1)
+     * 공통: a = [1, -2cos ω0 / (1 + α), (1 - α) / (1 + α)]
+     */
+    updateCoefficients() {
+        const omega = 2 * Math.PI * this.centerFrequency / this.sampleRate;
+        const alpha = Math.sin(omega) / (2 * this.q);
+        const a0 = 1 + alpha;
+
+        this.a = [1, -2 * Math.cos(omega) / a0, (1 - alpha) / a0];
+        this.b = this.mode === 'peak'
+            ? [alpha / a0, 0, -alpha / a0]
+            : [1 / a0, -2 * Math.cos(omega) / a0, 1 / a0];
+    }
+
+    /**
+     * 입력 신호를 필터링 (Direct Form II Transposed)
+     * y = b0 x + s1,  s1 = b1 x - a1 y + s2,  s2 = b2 x - a2 y
+     */
+    filter(input) {
+        if (!this.isInitialized) {
+            // 첫 입력이 계속 들어왔던 것처럼 정상 상태로 초기화 (노치는 입력, 피크는 0에서 시작)
+            const dcGain = (this.b[0] + this.b[1] + this.b[2]) / (1 + this.a[1] + this.a[2]);
+            const output = dcGain * input;
+            this.state = [output - this.b[0] * input, this.b[2] * input - this.a[2] * output];
+            this.isInitialized = true;
+        }
+
+        const output = this.b[0] * input + this.state[0];
+        this.state[0] = this.b[1] * input - this.a[1] * output + this.state[1];
+        this.state[1] = this.b[2] * input - this.a[2] * output;
+
+        return output;
+    }
+
+    /**
+     * 배치 처리 - 여러 데이터를 한번에 필터링
+     * @param {Array} inputArray - 입력 데이터 배열
+     * @returns {Array} 필터링된 출력 배열
+     */
+    filterBatch(inputArray) {
+        const output = [];
+        for (let i = 0; i < inputArray.length; i++) {
+            output.push(this.filter(inputArray[i]));
+        }
+        return output;
+    }
+
+    /**
+     * 중심 주파수 설정
+     */
+    setCenterFrequency(newCenterFrequency) {
+        if (newCenterFrequency <= 0) {
+            throw new Error('중심 주파수는 0보다 커야 합니다.');
+        }
+
+        if (newCenterFrequency >= this.sampleRate / 2) {
+            console.warn('중심 주파수가 나이퀴스트 주파수를 초과합니다.');
+            newCenterFrequency = this.sampleRate / 2 * 0.99;
+        }
+
+        this.centerFrequency = newCenterFrequency;
+        this.updateCoefficients();
+    }
+
+    /**
+     * Q 설정 (클수록 좁은 대역만 제거/통과)
+     */
+    setQ(newQ) {
+        if (newQ <= 0) {
+            throw new Error('Q는 0보다 커야 합니다.');
+        }
+
+        this.q = newQ;
+        this.updateCoefficients();
+    }
+
+    /**
+     * 동작 방식 설정 ('notch', 'peak')
+     */
+    setMode(mode) {
+        if (!NotchFilter.MODES[mode]) {
+            throw new Error(`지원하지 않는 동작 방식입니다: ${mode}`);
+        }
+
+        this.mode = mode;
+        this.updateCoefficients();
+        this.reset();
+    }
+
+    /**
+     * 샘플링 레이트 설정
+     */
+    setSampleRate(newSampleRate) {
+        if (newSampleRate <= 0) {
+            throw new Error('샘플링 레이트는 0보다 커야 합니다.');
+        }
+
+        this.sampleRate = newSampleRate;
+        this.updateCoefficients();
+    }
+
+    /**
+     * 필터 상태 리셋
+     */
+    reset() {
+        this.state = [0, 0];
+        this.isInitialized = false;
+    }
+
+    /**
+     * 2차 섹션 계수 (IIRFilter.getCoefficients와 같은 형식)
+     * @returns {Array} [{b: [b0, b1, b2], a: [1, a1, a2]}]
+     */
+    getCoefficients() {
+        return [{ b: this.b, a: this.a }];
+    }
+
+    /**
+     * 디지털 극점/영점/이득 (z 평면)
+     * 노치는 영점이 단위원 위 ±ω0에 있고, 극점은 같은 각도에서 Q가 클수록 단위원에 가까워짐
+     * @returns {Object} {zeros, poles, gain} - 근은 {re, im}
+     */
+    getPolesZeros() {
+        // z² + c1 z + c2 = 0 의 두 근
+        const quadraticRoots = (c1, c2) => {
+            const discriminant = c1 * c1 - 4 * c2;
+            if (discriminant >= 0) {
+                const sqrt = Math.sqrt(discriminant);
+                return [{ re: (-c1 + sqrt) / 2, im: 0 }, { re: (-c1 - sqrt) / 2, im: 0 }];
+            }
+            const imag = Math.sqrt(-discriminant) / 2;
+            return [{ re: -c1 / 2, im: imag }, { re: -c1 / 2, im: -imag }];
+        };
+
+        return {
+            zeros: quadraticRoots(this.b[1] / this.b[0], this.b[2] / this.b[0]),
+            poles: quadraticRoots(this.a[1], this.a[2]),
+            gain: this.b[0]
+        };
+    }
+
+    /**
+     * 현재 필터 설정 정보 반환
+     */
+    getInfo() {
+        return {
+            type: this.mode === 'peak' ? 'Peak Filter (2nd Order IIR)' : 'Notch Filter (2nd Order IIR)',
+            centerFrequency: this.centerFrequency,
+            q: this.q,
+            bandwidth: this.centerFrequency / this.q,
+            sampleRate: this.sampleRate
+        };
+    }
+
+    /**
+     * 주파수 응답 계산
+     * H(z) = (b0 + b1 z^-1 + b2 z^-2) / (1 + a1 z^-1 + a2 z^-2)
+     * @param {number} frequency - 주파수 (Hz)
+     * @returns {Object} {magnitude, phase} 주파수 응답 (phase는 라디안)
+     */
+    getFrequencyResponse(frequency) {
+        const omega = 2 * Math.PI * frequency / this.sampleRate;
+        const evaluate = c => ({
+            re: c[0] + c[1] * Math.cos(omega) + c[2] * Math.cos(2 * omega),
+            im: -(c[1] * Math.sin(omega) + c[2] * Math.sin(2 * omega))
+        });
+        const numerator = evaluate(this.b);
+        const denominator = evaluate(this.a);
+
+        const phase = Math.atan2(numerator.im, numerator.re) - Math.atan2(denominator.im, denominator.re);
+        return {
+            magnitude: Math.hypot(numerator.re, numerator.im) / Math.hypot(denominator.re, denominator.im),
+            phase: Math.atan2(Math.sin(phase), Math.cos(phase))
+        };
+    }
+}
+
+// 모듈로 내보내기 (Node.js 환경에서 사용시)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NotchFilter;
+}
\ No newline at end of file
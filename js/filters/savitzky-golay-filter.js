@@ -0,0 +1,149 @@
+// savitzky-golay-filter.js - 사비츠키-골레이 다항식 평활 필터 구현
+// 윈도우 안의 샘플에 최소제곱 다항식을 맞추고 중심값을 출력 (피크 높이와 폭을 이동평균보다 잘 보존)
+// 실시간 처리에서는 윈도우 중심이 현재보다 (N-1)/2 샘플 과거이므로 그만큼 지연됨
+
+class SavitzkyGolayFilter extends FIRFilter {
+    /**
+     * @param {number} windowSize - 윈도우 크기 (짝수면 홀수로 올림)
+     * @param {number} polyOrder - 다항식 차수 (윈도우 크기보다 작게 제한)
+     * @param {number} sampleRate - 샘플링 레이트 (Hz)
+     */
+    constructor(windowSize = 11, polyOrder = 2, sampleRate = 100) {
+        const size = SavitzkyGolayFilter.oddSize(windowSize);
+        super({ method: 'custom', customCoefficients: SavitzkyGolayFilter.coefficients(size, polyOrder) }, sampleRate);
+        this.windowSize = size;
+        this.polyOrder = polyOrder;
+    }
+
+    /**
+     * 윈도우 크기를 홀수로 올림
+     */
+    static oddSize(windowSize) {
+        const size = Math.max(1, Math.round(windowSize));
+        return size % 2 === 1 ? size : size + 1;
+    }
+
+    /**
+     * 평활 계수 계산
+     * 위치 t = j/M (j = -M..M)에서 A[j][k] = t^k인 최소제곱 문제의 중심값 계수
+     * c_j = Σ_k v_k t_j^k, (AᵀA) v = e0  (t로 정규화해 고차에서도 조건수를 작게 유지)
+     * @param {number} windowSize - 홀수 윈도우 크기 N = 2M + 1
+     * @param {number} polyOrder - 다항식 차수 (N - 1 이하로 제한)
+     * @returns {Array} 계수 배열 (대칭이므로 FIR 계수 순서와 같음)
+     */
+    static coefficients(windowSize, polyOrder) {
+        const half = (windowSize - 1) / 2;
+        if (half === 0) return [1];
+
+        const order = Math.min(Math.max(0, Math.round(polyOrder)), windowSize - 1);
+        const positions = Array.from({ length: windowSize }, (_, i) => (i - half) / half);
+
+        // 정규 방정식 AᵀA (크기 order+1)와 우변 e0
+        const size = order + 1;
+        const matrix = Array.from({ length: size }, (_, row) => {
+            const line = new Array(size + 1).fill(0);
+            for (let column = 0; column < size; column++) {
+                line[column] = positions.reduce((sum, t) => sum + Math.pow(t, row + column), 0);
+            }
+            line[size] = row === 0 ? 1 : 0;
+            return line;
+        });
+
+        // 부분 피벗 가우스 소거
+        for (let column = 0; column < size; column++) {
+            let pivot = column;
+            for (let row = column + 1; row < size; row++) {
+                if (Math.abs(matrix[row][column]) > Math.abs(matrix[pivot][column])) pivot = row;
+            }
+            [matrix[column], matrix[pivot]] = [matrix[pivot], matrix[column]];
+
+            for (let row = column + 1; row < size; row++) {
+                const factor = matrix[row][column] / matrix[column][column];
+                for (let k = column; k <= size; k++) {
+                    matrix[row][k] -= factor * matrix[column][k];
+                }
+            }
+        }
+
+        const solution = new Array(size).fill(0);
+        for (let row = size - 1; row >= 0; row--) {
+            let value = matrix[row][size];
+            for (let k = row + 1; k < size; k++) {
+                value -= matrix[row][k] * solution[k];
+            }
+            solution[row] = value / matrix[row][row];
+        }
+
+        return positions.map(t => solution.reduce((sum, v, k) => sum + v * Math.pow(t, k), 0));
+    }
+
+    /**
+     * 계수 다시 계산
+     */
+    updateSmoothingCoefficients() {
+        this.setCustomCoefficients(SavitzkyGolayFilter.coefficients(this.windowSize, this.polyOrder));
+    }
+
+    /**
+     * 윈도우 크기 변경 (짝수면 홀수로 올림)
+     * @param {number} newWindowSize - 새로운 윈도우 크기
+     */
+    setWindowSize(newWindowSize) {
+        if (newWindowSize < 1) {
+            throw new Error('윈도우 크기는 1 이상이어야 합니다.');
+        }
+        this.windowSize = SavitzkyGolayFilter.oddSize(newWindowSize);
+        this.updateSmoothingCoefficients();
+    }
+
+    /**
+     * 현재 윈도우 크기 반환
+     * @returns {number} 현재 윈도우 크기
+     */
+    getWindowSize() {
+        return this.windowSize;
+    }
+
+    /**
+     * 다항식 차수 설정 (0, 1차는 단순 이동평균과 같음)
+     */
+    setPolyOrder(polyOrder) {
+        if (polyOrder < 0) {
+            throw new Error('다항식 차수는 0 이상이어야 합니다.');
+        }
+        this.polyOrder = Math.round(polyOrder);
+        this.updateSmoothingCoefficients();
+    }
+
+    /**
+     * 필터의 지연시간 반환 (샘플 단위)
+     * 대칭 계수(선형 위상)이므로 윈도우 중심까지의 (N-1)/2 샘플
+     * @returns {number} 지연 샘플 수
+     */
+    getGroupDelay() {
+        return (this.windowSize - 1) / 2;
+    }
+
+    /**
+     * 현재 필터 설정 정보 반환
+     */
+    getInfo() {
+        return {
+            type: 'Savitzky-Golay',
+            windowSize: this.windowSize,
+            polyOrder: Math.min(this.polyOrder, this.windowSize - 1),
+            groupDelay: this.getGroupDelay(),
+            sampleRate: this.sampleRate
+        };
+    }
+}
+
+// 브라우저 환경에서 사용 가능하게 만들기
+if (typeof window !== 'undefined') {
+    window.SavitzkyGolayFilter = SavitzkyGolayFilter;
+}
+
+// 모듈로 내보내기 (Node.js 환경에서 사용시)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SavitzkyGolayFilter;
+}
\ No newline at end of file
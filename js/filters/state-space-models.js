@@ -0,0 +1,113 @@
+// state-space-models.js - 확장/무향 칼만 필터에서 고르는 상태 전이 f(x)와 측정 h(x) 모델 모음
+// 모든 모델은 파라미터 객체 {frequency, damping, sensorDistance, saturationLimit}를 받아 계산
+// 측정 모델은 상태의 첫 성분(위치 또는 각도)만 사용
+
+class StateSpaceModels {
+    /**
+     * 상태 전이 모델
+     * states: 상태 수, f(x, dt, params): 다음 상태, jacobian(x, dt, params): ∂f/∂x
+     */
+    static get TRANSITIONS() {
+        return {
+            'random-walk': {
+                label: '랜덤 워크 (위치, 1상태)',
+                states: 1,
+                f: x => [x[0]],
+                jacobian: () => [[1]]
+            },
+            'constant-velocity': {
+                label: '등속도 (위치·속도, 2상태)',
+                states: 2,
+                f: (x, dt) => [x[0] + x[1] * dt, x[1]],
+                jacobian: (x, dt) => [[1, dt], [0, 1]]
+            },
+            pendulum: {
+                label: '진자 (각도·각속도, θ̈ = -ω₀² sin θ - 2ζω₀θ̇)',
+                states: 2,
+                f: (x, dt, params) => StateSpaceModels.pendulumStep(x, dt, params),
+                jacobian: (x, dt, params) => {
+                    // 반암시적 오일러: ω' = ω + a(θ, ω) dt, θ' = θ + ω' dt
+                    const omega0 = 2 * Math.PI * params.frequency;
+                    const dOmegaDTheta = -omega0 * omega0 * Math.cos(x[0]) * dt;
+                    const dOmegaDOmega = 1 - 2 * params.damping * omega0 * dt;
+                    return [
+                        [1 + dOmegaDTheta * dt, dOmegaDOmega * dt],
+                        [dOmegaDTheta, dOmegaDOmega]
+                    ];
+                }
+            }
+        };
+    }
+
+    /**
+     * 측정 모델
+     * h(x, params): 예측 측정값, jacobian(x, params): ∂h/∂x (행 벡터), inverse(z, params): 측정값에서 첫 상태 추정 (초기화용)
+     */
+    static get MEASUREMENTS() {
+        return {
+            position: {
+                label: '위치 (z = x, 선형)',
+                h: x => x[0],
+                jacobian: x => x.map((_, i) => (i === 0 ? 1 : 0)),
+                inverse: z => z
+            },
+            range: {
+                label: '거리 (z = √(x² + d²), 궤적에서 d 떨어진 센서)',
+                h: (x, params) => Math.hypot(x[0], params.sensorDistance),
+                jacobian: (x, params) => x.map((_, i) => (i === 0 ? x[0] / Math.hypot(x[0], params.sensorDistance) : 0)),
+                inverse: (z, params) => Math.sqrt(Math.max(z * z - params.sensorDistance ** 2, 0))
+            },
+            bearing: {
+                label: '각도 (z = atan(x / d), 라디안)',
+                h: (x, params) => Math.atan(x[0] / params.sensorDistance),
+                jacobian: (x, params) => x.map((_, i) => (i === 0 ? params.sensorDistance / (params.sensorDistance ** 2 + x[0] * x[0]) : 0)),
+                inverse: (z, params) => params.sensorDistance * Math.tan(Math.max(-1.5, Math.min(1.5, z)))
+            },
+            saturation: {
+                label: '포화 센서 (z = L tanh(x / L))',
+                h: (x, params) => params.saturationLimit * Math.tanh(x[0] / params.saturationLimit),
+                jacobian: (x, params) => x.map((_, i) => (i === 0 ? 1 - Math.tanh(x[0] / params.saturationLimit) ** 2 : 0)),
+                inverse: (z, params) => {
+                    const ratio = Math.max(-0.999, Math.min(0.999, z / params.saturationLimit));
+                    return params.saturationLimit * Math.atanh(ratio);
+                }
+            }
+        };
+    }
+
+    /**
+     * 선택 상자용 모델 이름 목록
+     * @param {Object} models - TRANSITIONS 또는 MEASUREMENTS
+     * @returns {Object} 모델 이름 → 표시 이름
+     */
+    static labels(models) {
+        const result = {};
+        Object.keys(models).forEach(name => {
+            result[name] = models[name].label;
+        });
+        return result;
+    }
+
+    /**
+     * 감쇠 진자 한 스텝 (반암시적 오일러라 감쇠가 없으면 진폭이 수치적으로 줄거나 늘지 않음)
+     * @param {Array} x - [각도, 각속도]
+     * @param {number} dt - 시간 간격 (초)
+     * @param {Object} params - {frequency: 고유 주파수 (Hz), damping: 감쇠비 ζ}
+     */
+    static pendulumStep(x, dt, params) {
+        const omega0 = 2 * Math.PI * params.frequency;
+        const acceleration = -omega0 * omega0 * Math.sin(x[0]) - 2 * params.damping * omega0 * x[1];
+        const velocity = x[1] + acceleration * dt;
+        return [x[0] + velocity * dt, velocity];
+    }
+}
+
+// 브라우저 환경에서 사용 가능하게 만들기
+if (typeof window !== 'undefined') {
+    window.StateSpaceModels = StateSpaceModels;
+}
+
+// 모듈로 내보내기 (Node.js 환경에서 사용시)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StateSpaceModels;
+}
\ No newline at end of file
@@ -0,0 +1,135 @@
+// unscented-kalman-filter.js - 무향 칼만 필터(UKF) 구현
+// 평균 주위의 2n+1개 시그마 포인트를 비선형 f(x), h(x)에 그대로 통과시켜 평균과 공분산을 다시 계산 (야코비안 불필요)
+
+class UnscentedKalmanFilter extends NonlinearKalmanFilter {
+    /**
+     * @param {Object} options - NonlinearKalmanFilter 옵션 + {alpha, beta, kappa}
+     * @param {number} sampleRate - 샘플링 레이트 (Hz)
+     */
+    constructor(options = {}, sampleRate = 100) {
+        super(options, sampleRate);
+
+        // 시그마 포인트 퍼짐 α, 분포 사전정보 β (가우시안이면 2), 보조 스케일 κ
+        this.alpha = options.alpha || 1;
+        this.beta = options.beta !== undefined ? options.beta : 2;
+        this.kappa = options.kappa || 0;
+        this.updateWeights();
+    }
+
+    /**
+     * 상태 수와 α, β, κ로 시그마 포인트 가중치 계산
+     * λ = α²(n + κ) - n, Wm0 = λ / (n + λ), Wc0 = Wm0 + 1 - α² + β, 나머지 1 / (2(n + λ))
+     */
+    updateWeights() {
+        const n = this.transitionModel.states;
+        const lambda = this.alpha * this.alpha * (n + this.kappa) - n;
+        const rest = 1 / (2 * (n + lambda));
+
+        this.spread = Math.sqrt(n + lambda);
+        this.meanWeights = [lambda / (n + lambda), ...new Array(2 * n).fill(rest)];
+        this.covarianceWeights = [lambda / (n + lambda) + 1 - this.alpha * this.alpha + this.beta, ...new Array(2 * n).fill(rest)];
+    }
+
+    /**
+     * 시그마 포인트 생성: x, x ± √(n + λ) L의 각 열 (P = L Lᵀ)
+     * @returns {Array} 2n+1개 상태 벡터
+     */
+    sigmaPoints() {
+        const L = Matrix.cholesky(this.P);
+        const points = [this.state.slice()];
+        const n = this.state.length;
+
+        for (let j = 0; j < n; j++) {
+            points.push(this.state.map((value, i) => value + this.spread * L[i][j]));
+        }
+        for (let j = 0; j < n; j++) {
+            points.push(this.state.map((value, i) => value - this.spread * L[i][j]));
+        }
+        return points;
+    }
+
+    /**
+     * 예측 단계
+     * 시그마 포인트를 f로 전파한 가중 평균과 가중 공분산 + Q
+     */
+    predict() {
+        const propagated = this.sigmaPoints().map(point => this.transitionFunction(point));
+        const n = this.state.length;
+
+        const mean = new Array(n).fill(0);
+        propagated.forEach((point, k) => {
+            point.forEach((value, i) => {
+                mean[i] += this.meanWeights[k] * value;
+            });
+        });
+
+        let P = this.Q;
+        propagated.forEach((point, k) => {
+            const deviation = point.map((value, i) => value - mean[i]);
+            P = Matrix.add(P, Matrix.scale(Matrix.outer(deviation, deviation), this.covarianceWeights[k]));
+        });
+
+        this.state = mean;
+        this.P = Matrix.symmetrize(P);
+    }
+
+    /**
+     * 업데이트 단계
+     * 예측 분포에서 다시 뽑은 시그마 포인트를 h로 통과시켜 ẑ, S = Pzz + R, Pxz를 구하고 K = Pxz / S
+     */
+    update(measurement) {
+        const points = this.sigmaPoints();
+        const predicted = points.map(point => this.measurementFunction(point));
+        const zHat = predicted.reduce((sum, value, k) => sum + this.meanWeights[k] * value, 0);
+
+        let S = this.measurementNoise;
+        const crossCovariance = new Array(this.state.length).fill(0);
+        points.forEach((point, k) => {
+            const dz = predicted[k] - zHat;
+            S += this.covarianceWeights[k] * dz * dz;
+            point.forEach((value, i) => {
+                crossCovariance[i] += this.covarianceWeights[k] * (value - this.state[i]) * dz;
+            });
+        });
+
+        if (Math.abs(S) < 1e-10) return; // 분모가 0에 가까우면 업데이트 스킵
+
+        this.applyCorrection(measurement - zHat, S, crossCovariance.map(value => value / S));
+    }
+
+    /**
+     * 상태 전이 모델 설정 (상태 수가 바뀌면 가중치도 다시 계산, 생성 중에는 생성자가 계산)
+     */
+    setTransition(transition) {
+        super.setTransition(transition);
+        if (this.alpha !== undefined) this.updateWeights();
+    }
+
+    /**
+     * 시그마 포인트 퍼짐 α 설정 (0 < α ≤ 1, 작을수록 평균 가까이 모임)
+     */
+    setAlpha(alpha) {
+        if (alpha <= 0 || alpha > 1) {
+            throw new Error('α는 0보다 크고 1 이하여야 합니다.');
+        }
+        this.alpha = alpha;
+        this.updateWeights();
+    }
+
+    /**
+     * 현재 필터 정보 반환
+     */
+    getInfo() {
+        return { ...super.getInfo('Unscented Kalman Filter'), alpha: this.alpha, beta: this.beta, kappa: this.kappa };
+    }
+}
+
+// 브라우저 환경에서 사용 가능하게 만들기
+if (typeof window !== 'undefined') {
+    window.UnscentedKalmanFilter = UnscentedKalmanFilter;
+}
+
+// 모듈로 내보내기 (Node.js 환경에서 사용시)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UnscentedKalmanFilter;
+}
\ No newline at end of file
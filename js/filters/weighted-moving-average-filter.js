@@ -0,0 +1,69 @@
+// weighted-moving-average-filter.js - 선형 가중 이동평균(WMA) 필터 구현
+// 최근 샘플부터 가중치 N, N-1, ..., 1을 주는 FIR 필터 (단순 이동평균보다 지연이 작음)
+
+class WeightedMovingAverageFilter extends FIRFilter {
+    constructor(windowSize = 10, sampleRate = 100) {
+        super({ method: 'custom', customCoefficients: WeightedMovingAverageFilter.weights(windowSize) }, sampleRate);
+        this.windowSize = windowSize;
+    }
+
+    /**
+     * 정규화된 선형 가중치 (h[0]이 가장 최근 샘플)
+     * h[k] = (N - k) / (N(N+1)/2), k = 0..N-1
+     */
+    static weights(windowSize) {
+        const total = windowSize * (windowSize + 1) / 2;
+        return Array.from({ length: windowSize }, (_, k) => (windowSize - k) / total);
+    }
+
+    /**
+     * 윈도우 크기 변경
+     * @param {number} newWindowSize - 새로운 윈도우 크기
+     */
+    setWindowSize(newWindowSize) {
+        if (newWindowSize < 1) {
+            throw new Error('윈도우 크기는 1 이상이어야 합니다.');
+        }
+        this.windowSize = Math.round(newWindowSize);
+        this.setCustomCoefficients(WeightedMovingAverageFilter.weights(this.windowSize));
+    }
+
+    /**
+     * 현재 윈도우 크기 반환
+     * @returns {number} 현재 윈도우 크기
+     */
+    getWindowSize() {
+        return this.windowSize;
+    }
+
+    /**
+     * 필터의 지연시간 반환 (샘플 단위)
+     * 계수가 대칭이 아니므로 저주파 그룹 지연(계수의 무게중심 Σ k h[k])인 (N-1)/3 샘플
+     * @returns {number} 지연 샘플 수
+     */
+    getGroupDelay() {
+        return (this.windowSize - 1) / 3;
+    }
+
+    /**
+     * 현재 필터 설정 정보 반환
+     */
+    getInfo() {
+        return {
+            type: 'Weighted Moving Average',
+            windowSize: this.windowSize,
+            groupDelay: this.getGroupDelay(),
+            sampleRate: this.sampleRate
+        };
+    }
+}
+
+// 브라우저 환경에서 사용 가능하게 만들기
+if (typeof window !== 'undefined') {
+    window.WeightedMovingAverageFilter = WeightedMovingAverageFilter;
+}
+
+// 모듈로 내보내기 (Node.js 환경에서 사용시)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WeightedMovingAverageFilter;
+}
\ No newline at end of file
@@ -1,34 +1,345 @@
 // main-app.js - 메인 애플리케이션 로직
 
+// 슬라이더 범위의 기준 샘플링 레이트 (Hz)
+const REFERENCE_SAMPLE_RATE = 100;
+
+// 이동평균 탭에서 고를 수 있는 평활 필터 종류
+const MOVING_AVERAGE_VARIANTS = {
+    simple: '단순 이동평균',
+    ema: '지수 가중 이동평균 (EMA)',
+    wma: '선형 가중 이동평균 (WMA)',
+    holt: '이중 지수 평활 (홀트)',
+    'holt-winters': '삼중 지수 평활 (홀트-윈터스)',
+    savgol: '사비츠키-골레이'
+};
+
+// 이동평균 종류가 주어진 것 중 하나일 때만 표시하는 조건 (종류가 없는 예전 설정은 단순 이동평균)
+const isMovingAverageVariant = (...variants) => params => variants.includes(params.maVariant || 'simple');
+
+// 칼만 운동 모델이 주어진 것 중 하나일 때만 표시하는 조건 (모델이 없는 예전 설정은 등속도)
+const isKalmanModel = (...models) => params => models.includes(params.kalmanModel || 'constant-velocity');
+
+// 비선형 칼만 필터의 모델이 주어진 것 중 하나일 때만 표시하는 조건
+const isNonlinearTransition = (...models) => params => models.includes(params.nkTransition || 'constant-velocity');
+const isNonlinearMeasurement = (...models) => params => models.includes(params.nkMeasurement || 'position');
+
+// 적응 필터 알고리즘이 주어진 것 중 하나일 때만 표시하는 조건
+const isAdaptiveAlgorithm = (...algorithms) => params => algorithms.includes(params.adaptiveAlgorithm || 'nlms');
+
+// 확장/무향 칼만 필터가 함께 쓰는 파라미터 (모델 라이브러리와 모델별 파라미터)
+const NONLINEAR_KALMAN_PARAMETERS = [
+    { key: 'nkTransition', id: 'nk-transition', label: '상태 전이 모델', options: StateSpaceModels.labels(StateSpaceModels.TRANSITIONS), rebuild: true },
+    { key: 'nkMeasurement', id: 'nk-measurement', label: '측정 모델', options: StateSpaceModels.labels(StateSpaceModels.MEASUREMENTS), setter: 'setMeasurementModel' },
+    { key: 'nkOutput', id: 'nk-output', label: '출력', options: NonlinearKalmanFilter.OUTPUTS, setter: 'setOutput' },
+    { key: 'nkProcessNoise', id: 'nk-process-noise', valueId: 'nk-process-value', label: '프로세스 노이즈', min: 1, max: 20000, step: 1, digits: 0, setter: 'setProcessNoise' },
+    { key: 'nkMeasurementNoise', id: 'nk-measurement-noise', valueId: 'nk-measurement-value', label: '측정 노이즈 (분산)', min: 0.001, max: 1, step: 0.001, digits: 3, setter: 'setMeasurementNoise' },
+    { key: 'nkFrequency', id: 'nk-frequency', valueId: 'nk-frequency-value', label: '진자 고유 주파수 (Hz)', min: 0.1, max: 25, step: 0.1, digits: 1, setter: 'setFrequency', scaleWithSampleRate: true, visibleWhen: isNonlinearTransition('pendulum') },
+    { key: 'nkDamping', id: 'nk-damping', valueId: 'nk-damping-value', label: '진자 감쇠비 ζ', min: 0, max: 1, step: 0.01, digits: 2, setter: 'setDamping', visibleWhen: isNonlinearTransition('pendulum') },
+    { key: 'nkSensorDistance', id: 'nk-sensor-distance', valueId: 'nk-sensor-distance-value', label: '센서 거리 d', min: 0.1, max: 10, step: 0.1, digits: 1, setter: 'setSensorDistance', visibleWhen: isNonlinearMeasurement('range', 'bearing') },
+    { key: 'nkSaturationLimit', id: 'nk-saturation-limit', valueId: 'nk-saturation-limit-value', label: '포화 한계 L', min: 0.1, max: 5, step: 0.1, digits: 1, setter: 'setSaturationLimit', visibleWhen: isNonlinearMeasurement('saturation') }
+];
+
+// 필터별 조정 가능한 파라미터 (슬라이더 범위와 적용할 setter)
+// scaleWithSampleRate: 주파수 파라미터는 범위를 샘플링 레이트에 비례해 조정
+// options: 값 → 표시 이름 객체가 있으면 슬라이더 대신 선택 상자로 표시
+// text: 슬라이더 대신 여러 줄 입력 (값은 문자열 그대로 setter에 전달)
+// parse: text 입력 해석 함수 ({errors}를 반환하면 입력 아래에 무시한 항목 표시)
+// rebuild: setter 대신 필터를 새로 만듦 (필터 클래스 자체가 바뀌는 선택)
+// visibleWhen: 현재 파라미터 값을 받아 이 컨트롤을 표시할지 결정 (없으면 항상 표시)
+const FILTER_PARAMETERS = {
+    'moving-average': [
+        { key: 'maVariant', id: 'ma-variant', label: '종류', options: MOVING_AVERAGE_VARIANTS, rebuild: true },
+        { key: 'windowSize', id: 'window-size', valueId: 'window-value', label: '윈도우 크기 (사비츠키-골레이는 홀수로 올림)', min: 3, max: 50, step: 1, digits: 0, setter: 'setWindowSize', visibleWhen: isMovingAverageVariant('simple', 'wma', 'savgol') },
+        { key: 'savgolOrder', id: 'savgol-order', valueId: 'savgol-order-value', label: '다항식 차수', min: 0, max: 6, step: 1, digits: 0, setter: 'setPolyOrder', visibleWhen: isMovingAverageVariant('savgol') },
+        { key: 'emaParameterization', id: 'ema-parameterization', label: '평활 계수 지정 방식', options: ExponentialMovingAverageFilter.PARAMETERIZATIONS, setter: 'setParameterization', visibleWhen: isMovingAverageVariant('ema') },
+        { key: 'emaSpan', id: 'ema-span', valueId: 'ema-span-value', label: '스팬 (샘플)', min: 1, max: 100, step: 1, digits: 0, setter: 'setSpan', visibleWhen: params => isMovingAverageVariant('ema')(params) && params.emaParameterization !== 'half-life' },
+        { key: 'emaHalfLife', id: 'ema-half-life', valueId: 'ema-half-life-value', label: '반감기 (샘플)', min: 0.5, max: 50, step: 0.5, digits: 1, setter: 'setHalfLife', visibleWhen: params => isMovingAverageVariant('ema')(params) && params.emaParameterization === 'half-life' },
+        { key: 'holtAlpha', id: 'holt-alpha', valueId: 'holt-alpha-value', label: '수준 평활 α', min: 0.01, max: 1, step: 0.01, digits: 2, setter: 'setAlpha', visibleWhen: isMovingAverageVariant('holt', 'holt-winters') },
+        { key: 'holtBeta', id: 'holt-beta', valueId: 'holt-beta-value', label: '추세 평활 β', min: 0, max: 1, step: 0.01, digits: 2, setter: 'setBeta', visibleWhen: isMovingAverageVariant('holt', 'holt-winters') },
+        { key: 'holtGamma', id: 'holt-gamma', valueId: 'holt-gamma-value', label: '계절 평활 γ', min: 0, max: 1, step: 0.01, digits: 2, setter: 'setGamma', visibleWhen: isMovingAverageVariant('holt-winters') },
+        { key: 'seasonLength', id: 'season-length', valueId: 'season-length-value', label: '계절 주기 (샘플)', min: 2, max: 200, step: 1, digits: 0, setter: 'setSeasonLength', visibleWhen: isMovingAverageVariant('holt-winters') }
+    ],
+    lowpass: [
+        { key: 'cutoffFrequency', id: 'cutoff-frequency', valueId: 'cutoff-value', label: '컷오프 주파수 (Hz)', min: 1, max: 25, step: 0.5, digits: 1, setter: 'setCutoffFrequency', scaleWithSampleRate: true }
+    ],
+    highpass: [
+        { key: 'cutoffFrequency', id: 'cutoff-frequency', valueId: 'cutoff-value', label: '컷오프 주파수 (Hz)', min: 0.5, max: 10, step: 0.1, digits: 1, setter: 'setCutoffFrequency', scaleWithSampleRate: true }
+    ],
+    kalman: [
+        { key: 'kalmanModel', id: 'kalman-model', label: '운동 모델', options: KalmanFilter.MODELS, rebuild: true },
+        { key: 'processNoise', id: 'process-noise', valueId: 'process-value', label: '프로세스 노이즈', min: 0.001, max: 0.1, step: 0.001, digits: 3, setter: 'setProcessNoise' },
+        { key: 'measurementNoise', id: 'measurement-noise', valueId: 'measurement-value', label: '측정 노이즈', min: 0.01, max: 1.0, step: 0.01, digits: 2, setter: 'setMeasurementNoise' },
+        { key: 'kalmanInitialization', id: 'kalman-initialization', label: '초기 상태', options: KalmanFilter.INITIALIZATIONS, setter: 'setInitialization' },
+        { key: 'kalmanInitialPosition', id: 'kalman-initial-position', valueId: 'kalman-initial-position-value', label: '초기 위치', min: -5, max: 5, step: 0.1, digits: 1, setter: 'setInitialPosition', visibleWhen: params => params.kalmanInitialization === 'manual' },
+        { key: 'kalmanInitialVelocity', id: 'kalman-initial-velocity', valueId: 'kalman-initial-velocity-value', label: '초기 속도 (단위/초)', min: -50, max: 50, step: 0.5, digits: 1, setter: 'setInitialVelocity', visibleWhen: isKalmanModel('constant-velocity', 'constant-acceleration') },
+        { key: 'kalmanInitialAcceleration', id: 'kalman-initial-acceleration', valueId: 'kalman-initial-acceleration-value', label: '초기 가속도 (단위/초²)', min: -500, max: 500, step: 5, digits: 0, setter: 'setInitialAcceleration', visibleWhen: isKalmanModel('constant-acceleration') },
+        { key: 'kalmanPositionVariance', id: 'kalman-position-variance', valueId: 'kalman-position-variance-value', label: '초기 위치 분산 (P₀)', min: 0.01, max: 10, step: 0.01, digits: 2, setter: 'setInitialPositionVariance' },
+        { key: 'kalmanVelocityVariance', id: 'kalman-velocity-variance', valueId: 'kalman-velocity-variance-value', label: '초기 속도 분산 (P₀)', min: 0.01, max: 100, step: 0.01, digits: 2, setter: 'setInitialVelocityVariance', visibleWhen: isKalmanModel('constant-velocity', 'constant-acceleration') },
+        { key: 'kalmanAccelerationVariance', id: 'kalman-acceleration-variance', valueId: 'kalman-acceleration-variance-value', label: '초기 가속도 분산 (P₀)', min: 0.1, max: 1000, step: 0.1, digits: 1, setter: 'setInitialAccelerationVariance', visibleWhen: isKalmanModel('constant-acceleration') }
+    ],
+    ekf: NONLINEAR_KALMAN_PARAMETERS,
+    ukf: [
+        ...NONLINEAR_KALMAN_PARAMETERS,
+        { key: 'ukfAlpha', id: 'ukf-alpha', valueId: 'ukf-alpha-value', label: '시그마 포인트 퍼짐 α', min: 0.05, max: 1, step: 0.05, digits: 2, setter: 'setAlpha' }
+    ],
+    notch: [
+        { key: 'notchMode', id: 'notch-mode', label: '동작 방식', options: NotchFilter.MODES, setter: 'setMode' },
+        { key: 'notchFrequency', id: 'notch-frequency', valueId: 'notch-frequency-value', label: '중심 주파수 (Hz)', min: 0.5, max: 49, step: 0.5, digits: 1, setter: 'setCenterFrequency', scaleWithSampleRate: true },
+        { key: 'notchQ', id: 'notch-q', valueId: 'notch-q-value', label: 'Q (클수록 좁은 대역)', min: 0.5, max: 50, step: 0.5, digits: 1, setter: 'setQ' }
+    ],
+    nonlinear: [
+        { key: 'nonlinearMode', id: 'nonlinear-mode', label: '동작 방식', options: NonlinearFilter.MODES, setter: 'setMode' },
+        { key: 'nonlinearWindow', id: 'nonlinear-window', valueId: 'nonlinear-window-value', label: '윈도우 크기', min: 3, max: 50, step: 1, digits: 0, setter: 'setWindowSize' },
+        { key: 'hampelThreshold', id: 'hampel-threshold', valueId: 'hampel-threshold-value', label: '햄펠 임계값 (MAD 배수)', min: 1, max: 6, step: 0.5, digits: 1, setter: 'setHampelThreshold' },
+        { key: 'trimRatio', id: 'trim-ratio', valueId: 'trim-ratio-value', label: '절사 비율 (양쪽, 절사 평균)', min: 0, max: 0.45, step: 0.05, digits: 2, setter: 'setTrimRatio' }
+    ],
+    iir: [
+        { key: 'iirDesign', id: 'iir-design', label: '설계 방식', options: IIRDesign.DESIGNS, setter: 'setDesign' },
+        { key: 'iirBandType', id: 'iir-band-type', label: '대역 종류', options: IIRDesign.BAND_TYPES, setter: 'setBandType' },
+        { key: 'iirOrder', id: 'iir-order', valueId: 'iir-order-value', label: '차수 (대역 통과/저지는 2배)', min: 1, max: 10, step: 1, digits: 0, setter: 'setOrder' },
+        { key: 'iirCutoff', id: 'iir-cutoff', valueId: 'iir-cutoff-value', label: '컷오프 / 아래쪽 경계 (Hz)', min: 0.5, max: 45, step: 0.5, digits: 1, setter: 'setCutoffFrequency', scaleWithSampleRate: true },
+        { key: 'iirCutoffHigh', id: 'iir-cutoff-high', valueId: 'iir-cutoff-high-value', label: '위쪽 경계 (Hz, 대역 통과/저지)', min: 1, max: 49, step: 0.5, digits: 1, setter: 'setCutoffHigh', scaleWithSampleRate: true },
+        { key: 'iirRipple', id: 'iir-ripple', valueId: 'iir-ripple-value', label: '통과대역 리플 (dB, 체비셰프 I/타원)', min: 0.1, max: 3, step: 0.1, digits: 1, setter: 'setRipple' },
+        { key: 'iirAttenuation', id: 'iir-attenuation', valueId: 'iir-attenuation-value', label: '저지대역 감쇠 (dB, 체비셰프 II/타원)', min: 20, max: 80, step: 1, digits: 0, setter: 'setAttenuation' }
+    ],
+    fir: [
+        { key: 'firMethod', id: 'fir-method', label: '설계 방식', options: FIRDesign.METHODS, setter: 'setMethod' },
+        { key: 'firBandType', id: 'fir-band-type', label: '대역 종류', options: FIRDesign.BAND_TYPES, setter: 'setBandType' },
+        { key: 'firTaps', id: 'fir-taps', valueId: 'fir-taps-value', label: '탭 수 (고역 통과/대역 저지, 등리플은 홀수로 올림)', min: 3, max: 201, step: 1, digits: 0, setter: 'setNumTaps' },
+        { key: 'firCutoff', id: 'fir-cutoff', valueId: 'fir-cutoff-value', label: '컷오프 / 아래쪽 경계 (Hz)', min: 0.5, max: 45, step: 0.5, digits: 1, setter: 'setCutoffFrequency', scaleWithSampleRate: true },
+        { key: 'firCutoffHigh', id: 'fir-cutoff-high', valueId: 'fir-cutoff-high-value', label: '위쪽 경계 (Hz, 대역 통과/저지)', min: 1, max: 49, step: 0.5, digits: 1, setter: 'setCutoffHigh', scaleWithSampleRate: true },
+        { key: 'firKaiserBeta', id: 'fir-kaiser-beta', valueId: 'fir-kaiser-beta-value', label: '카이저 β', min: 0, max: 14, step: 0.1, digits: 1, setter: 'setKaiserBeta' },
+        { key: 'firTransition', id: 'fir-transition', valueId: 'fir-transition-value', label: '전이 대역폭 (Hz, 파크스-매클렐런)', min: 0.5, max: 20, step: 0.5, digits: 1, setter: 'setTransitionWidth', scaleWithSampleRate: true },
+        { key: 'firCoefficients', id: 'fir-coefficients', label: '사용자 계수 (쉼표/공백 구분, 설계 방식 "사용자 계수")', text: true, parse: FIRDesign.parseCoefficients, setter: 'setCustomCoefficients' }
+    ],
+    adaptive: [
+        { key: 'adaptiveAlgorithm', id: 'adaptive-algorithm', label: '적응 알고리즘', options: AdaptiveFilter.ALGORITHMS, rebuild: true },
+        { key: 'adaptiveTaps', id: 'adaptive-taps', valueId: 'adaptive-taps-value', label: '탭 수', min: 1, max: 64, step: 1, digits: 0, setter: 'setNumTaps' },
+        { key: 'lmsStepSize', id: 'lms-step-size', valueId: 'lms-step-size-value', label: '스텝 크기 μ (크면 빠르지만 발산 위험)', min: 0.0005, max: 0.1, step: 0.0005, digits: 4, setter: 'setStepSize', visibleWhen: isAdaptiveAlgorithm('lms') },
+        { key: 'nlmsStepSize', id: 'nlms-step-size', valueId: 'nlms-step-size-value', label: '정규화 스텝 크기 μ (0 < μ < 2)', min: 0.005, max: 1.5, step: 0.005, digits: 3, setter: 'setStepSize', visibleWhen: isAdaptiveAlgorithm('nlms') },
+        { key: 'rlsForgetting', id: 'rls-forgetting', valueId: 'rls-forgetting-value', label: '망각 인자 λ', min: 0.9, max: 1, step: 0.001, digits: 3, setter: 'setForgettingFactor', visibleWhen: isAdaptiveAlgorithm('rls') }
+    ]
+};
+
+// 신호 타입별 추가 파형 설정 (SignalGenerator.DEFAULT_WAVEFORM_OPTIONS의 키)
+const CHIRP_PARAMETERS = [
+    { key: 'chirpEndFrequency', id: 'chirp-end-frequency', valueId: 'chirp-end-value', label: '끝 주파수 (Hz)', min: 1, max: 50, step: 1, digits: 0 },
+    { key: 'chirpDuration', id: 'chirp-duration', valueId: 'chirp-duration-value', label: '스윕 시간 (초)', min: 1, max: 20, step: 0.5, digits: 1 }
+];
+const STEP_PARAMETERS = [
+    { key: 'stepTime', id: 'step-time', valueId: 'step-time-value', label: '입력 시점 (초)', min: 0, max: 5, step: 0.1, digits: 1 }
+];
+const WAVEFORM_PARAMETERS = {
+    'chirp-linear': CHIRP_PARAMETERS,
+    'chirp-log': CHIRP_PARAMETERS,
+    step: STEP_PARAMETERS,
+    impulse: STEP_PARAMETERS,
+    pwm: [
+        { key: 'dutyCycle', id: 'duty-cycle', valueId: 'duty-cycle-value', label: '듀티비', min: 0.05, max: 0.95, step: 0.05, digits: 2 }
+    ],
+    am: [
+        { key: 'modulationFrequency', id: 'modulation-frequency', valueId: 'modulation-frequency-value', label: '변조 주파수 (Hz)', min: 0.1, max: 10, step: 0.1, digits: 1 },
+        { key: 'modulationDepth', id: 'modulation-depth', valueId: 'modulation-depth-value', label: '변조 깊이', min: 0, max: 1, step: 0.05, digits: 2 }
+    ],
+    fm: [
+        { key: 'modulationFrequency', id: 'modulation-frequency', valueId: 'modulation-frequency-value', label: '변조 주파수 (Hz)', min: 0.1, max: 10, step: 0.1, digits: 1 },
+        { key: 'frequencyDeviation', id: 'frequency-deviation', valueId: 'frequency-deviation-value', label: '최대 주파수 편이 (Hz)', min: 0.5, max: 20, step: 0.5, digits: 1 }
+    ]
+};
+
+// 신호 타입별 주파수 슬라이더 의미 (없으면 주파수를 쓰지 않는 타입)
+const FREQUENCY_LABELS = {
+    sine: '주파수 (Hz)',
+    square: '주파수 (Hz)',
+    triangle: '주파수 (Hz)',
+    sawtooth: '주파수 (Hz)',
+    pwm: '주파수 (Hz)',
+    'chirp-linear': '시작 주파수 (Hz)',
+    'chirp-log': '시작 주파수 (Hz)',
+    am: '반송파 주파수 (Hz)',
+    fm: '반송파 주파수 (Hz)'
+};
+
+// 백색 노이즈 외에 섞을 수 있는 노이즈 종류 (SignalGenerator.DEFAULT_NOISE_MIX의 키)
+const NOISE_PARAMETERS = [
+    { key: 'pink', id: 'noise-pink', valueId: 'mix-pink-value', label: '핑크 노이즈 (1/f)', min: 0, max: 0.5, step: 0.01, digits: 2 },
+    { key: 'brown', id: 'noise-brown', valueId: 'mix-brown-value', label: '브라운 노이즈 (1/f²)', min: 0, max: 0.5, step: 0.01, digits: 2 },
+    { key: 'spike', id: 'noise-spike', valueId: 'mix-spike-value', label: '스파이크 크기 (초당 약 2회)', min: 0, max: 3, step: 0.1, digits: 1 },
+    { key: 'drift', id: 'noise-drift', valueId: 'mix-drift-value', label: '기저선 드리프트', min: 0, max: 1, step: 0.05, digits: 2 },
+    { key: 'hum', id: 'noise-hum', valueId: 'mix-hum-value', label: '전원 험 진폭', min: 0, max: 1, step: 0.05, digits: 2 },
+    { key: 'tone', id: 'noise-tone', valueId: 'mix-tone-value', label: '간섭 톤 진폭', min: 0, max: 1, step: 0.05, digits: 2 },
+    { key: 'toneFrequency', id: 'noise-tone-frequency', valueId: 'mix-tone-frequency-value', label: '간섭 톤 주파수 (Hz)', min: 0.5, max: 49.5, step: 0.5, digits: 1 },
+    { key: 'quantization', id: 'noise-quantization', valueId: 'mix-quantization-value', label: 'ADC 양자화 스텝', min: 0, max: 0.5, step: 0.01, digits: 2 },
+    { key: 'correlated', id: 'noise-correlated', valueId: 'mix-correlated-value', label: '상관 노이즈 (참조 채널 제공, 적응 필터용)', min: 0, max: 1, step: 0.05, digits: 2 }
+];
+
+// 필터 표시 이름
+const FILTER_NAMES = {
+    'moving-average': '이동평균 필터',
+    lowpass: '로우패스 필터',
+    highpass: '하이패스 필터',
+    kalman: '칼만 필터',
+    ekf: '확장 칼만 필터 (EKF)',
+    ukf: '무향 칼만 필터 (UKF)',
+    notch: '노치/피크 필터',
+    nonlinear: '비선형 필터',
+    iir: '고차 IIR 필터',
+    fir: 'FIR 필터',
+    adaptive: '적응 필터 (LMS/NLMS/RLS)',
+    chain: '필터 체인'
+};
+
+// 체인 중간 출력 시계열 색상
+const STAGE_COLORS = ['#FF9800', '#9C27B0', '#00BCD4', '#795548', '#E91E63'];
+
+// 비교 모드에서 필터별 시계열 색상
+const FILTER_COLORS = {
+    'moving-average': '#4CAF50',
+    lowpass: '#FF9800',
+    highpass: '#9C27B0',
+    kalman: '#E91E63',
+    ekf: '#AD1457',
+    ukf: '#6A1B9A',
+    notch: '#009688',
+    nonlinear: '#FF5722',
+    iir: '#3F51B5',
+    fir: '#795548',
+    adaptive: '#607D8B',
+    chain: '#00BCD4'
+};
+
+// 칼만 계열 필터 (신뢰 구간, 진단 그래프, 속도 추정을 제공)
+const KALMAN_FILTERS = ['kalman', 'ekf', 'ukf'];
+
+// 배치 처리에서 영위상(순방향 + 역방향) 결과를 구분하는 출력 이름 접미사
+const ZERO_PHASE_SUFFIX = '-zero-phase';
+
+// 배치 처리에서 RTS 스무딩(전체 샘플 사용) 결과를 구분하는 출력 이름 접미사
+const SMOOTHED_SUFFIX = '-rts-smoothed';
+
 class FilterVisualizerApp {
     constructor() {
         // 초기화
         this.isPlaying = false;
         this.animationId = null;
         this.currentFilter = 'moving-average';
-        
+
         // 컴포넌트 인스턴스
         this.signalGenerator = null;
+        this.importedSignal = null;    // 불러온 기록 데이터 (있으면 신호 생성기 대신 사용)
+        this.importResult = null;      // 마지막 파싱 결과 (열 목록, 오류, 경고)
+        this.importSource = null;      // 다시 파싱할 때 쓰는 {text, fileName, options}
+        this.batchResult = null;       // 마지막 배치 처리 정보 (샘플링 레이트, 길이, 처리 시간)
         this.originalVisualizer = null;
         this.filteredVisualizer = null;
+        this.spectrumAnalyzer = null;
+        this.spectrumVisualizer = null;
+        this.bodePlot = null;
+        this.batchView = null;
+        this.recorder = null;          // 내보내기용 전체 샘플 기록
         this.filter = null;
-        
+        this.comparisonFilters = {};   // 비교 모드에서 함께 실행하는 필터 (타입 → 인스턴스)
+
+        // 지표 계산용 최근 샘플 기록
+        this.history = this.createHistory();
+
         // 현재 설정값
         this.settings = {
             signalType: 'sine',
             frequency: 5,
             amplitude: 1,
             noiseLevel: 0.1,
-            windowSize: 10
+            noiseMix: SignalGenerator.DEFAULT_NOISE_MIX,
+            waveform: SignalGenerator.DEFAULT_WAVEFORM_OPTIONS,
+            seed: SeededRandom.randomSeed(),
+            maVariant: 'simple',
+            windowSize: 10,
+            savgolOrder: 2,
+            emaParameterization: 'span',
+            emaSpan: 10,
+            emaHalfLife: 5,
+            holtAlpha: 0.3,
+            holtBeta: 0.1,
+            holtGamma: 0.1,
+            seasonLength: 20,
+            cutoffFrequency: 5,
+            kalmanModel: 'constant-velocity',
+            processNoise: 0.01,
+            measurementNoise: 0.1,
+            kalmanInitialization: 'measurement',
+            kalmanInitialPosition: 0,
+            kalmanInitialVelocity: 0,
+            kalmanInitialAcceleration: 0,
+            kalmanPositionVariance: 1,
+            kalmanVelocityVariance: 1,
+            kalmanAccelerationVariance: 1,
+            nkTransition: 'pendulum',
+            nkMeasurement: 'position',
+            nkOutput: 'measurement',
+            nkProcessNoise: 10000,
+            nkMeasurementNoise: 0.01,
+            nkFrequency: 5,
+            nkDamping: 0,
+            nkSensorDistance: 1,
+            nkSaturationLimit: 1.5,
+            ukfAlpha: 1,
+            notchMode: 'notch',
+            notchFrequency: 10,
+            notchQ: 5,
+            nonlinearMode: 'median',
+            nonlinearWindow: 9,
+            hampelThreshold: 3,
+            trimRatio: 0.2,
+            iirDesign: 'butterworth',
+            iirBandType: 'lowpass',
+            iirOrder: 4,
+            iirCutoff: 5,
+            iirCutoffHigh: 15,
+            iirRipple: 1,
+            iirAttenuation: 40,
+            firMethod: 'hamming',
+            firBandType: 'lowpass',
+            firTaps: 31,
+            firCutoff: 5,
+            firCutoffHigh: 15,
+            firKaiserBeta: 5,
+            firTransition: 4,
+            firCoefficients: '0.25, 0.5, 0.25',
+            adaptiveAlgorithm: 'nlms',
+            adaptiveTaps: 8,
+            lmsStepSize: 0.005,
+            nlmsStepSize: 0.05,
+            rlsForgetting: 0.999,
+            speed: 1.0,
+            chainStages: [
+                { type: 'highpass', params: { cutoffFrequency: 0.5 } },
+                { type: 'lowpass', params: { cutoffFrequency: 10 } }
+            ],
+            showStageOutputs: true,
+            showCleanSignal: false,
+            showKalmanBand: true,
+            nisWindow: 50,
+            kalmanTuneMethod: 'mle',
+            comparisonEnabled: false,
+            comparisonFilters: ['moving-average', 'lowpass', 'kalman'],
+            spectrumWindow: 'hann',
+            fftSize: 256,
+            spectrumScale: 'db',
+            batchDuration: 10,
+            batchSampleRate: 1000,
+            zeroPhase: false,
+            rtsSmoother: false,
+            sweepParameter: null,
+            sweepMin: 0,
+            sweepMax: 1,
+            sweepSteps: 20,
+            sweepMetric: 'rmse',
+            transientDuration: 5
         };
-        
+
         // 통계 데이터
-        this.statistics = {
-            originalRMS: 0,
-            filteredRMS: 0,
-            noiseReduction: 0
-        };
-        
+        this.statistics = this.createStatistics();
+
         // 초기화 시작
         this.init();
     }
@@ -38,7 +349,7 @@ class FilterVisualizerApp {
      */
     init() {
         console.log('🎛️ 필터 시각화 도구 초기화 중...');
-        
+
         // DOM이 로드된 후 실행
         if (document.readyState === 'loading') {
             document.addEventListener('DOMContentLoaded', () => this.setup());
@@ -54,44 +365,287 @@ class FilterVisualizerApp {
         try {
             // 컴포넌트 인스턴스 생성
             this.createInstances();
-            
+
             // UI 이벤트 리스너 설정
             this.setupEventListeners();
-            
+
             // 초기 UI 상태 설정
             this.updateUI();
-            
+
             console.log('✅ 초기화 완료!');
         } catch (error) {
             console.error('❌ 초기화 실패:', error);
         }
     }
 
+    /**
+     * 현재 선택된 필터 인스턴스 생성
+     */
+    createFilter() {
+        this.filter = this.buildFilter(this.currentFilter);
+
+        // 속도 추정, 칼만 진단 그래프는 필터가 바뀔 때마다 새로 시작
+        if (this.velocityVisualizer) {
+            this.velocityVisualizer.clearData();
+        }
+        if (this.kalmanDiagnosticsPlot) {
+            this.kalmanDiagnosticsPlot.clearData();
+            this.updateKalmanDiagnosticsTable();
+        }
+        if (this.adaptiveFilterPlot) {
+            this.adaptiveFilterPlot.clearData();
+            this.updateAdaptiveFilterTable();
+        }
+    }
+
+    /**
+     * 현재 입력 소스 (불러온 데이터가 있으면 그것, 없으면 신호 생성기)
+     * @returns {Object} generateSample/step/getCurrentTime/reset을 가진 소스
+     */
+    getSignalSource() {
+        return this.importedSignal || this.signalGenerator;
+    }
+
+    /**
+     * 현재 입력 소스의 샘플링 레이트 (Hz)
+     */
+    getSampleRate() {
+        return this.getSignalSource().sampleRate;
+    }
+
+    /**
+     * 입력 소스에서 다음 샘플 가져오기
+     * @returns {Object} {value, clean, referenceNoise} - 불러온 데이터는 clean, referenceNoise가 null
+     */
+    nextSample() {
+        if (this.importedSignal) {
+            return this.importedSignal.generateSample();
+        }
+
+        return this.signalGenerator.generateSample(
+            this.settings.signalType,
+            this.settings.frequency,
+            this.settings.amplitude,
+            this.settings.noiseLevel,
+            this.settings.noiseMix,
+            this.settings.waveform
+        );
+    }
+
+    /**
+     * 필터 타입과 파라미터로 새 필터 인스턴스 생성
+     * @param {string} filterType - 필터 타입
+     * @param {Object} params - 필터 파라미터 (기본값: 현재 설정)
+     * @param {number} sampleRate - 샘플링 레이트 (기본값: 현재 입력 소스)
+     * @returns {Object} 필터 인스턴스
+     */
+    buildFilter(filterType, params = this.settings, sampleRate = this.getSampleRate()) {
+        switch (filterType) {
+            case 'moving-average':
+                return this.buildMovingAverageFilter(params, sampleRate);
+            case 'lowpass':
+                return new LowpassFilter(params.cutoffFrequency, sampleRate);
+            case 'highpass':
+                return new HighpassFilter(params.cutoffFrequency, sampleRate);
+            case 'kalman':
+                return new KalmanFilter(params.processNoise, params.measurementNoise, 1 / sampleRate, {
+                    model: params.kalmanModel,
+                    initialization: params.kalmanInitialization,
+                    initialState: [params.kalmanInitialPosition, params.kalmanInitialVelocity, params.kalmanInitialAcceleration],
+                    initialVariance: [params.kalmanPositionVariance, params.kalmanVelocityVariance, params.kalmanAccelerationVariance]
+                });
+            case 'ekf':
+                return new ExtendedKalmanFilter(this.getNonlinearKalmanOptions(params), sampleRate);
+            case 'ukf':
+                return new UnscentedKalmanFilter({ ...this.getNonlinearKalmanOptions(params), alpha: params.ukfAlpha }, sampleRate);
+            case 'notch':
+                return new NotchFilter(params.notchFrequency, params.notchQ, params.notchMode, sampleRate);
+            case 'nonlinear':
+                return new NonlinearFilter(params.nonlinearWindow, params.nonlinearMode, {
+                    hampelThreshold: params.hampelThreshold,
+                    trimRatio: params.trimRatio
+                });
+            case 'iir':
+                return new IIRFilter({
+                    design: params.iirDesign,
+                    bandType: params.iirBandType,
+                    order: params.iirOrder,
+                    cutoffFrequency: params.iirCutoff,
+                    cutoffHigh: params.iirCutoffHigh,
+                    ripple: params.iirRipple,
+                    attenuation: params.iirAttenuation
+                }, sampleRate);
+            case 'fir':
+                return new FIRFilter({
+                    method: params.firMethod,
+                    bandType: params.firBandType,
+                    numTaps: params.firTaps,
+                    cutoffFrequency: params.firCutoff,
+                    cutoffHigh: params.firCutoffHigh,
+                    kaiserBeta: params.firKaiserBeta,
+                    transitionWidth: params.firTransition,
+                    customCoefficients: params.firCoefficients
+                }, sampleRate);
+            case 'adaptive':
+                return new AdaptiveFilter(params.adaptiveAlgorithm, params.adaptiveTaps, {
+                    stepSize: params.adaptiveAlgorithm === 'lms' ? params.lmsStepSize : params.nlmsStepSize,
+                    forgettingFactor: params.rlsForgetting
+                });
+            case 'chain':
+                return new FilterChain(this.settings.chainStages.map(stage => this.buildFilter(stage.type, stage.params, sampleRate)));
+            default:
+                return new MovingAverageFilter(params.windowSize, sampleRate);
+        }
+    }
+
+    /**
+     * 확장/무향 칼만 필터 공통 옵션
+     * @param {Object} params - 파라미터 값
+     * @returns {Object} NonlinearKalmanFilter 옵션
+     */
+    getNonlinearKalmanOptions(params) {
+        return {
+            transition: params.nkTransition,
+            measurement: params.nkMeasurement,
+            output: params.nkOutput,
+            processNoise: params.nkProcessNoise,
+            measurementNoise: params.nkMeasurementNoise,
+            frequency: params.nkFrequency,
+            damping: params.nkDamping,
+            sensorDistance: params.nkSensorDistance,
+            saturationLimit: params.nkSaturationLimit
+        };
+    }
+
+    /**
+     * 이동평균 탭의 종류(maVariant)에 맞는 평활 필터 생성
+     * @param {Object} params - 파라미터 값
+     * @param {number} sampleRate - 샘플링 레이트 (Hz)
+     */
+    buildMovingAverageFilter(params, sampleRate) {
+        switch (params.maVariant) {
+            case 'ema':
+                return new ExponentialMovingAverageFilter({
+                    parameterization: params.emaParameterization,
+                    span: params.emaSpan,
+                    halfLife: params.emaHalfLife
+                }, sampleRate);
+            case 'wma':
+                return new WeightedMovingAverageFilter(params.windowSize, sampleRate);
+            case 'holt':
+            case 'holt-winters':
+                return new HoltWintersFilter({
+                    seasonal: params.maVariant === 'holt-winters',
+                    alpha: params.holtAlpha,
+                    beta: params.holtBeta,
+                    gamma: params.holtGamma,
+                    seasonLength: params.seasonLength
+                }, sampleRate);
+            case 'savgol':
+                return new SavitzkyGolayFilter(params.windowSize, params.savgolOrder, sampleRate);
+            default:
+                return new MovingAverageFilter(params.windowSize, sampleRate);
+        }
+    }
+
     /**
      * 컴포넌트 인스턴스 생성
      */
     createInstances() {
         // 신호 생성기
-        this.signalGenerator = new SignalGenerator();
-        
+        this.signalGenerator = new SignalGenerator(this.settings.seed);
+
         // 캔버스 시각화
         this.originalVisualizer = new CanvasVisualizer('original-canvas', {
             signalColor: '#2196F3',
             backgroundColor: '#fafafa'
         });
-        
+
         this.filteredVisualizer = new CanvasVisualizer('filtered-canvas', {
             signalColor: '#4CAF50',
+            signalLabel: '최종 출력',
+            backgroundColor: '#fafafa'
+        });
+
+        // 주파수 스펙트럼
+        this.spectrumAnalyzer = new SpectrumAnalyzer(this.settings.fftSize, this.settings.spectrumWindow);
+        this.spectrumVisualizer = new SpectrumVisualizer('spectrum-canvas', {
+            backgroundColor: '#fafafa',
+            scale: this.settings.spectrumScale,
+            maxFrequency: this.signalGenerator.sampleRate / 2
+        });
+
+        // 칼만 필터 속도 추정
+        this.velocityVisualizer = new CanvasVisualizer('velocity-canvas', {
+            signalColor: FILTER_COLORS.kalman,
+            backgroundColor: '#fafafa',
+            placeholder: '속도 추정은 칼만 필터(등속도/등가속도 모델)를 재생하면 표시됩니다'
+        });
+
+        // 칼만 필터 진단 (게인 / 잔차 / NIS)
+        this.kalmanDiagnosticsPlot = new KalmanDiagnosticsPlot('kalman-diagnostics-canvas', {
+            backgroundColor: '#fafafa'
+        });
+        this.kalmanDiagnosticsPlot.setNisWindow(this.settings.nisWindow);
+
+        // 적응 필터 학습 곡선 / 가중치
+        this.adaptiveFilterPlot = new AdaptiveFilterPlot('adaptive-filter-canvas', {
+            backgroundColor: '#fafafa'
+        });
+
+        // 보드 선도 (필터 주파수 응답)
+        this.bodePlot = new BodePlot('bode-canvas', {
+            backgroundColor: '#fafafa',
+            maxFrequency: this.signalGenerator.sampleRate / 2
+        });
+
+        // 계단/임펄스 응답
+        this.transientPlot = new TransientPlot('transient-canvas', {
+            backgroundColor: '#fafafa'
+        });
+
+        // FIR 임펄스 응답 (계수)
+        this.impulseResponsePlot = new ImpulseResponsePlot('impulse-response-canvas', {
+            backgroundColor: '#fafafa'
+        });
+
+        // 극점/영점 (z 평면)
+        this.poleZeroPlot = new PoleZeroPlot('pole-zero-canvas', {
+            backgroundColor: '#fafafa'
+        });
+
+        // 배치 처리 결과 뷰
+        this.batchView = new BatchView('batch-canvas', {
             backgroundColor: '#fafafa'
         });
-        
+
+        // 파라미터 스윕 결과
+        this.sweepPlot = new SweepPlot('sweep-canvas', {
+            backgroundColor: '#fafafa'
+        });
+        this.sweepResult = null;        // {candidateId, parameterLabel, points, logScale, elapsed, length, sampleRate, hasReference}
+        this.sweepRangeSampleRate = null;
+
+        // 내보내기용 기록
+        this.recorder = new SignalRecorder();
+
         // 필터
-        this.filter = new MovingAverageFilter(this.settings.windowSize);
-        
+        this.createFilter();
+
         // 전역 참조 (리사이즈 이벤트용)
         window.originalVisualizer = this.originalVisualizer;
         window.filteredVisualizer = this.filteredVisualizer;
-        
+        window.velocityVisualizer = this.velocityVisualizer;
+        window.kalmanDiagnosticsPlot = this.kalmanDiagnosticsPlot;
+        window.adaptiveFilterPlot = this.adaptiveFilterPlot;
+        window.spectrumVisualizer = this.spectrumVisualizer;
+        window.bodePlot = this.bodePlot;
+        window.transientPlot = this.transientPlot;
+        window.poleZeroPlot = this.poleZeroPlot;
+        window.impulseResponsePlot = this.impulseResponsePlot;
+        window.batchView = this.batchView;
+        window.sweepPlot = this.sweepPlot;
+
         console.log('📦 컴포넌트 인스턴스 생성 완료');
     }
 
@@ -102,11 +656,13 @@ class FilterVisualizerApp {
         // 신호 생성 컨트롤
         this.getElementById('signal-type').addEventListener('change', (e) => {
             this.settings.signalType = e.target.value;
+            this.renderWaveformControls();
         });
 
         this.getElementById('frequency').addEventListener('input', (e) => {
             this.settings.frequency = parseFloat(e.target.value);
             this.updateValueDisplay('frequency-value', e.target.value);
+            this.updateBodePlot();
         });
 
         this.getElementById('amplitude').addEventListener('input', (e) => {
@@ -119,13 +675,158 @@ class FilterVisualizerApp {
             this.updateValueDisplay('noise-value', e.target.value);
         });
 
-        // 필터 컨트롤
-        this.getElementById('window-size').addEventListener('input', (e) => {
-            this.settings.windowSize = parseInt(e.target.value);
-            this.updateValueDisplay('window-value', e.target.value);
-            if (this.filter) {
-                this.filter.setWindowSize(this.settings.windowSize);
-            }
+        this.setupNoiseControls();
+        this.renderWaveformControls();
+
+        this.getElementById('noise-seed').addEventListener('change', (e) => {
+            this.setSeed(e.target.value);
+        });
+
+        this.getElementById('noise-seed-random').addEventListener('click', () => {
+            this.setSeed(SeededRandom.randomSeed());
+        });
+
+        this.getElementById('speed-control').addEventListener('input', (e) => {
+            this.settings.speed = parseFloat(e.target.value);
+            this.updateValueDisplay('speed-value', e.target.value + 'x');
+        });
+
+        // 스펙트럼 컨트롤
+        this.getElementById('spectrum-window').addEventListener('change', (e) => {
+            this.settings.spectrumWindow = e.target.value;
+            this.spectrumAnalyzer.setWindowType(this.settings.spectrumWindow);
+            this.updateSpectrum();
+        });
+
+        this.getElementById('fft-size').addEventListener('change', (e) => {
+            this.settings.fftSize = parseInt(e.target.value);
+            this.spectrumAnalyzer.setFFTSize(this.settings.fftSize);
+            this.updateSpectrum();
+        });
+
+        this.getElementById('spectrum-scale').addEventListener('change', (e) => {
+            this.settings.spectrumScale = e.target.value;
+            this.spectrumVisualizer.setScale(this.settings.spectrumScale);
+        });
+
+        // 기준 신호 표시
+        this.getElementById('show-clean-signal').addEventListener('change', (e) => {
+            this.settings.showCleanSignal = e.target.checked;
+            this.updateFilteredOverlays();
+        });
+
+        // 칼만 필터 신뢰 구간 표시
+        this.getElementById('show-kalman-band').addEventListener('change', (e) => {
+            this.settings.showKalmanBand = e.target.checked;
+            this.updateFilteredOverlays();
+        });
+
+        // NIS 이동평균 구간
+        this.getElementById('nis-window').addEventListener('change', (e) => {
+            this.settings.nisWindow = parseInt(e.target.value);
+            this.kalmanDiagnosticsPlot.setNisWindow(this.settings.nisWindow);
+            this.kalmanDiagnosticsPlot.update();
+            this.updateKalmanDiagnosticsTable();
+        });
+
+        // 칼만 필터 Q/R 자동 튜닝
+        const tuneMethod = this.getElementById('kalman-tune-method');
+        tuneMethod.innerHTML = Object.entries(KalmanTuner.METHODS).map(([value, label]) => `
+            <option value="${value}" ${value === this.settings.kalmanTuneMethod ? 'selected' : ''}>${label}</option>
+        `).join('');
+        tuneMethod.addEventListener('change', (e) => {
+            this.settings.kalmanTuneMethod = e.target.value;
+        });
+
+        this.getElementById('kalman-tune-run').addEventListener('click', () => {
+            this.autoTuneKalman();
+        });
+
+        // 비교 모드
+        this.getElementById('comparison-enabled').addEventListener('change', (e) => {
+            this.settings.comparisonEnabled = e.target.checked;
+            this.createComparisonFilters();
+            this.updateFilteredOverlays();
+        });
+
+        this.renderComparisonOptions();
+
+        // 데이터 불러오기
+        this.setupImportControls();
+
+        // 계단/임펄스 응답 길이
+        this.getElementById('transient-duration').addEventListener('change', (e) => {
+            this.settings.transientDuration = parseFloat(e.target.value);
+            this.updateTransientAnalysis();
+        });
+
+        // 배치 처리
+        this.getElementById('batch-duration').addEventListener('change', (e) => {
+            const duration = parseFloat(e.target.value);
+            this.settings.batchDuration = Math.min(Math.max(isNaN(duration) ? 10 : duration, 1), 600);
+            e.target.value = this.settings.batchDuration;
+        });
+
+        this.getElementById('batch-sample-rate').addEventListener('change', (e) => {
+            this.settings.batchSampleRate = parseFloat(e.target.value);
+        });
+
+        this.getElementById('batch-zero-phase').addEventListener('change', (e) => {
+            this.settings.zeroPhase = e.target.checked;
+        });
+
+        this.getElementById('batch-rts-smoother').addEventListener('change', (e) => {
+            this.settings.rtsSmoother = e.target.checked;
+        });
+
+        this.getElementById('batch-run').addEventListener('click', () => {
+            this.runBatch();
+        });
+
+        this.getElementById('batch-zoom-in').addEventListener('click', () => this.batchView.zoom(0.5));
+        this.getElementById('batch-zoom-out').addEventListener('click', () => this.batchView.zoom(2));
+        this.getElementById('batch-zoom-reset').addEventListener('click', () => this.batchView.resetView());
+
+        // 파라미터 스윕
+        this.getElementById('sweep-parameter').addEventListener('change', (e) => {
+            this.settings.sweepParameter = e.target.value;
+            this.resetSweepRange();
+        });
+
+        this.getElementById('sweep-min').addEventListener('change', (e) => {
+            this.settings.sweepMin = parseFloat(e.target.value);
+        });
+
+        this.getElementById('sweep-max').addEventListener('change', (e) => {
+            this.settings.sweepMax = parseFloat(e.target.value);
+        });
+
+        this.getElementById('sweep-steps').addEventListener('change', (e) => {
+            const steps = parseInt(e.target.value);
+            this.settings.sweepSteps = Math.min(Math.max(isNaN(steps) ? 20 : steps, 2), 100);
+            e.target.value = this.settings.sweepSteps;
+        });
+
+        const sweepMetric = this.getElementById('sweep-metric');
+        sweepMetric.innerHTML = Object.entries(ParameterSweep.METRICS).map(([value, metric]) => `
+            <option value="${value}" ${value === this.settings.sweepMetric ? 'selected' : ''}>${metric.label}</option>
+        `).join('');
+        sweepMetric.addEventListener('change', (e) => {
+            this.settings.sweepMetric = e.target.value;
+            this.updateSweepResult();
+        });
+
+        this.getElementById('sweep-run').addEventListener('click', () => {
+            this.runSweep();
+        });
+
+        this.getElementById('sweep-apply').addEventListener('click', () => {
+            this.applySweepOptimum();
+        });
+
+        // 내보내기
+        this.getElementById('export-data').addEventListener('click', () => {
+            this.exportData(this.getElementById('export-format').value);
         });
 
         // 재생/정지 버튼
@@ -191,6 +892,12 @@ class FilterVisualizerApp {
      * 시뮬레이션 시작
      */
     start() {
+        // 배치 결과 기록 뒤에 실시간 샘플이 섞이지 않도록 기록을 새로 시작
+        if (this.batchResult) {
+            this.batchResult = null;
+            this.recorder.clear();
+        }
+
         this.isPlaying = true;
         this.getElementById('play-pause').innerHTML = '⏸️ 정지';
         this.animate();
@@ -207,37 +914,196 @@ class FilterVisualizerApp {
             cancelAnimationFrame(this.animationId);
             this.animationId = null;
         }
+        this.frameCounter = 0;
         console.log('⏸️ 시뮬레이션 정지');
     }
 
+    /**
+     * 노이즈 종류별 레벨 슬라이더 생성과 이벤트 등록
+     */
+    setupNoiseControls() {
+        const container = this.getElementById('noise-mix-controls');
+        container.innerHTML = this.renderSettingSliders(NOISE_PARAMETERS, this.settings.noiseMix);
+        this.bindSettingSliders(NOISE_PARAMETERS, this.settings.noiseMix);
+
+        this.getElementById('noise-hum-frequency').addEventListener('change', (e) => {
+            this.settings.noiseMix.humFrequency = parseFloat(e.target.value);
+        });
+
+        // 간섭 톤을 노치/피크 필터 중심 주파수에 맞춤
+        this.getElementById('noise-tone-match').addEventListener('click', () => {
+            const frequency = this.settings.notchFrequency;
+            this.settings.noiseMix.toneFrequency = frequency;
+            this.getElementById('noise-tone-frequency').value = frequency;
+            this.updateValueDisplay('mix-tone-frequency-value', frequency.toFixed(1));
+        });
+    }
+
+    /**
+     * 고정 범위 설정 슬라이더 HTML 생성 (노이즈 구성, 파형 설정)
+     * @param {Array} parameters - {key, id, valueId, label, min, max, step, digits} 배열
+     * @param {Object} values - 현재 값 (key → 값)
+     * @returns {string} 컨트롤 HTML
+     */
+    renderSettingSliders(parameters, values) {
+        return parameters.map(param => `
+            <div class="control-group">
+                <label>${param.label}</label>
+                <div class="slider-container">
+                    <input type="range" id="${param.id}" min="${param.min}" max="${param.max}" value="${values[param.key]}" step="${param.step}">
+                    <div class="value-display" id="${param.valueId}">${values[param.key].toFixed(param.digits)}</div>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * 설정 슬라이더 이벤트 등록 (값을 values 객체에 바로 반영)
+     * @param {Array} parameters - renderSettingSliders에 넘긴 배열
+     * @param {Object} values - 값을 저장할 객체
+     */
+    bindSettingSliders(parameters, values) {
+        parameters.forEach(param => {
+            this.getElementById(param.id).addEventListener('input', (e) => {
+                values[param.key] = parseFloat(e.target.value);
+                this.updateValueDisplay(param.valueId, values[param.key].toFixed(param.digits));
+            });
+        });
+    }
+
+    /**
+     * 현재 신호 타입에 맞는 추가 파형 컨트롤 렌더링 (처프 범위, 듀티비, 변조, 다중 톤 구성)
+     */
+    renderWaveformControls() {
+        const container = this.getElementById('waveform-controls');
+        const signalType = this.settings.signalType;
+        const waveform = this.settings.waveform;
+
+        // 주파수를 쓰지 않는 타입(계단, 임펄스, 다중 톤, 노이즈)은 주파수 슬라이더 비활성화
+        this.getElementById('frequency-label').textContent = FREQUENCY_LABELS[signalType] || '주파수 (Hz) - 사용 안 함';
+        this.getElementById('frequency').disabled = !FREQUENCY_LABELS[signalType] || !!this.importedSignal;
+
+        if (signalType === 'multitone') {
+            this.renderToneControls(container);
+        } else {
+            const parameters = WAVEFORM_PARAMETERS[signalType] || [];
+            container.innerHTML = this.renderSettingSliders(parameters, waveform);
+            this.bindSettingSliders(parameters, waveform);
+        }
+
+        if (this.importedSignal) {
+            container.querySelectorAll('input, button').forEach(element => {
+                element.disabled = true;
+            });
+        }
+    }
+
+    /**
+     * 다중 톤 구성 컨트롤 렌더링 (톤별 주파수/진폭, 추가/삭제)
+     * @param {HTMLElement} container - 컨트롤을 넣을 요소
+     */
+    renderToneControls(container) {
+        const tones = this.settings.waveform.tones;
+
+        container.innerHTML = `
+            <div class="tone-row tone-header"><span>주파수 (Hz)</span><span>진폭</span><span></span></div>
+            ${tones.map((tone, index) => `
+                <div class="tone-row">
+                    <input type="number" data-tone="${index}" data-key="frequency" min="0" step="0.1" value="${tone.frequency}">
+                    <input type="number" data-tone="${index}" data-key="amplitude" min="0" step="0.05" value="${tone.amplitude}">
+                    <button class="chain-btn" data-action="remove-tone" data-index="${index}" ${tones.length === 1 ? 'disabled' : ''}>✕</button>
+                </div>
+            `).join('')}
+            <button class="chain-btn" id="tone-add">+ 톤 추가</button>
+        `;
+
+        container.querySelectorAll('[data-tone]').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const value = parseFloat(e.target.value);
+                const tone = tones[parseInt(e.target.dataset.tone)];
+                if (isNaN(value) || value < 0) {
+                    e.target.value = tone[e.target.dataset.key];
+                    return;
+                }
+                tone[e.target.dataset.key] = value;
+            });
+        });
+
+        container.querySelectorAll('[data-action="remove-tone"]').forEach(button => {
+            button.addEventListener('click', (e) => {
+                tones.splice(parseInt(e.target.dataset.index), 1);
+                this.renderToneControls(container);
+            });
+        });
+
+        this.getElementById('tone-add').addEventListener('click', () => {
+            const last = tones[tones.length - 1];
+            tones.push({ frequency: last ? last.frequency * 2 : this.settings.frequency, amplitude: 0.5 });
+            this.renderToneControls(container);
+        });
+    }
+
+    /**
+     * 노이즈 난수 시드 변경 후 처음부터 다시 시작
+     * 같은 시드와 설정이면 실행할 때마다 같은 신호가 생성됨
+     * @param {number|string} seed - 새로운 시드
+     */
+    setSeed(seed) {
+        this.settings.seed = SeededRandom.normalizeSeed(seed);
+        this.getElementById('noise-seed').value = this.settings.seed;
+        this.signalGenerator.setSeed(this.settings.seed);
+        this.reset();
+    }
+
     /**
      * 리셋
      */
     reset() {
         this.stop();
-        
+
         // 컴포넌트 리셋
         if (this.signalGenerator) {
             this.signalGenerator.reset();
         }
+        if (this.importedSignal) {
+            this.importedSignal.reset();
+        }
+        this.batchResult = null;
         if (this.filter) {
             this.filter.reset();
         }
+        Object.values(this.comparisonFilters).forEach(filter => filter.reset());
+        this.history = this.createHistory();
+        if (this.recorder) {
+            this.recorder.clear();
+        }
         if (this.originalVisualizer) {
             this.originalVisualizer.clearData();
         }
         if (this.filteredVisualizer) {
             this.filteredVisualizer.clearData();
         }
-        
+        if (this.velocityVisualizer) {
+            this.velocityVisualizer.clearData();
+        }
+        if (this.kalmanDiagnosticsPlot) {
+            this.kalmanDiagnosticsPlot.clearData();
+        }
+        if (this.adaptiveFilterPlot) {
+            this.adaptiveFilterPlot.clearData();
+        }
+        if (this.spectrumVisualizer) {
+            this.spectrumVisualizer.clearData();
+        }
+        if (this.batchView) {
+            this.batchView.clearData();
+            this.updateBatchStatus();
+        }
+
         // 통계 리셋
-        this.statistics = {
-            originalRMS: 0,
-            filteredRMS: 0,
-            noiseReduction: 0
-        };
+        this.statistics = this.createStatistics();
         this.updateStatistics();
-        
+
         console.log('🔄 리셋 완료');
     }
 
@@ -248,30 +1114,81 @@ class FilterVisualizerApp {
         if (!this.isPlaying) return;
 
         try {
-            // 새로운 신호 생성
-            const originalSignal = this.signalGenerator.generateSignal(
-                this.settings.signalType,
-                this.settings.frequency,
-                this.settings.amplitude,
-                this.settings.noiseLevel
-            );
+            // 재생 속도에 따라 프레임당 처리할 샘플 수 결정
+            const speedMultiplier = this.settings.speed;
+            let steps;
+
+            if (speedMultiplier <= 0.5) {
+                // 느린 재생: 몇 프레임마다 한 샘플씩 처리
+                this.frameCounter = (this.frameCounter || 0) + 1;
+                if (this.frameCounter < Math.round(1 / speedMultiplier)) {
+                    this.animationId = requestAnimationFrame(() => this.animate());
+                    return;
+                }
+                this.frameCounter = 0;
+                steps = 1;
+            } else {
+                steps = Math.round(speedMultiplier);
+            }
+
+            const source = this.getSignalSource();
+
+            for (let step = 0; step < steps; step++) {
+                // 불러온 데이터를 끝까지 재생하면 정지
+                if (this.importedSignal && this.importedSignal.isFinished()) {
+                    this.updateStatistics();
+                    this.stop();
+                    console.log('⏹️ 불러온 데이터 재생 완료');
+                    return;
+                }
 
-            // 필터 적용
-            const filteredSignal = this.filter.filter(originalSignal);
+                // 새로운 신호 생성 (측정값 + 노이즈 없는 기준 신호 + 상관 노이즈의 참조 채널)
+                const sample = this.nextSample();
+                const originalSignal = sample.value;
+                const cleanSignal = sample.clean;
 
-            // 현재 시간
-            const currentTime = this.signalGenerator.getCurrentTime();
+                // 필터 적용 (참조 채널은 적응 필터만 사용하고 나머지 필터는 무시)
+                const filteredSignal = this.filter.filter(originalSignal, sample.referenceNoise);
+                const comparisonOutputs = this.runComparisonFilters(originalSignal, sample.referenceNoise);
 
-            // 시각화 업데이트
-            this.originalVisualizer.updateRealtime(originalSignal, currentTime);
-            this.filteredVisualizer.updateRealtime(filteredSignal, currentTime);
+                // 현재 시간
+                const currentTime = source.getCurrentTime();
 
-            // 시간 진행
-            this.signalGenerator.step();
+                this.recordHistory(originalSignal, cleanSignal, filteredSignal, comparisonOutputs);
+                this.recorder.record(currentTime, originalSignal, cleanSignal, this.getRecordedOutputs(filteredSignal, comparisonOutputs));
+
+                // NIS 평균이 재생 속도와 무관하도록 진단 값은 매 샘플 기록
+                this.addKalmanDiagnostics(currentTime);
+                this.addAdaptiveFilterSample(originalSignal, cleanSignal, currentTime);
+
+                // 시각화 업데이트 (마지막 스텝만 그리기)
+                if (step === steps - 1) {
+                    if (this.settings.showCleanSignal && cleanSignal !== null) {
+                        this.filteredVisualizer.addOverlayPoint('clean', cleanSignal, currentTime);
+                    }
+                    this.addStageOutputPoints(currentTime);
+                    this.addComparisonPoints(comparisonOutputs, currentTime);
+                    this.addKalmanBandPoints(filteredSignal, currentTime);
+                    this.originalVisualizer.updateRealtime(originalSignal, currentTime);
+                    this.filteredVisualizer.updateRealtime(filteredSignal, currentTime);
+                    this.addVelocityPoint(currentTime);
+                    if (this.isKalmanFilter()) {
+                        this.kalmanDiagnosticsPlot.update();
+                    }
+                    if (this.currentFilter === 'adaptive') {
+                        this.updateAdaptiveFilterPlot();
+                    }
+                }
+
+                // 시간 진행
+                source.step();
+            }
 
-            // 통계 업데이트 (매 10프레임마다)
-            if (Math.floor(currentTime * 100) % 10 === 0) {
+            // 통계 및 스펙트럼 업데이트 (0.25초마다)
+            const currentTime = source.getCurrentTime();
+            if (Math.floor(currentTime * 20) % 5 === 0) {
                 this.updateStatistics();
+                this.updateSpectrum();
             }
 
         } catch (error) {
@@ -284,55 +1201,1374 @@ class FilterVisualizerApp {
     }
 
     /**
-     * 통계 정보 업데이트
+     * 필터 체인의 단계별 중간 출력을 시계열에 추가
+     * @param {number} time - 현재 시간
      */
-    updateStatistics() {
-        try {
-            const originalStats = this.originalVisualizer.getStatistics();
-            const filteredStats = this.filteredVisualizer.getStatistics();
-
-            this.statistics.originalRMS = originalStats.rms;
-            this.statistics.filteredRMS = filteredStats.rms;
-            
-            // 노이즈 제거율 계산 (간단한 방법)
-            if (originalStats.rms > 0) {
-                const reduction = Math.max(0, 1 - (filteredStats.std / originalStats.std)) * 100;
-                this.statistics.noiseReduction = isNaN(reduction) ? 0 : reduction;
-            }
+    addStageOutputPoints(time) {
+        if (this.currentFilter !== 'chain' || !this.settings.showStageOutputs) return;
 
-            // UI 업데이트
-            this.updateStatisticsUI();
-        } catch (error) {
-            console.error('통계 계산 오류:', error);
-        }
+        this.filter.getStageOutputs().slice(0, -1).forEach((value, index) => {
+            this.filteredVisualizer.addOverlayPoint(`stage-${index}`, value, time);
+        });
     }
 
     /**
-     * 통계 UI 업데이트
+     * 현재 필터가 칼만 계열(선형, 확장, 무향)인지
      */
-    updateStatisticsUI() {
-        const elements = {
-            'original-rms': this.statistics.originalRMS.toFixed(2),
-            'filtered-rms': this.statistics.filteredRMS.toFixed(2),
-            'noise-reduction': this.statistics.noiseReduction.toFixed(0) + '%'
-        };
+    isKalmanFilter() {
+        return KALMAN_FILTERS.includes(this.currentFilter);
+    }
 
-        Object.entries(elements).forEach(([id, value]) => {
-            const element = document.getElementById(id);
-            if (element) {
-                element.textContent = value;
-            }
-        });
+    /**
+     * 현재 필터의 속도 추정값 (칼만 계열 필터에서 속도 상태가 있는 모델만, 아니면 null)
+     * @returns {number|null} 추정 속도 (단위/초)
+     */
+    getVelocityEstimate() {
+        return this.isKalmanFilter() ? this.filter.getVelocity() : null;
     }
 
     /**
-     * 필터 전환 (향후 확장용)
+     * 속도 추정값을 속도 그래프에 추가
+     * @param {number} time - 현재 시간
      */
-    switchFilter(filterType) {
-        // 현재는 이동평균만 지원
-        if (filterType !== 'moving-average') {
-            alert('해당 필터는 아직 구현되지 않았습니다.');
-            return;
+    addVelocityPoint(time) {
+        const velocity = this.getVelocityEstimate();
+        if (velocity !== null) {
+            this.velocityVisualizer.updateRealtime(velocity, time);
+        }
+    }
+
+    /**
+     * 칼만 필터 출력의 ±1σ/±2σ 신뢰 구간을 필터링 캔버스에 추가 (선형 칼만은 σ² = P[0][0])
+     * @param {number} estimate - 현재 추정값 (필터 출력)
+     * @param {number} time - 현재 시간
+     */
+    addKalmanBandPoints(estimate, time) {
+        if (!this.isKalmanFilter() || !this.settings.showKalmanBand) return;
+
+        const sigma = Math.sqrt(Math.max(this.filter.getOutputVariance(), 0));
+        this.filteredVisualizer.addBandPoint('kalman-2sigma', estimate - 2 * sigma, estimate + 2 * sigma, time);
+        this.filteredVisualizer.addBandPoint('kalman-1sigma', estimate - sigma, estimate + sigma, time);
+    }
+
+    /**
+     * 칼만 필터의 마지막 업데이트 진단 값(게인, 잔차, NIS)을 진단 그래프에 추가
+     * @param {number} time - 현재 시간
+     */
+    addKalmanDiagnostics(time) {
+        if (!this.isKalmanFilter()) return;
+
+        const diagnostics = this.filter.getDiagnostics();
+        if (diagnostics) {
+            this.kalmanDiagnosticsPlot.addDiagnostics(diagnostics, time);
+        }
+    }
+
+    /**
+     * 칼만 필터 일관성 지표와 튜닝 안내 표시
+     * NIS 평균이 구간보다 크면 필터가 실제보다 자신 있게 추정(Q 또는 R이 작음), 작으면 그 반대
+     */
+    updateKalmanDiagnosticsTable() {
+        const table = this.getElementById('kalman-diagnostics-table');
+        const summary = this.isKalmanFilter() ? this.kalmanDiagnosticsPlot.getSummary() : null;
+        if (!summary) {
+            table.innerHTML = '';
+            return;
+        }
+
+        const [lower, upper] = summary.bounds.average;
+        let verdict = '일관됨 (모델 노이즈가 실제와 맞음)';
+        if (summary.averageNis > upper) {
+            verdict = '과신 - 잔차가 예상보다 큼 (Q 또는 R을 키우세요)';
+        } else if (summary.averageNis < lower) {
+            verdict = '보수적 - 잔차가 예상보다 작음 (Q 또는 R을 줄이세요)';
+        }
+
+        const correlated = Math.abs(summary.autocorrelation) > summary.autocorrelationBound;
+        const rows = [
+            [`NIS 평균 (최근 ${summary.averageCount}샘플)`, summary.averageNis.toFixed(3), `${lower.toFixed(3)} ~ ${upper.toFixed(3)}`],
+            ['잔차가 ±2√S 안에 든 비율', (summary.insideRatio * 100).toFixed(1) + '%', '약 95%'],
+            ['잔차 1차 자기상관', summary.autocorrelation.toFixed(3) + (correlated ? ' (상관 있음 - Q를 키우세요)' : ''), `±${summary.autocorrelationBound.toFixed(3)}`],
+            ['판정', verdict, '']
+        ];
+
+        table.innerHTML = `
+            <tr><th>칼만 필터 진단</th><th>값</th><th>기대 범위</th></tr>
+            ${rows.map(([label, value, expected]) => `<tr><td>${label}</td><td>${value}</td><td>${expected}</td></tr>`).join('')}
+        `;
+    }
+
+    /**
+     * 기록된 데이터로 현재 칼만 필터의 Q, R을 추정해 실시간 필터와 슬라이더에 적용하고 결과 표시
+     * 탐색은 기록과 같은 샘플링 레이트로 새로 만든 필터에서 하므로 재생 중인 필터 상태는 건드리지 않음
+     */
+    autoTuneKalman() {
+        const status = this.getElementById('kalman-tune-status');
+        const table = this.getElementById('kalman-tune-table');
+        table.innerHTML = '';
+
+        if (!this.isKalmanFilter()) {
+            status.innerHTML = '<div class="import-warning">⚠️ 칼만 필터(선형/확장/무향)를 선택한 뒤 실행하세요.</div>';
+            return;
+        }
+        if (this.recorder.getLength() === 0) {
+            status.innerHTML = '<div class="import-warning">⚠️ 기록된 데이터가 없습니다. 먼저 시뮬레이션이나 배치 처리를 실행하세요.</div>';
+            return;
+        }
+
+        // Q, R 슬라이더에 해당하는 설정 키 (선형: processNoise, EKF/UKF: nkProcessNoise ...)
+        const keyFor = setter => FILTER_PARAMETERS[this.currentFilter].find(param => param.setter === setter).key;
+        const sampleRate = this.batchResult ? this.batchResult.sampleRate : this.getSampleRate();
+        const clean = this.recorder.clean.every(value => value !== null) ? this.recorder.clean : null;
+        const method = this.settings.kalmanTuneMethod;
+
+        let result;
+        try {
+            const tuner = new KalmanTuner(this.buildFilter(this.currentFilter, this.settings, sampleRate));
+            result = tuner.tune(this.recorder.raw, method, clean);
+        } catch (error) {
+            status.innerHTML = `<div class="import-error">❌ ${this.escapeHtml(error.message)}</div>`;
+            return;
+        }
+
+        this.settings[keyFor('setProcessNoise')] = result.processNoise;
+        this.settings[keyFor('setMeasurementNoise')] = result.measurementNoise;
+        this.filter.setProcessNoise(result.processNoise);
+        this.filter.setMeasurementNoise(result.measurementNoise);
+
+        this.updateFilterControls();
+        this.updateBodePlot();
+        this.updateTransientAnalysis();
+        this.updatePoleZeroPlot();
+
+        const format = value => (value === null ? '-' : Number(value.toPrecision(4)).toString());
+        const rows = [
+            ['프로세스 노이즈 Q', format(result.processNoise)],
+            ['측정 노이즈 R', format(result.measurementNoise)],
+            [result.metric.label, `${format(result.metric.before)} → ${format(result.metric.after)}`],
+            ['NIS 평균 (1이면 일관됨)', `${format(result.averageNis.before)} → ${format(result.averageNis.after)}`]
+        ];
+        if (result.rmse && method !== 'grid') {
+            rows.push(['기준 신호 대비 RMSE', `${format(result.rmse.before)} → ${format(result.rmse.after)}`]);
+        }
+
+        status.innerHTML = `
+            ${KalmanTuner.METHODS[method]}: 최근 ${result.samples.toLocaleString()}개 샘플 (${sampleRate} Hz),
+            필터 실행 ${result.evaluations}회 - 결과를 현재 필터에 적용했습니다 (튜닝 전 → 후).
+        `;
+        table.innerHTML = `
+            <tr><th>자동 튜닝</th><th>값</th></tr>
+            ${rows.map(([label, value]) => `<tr><td>${label}</td><td>${value}</td></tr>`).join('')}
+        `;
+
+        console.log(`🎯 칼만 자동 튜닝 (${method}): Q=${format(result.processNoise)}, R=${format(result.measurementNoise)}`);
+    }
+
+    /**
+     * 적응 필터의 오차와 가중치를 학습 곡선 그래프에 추가 (매 샘플)
+     * @param {number} input - 측정 채널 값
+     * @param {number|null} clean - 기준 신호 (없으면 null)
+     * @param {number} time - 현재 시간
+     */
+    addAdaptiveFilterSample(input, clean, time) {
+        if (this.currentFilter !== 'adaptive') return;
+
+        this.adaptiveFilterPlot.addSample({
+            error: this.filter.getError(),
+            clean,
+            input,
+            weights: this.filter.getWeights()
+        }, time);
+    }
+
+    /**
+     * 적응 필터 그래프 다시 그리기
+     * 신호 생성기의 상관 노이즈를 쓰면 실제 전달 경로 계수를 가중치의 목표로 함께 표시
+     */
+    updateAdaptiveFilterPlot() {
+        const level = this.settings.noiseMix.correlated;
+        this.adaptiveFilterPlot.setTargetWeights(!this.importedSignal && level > 0
+            ? SignalGenerator.REFERENCE_NOISE_PATH.map(coefficient => coefficient * level)
+            : null);
+        this.adaptiveFilterPlot.update();
+    }
+
+    /**
+     * 적응 필터 수렴 지표 표시 (오차 전력, 잔여 노이즈, 노이즈 감소량, 가중치 오차)
+     */
+    updateAdaptiveFilterTable() {
+        const table = this.getElementById('adaptive-filter-table');
+        const summary = this.currentFilter === 'adaptive' ? this.adaptiveFilterPlot.getSummary() : null;
+        if (!summary) {
+            table.innerHTML = '';
+            return;
+        }
+
+        const formatDb = value => (value === null ? '-' : value.toFixed(1) + ' dB');
+        const rows = [
+            ['오차 전력 e²', formatDb(summary.errorPowerDb)],
+            ['입력 노이즈 전력 (d - s)²', formatDb(summary.noisePowerDb)],
+            ['잔여 노이즈 전력 (e - s)²', formatDb(summary.residualPowerDb)],
+            ['노이즈 감소량', formatDb(summary.cancellationDb)],
+            ['가중치 오차 ‖w - w*‖', summary.weightError === null ? '-' : summary.weightError.toFixed(3)]
+        ];
+
+        table.innerHTML = `
+            <tr><th>적응 필터 (최근 ${this.adaptiveFilterPlot.options.averaging}샘플 평활)</th><th>값</th></tr>
+            ${rows.map(([label, value]) => `<tr><td>${label}</td><td>${value}</td></tr>`).join('')}
+        `;
+    }
+
+    /**
+     * 비교 모드 필터 선택 체크박스 렌더링
+     */
+    renderComparisonOptions() {
+        const container = this.getElementById('comparison-filters');
+
+        container.innerHTML = Object.keys(FILTER_NAMES).map(filterType => `
+            <label class="checkbox-label">
+                <input type="checkbox" data-compare="${filterType}" ${this.settings.comparisonFilters.includes(filterType) ? 'checked' : ''}>
+                <span class="color-swatch" style="background: ${FILTER_COLORS[filterType]}"></span>
+                ${FILTER_NAMES[filterType]}
+            </label>
+        `).join('');
+
+        container.querySelectorAll('[data-compare]').forEach(checkbox => {
+            checkbox.addEventListener('change', (e) => {
+                const filterType = e.target.dataset.compare;
+                const selected = this.settings.comparisonFilters.filter(type => type !== filterType);
+                if (e.target.checked) {
+                    selected.push(filterType);
+                }
+                this.settings.comparisonFilters = selected;
+                this.createComparisonFilters();
+                this.updateFilteredOverlays();
+            });
+        });
+    }
+
+    /**
+     * 비교 모드에서 함께 실행할 필터 인스턴스 생성
+     * 현재 탭의 필터는 주 출력으로 이미 표시되므로 제외
+     * 필터 구성이 바뀌므로 출력 기록(내보내기 기록 포함)도 새로 시작
+     */
+    createComparisonFilters() {
+        this.comparisonFilters = {};
+        this.history.outputs = {};
+        if (this.recorder) {
+            this.recorder.clear();
+        }
+        if (!this.settings.comparisonEnabled) return;
+
+        this.settings.comparisonFilters
+            .filter(filterType => filterType !== this.currentFilter)
+            .forEach(filterType => {
+                this.comparisonFilters[filterType] = this.buildFilter(filterType);
+            });
+    }
+
+    /**
+     * 비교 필터들에 같은 입력 샘플을 적용
+     * @param {number} input - 입력 신호 값
+     * @param {number|null} reference - 참조 채널 값 (적응 필터용)
+     * @returns {Object} 필터 타입 → 출력 값
+     */
+    runComparisonFilters(input, reference = null) {
+        const outputs = {};
+        Object.entries(this.comparisonFilters).forEach(([filterType, filter]) => {
+            outputs[filterType] = filter.filter(input, reference);
+        });
+        return outputs;
+    }
+
+    /**
+     * 비교 필터 출력을 시계열에 추가
+     * @param {Object} outputs - 필터 타입 → 출력 값
+     * @param {number} time - 현재 시간
+     */
+    addComparisonPoints(outputs, time) {
+        Object.entries(outputs).forEach(([filterType, value]) => {
+            this.filteredVisualizer.addOverlayPoint(`compare-${filterType}`, value, time);
+        });
+    }
+
+    /**
+     * 데이터 불러오기 컨트롤 이벤트 등록 (파일 선택, 드래그 앤 드롭)
+     */
+    setupImportControls() {
+        const dropZone = this.getElementById('import-drop');
+
+        this.getElementById('import-file').addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.readImportFile(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+
+        dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropZone.classList.add('dragover');
+        });
+
+        dropZone.addEventListener('dragleave', () => {
+            dropZone.classList.remove('dragover');
+        });
+
+        dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropZone.classList.remove('dragover');
+            if (e.dataTransfer.files.length > 0) {
+                this.readImportFile(e.dataTransfer.files[0]);
+            }
+        });
+
+        // 값 열이나 샘플링 레이트를 바꾸면 같은 파일을 다시 파싱
+        this.getElementById('import-value-column').addEventListener('change', (e) => {
+            this.reparseImport({ valueColumn: parseInt(e.target.value) });
+        });
+
+        this.getElementById('import-sample-rate').addEventListener('change', (e) => {
+            const sampleRate = parseFloat(e.target.value);
+            if (sampleRate > 0) {
+                this.reparseImport({ sampleRate });
+            }
+        });
+
+        this.getElementById('import-batch').addEventListener('click', () => {
+            this.runBatch();
+        });
+
+        this.getElementById('import-clear').addEventListener('click', () => {
+            this.clearImportedSignal();
+        });
+    }
+
+    /**
+     * 파일 내용을 읽어 불러오기
+     * @param {File} file - 선택하거나 끌어다 놓은 파일
+     */
+    readImportFile(file) {
+        const reader = new FileReader();
+
+        reader.onload = () => {
+            this.importSource = { text: reader.result, fileName: file.name, options: {} };
+            this.importSignal(reader.result, file.name);
+        };
+
+        reader.onerror = () => {
+            this.showImportError(`파일을 읽을 수 없습니다: ${file.name}`);
+        };
+
+        reader.readAsText(file);
+    }
+
+    /**
+     * 바꾼 옵션(값 열, 샘플링 레이트)으로 마지막 파일 다시 불러오기
+     * @param {Object} changes - 이전 옵션에 덮어쓸 값
+     */
+    reparseImport(changes) {
+        if (!this.importSource) return;
+
+        const { text, fileName } = this.importSource;
+        this.importSource.options = { ...this.importSource.options, ...changes };
+        this.importSignal(text, fileName, this.importSource.options);
+    }
+
+    /**
+     * CSV/JSON 텍스트를 파싱해 입력 소스로 설정
+     * 샘플링 레이트를 알 수 없으면 입력칸의 값을 사용하고 확인을 요청
+     * @param {string} text - 파일 내용
+     * @param {string} fileName - 파일 이름
+     * @param {Object} options - SignalImporter 옵션 {valueColumn, sampleRate}
+     */
+    importSignal(text, fileName, options = {}) {
+        let result;
+        try {
+            result = SignalImporter.parse(text, fileName, options);
+        } catch (error) {
+            console.error('❌ 데이터 불러오기 실패:', error);
+            this.showImportError(error.message);
+            return;
+        }
+
+        const sampleRateInput = this.getElementById('import-sample-rate');
+        if (!result.sampleRate) {
+            result.sampleRate = parseFloat(sampleRateInput.value) || REFERENCE_SAMPLE_RATE;
+            result.sampleRateSource = 'default';
+        }
+        sampleRateInput.value = +result.sampleRate.toPrecision(6);
+
+        if (result.errors.length > 0) {
+            console.warn(`⚠️ ${fileName}: 잘못된 행 ${result.errors.length}개를 건너뛰었습니다.`, result.errors);
+        }
+
+        const previousSampleRate = this.getSampleRate();
+        this.importResult = result;
+        this.importedSignal = new ImportedSignal(result.values, result.sampleRate, fileName);
+        this.onSignalSourceChanged(previousSampleRate);
+
+        console.log(`📂 데이터 불러오기: ${fileName} (${result.values.length}개 샘플, ${result.sampleRate.toFixed(2)} Hz)`);
+    }
+
+    /**
+     * 불러온 데이터를 버리고 신호 생성기로 돌아가기
+     */
+    clearImportedSignal() {
+        const previousSampleRate = this.getSampleRate();
+        this.importedSignal = null;
+        this.importResult = null;
+        this.importSource = null;
+        this.onSignalSourceChanged(previousSampleRate);
+
+        console.log('🎵 신호 생성기로 전환');
+    }
+
+    /**
+     * 입력 소스(샘플링 레이트)가 바뀌면 필터를 다시 만들고 화면 초기화
+     * @param {number} previousSampleRate - 바뀌기 전 샘플링 레이트 (Hz)
+     */
+    onSignalSourceChanged(previousSampleRate) {
+        this.reset();
+
+        // 화면에 보이는 샘플 수가 같도록 시간 윈도우 조정 (100 Hz에서 4초)
+        const timeWindow = 4 * REFERENCE_SAMPLE_RATE / this.getSampleRate();
+        this.originalVisualizer.setTimeWindow(timeWindow);
+        this.filteredVisualizer.setTimeWindow(timeWindow);
+
+        this.fitParametersToSampleRate(previousSampleRate);
+        this.clearSweep();
+        this.createFilter();
+        this.createComparisonFilters();
+        this.updateFilterControls();
+        this.updateFilteredOverlays();
+        this.updateBodePlot();
+        this.updateTransientAnalysis();
+        this.updatePoleZeroPlot();
+        this.updateImpulseResponsePlot();
+        this.updateImportUI();
+    }
+
+    /**
+     * 불러오기 상태(샘플 수, 샘플링 레이트, 오류/경고) 표시
+     */
+    updateImportUI() {
+        const status = this.getElementById('import-status');
+        const columnSelect = this.getElementById('import-value-column');
+        const result = this.importResult;
+
+        this.getElementById('import-batch').disabled = !this.importedSignal;
+        this.getElementById('import-clear').disabled = !this.importedSignal;
+
+        // 불러온 데이터를 쓰는 동안 신호 생성 컨트롤 비활성화
+        const signalControls = ['signal-type', 'amplitude', 'noise-level', 'noise-hum-frequency', 'noise-tone-match', 'noise-seed', 'noise-seed-random', 'show-clean-signal'];
+        [...signalControls, ...NOISE_PARAMETERS.map(param => param.id)].forEach(id => {
+            this.getElementById(id).disabled = !!this.importedSignal;
+        });
+        this.renderWaveformControls();
+
+        if (!this.importedSignal) {
+            columnSelect.innerHTML = '';
+            status.innerHTML = '입력 신호: 신호 생성기';
+            return;
+        }
+
+        columnSelect.innerHTML = result.valueColumns.map(index => `
+            <option value="${index}" ${index === result.valueColumn ? 'selected' : ''}>${this.escapeHtml(result.columns[index])}</option>
+        `).join('');
+
+        const sampleRateSources = {
+            user: '직접 입력',
+            file: '파일에 기록된 값',
+            timestamps: '타임스탬프에서 추정',
+            default: '알 수 없음 - 실제 값으로 수정하세요'
+        };
+
+        const maxListed = 5;
+        const errorItems = result.errors.slice(0, maxListed)
+            .map(error => `<li>${error.line}행: ${this.escapeHtml(error.message)}</li>`)
+            .join('');
+        const moreErrors = result.errors.length > maxListed ? `<li>외 ${result.errors.length - maxListed}개</li>` : '';
+
+        status.innerHTML = `
+            <div><strong>${this.escapeHtml(this.importedSignal.name)}</strong></div>
+            <div>${result.values.length}개 샘플 · ${this.importedSignal.getDuration().toFixed(1)}초</div>
+            <div>샘플링 레이트: ${result.sampleRate.toFixed(2)} Hz (${sampleRateSources[result.sampleRateSource]})</div>
+            ${result.warnings.map(warning => `<div class="import-warning">⚠️ ${this.escapeHtml(warning)}</div>`).join('')}
+            ${result.errors.length > 0 ? `
+                <div class="import-error">❌ 잘못된 행 ${result.errors.length}개를 건너뛰었습니다.</div>
+                <ul class="import-errors">${errorItems}${moreErrors}</ul>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * 불러오기 실패 메시지 표시 (기존 입력 소스는 유지)
+     * @param {string} message - 오류 메시지
+     */
+    showImportError(message) {
+        this.getElementById('import-status').innerHTML = `<div class="import-error">❌ ${this.escapeHtml(message)}</div>`;
+    }
+
+    /**
+     * 파일에서 온 문자열을 HTML에 넣기 전에 이스케이프
+     * @param {string} text - 원본 문자열
+     * @returns {string} 이스케이프된 문자열
+     */
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * 내보내기 기록에 넣을 출력 (현재 필터, 비교 필터, 체인 중간 단계, 칼만 속도 추정)
+     * @param {number} filtered - 현재 필터 출력
+     * @param {Object} comparisonOutputs - 비교 필터 출력
+     * @returns {Object} 열 이름 → 값
+     */
+    getRecordedOutputs(filtered, comparisonOutputs) {
+        const outputs = { [this.currentFilter]: filtered, ...comparisonOutputs };
+
+        if (this.currentFilter === 'chain') {
+            this.filter.getStageOutputs().slice(0, -1).forEach((value, index) => {
+                outputs[`chain-stage-${index + 1}`] = value;
+            });
+        }
+
+        const velocity = this.getVelocityEstimate();
+        if (velocity !== null) {
+            outputs['kalman-velocity'] = velocity;
+        }
+
+        return outputs;
+    }
+
+    /**
+     * 필터 타입별 현재 파라미터 (내보내기 메타데이터용)
+     * @param {string} filterType - 필터 타입
+     * @returns {Object} 파라미터 이름 → 값
+     */
+    getFilterParams(filterType) {
+        if (filterType === 'chain') {
+            return { stages: this.settings.chainStages };
+        }
+
+        const params = {};
+        FILTER_PARAMETERS[filterType].forEach(param => {
+            params[param.key] = this.settings[param.key];
+        });
+        return params;
+    }
+
+    /**
+     * 내보내기 파일에 넣을 메타데이터 (입력 소스, 필터 종류와 파라미터, 전체 설정)
+     */
+    getExportMetadata() {
+        const source = this.importedSignal ? {
+            type: 'import',
+            fileName: this.importedSignal.name,
+            valueColumn: this.importResult.columns[this.importResult.valueColumn]
+        } : {
+            type: 'generator',
+            signalType: this.settings.signalType,
+            frequency: this.settings.frequency,
+            amplitude: this.settings.amplitude,
+            noiseLevel: this.settings.noiseLevel,
+            noiseMix: this.settings.noiseMix,
+            waveform: this.settings.waveform,
+            seed: this.settings.seed
+        };
+
+        return {
+            app: 'Interactive Filter Visualizer',
+            exportedAt: new Date().toISOString(),
+            sampleRate: this.batchResult ? this.batchResult.sampleRate : this.getSampleRate(),
+            mode: this.batchResult ? 'batch' : 'realtime',
+            samples: this.recorder.getLength(),
+            truncated: this.recorder.truncated,
+            source,
+            filter: {
+                type: this.currentFilter,
+                name: FILTER_NAMES[this.currentFilter],
+                params: this.getFilterParams(this.currentFilter)
+            },
+            comparisonFilters: Object.keys(this.comparisonFilters).map(filterType => ({
+                type: filterType,
+                params: this.getFilterParams(filterType)
+            })),
+            settings: this.settings
+        };
+    }
+
+    /**
+     * 기록된 원본/기준/필터 출력을 파일로 내보내기
+     * @param {string} format - 'csv' 또는 'json'
+     */
+    exportData(format) {
+        if (this.recorder.getLength() === 0) {
+            alert('내보낼 데이터가 없습니다. 먼저 시뮬레이션을 실행하세요.');
+            return;
+        }
+
+        const metadata = this.getExportMetadata();
+        const stamp = metadata.exportedAt.replace(/[:.]/g, '-');
+        const fileName = `filter-${this.currentFilter}-${stamp}.${format}`;
+
+        if (format === 'json') {
+            SignalExporter.download(SignalExporter.toJSON(this.recorder, metadata), fileName, 'application/json');
+        } else {
+            SignalExporter.download(SignalExporter.toCSV(this.recorder, metadata), fileName, 'text/csv');
+        }
+
+        console.log(`💾 내보내기: ${fileName} (${metadata.samples}개 샘플)`);
+    }
+
+    /**
+     * 초기 통계 값 생성
+     */
+    createStatistics() {
+        return {
+            originalRMS: 0,
+            filteredRMS: 0,
+            noiseReduction: 0,
+            mse: 0,
+            rmse: 0,
+            snrBefore: 0,
+            snrAfter: 0,
+            snrImprovement: 0,
+            correlation: 0
+        };
+    }
+
+    /**
+     * 빈 샘플 기록 생성
+     */
+    createHistory() {
+        return { raw: [], clean: [], outputs: {} };
+    }
+
+    /**
+     * 지표 계산용 샘플 기록 (화면에 그리지 않는 스텝도 포함)
+     * @param {number} raw - 노이즈 포함 입력
+     * @param {number} clean - 노이즈 없는 기준 신호
+     * @param {number} filtered - 현재 필터 출력
+     * @param {Object} comparisonOutputs - 비교 필터 출력
+     */
+    recordHistory(raw, clean, filtered, comparisonOutputs) {
+        const maxLength = this.originalVisualizer.maxDataPoints;
+        const push = (array, value) => {
+            array.push(value);
+            if (array.length > maxLength) {
+                array.shift();
+            }
+        };
+
+        push(this.history.raw, raw);
+        push(this.history.clean, clean);
+
+        const outputs = { [this.currentFilter]: filtered, ...comparisonOutputs };
+        Object.entries(outputs).forEach(([filterType, value]) => {
+            if (!this.history.outputs[filterType]) {
+                this.history.outputs[filterType] = [];
+            }
+            push(this.history.outputs[filterType], value);
+        });
+    }
+
+    /**
+     * 비교 모드 지표 표 업데이트 (노이즈 제거율, 지연, 기준 신호 대비 RMSE)
+     */
+    updateComparisonTable() {
+        const table = document.getElementById('comparison-table');
+        if (!table) return;
+
+        if (!this.settings.comparisonEnabled || this.history.raw.length < 10) {
+            table.innerHTML = '';
+            return;
+        }
+
+        const { raw, clean, outputs } = this.history;
+        const filterTypes = [this.currentFilter, ...Object.keys(this.comparisonFilters)];
+        const hasReference = this.getSignalSource().hasReference;
+
+        // 필터가 바뀐 직후에는 기록 길이가 짧을 수 있으므로 뒤쪽을 맞춰서 비교
+        const filterOutputs = {};
+        filterTypes.forEach(filterType => {
+            filterOutputs[filterType] = outputs[filterType] || [];
+        });
+
+        this.renderMetricsTable(table, raw, hasReference ? clean : null, filterOutputs, this.getSampleRate());
+    }
+
+    /**
+     * 필터별 노이즈 제거율, 지연, 기준 신호 대비 RMSE 표 그리기
+     * 기준 신호가 없으면 입력 대비 지연만 계산
+     * @param {Element} table - 표 요소
+     * @param {Array} raw - 입력 신호
+     * @param {Array|null} clean - 기준 신호 (없으면 null)
+     * @param {Object} filterOutputs - 출력 이름(필터 타입, 영위상이면 접미사 포함) → 출력 배열 (입력보다 짧으면 뒤쪽을 맞춰 비교)
+     * @param {number} sampleRate - 샘플링 레이트 (Hz)
+     */
+    renderMetricsTable(table, raw, clean, filterOutputs, sampleRate) {
+        const rows = Object.entries(filterOutputs).map(([filterType, output]) => {
+            const metrics = SignalMetrics.summarize(raw, clean, output, sampleRate);
+            const lag = metrics.lag;
+            const reduction = clean ? metrics.noiseReduction.toFixed(0) + '%' : '-';
+            const error = clean ? metrics.rmse.toFixed(3) : '-';
+            const { name, color } = this.describeOutput(filterType);
+
+            return `
+                <tr>
+                    <td><span class="color-swatch" style="background: ${color}"></span>${name}</td>
+                    <td>${reduction}</td>
+                    <td>${(lag / sampleRate * 1000).toFixed(0)} ms</td>
+                    <td>${error}</td>
+                </tr>
+            `;
+        }).join('');
+
+        table.innerHTML = `
+            <tr><th>필터</th><th>노이즈 제거</th><th>지연</th><th>RMSE</th></tr>
+            ${rows}
+        `;
+    }
+
+    /**
+     * 배치 처리: 입력 전체를 화면 갱신과 무관하게 한 번에 필터링해 배치 결과 뷰에 표시
+     * 불러온 데이터가 있으면 전체 데이터를, 없으면 신호 생성기로 설정한 길이만큼 만들어 사용
+     */
+    runBatch() {
+        this.reset();
+
+        let input;
+        let sampleRate;
+        if (this.importedSignal) {
+            sampleRate = this.importedSignal.sampleRate;
+            input = { values: this.importedSignal.values, clean: null, reference: null };
+        } else {
+            sampleRate = this.settings.batchSampleRate;
+            const generator = new SignalGenerator(this.settings.seed);
+            generator.setSampleRate(sampleRate);
+            input = BatchProcessor.generate(generator, this.settings, this.settings.batchDuration);
+        }
+
+        // 현재 필터와 비교 필터를 배치 샘플링 레이트로 새로 생성
+        const filters = {};
+        [this.currentFilter, ...Object.keys(this.comparisonFilters)].forEach(filterType => {
+            filters[filterType] = this.buildFilter(filterType, this.settings, sampleRate);
+        });
+
+        const result = BatchProcessor.run(input.values, filters, input.reference);
+        const skipped = this.settings.zeroPhase ? this.addZeroPhaseOutputs(input.values, result, sampleRate) : [];
+        const smoothingSkipped = this.settings.rtsSmoother ? this.addSmoothedOutputs(input.values, result, sampleRate) : null;
+        const chainStages = result.stageOutputs.chain ? result.stageOutputs.chain.slice(0, -1) : [];
+
+        // 내보내기용 전체 기록
+        for (let i = 0; i < input.values.length; i++) {
+            const outputs = {};
+            Object.keys(result.outputs).forEach(filterType => {
+                outputs[filterType] = result.outputs[filterType][i];
+            });
+            chainStages.forEach((stage, index) => {
+                outputs[`chain-stage-${index + 1}`] = stage[i];
+            });
+            this.recorder.record(i / sampleRate, input.values[i], input.clean ? input.clean[i] : null, outputs);
+        }
+
+        this.batchResult = {
+            sampleRate,
+            length: input.values.length,
+            duration: input.values.length / sampleRate,
+            elapsed: result.elapsed,
+            zeroPhaseSkipped: skipped,
+            smoothingSkipped
+        };
+
+        this.batchView.setData(this.getBatchSeries(input, result, chainStages), sampleRate);
+        this.updateBatchStatus(input, result.outputs);
+
+        console.log(`⚡ 배치 처리: ${input.values.length}개 샘플, ${result.elapsed.toFixed(1)} ms`);
+    }
+
+    /**
+     * 현재 필터에서 스윕할 수 있는 숫자 파라미터 목록 (표시 중인 슬라이더, 체인이면 단계별)
+     * @returns {Array} [{id, label, param, params, getFilter, build(value, sampleRate)}]
+     *                  params는 값을 읽고 쓸 설정 객체, getFilter는 값을 적용할 실시간 필터
+     */
+    getSweepParameters() {
+        const numeric = (filterType, params) => this.getVisibleParameters(filterType, params).filter(param => !param.options && !param.text);
+
+        if (this.currentFilter !== 'chain') {
+            const filterType = this.currentFilter;
+            return numeric(filterType, this.settings).map(param => ({
+                id: `${filterType}:${param.key}`,
+                label: param.label,
+                param,
+                params: this.settings,
+                getFilter: () => this.filter,
+                build: (value, sampleRate) => this.buildFilter(filterType, { ...this.settings, [param.key]: value }, sampleRate)
+            }));
+        }
+
+        const stages = this.settings.chainStages;
+        return stages.flatMap((stage, index) => numeric(stage.type, stage.params).map(param => ({
+            id: `chain:${index}:${stage.type}:${param.key}`,
+            label: `${index + 1}단계 ${FILTER_NAMES[stage.type]}: ${param.label}`,
+            param,
+            params: stage.params,
+            getFilter: () => this.filter.stages[index],
+            build: (value, sampleRate) => new FilterChain(stages.map((other, i) => this.buildFilter(
+                other.type,
+                i === index ? { ...other.params, [param.key]: value } : other.params,
+                sampleRate
+            )))
+        })));
+    }
+
+    /**
+     * id로 스윕 파라미터 찾기 (필터가 바뀌어 없어졌으면 null)
+     */
+    findSweepParameter(id) {
+        return this.getSweepParameters().find(candidate => candidate.id === id) || null;
+    }
+
+    /**
+     * 스윕 파라미터 선택 상자 갱신
+     * 선택한 파라미터가 없어지면 첫 파라미터로 바꾸고, 이전 스윕 결과가 다른 필터의 것이면 지움
+     */
+    renderSweepOptions() {
+        const candidates = this.getSweepParameters();
+        if (!candidates.some(candidate => candidate.id === this.settings.sweepParameter)) {
+            this.settings.sweepParameter = candidates.length > 0 ? candidates[0].id : null;
+            this.resetSweepRange();
+        } else if (this.sweepRangeSampleRate !== this.getSampleRate()) {
+            this.resetSweepRange();
+        }
+
+        this.getElementById('sweep-parameter').innerHTML = candidates.map(candidate => `
+            <option value="${candidate.id}" ${candidate.id === this.settings.sweepParameter ? 'selected' : ''}>${candidate.label}</option>
+        `).join('');
+
+        if (this.sweepResult && !candidates.some(candidate => candidate.id === this.sweepResult.candidateId)) {
+            this.clearSweep();
+        } else {
+            this.updateSweepResult();
+        }
+    }
+
+    /**
+     * 스윕 범위를 선택한 파라미터의 슬라이더 범위로 초기화
+     */
+    resetSweepRange() {
+        const candidate = this.findSweepParameter(this.settings.sweepParameter);
+        if (!candidate) return;
+
+        const range = this.getParameterRange(candidate.param);
+        this.settings.sweepMin = range.min;
+        this.settings.sweepMax = range.max;
+        this.sweepRangeSampleRate = this.getSampleRate();
+        this.getElementById('sweep-min').value = Number(range.min.toFixed(range.digits));
+        this.getElementById('sweep-max').value = Number(range.max.toFixed(range.digits));
+    }
+
+    /**
+     * 파라미터 스윕: 고정된 시드의 신호(불러온 데이터가 있으면 그 데이터)를 후보 값마다 배치 처리해 지표 비교
+     * 최적값을 실시간 필터에 바로 적용할 수 있도록 실시간과 같은 샘플링 레이트로 처리
+     */
+    runSweep() {
+        const status = this.getElementById('sweep-status');
+        const candidate = this.findSweepParameter(this.settings.sweepParameter);
+        if (!candidate) {
+            status.innerHTML = '<div class="import-warning">⚠️ 현재 필터에는 스윕할 수 있는 숫자 파라미터가 없습니다.</div>';
+            return;
+        }
+
+        const sampleRate = this.getSampleRate();
+        let input;
+        if (this.importedSignal) {
+            input = { values: this.importedSignal.values, clean: null, reference: null };
+        } else {
+            const generator = new SignalGenerator(this.settings.seed);
+            generator.setSampleRate(sampleRate);
+            input = BatchProcessor.generate(generator, this.settings, this.settings.batchDuration);
+        }
+
+        const integer = candidate.param.step >= 1 && candidate.param.digits === 0;
+        let result;
+        let sweep;
+        try {
+            sweep = ParameterSweep.values(this.settings.sweepMin, this.settings.sweepMax, this.settings.sweepSteps, integer);
+            result = ParameterSweep.run(input, value => candidate.build(value, sampleRate), sweep.values, sampleRate);
+        } catch (error) {
+            status.innerHTML = `<div class="import-error">❌ ${this.escapeHtml(error.message)}</div>`;
+            return;
+        }
+
+        this.sweepResult = {
+            candidateId: candidate.id,
+            parameterLabel: candidate.label,
+            points: result.points,
+            logScale: sweep.logScale,
+            elapsed: result.elapsed,
+            length: input.values.length,
+            sampleRate,
+            hasReference: !!input.clean
+        };
+        this.updateSweepResult();
+
+        console.log(`📐 파라미터 스윕: ${candidate.id}, ${result.points.length}개 값, ${result.elapsed.toFixed(1)} ms`);
+    }
+
+    /**
+     * 현재 지표로 최적값을 골라 스윕 그래프, 상태, 표 갱신 (지표만 바꾸면 다시 실행하지 않음)
+     */
+    updateSweepResult() {
+        const status = this.getElementById('sweep-status');
+        const table = this.getElementById('sweep-table');
+        const apply = this.getElementById('sweep-apply');
+        const result = this.sweepResult;
+        if (!result) {
+            apply.disabled = true;
+            return;
+        }
+
+        const metric = this.settings.sweepMetric;
+        const metricInfo = ParameterSweep.METRICS[metric];
+        const candidate = this.findSweepParameter(result.candidateId);
+        const optimum = ParameterSweep.optimum(result.points, metric);
+        const current = candidate ? candidate.params[candidate.param.key] : null;
+
+        this.sweepPlot.setResult({
+            points: result.points,
+            metric,
+            metricLabel: metricInfo.label,
+            parameterLabel: result.parameterLabel,
+            logScale: result.logScale,
+            optimum,
+            current
+        });
+        apply.disabled = !optimum || !candidate;
+
+        const note = metricInfo.requiresReference && !result.hasReference
+            ? '<div class="import-warning">⚠️ 불러온 데이터에는 기준 신호가 없어 이 지표를 계산할 수 없습니다 (지연만 비교 가능).</div>'
+            : '';
+        status.innerHTML = `
+            ${result.points.length}개 값 × ${result.length.toLocaleString()}개 샘플 (${result.sampleRate} Hz)을
+            ${result.elapsed.toFixed(1)} ms에 처리 - ${metricInfo.goal === 'min' ? '최소' : '최대'}인 값이 최적${note}
+        `;
+
+        const format = value => (value === null ? '-' : Number(value.toPrecision(4)).toString());
+        const row = (label, point) => `
+            <tr>
+                <td>${label}</td>
+                <td>${format(point.value)}</td>
+                <td>${format(point.rmse)}</td>
+                <td>${point.lag.toFixed(0)} ms</td>
+                <td>${point.noiseReduction === null ? '-' : point.noiseReduction.toFixed(0) + '%'}</td>
+            </tr>
+        `;
+
+        // 현재 값에 가장 가까운 후보와 함께 비교
+        const nearest = current === null ? null : result.points.reduce((best, point) => (
+            Math.abs(point.value - current) < Math.abs(best.value - current) ? point : best
+        ));
+        table.innerHTML = `
+            <tr><th>후보</th><th>값</th><th>RMSE</th><th>지연</th><th>노이즈 제거</th></tr>
+            ${optimum ? row('최적', optimum) : ''}
+            ${nearest ? row('현재 값 근처', nearest) : ''}
+        `;
+    }
+
+    /**
+     * 스윕 최적값을 설정과 실시간 필터에 적용
+     */
+    applySweepOptimum() {
+        const result = this.sweepResult;
+        const candidate = result ? this.findSweepParameter(result.candidateId) : null;
+        const optimum = result ? ParameterSweep.optimum(result.points, this.settings.sweepMetric) : null;
+        if (!candidate || !optimum) return;
+
+        candidate.params[candidate.param.key] = optimum.value;
+        const filter = candidate.getFilter();
+        if (filter) {
+            filter[candidate.param.setter](optimum.value);
+        }
+
+        this.updateFilterControls();
+        this.updateBodePlot();
+        this.updateTransientAnalysis();
+        this.updatePoleZeroPlot();
+        this.updateImpulseResponsePlot();
+
+        console.log(`✅ 스윕 최적값 적용: ${candidate.id} = ${optimum.value}`);
+    }
+
+    /**
+     * 스윕 결과 지우기 (입력 소스나 필터가 바뀌어 결과가 맞지 않을 때)
+     */
+    clearSweep() {
+        this.sweepResult = null;
+        this.sweepPlot.clearData();
+        this.getElementById('sweep-status').innerHTML = '';
+        this.getElementById('sweep-table').innerHTML = '';
+        this.getElementById('sweep-apply').disabled = true;
+    }
+
+    /**
+     * 선형 필터마다 영위상(순방향 + 역방향) 출력을 계산해 원래 출력 바로 뒤에 추가
+     * @param {Array} values - 입력 샘플 배열
+     * @param {Object} result - BatchProcessor.run 결과 (outputs를 교체함)
+     * @param {number} sampleRate - 샘플링 레이트 (Hz)
+     * @returns {Array} 비선형이라 제외한 필터 타입 목록
+     */
+    addZeroPhaseOutputs(values, result, sampleRate) {
+        const outputs = {};
+        const skipped = [];
+
+        Object.entries(result.outputs).forEach(([filterType, output]) => {
+            outputs[filterType] = output;
+
+            const filter = this.buildFilter(filterType, this.settings, sampleRate);
+            if (BatchProcessor.isLinear(filter)) {
+                outputs[filterType + ZERO_PHASE_SUFFIX] = BatchProcessor.zeroPhase(values, filter);
+            } else {
+                skipped.push(filterType);
+            }
+        });
+
+        result.outputs = outputs;
+        return skipped;
+    }
+
+    /**
+     * 선형 칼만 필터마다 RTS 스무딩 출력을 계산해 순방향 출력(영위상 출력이 있으면 그 뒤)에 이어 추가
+     * 순방향 출력은 스무더의 순방향 패스와 같으므로 그대로 두고 비교용으로 함께 표시
+     * @param {Array} values - 입력 샘플 배열
+     * @param {Object} result - BatchProcessor.run 결과 (outputs를 교체함)
+     * @param {number} sampleRate - 샘플링 레이트 (Hz)
+     * @returns {Array} 비선형이라 제외한 칼만 계열 필터 타입 목록
+     */
+    addSmoothedOutputs(values, result, sampleRate) {
+        const outputs = {};
+        const skipped = [];
+
+        Object.entries(result.outputs).forEach(([outputName, output]) => {
+            outputs[outputName] = output;
+
+            // 영위상 출력이 있으면 그 다음 차례에 추가
+            const filterType = outputName.endsWith(ZERO_PHASE_SUFFIX) ? outputName.slice(0, -ZERO_PHASE_SUFFIX.length) : outputName;
+            const zeroPhaseName = filterType + ZERO_PHASE_SUFFIX;
+            if (!KALMAN_FILTERS.includes(filterType) || (outputName !== zeroPhaseName && result.outputs[zeroPhaseName])) return;
+
+            const filter = this.buildFilter(filterType, this.settings, sampleRate);
+            if (filter instanceof KalmanFilter) {
+                outputs[filterType + SMOOTHED_SUFFIX] = new KalmanSmoother(filter).smooth(values).smoothed;
+            } else {
+                skipped.push(filterType);
+            }
+        });
+
+        result.outputs = outputs;
+        return skipped;
+    }
+
+    /**
+     * 출력 이름의 표시 이름과 색상 (영위상, RTS 스무딩 출력은 원래 필터 이름에 표시를 붙이고 같은 색 사용)
+     * @param {string} outputName - 필터 타입 또는 필터 타입 + ZERO_PHASE_SUFFIX / SMOOTHED_SUFFIX
+     * @returns {Object} {name, color, zeroPhase, smoothed}
+     */
+    describeOutput(outputName) {
+        const zeroPhase = outputName.endsWith(ZERO_PHASE_SUFFIX);
+        const smoothed = outputName.endsWith(SMOOTHED_SUFFIX);
+        const suffix = zeroPhase ? ZERO_PHASE_SUFFIX : (smoothed ? SMOOTHED_SUFFIX : '');
+        const filterType = outputName.slice(0, outputName.length - suffix.length);
+        const mark = zeroPhase ? ' (영위상)' : (smoothed ? ' (RTS 스무딩)' : '');
+        return {
+            name: FILTER_NAMES[filterType] + mark,
+            color: FILTER_COLORS[filterType],
+            zeroPhase,
+            smoothed
+        };
+    }
+
+    /**
+     * 배치 결과 뷰에 그릴 시계열 구성
+     * @returns {Array} [{label, color, width, dash, values}]
+     */
+    getBatchSeries(input, result, chainStages) {
+        const series = [{ label: '원본', color: '#90CAF9', width: 1, values: input.values }];
+
+        if (input.clean) {
+            series.push({ label: '기준 신호', color: '#555555', width: 1.5, dash: [6, 4], values: input.clean });
+        }
+
+        if (this.settings.showStageOutputs) {
+            chainStages.forEach((values, index) => {
+                series.push({
+                    label: `${index + 1}단계 ${FILTER_NAMES[this.settings.chainStages[index].type]}`,
+                    color: STAGE_COLORS[index % STAGE_COLORS.length],
+                    width: 1,
+                    dash: [4, 3],
+                    values
+                });
+            });
+        }
+
+        Object.entries(result.outputs).forEach(([outputName, values]) => {
+            const { name, color, zeroPhase, smoothed } = this.describeOutput(outputName);
+            const dash = zeroPhase ? [8, 3] : (smoothed ? [12, 3, 2, 3] : undefined);
+            series.push({ label: name, color, width: zeroPhase || smoothed ? 2 : 1.5, dash, values });
+        });
+
+        return series;
+    }
+
+    /**
+     * 배치 처리 결과 요약과 필터별 지표 표시 (결과가 없으면 안내 문구)
+     * @param {Object} input - {values, clean}
+     * @param {Object} outputs - 필터 타입 → 출력 배열
+     */
+    updateBatchStatus(input = null, outputs = {}) {
+        if (!this.batchResult) {
+            this.getElementById('batch-status').innerHTML = '불러온 데이터가 있으면 전체 데이터를, 없으면 신호 생성기로 만든 신호를 처리합니다.';
+            this.getElementById('batch-table').innerHTML = '';
+            return;
+        }
+
+        const { length, duration, sampleRate, elapsed, zeroPhaseSkipped, smoothingSkipped } = this.batchResult;
+        const throughput = elapsed > 0 ? Math.round(length / elapsed * 1000).toLocaleString() + ' 샘플/초' : '-';
+        let skippedNote = zeroPhaseSkipped.length > 0
+            ? `<br>영위상 처리 제외 (비선형): ${zeroPhaseSkipped.map(filterType => FILTER_NAMES[filterType]).join(', ')}`
+            : '';
+        if (smoothingSkipped && smoothingSkipped.length > 0) {
+            skippedNote += `<br>RTS 스무딩 제외 (비선형 모델): ${smoothingSkipped.map(filterType => FILTER_NAMES[filterType]).join(', ')}`;
+        } else if (smoothingSkipped && !Object.keys(outputs).some(outputName => outputName.endsWith(SMOOTHED_SUFFIX))) {
+            skippedNote += '<br>RTS 스무딩: 현재 필터나 비교 필터에 칼만 필터가 없습니다.';
+        }
+
+        this.getElementById('batch-status').innerHTML = `
+            ${length.toLocaleString()}개 샘플 (${duration.toFixed(1)}초, ${sampleRate} Hz)을
+            ${elapsed.toFixed(1)} ms에 처리 (${throughput})${skippedNote}
+        `;
+
+        this.renderMetricsTable(this.getElementById('batch-table'), input.values, input.clean, outputs, sampleRate);
+    }
+
+    /**
+     * 통계 정보 업데이트
+     */
+    updateStatistics() {
+        try {
+            const originalStats = this.originalVisualizer.getStatistics();
+            const filteredStats = this.filteredVisualizer.getStatistics();
+
+            this.statistics.originalRMS = originalStats.rms;
+            this.statistics.filteredRMS = filteredStats.rms;
+
+            // 기준 신호 대비 오차 지표 계산
+            const { raw, clean, outputs } = this.history;
+            const filtered = outputs[this.currentFilter] || [];
+            if (filtered.length > 10 && this.getSignalSource().hasReference) {
+                const rawTail = raw.slice(-filtered.length);
+                const cleanTail = clean.slice(-filtered.length);
+                const lag = SignalMetrics.estimateLag(cleanTail, filtered);
+
+                this.statistics.mse = SignalMetrics.mse(filtered, cleanTail);
+                this.statistics.rmse = Math.sqrt(this.statistics.mse);
+                this.statistics.snrBefore = SignalMetrics.snrDb(rawTail, cleanTail);
+                this.statistics.snrAfter = SignalMetrics.snrDb(filtered, cleanTail);
+                this.statistics.snrImprovement = this.statistics.snrAfter - this.statistics.snrBefore;
+                this.statistics.correlation = SignalMetrics.correlation(filtered, cleanTail);
+                this.statistics.noiseReduction = SignalMetrics.noiseReduction(rawTail, filtered, cleanTail, lag);
+            }
+
+            // UI 업데이트
+            this.updateStatisticsUI();
+            this.updateComparisonTable();
+            this.updateKalmanDiagnosticsTable();
+            this.updateAdaptiveFilterTable();
+        } catch (error) {
+            console.error('통계 계산 오류:', error);
+        }
+    }
+
+    /**
+     * 원본/필터링 신호의 주파수 스펙트럼 계산 및 표시
+     */
+    updateSpectrum() {
+        const originalValues = this.originalVisualizer.data.map(d => d.value);
+        const filteredValues = this.filteredVisualizer.data.map(d => d.value);
+        if (originalValues.length < 2) return;
+
+        const sampleRate = this.getSampleRate();
+        const originalSpectrum = this.spectrumAnalyzer.analyze(originalValues, sampleRate);
+        const filteredSpectrum = this.spectrumAnalyzer.analyze(filteredValues, sampleRate);
+
+        this.spectrumVisualizer.setSpectra([
+            { label: '원본', color: this.originalVisualizer.options.signalColor, ...originalSpectrum },
+            { label: '필터링', color: this.filteredVisualizer.options.signalColor, ...filteredSpectrum }
+        ], sampleRate / 2);
+    }
+
+    /**
+     * 현재 필터의 주파수 응답으로 보드 선도 다시 그리기
+     */
+    updateBodePlot() {
+        if (!this.filter) {
+            this.bodePlot.clearData();
+            return;
+        }
+
+        // 비선형 필터(또는 그런 단계를 포함한 체인)는 주파수 응답이 정의되지 않음
+        const isLinear = typeof this.filter.getFrequencyResponse === 'function' &&
+            (typeof this.filter.isLinear !== 'function' || this.filter.isLinear());
+        if (!isLinear) {
+            this.bodePlot.clearData('비선형 필터는 주파수 응답이 없습니다 (계단/임펄스 응답 참고)');
+            return;
+        }
+
+        // 표시 범위는 나이퀴스트 주파수 기준 3.5 decade (100 Hz에서 0.1 ~ 50 Hz)
+        const nyquist = this.getSampleRate() / 2;
+        this.bodePlot.options.minFrequency = nyquist / 500;
+        this.bodePlot.options.maxFrequency = nyquist;
+
+        const frequencies = BodePlot.logspace(this.bodePlot.options.minFrequency, nyquist, 200);
+        let responses;
+        try {
+            responses = frequencies.map(f => this.filter.getFrequencyResponse(f));
+        } catch (error) {
+            // 칼만 필터의 정상상태 게인이 수렴하지 않는 설정 등
+            this.bodePlot.clearData(error.message);
+            return;
+        }
+
+        // 불러온 데이터는 입력 주파수를 알 수 없으므로 표시하지 않음
+        const markers = this.importedSignal ? [] : [
+            { frequency: this.settings.frequency, label: '입력', color: '#FF9800' }
+        ];
+        this.bodePlot.setResponse(frequencies, responses, markers);
+    }
+
+    /**
+     * 현재 필터 설정으로 새 필터를 만들어 계단/임펄스 응답과 과도 응답 지표 갱신
+     */
+    updateTransientAnalysis() {
+        const table = this.getElementById('transient-table');
+        if (!this.filter) {
+            this.transientPlot.clearData();
+            table.innerHTML = '';
+            return;
+        }
+
+        const result = TransientAnalyzer.analyze(
+            () => this.buildFilter(this.currentFilter),
+            this.getSampleRate(),
+            this.settings.transientDuration
+        );
+        this.transientPlot.setResponse(result);
+
+        const formatTime = value => (value === null ? '-' : (value * 1000).toFixed(0) + ' ms');
+        const formatSettling = metrics => (metrics.settled ? formatTime(metrics.settlingTime) : '구간 안에서 정착 안 함');
+        const { stepMetrics, impulseMetrics } = result;
+
+        // 정착하지 않았으면 최종값을 알 수 없으므로 최종값 기준 지표는 표시하지 않음 (구간을 늘리도록 안내)
+        const settled = stepMetrics.settled;
+        const rows = [
+            ['상승 시간 (10→90%)', settled ? formatTime(stepMetrics.riseTime) : '-'],
+            ['정착 시간 (±2%)', formatSettling(stepMetrics)],
+            ['오버슈트', settled && stepMetrics.overshoot !== null ? stepMetrics.overshoot.toFixed(1) + '%' : '-'],
+            ['정상상태 오차', settled ? stepMetrics.steadyStateError.toFixed(4) : '-'],
+            ['임펄스 최대값 / 시점', `${impulseMetrics.peak.toFixed(4)} / ${formatTime(impulseMetrics.peakTime)}`],
+            ['임펄스 정착 시간', formatSettling(impulseMetrics)]
+        ];
+
+        table.innerHTML = `
+            <tr><th>과도 응답 지표</th><th>값</th></tr>
+            ${rows.map(([label, value]) => `<tr><td>${label}</td><td>${value}</td></tr>`).join('')}
+        `;
+    }
+
+    /**
+     * 극점/영점과 2차 섹션 계수 표시 (극점/영점을 제공하는 필터만)
+     */
+    updatePoleZeroPlot() {
+        const table = this.getElementById('pole-zero-table');
+        if (!this.filter || typeof this.filter.getPolesZeros !== 'function') {
+            this.poleZeroPlot.clearData();
+            table.innerHTML = '';
+            return;
+        }
+
+        this.poleZeroPlot.setRoots(this.filter.getPolesZeros());
+
+        const format = values => values.map(value => value.toPrecision(6)).join(', ');
+        table.innerHTML = `
+            <tr><th>섹션</th><th>b (분자)</th><th>a (분모)</th></tr>
+            ${this.filter.getCoefficients().map(({ b, a }, index) => `
+                <tr><td>${index + 1}</td><td>${format(b)}</td><td>${format(a)}</td></tr>
+            `).join('')}
+        `;
+    }
+
+    /**
+     * FIR 계수(임펄스 응답) 그래프와 계수 목록 표시 (숫자 계수 배열을 제공하는 필터만)
+     */
+    updateImpulseResponsePlot() {
+        const list = this.getElementById('impulse-response-coefficients');
+        const coefficients = this.filter && typeof this.filter.getCoefficients === 'function'
+            ? this.filter.getCoefficients()
+            : null;
+        if (!Array.isArray(coefficients) || !coefficients.every(Number.isFinite)) {
+            this.impulseResponsePlot.clearData();
+            list.value = '';
+            return;
+        }
+
+        this.impulseResponsePlot.setCoefficients(coefficients);
+        list.value = coefficients.map(value => value.toPrecision(8)).join(', ');
+    }
+
+    /**
+     * 통계 UI 업데이트
+     */
+    updateStatisticsUI() {
+        const formatDb = value => isFinite(value) ? value.toFixed(1) + ' dB' : (value > 0 ? '∞' : '-∞');
+        const elements = {
+            'noise-reduction': this.statistics.noiseReduction.toFixed(0) + '%',
+            'mse-value': this.statistics.mse.toFixed(4),
+            'rmse-value': this.statistics.rmse.toFixed(3),
+            'snr-value': `${formatDb(this.statistics.snrBefore)} → ${formatDb(this.statistics.snrAfter)}`,
+            'snr-improvement': (this.statistics.snrImprovement > 0 ? '+' : '') + formatDb(this.statistics.snrImprovement),
+            'correlation-value': this.statistics.correlation.toFixed(3),
+            'current-time': this.getSignalSource().getCurrentTime().toFixed(1) + ' 초',
+            'recorded-samples': this.recorder.getLength() + '개'
+        };
+
+        // 불러온 데이터는 기준 신호가 없으므로 오차 지표를 표시하지 않음
+        if (!this.getSignalSource().hasReference) {
+            ['noise-reduction', 'mse-value', 'rmse-value', 'snr-value', 'snr-improvement', 'correlation-value'].forEach(id => {
+                elements[id] = '-';
+            });
+        }
+
+        Object.entries(elements).forEach(([id, value]) => {
+            const element = document.getElementById(id);
+            if (element) {
+                element.textContent = value;
+            }
+        });
+    }
+
+    /**
+     * 필터 전환
+     */
+    switchFilter(filterType) {
+        // 지원되는 필터 체크
+        if (!FILTER_NAMES[filterType]) {
+            alert('해당 필터는 아직 구현되지 않았습니다.');
+            return;
         }
 
         // 탭 활성화 상태 변경
@@ -341,10 +2577,382 @@ class FilterVisualizerApp {
         });
         document.querySelector(`[data-filter="${filterType}"]`).classList.add('active');
 
+        // 필터 전환
         this.currentFilter = filterType;
+        this.createFilter();
+        this.createComparisonFilters();
+
+        // 필터별 UI 업데이트
+        this.updateFilterControls();
+        this.updateFilteredOverlays();
+        this.updateBodePlot();
+        this.updateTransientAnalysis();
+        this.updatePoleZeroPlot();
+        this.updateImpulseResponsePlot();
+
         console.log(`🔧 필터 전환: ${filterType}`);
     }
 
+    /**
+     * 현재 필터에 맞는 파라미터 컨트롤 렌더링
+     */
+    updateFilterControls() {
+        const controlsSection = document.getElementById('filter-controls');
+
+        // 스윕할 수 있는 파라미터도 현재 필터와 표시 중인 컨트롤에 따라 바뀜
+        if (this.currentFilter === 'chain') {
+            this.renderChainControls(controlsSection);
+            this.renderSweepOptions();
+            return;
+        }
+
+        controlsSection.innerHTML = `
+            <h3>⚙️ ${FILTER_NAMES[this.currentFilter]}</h3>
+            ${this.renderParameterControls(this.currentFilter, this.settings)}
+        `;
+
+        // 이벤트 리스너 재등록
+        this.bindParameterControls(this.currentFilter, this.settings, () => this.filter);
+        this.renderSweepOptions();
+    }
+
+    /**
+     * 필터 파라미터 슬라이더 HTML 생성
+     * @param {string} filterType - 필터 타입
+     * @param {Object} params - 현재 파라미터 값
+     * @param {string} prefix - 요소 id 접두사 (체인 단계 구분용)
+     * @returns {string} 컨트롤 HTML
+     */
+    renderParameterControls(filterType, params, prefix = '') {
+        return this.getVisibleParameters(filterType, params).map(param => {
+            if (param.options) {
+                return `
+                <div class="control-group">
+                    <label>${param.label}</label>
+                    <select id="${prefix}${param.id}" class="parameter-select">
+                        ${Object.entries(param.options).map(([value, label]) => `
+                            <option value="${value}" ${value === params[param.key] ? 'selected' : ''}>${label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+            `;
+            }
+
+            if (param.text) {
+                return `
+                <div class="control-group">
+                    <label>${param.label}</label>
+                    <textarea id="${prefix}${param.id}" class="parameter-text" rows="3">${params[param.key]}</textarea>
+                    <div id="${prefix}${param.id}-status">${this.renderTextParameterStatus(param, params[param.key])}</div>
+                </div>
+            `;
+            }
+
+            const range = this.getParameterRange(param, params[param.key]);
+            return `
+                <div class="control-group">
+                    <label>${param.label}</label>
+                    <div class="slider-container">
+                        <input type="range" id="${prefix}${param.id}" min="${range.min}" max="${range.max}" value="${params[param.key]}" step="${range.step}">
+                        <div class="value-display" id="${prefix}${param.valueId}">${params[param.key].toFixed(range.digits)}</div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * 여러 줄 입력 파라미터의 해석 결과 (무시한 항목이 있으면 경고, 남은 값이 없으면 오류)
+     * @param {Object} param - FILTER_PARAMETERS 항목
+     * @param {string} text - 입력 문자열
+     * @returns {string} 상태 HTML (문제가 없으면 빈 문자열)
+     */
+    renderTextParameterStatus(param, text) {
+        if (!param.parse) return '';
+
+        const { coefficients, errors } = param.parse(text);
+        if (coefficients.length === 0) {
+            return '<div class="import-error">❌ 숫자 계수가 없어 통과 필터 [1]을 사용합니다.</div>';
+        }
+        if (errors.length === 0) return '';
+
+        const shown = errors.slice(0, 3).map(error => this.escapeHtml(error.message)).join('<br>');
+        const more = errors.length > 3 ? `<br>외 ${errors.length - 3}개` : '';
+        return `<div class="import-warning">⚠️ 숫자가 아닌 항목 ${errors.length}개를 빼고 ${coefficients.length}개 계수를 사용합니다.<br>${shown}${more}</div>`;
+    }
+
+    /**
+     * 현재 파라미터 값에서 표시할 파라미터 목록 (visibleWhen 조건을 통과한 항목)
+     * @param {string} filterType - 필터 타입
+     * @param {Object} params - 현재 파라미터 값
+     * @returns {Array} FILTER_PARAMETERS 항목 배열
+     */
+    getVisibleParameters(filterType, params) {
+        return FILTER_PARAMETERS[filterType].filter(param => !param.visibleWhen || param.visibleWhen(params));
+    }
+
+    /**
+     * 현재 샘플링 레이트에 맞춘 파라미터 슬라이더 범위
+     * 현재 값(자동 튜닝 결과 등)이 범위를 벗어나면 그 값까지 넓히고, 아래로 넓힐 때는 간격과 표시 자릿수도 맞춤
+     * @param {Object} param - FILTER_PARAMETERS 항목
+     * @param {number|null} value - 현재 값 (없으면 기본 범위)
+     * @returns {Object} {min, max, step, digits}
+     */
+    getParameterRange(param, value = null) {
+        const scale = param.scaleWithSampleRate ? this.getSampleRate() / REFERENCE_SAMPLE_RATE : 1;
+        const range = {
+            min: param.min * scale,
+            max: param.max * scale,
+            step: param.step * scale,
+            digits: param.digits
+        };
+
+        if (value !== null && value > range.max) {
+            range.max = value;
+        }
+        if (value !== null && value < range.min) {
+            range.min = value;
+            if (value > 0) {
+                range.step = Math.min(range.step, Math.pow(10, Math.floor(Math.log10(value)) - 1));
+            }
+        }
+        if (param.scaleWithSampleRate || range.step !== param.step) {
+            range.digits = Math.max(param.digits, Math.ceil(-Math.log10(range.step)));
+        }
+        return range;
+    }
+
+    /**
+     * 샘플링 레이트가 바뀌면 주파수 파라미터를 같은 비율로 조정하고 새 슬라이더 범위 안으로 맞춤
+     * (나이퀴스트 대비 컷오프 위치가 유지되므로 원래 레이트로 돌아오면 값도 돌아온다)
+     * @param {number} previousSampleRate - 바뀌기 전 샘플링 레이트 (Hz)
+     */
+    fitParametersToSampleRate(previousSampleRate) {
+        const ratio = this.getSampleRate() / previousSampleRate;
+        const fit = (filterType, params, scaled) => {
+            FILTER_PARAMETERS[filterType].forEach(param => {
+                if (!param.scaleWithSampleRate) return;
+
+                const range = this.getParameterRange(param);
+                if (!scaled.has(param.key)) {
+                    params[param.key] *= ratio;
+                    scaled.add(param.key);
+                }
+                params[param.key] = Math.min(Math.max(params[param.key], range.min), range.max);
+            });
+        };
+
+        // 로우패스/하이패스가 같은 설정 키를 공유하므로 키마다 한 번만 비율 적용
+        const scaledSettings = new Set();
+        Object.keys(FILTER_PARAMETERS).forEach(filterType => fit(filterType, this.settings, scaledSettings));
+        this.settings.chainStages.forEach(stage => fit(stage.type, stage.params, new Set()));
+    }
+
+    /**
+     * 필터 파라미터 슬라이더에 이벤트 리스너 등록
+     * @param {string} filterType - 필터 타입
+     * @param {Object} params - 값을 저장할 파라미터 객체
+     * @param {Function} getFilter - 값을 적용할 필터 인스턴스를 반환하는 함수
+     * @param {string} prefix - 요소 id 접두사
+     */
+    bindParameterControls(filterType, params, getFilter, prefix = '') {
+        this.getVisibleParameters(filterType, params).forEach(param => {
+            const isSlider = !param.options && !param.text;
+            this.getElementById(prefix + param.id).addEventListener(isSlider ? 'input' : 'change', (e) => {
+                if (!isSlider) {
+                    params[param.key] = e.target.value;
+                    if (param.text) {
+                        this.getElementById(`${prefix}${param.id}-status`).innerHTML = this.renderTextParameterStatus(param, params[param.key]);
+                    }
+                } else {
+                    params[param.key] = parseFloat(e.target.value);
+                    this.updateValueDisplay(prefix + param.valueId, params[param.key].toFixed(this.getParameterRange(param, params[param.key]).digits));
+                }
+
+                if (param.rebuild) {
+                    this.rebuildFilter();
+                    return;
+                }
+
+                const filter = getFilter();
+                if (filter) {
+                    filter[param.setter](params[param.key]);
+                }
+
+                // 선택에 따라 표시할 파라미터가 바뀌면 컨트롤을 다시 그림
+                if (param.options && FILTER_PARAMETERS[filterType].some(other => other.visibleWhen)) {
+                    this.updateFilterControls();
+                }
+                this.updateBodePlot();
+                this.updateTransientAnalysis();
+                this.updatePoleZeroPlot();
+                this.updateImpulseResponsePlot();
+            });
+        });
+    }
+
+    /**
+     * 필터 체인 컨트롤 렌더링 (단계 추가/삭제/순서 변경 + 단계별 파라미터)
+     */
+    renderChainControls(controlsSection) {
+        const stages = this.settings.chainStages;
+        const typeOptions = Object.keys(FILTER_PARAMETERS)
+            .map(type => `<option value="${type}">${FILTER_NAMES[type]}</option>`)
+            .join('');
+
+        controlsSection.innerHTML = `
+            <h3>⚙️ ${FILTER_NAMES.chain}</h3>
+            ${stages.map((stage, index) => `
+                <div class="chain-stage">
+                    <div class="chain-stage-header">
+                        <span>${index + 1}. ${FILTER_NAMES[stage.type]}</span>
+                        <button class="chain-btn" data-action="up" data-index="${index}" ${index === 0 ? 'disabled' : ''}>↑</button>
+                        <button class="chain-btn" data-action="down" data-index="${index}" ${index === stages.length - 1 ? 'disabled' : ''}>↓</button>
+                        <button class="chain-btn" data-action="remove" data-index="${index}">✕</button>
+                    </div>
+                    ${this.renderParameterControls(stage.type, stage.params, `stage-${index}-`)}
+                </div>
+            `).join('')}
+            <div class="control-group chain-add">
+                <select id="chain-add-type">${typeOptions}</select>
+                <button class="chain-btn" id="chain-add">+ 단계 추가</button>
+            </div>
+            <label class="checkbox-label">
+                <input type="checkbox" id="chain-show-stages" ${this.settings.showStageOutputs ? 'checked' : ''}>
+                단계별 중간 출력 표시
+            </label>
+        `;
+
+        // 단계별 파라미터
+        stages.forEach((stage, index) => {
+            this.bindParameterControls(stage.type, stage.params, () => this.filter.stages[index], `stage-${index}-`);
+        });
+
+        // 단계 이동/삭제 버튼
+        controlsSection.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', (e) => {
+                const index = parseInt(e.target.dataset.index);
+                const action = e.target.dataset.action;
+                if (action === 'up') {
+                    this.moveChainStage(index, index - 1);
+                } else if (action === 'down') {
+                    this.moveChainStage(index, index + 1);
+                } else if (action === 'remove') {
+                    this.removeChainStage(index);
+                }
+            });
+        });
+
+        this.getElementById('chain-add').addEventListener('click', () => {
+            this.addChainStage(this.getElementById('chain-add-type').value);
+        });
+
+        this.getElementById('chain-show-stages').addEventListener('change', (e) => {
+            this.settings.showStageOutputs = e.target.checked;
+            this.updateFilteredOverlays();
+        });
+    }
+
+    /**
+     * 필터 체인에 단계 추가 (현재 설정값을 초기 파라미터로 사용)
+     * @param {string} filterType - 추가할 필터 타입
+     */
+    addChainStage(filterType) {
+        const params = {};
+        FILTER_PARAMETERS[filterType].forEach(param => {
+            params[param.key] = this.settings[param.key];
+        });
+
+        this.settings.chainStages.push({ type: filterType, params });
+        this.rebuildFilter();
+    }
+
+    /**
+     * 필터 체인에서 단계 제거
+     * @param {number} index - 제거할 단계 위치
+     */
+    removeChainStage(index) {
+        this.settings.chainStages.splice(index, 1);
+        this.rebuildFilter();
+    }
+
+    /**
+     * 필터 체인 단계 순서 변경
+     * @param {number} fromIndex - 현재 위치
+     * @param {number} toIndex - 이동할 위치
+     */
+    moveChainStage(fromIndex, toIndex) {
+        const stages = this.settings.chainStages;
+        if (toIndex < 0 || toIndex >= stages.length) return;
+
+        const [stage] = stages.splice(fromIndex, 1);
+        stages.splice(toIndex, 0, stage);
+        this.rebuildFilter();
+    }
+
+    /**
+     * 필터 구성(체인 단계, 이동평균 종류)이 바뀌면 필터를 다시 만들고 UI 갱신
+     */
+    rebuildFilter() {
+        this.createFilter();
+        this.createComparisonFilters();
+        this.updateFilterControls();
+        this.updateFilteredOverlays();
+        this.updateBodePlot();
+        this.updateTransientAnalysis();
+        this.updatePoleZeroPlot();
+        this.updateImpulseResponsePlot();
+    }
+
+    /**
+     * 필터링 캔버스의 추가 시계열 구성
+     * - 필터 체인: 단계별 중간 출력 (마지막 단계는 최종 출력과 같으므로 제외)
+     * - 비교 모드: 함께 실행 중인 다른 필터들의 출력
+     */
+    updateFilteredOverlays() {
+        this.filteredVisualizer.clearOverlays();
+
+        // 비교 모드에서는 주 신호도 필터 이름/색상으로 표시
+        const comparing = this.settings.comparisonEnabled;
+        this.filteredVisualizer.options.signalColor = comparing ? FILTER_COLORS[this.currentFilter] : '#4CAF50';
+        this.filteredVisualizer.options.signalLabel = comparing ? FILTER_NAMES[this.currentFilter] : '최종 출력';
+
+        if (this.settings.showCleanSignal) {
+            this.filteredVisualizer.setOverlay('clean', {
+                label: '기준 신호',
+                color: '#555555',
+                width: 1.5,
+                dash: [6, 4]
+            });
+        }
+
+        Object.keys(this.comparisonFilters).forEach(filterType => {
+            this.filteredVisualizer.setOverlay(`compare-${filterType}`, {
+                label: FILTER_NAMES[filterType],
+                color: FILTER_COLORS[filterType],
+                width: 1.5
+            });
+        });
+
+        if (this.currentFilter === 'chain' && this.settings.showStageOutputs) {
+            this.settings.chainStages.slice(0, -1).forEach((stage, index) => {
+                this.filteredVisualizer.setOverlay(`stage-${index}`, {
+                    label: `${index + 1}단계 ${FILTER_NAMES[stage.type]}`,
+                    color: STAGE_COLORS[index % STAGE_COLORS.length],
+                    dash: [4, 3]
+                });
+            });
+        }
+
+        // 칼만 필터: 추정 위치의 신뢰 구간 (넓은 ±2σ 위에 진한 ±1σ)
+        if (this.isKalmanFilter() && this.settings.showKalmanBand) {
+            this.filteredVisualizer.setBand('kalman-2sigma', { label: '±2σ (95%)', color: 'rgba(233, 30, 99, 0.12)' });
+            this.filteredVisualizer.setBand('kalman-1sigma', { label: '±1σ (68%)', color: 'rgba(233, 30, 99, 0.25)' });
+        }
+
+        this.filteredVisualizer.update();
+    }
+
     /**
      * 초기 UI 상태 설정
      */
@@ -354,10 +2962,19 @@ class FilterVisualizerApp {
         this.updateValueDisplay('amplitude-value', this.settings.amplitude);
         this.updateValueDisplay('noise-value', this.settings.noiseLevel);
         this.updateValueDisplay('window-value', this.settings.windowSize);
-        
+        this.updateValueDisplay('speed-value', this.settings.speed + 'x');
+        this.getElementById('noise-seed').value = this.settings.seed;
+
         // 통계 초기화
         this.updateStatisticsUI();
-        
+        this.updateFilterControls();
+        this.updateBodePlot();
+        this.updateTransientAnalysis();
+        this.updatePoleZeroPlot();
+        this.updateImpulseResponsePlot();
+        this.updateImportUI();
+        this.updateBatchStatus();
+
         console.log('🎨 UI 초기화 완료');
     }
 
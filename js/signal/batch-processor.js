@@ -0,0 +1,146 @@
+// batch-processor.js - 화면 갱신(requestAnimationFrame)과 무관하게 신호 전체를 한 번에 필터링
+
+class BatchProcessor {
+    /**
+     * 신호 생성기로 지정한 길이의 입력 신호 생성
+     * @param {SignalGenerator} generator - 샘플링 레이트가 설정된 신호 생성기
+     * @param {Object} signalSettings - {signalType, frequency, amplitude, noiseLevel, noiseMix, waveform}
+     * @param {number} duration - 길이 (초)
+     * @returns {Object} {values, clean, reference} - 측정값, 기준 신호, 상관 노이즈의 참조 채널 배열
+     */
+    static generate(generator, signalSettings, duration) {
+        const length = Math.round(duration * generator.sampleRate);
+        const values = new Array(length);
+        const clean = new Array(length);
+        const reference = new Array(length);
+
+        generator.reset();
+        for (let i = 0; i < length; i++) {
+            const sample = generator.generateSample(
+                signalSettings.signalType,
+                signalSettings.frequency,
+                signalSettings.amplitude,
+                signalSettings.noiseLevel,
+                signalSettings.noiseMix,
+                signalSettings.waveform
+            );
+            values[i] = sample.value;
+            clean[i] = sample.clean;
+            reference[i] = sample.referenceNoise;
+            generator.step();
+        }
+
+        return { values, clean, reference };
+    }
+
+    /**
+     * 입력 전체를 각 필터에 통과시킴
+     * 단계별 출력을 제공하는 필터(FilterChain)는 중간 출력도 함께 모음
+     * @param {Array} values - 입력 샘플 배열
+     * @param {Object} filters - 이름 → 필터 인스턴스 (새로 만든 상태여야 함)
+     * @param {Array|null} reference - 참조 채널 배열 (적응 필터가 사용, 없으면 null)
+     * @returns {Object} {outputs, stageOutputs, elapsed} - 이름별 출력 배열, 이름별 단계 출력 배열, 처리 시간(ms)
+     */
+    static run(values, filters, reference = null) {
+        const startTime = performance.now();
+        const outputs = {};
+        const stageOutputs = {};
+
+        Object.entries(filters).forEach(([name, filter]) => {
+            if (typeof filter.getStageOutputs !== 'function') {
+                outputs[name] = reference ? values.map((value, i) => filter.filter(value, reference[i])) : filter.filterBatch(values);
+                return;
+            }
+
+            const output = new Array(values.length);
+            const stages = filter.stages.map(() => new Array(values.length));
+            for (let i = 0; i < values.length; i++) {
+                output[i] = filter.filter(values[i], reference ? reference[i] : null);
+                filter.getStageOutputs().forEach((value, stage) => {
+                    stages[stage][i] = value;
+                });
+            }
+
+            outputs[name] = output;
+            stageOutputs[name] = stages;
+        });
+
+        return { outputs, stageOutputs, elapsed: performance.now() - startTime };
+    }
+
+    /**
+     * 선형 필터인지 확인 (주파수 응답이 있고, 체인이면 모든 단계가 선형)
+     * 영위상 필터링은 순서를 뒤집어 다시 통과시키므로 선형 시불변 필터에서만 의미가 있음
+     */
+    static isLinear(filter) {
+        return typeof filter.getFrequencyResponse === 'function' &&
+            (typeof filter.isLinear !== 'function' || filter.isLinear());
+    }
+
+    /**
+     * 단위 계단 입력 후 출력이 최종값 ±1e-3 (계단 높이의 0.1%, 절대 허용 오차) 안에 들어올 때까지 걸리는 샘플 수
+     * 최종값이 0으로 가는 하이패스·노치 필터에도 같은 기준이 적용되도록 최종값에 비례시키지 않음
+     * 필터 상태를 사용하므로 측정 후 리셋함
+     * @param {Object} filter - 필터 인스턴스
+     * @param {number} limit - 최대 측정 샘플 수
+     */
+    static settlingLength(filter, limit) {
+        filter.reset();
+        filter.filter(0);   // 0에서 정상 상태로 초기화
+        const response = [];
+        for (let i = 0; i < limit; i++) {
+            response.push(filter.filter(1));
+        }
+        filter.reset();
+
+        const final = response.length > 0 ? response[response.length - 1] : 0;
+        for (let i = response.length - 1; i >= 0; i--) {
+            if (Math.abs(response[i] - final) > 1e-3) return i + 1;
+        }
+        return 0;
+    }
+
+    /**
+     * 영위상 필터링 (filtfilt): 순방향으로 필터링한 결과를 뒤집어 같은 필터를 한 번 더 통과시킴
+     * 위상 지연이 상쇄되어 0이 되고, 크기 응답은 |H|²가 됨 (컷오프 지점 감쇠가 -3dB에서 -6dB로)
+     * 양 끝은 끝값 기준 점대칭(홀수) 확장으로 필터의 정착 시간만큼 덧붙여 과도 응답을 줄이고,
+     * 각 방향의 첫 샘플은 필터 자체의 정상 상태 초기화로 시작함
+     * @param {Array} values - 입력 샘플 배열
+     * @param {Object} filter - 선형 필터 인스턴스 (상태가 리셋됨)
+     * @returns {Array} 입력과 같은 길이의 영위상 출력
+     */
+    static zeroPhase(values, filter) {
+        const length = values.length;
+        if (length === 0) return [];
+
+        const padLength = BatchProcessor.settlingLength(filter, length - 1);
+        const first = values[0];
+        const last = values[length - 1];
+        const head = [];
+        const tail = [];
+        for (let i = padLength; i >= 1; i--) {
+            head.push(2 * first - values[i]);
+        }
+        for (let i = length - 2; i >= length - 1 - padLength; i--) {
+            tail.push(2 * last - values[i]);
+        }
+        const padded = head.concat(values, tail);
+
+        const forward = filter.filterBatch(padded).reverse();
+        filter.reset();
+        const backward = filter.filterBatch(forward).reverse();
+        filter.reset();
+
+        return backward.slice(padLength, padLength + length);
+    }
+}
+
+// 브라우저 환경에서 전역으로 사용 가능하게 만들기
+if (typeof window !== 'undefined') {
+    window.BatchProcessor = BatchProcessor;
+}
+
+// 모듈로 내보내기 (Node.js 환경에서 사용시)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BatchProcessor;
+}
\ No newline at end of file
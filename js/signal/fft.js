@@ -0,0 +1,184 @@
+// fft.js - FFT 및 주파수 스펙트럼 분석 클래스
+
+class SpectrumAnalyzer {
+    constructor(fftSize = 256, windowType = 'hann') {
+        this.fftSize = fftSize;
+        this.windowType = windowType;
+        this.window = SpectrumAnalyzer.createWindow(windowType, fftSize);
+    }
+
+    /**
+     * 지원하는 윈도우 함수 목록
+     */
+    static get WINDOW_TYPES() {
+        return ['hann', 'hamming', 'blackman', 'rectangular'];
+    }
+
+    /**
+     * 윈도우 함수 계수 생성
+     * @param {string} type - 윈도우 타입 ('hann', 'hamming', 'blackman', 'rectangular')
+     * @param {number} size - 윈도우 길이
+     * @returns {Array} 윈도우 계수 배열
+     */
+    static createWindow(type, size) {
+        const coefficients = new Array(size);
+        const N = size - 1;
+
+        for (let n = 0; n < size; n++) {
+            const x = N > 0 ? 2 * Math.PI * n / N : 0;
+
+            switch (type) {
+                case 'hann':
+                    coefficients[n] = 0.5 - 0.5 * Math.cos(x);
+                    break;
+                case 'hamming':
+                    coefficients[n] = 0.54 - 0.46 * Math.cos(x);
+                    break;
+                case 'blackman':
+                    coefficients[n] = 0.42 - 0.5 * Math.cos(x) + 0.08 * Math.cos(2 * x);
+                    break;
+                case 'rectangular':
+                    coefficients[n] = 1;
+                    break;
+                default:
+                    throw new Error(`지원하지 않는 윈도우 함수입니다: ${type}`);
+            }
+        }
+
+        return coefficients;
+    }
+
+    /**
+     * 2의 거듭제곱인지 확인
+     */
+    static isPowerOfTwo(n) {
+        return n > 0 && (n & (n - 1)) === 0;
+    }
+
+    /**
+     * 제자리(in-place) radix-2 FFT
+     * @param {Array} real - 실수부 배열 (결과로 덮어씀)
+     * @param {Array} imag - 허수부 배열 (결과로 덮어씀)
+     */
+    static fft(real, imag) {
+        const n = real.length;
+        if (!SpectrumAnalyzer.isPowerOfTwo(n)) {
+            throw new Error('FFT 크기는 2의 거듭제곱이어야 합니다.');
+        }
+
+        // 비트 반전 순서로 재배열
+        for (let i = 1, j = 0; i < n; i++) {
+            let bit = n >> 1;
+            for (; j & bit; bit >>= 1) {
+                j ^= bit;
+            }
+            j ^= bit;
+
+            if (i < j) {
+                [real[i], real[j]] = [real[j], real[i]];
+                [imag[i], imag[j]] = [imag[j], imag[i]];
+            }
+        }
+
+        // 버터플라이 연산
+        for (let size = 2; size <= n; size <<= 1) {
+            const halfSize = size >> 1;
+            const angle = -2 * Math.PI / size;
+
+            for (let start = 0; start < n; start += size) {
+                for (let k = 0; k < halfSize; k++) {
+                    const wr = Math.cos(angle * k);
+                    const wi = Math.sin(angle * k);
+                    const even = start + k;
+                    const odd = even + halfSize;
+
+                    const tr = wr * real[odd] - wi * imag[odd];
+                    const ti = wr * imag[odd] + wi * real[odd];
+
+                    real[odd] = real[even] - tr;
+                    imag[odd] = imag[even] - ti;
+                    real[even] += tr;
+                    imag[even] += ti;
+                }
+            }
+        }
+    }
+
+    /**
+     * FFT 크기 설정
+     * @param {number} fftSize - 2의 거듭제곱 크기
+     */
+    setFFTSize(fftSize) {
+        if (!SpectrumAnalyzer.isPowerOfTwo(fftSize)) {
+            throw new Error('FFT 크기는 2의 거듭제곱이어야 합니다.');
+        }
+
+        this.fftSize = fftSize;
+        this.window = SpectrumAnalyzer.createWindow(this.windowType, fftSize);
+    }
+
+    /**
+     * 윈도우 함수 설정
+     * @param {string} windowType - 윈도우 타입
+     */
+    setWindowType(windowType) {
+        this.window = SpectrumAnalyzer.createWindow(windowType, this.fftSize);
+        this.windowType = windowType;
+    }
+
+    /**
+     * 단측(one-sided) 진폭 스펙트럼 계산
+     * 최근 fftSize개 샘플을 사용하며, 부족하면 뒤쪽을 0으로 채운다
+     * @param {Array} values - 시간 영역 샘플 배열
+     * @param {number} sampleRate - 샘플링 레이트 (Hz)
+     * @returns {Object} {frequencies, magnitudes, magnitudesDb}
+     */
+    analyze(values, sampleRate) {
+        const n = this.fftSize;
+        const samples = values.slice(-n);
+        const real = new Array(n).fill(0);
+        const imag = new Array(n).fill(0);
+
+        // 윈도우는 실제 샘플 구간에만 적용 (제로 패딩 구간 제외)
+        const coefficients = samples.length === n
+            ? this.window
+            : SpectrumAnalyzer.createWindow(this.windowType, samples.length);
+
+        let windowSum = 0;
+        for (let i = 0; i < samples.length; i++) {
+            real[i] = samples[i] * coefficients[i];
+            windowSum += coefficients[i];
+        }
+
+        SpectrumAnalyzer.fft(real, imag);
+
+        const bins = n / 2 + 1;
+        const frequencies = new Array(bins);
+        const magnitudes = new Array(bins);
+        const magnitudesDb = new Array(bins);
+
+        for (let k = 0; k < bins; k++) {
+            // 코히어런트 게인으로 정규화한 진폭 (DC와 나이퀴스트를 제외하고 2배)
+            const scale = (k === 0 || k === n / 2) ? 1 : 2;
+            const magnitude = windowSum > 0
+                ? scale * Math.hypot(real[k], imag[k]) / windowSum
+                : 0;
+
+            frequencies[k] = k * sampleRate / n;
+            magnitudes[k] = magnitude;
+            magnitudesDb[k] = 20 * Math.log10(Math.max(magnitude, 1e-10));
+        }
+
+        return { frequencies, magnitudes, magnitudesDb };
+    }
+}
+
+// 브라우저 환경에서 전역으로 사용 가능하게 만들기
+if (typeof window !== 'undefined') {
+    window.SpectrumAnalyzer = SpectrumAnalyzer;
+}
+
+// 모듈로 내보내기 (Node.js 환경에서 사용시)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpectrumAnalyzer;
+}
\ No newline at end of file
@@ -0,0 +1,92 @@
+// imported-signal.js - 불러온 기록 데이터를 SignalGenerator처럼 한 샘플씩 재생하는 클래스
+
+class ImportedSignal {
+    /**
+     * @param {Array} values - 샘플 값 배열
+     * @param {number} sampleRate - 샘플링 레이트 (Hz)
+     * @param {string} name - 데이터 이름 (파일 이름 등)
+     */
+    constructor(values, sampleRate, name = '') {
+        if (!Array.isArray(values) || values.length === 0) {
+            throw new Error('불러온 신호에 샘플이 없습니다.');
+        }
+        if (!(sampleRate > 0)) {
+            throw new Error('샘플링 레이트는 0보다 커야 합니다.');
+        }
+
+        this.values = values;
+        this.name = name;
+        this.index = 0;               // 다음에 재생할 샘플 위치
+        this.hasReference = false;    // 기록 데이터에는 노이즈 없는 기준 신호가 없음
+        this.setSampleRate(sampleRate);
+    }
+
+    /**
+     * 현재 위치의 샘플 반환 (SignalGenerator.generateSample과 같은 형태)
+     * 기준 신호와 참조 채널을 알 수 없으므로 clean/noise/referenceNoise는 null
+     * @returns {Object} {value, clean, noise, referenceNoise}
+     */
+    generateSample() {
+        const value = this.values[Math.min(this.index, this.values.length - 1)];
+        return { value, clean: null, noise: null, referenceNoise: null };
+    }
+
+    /**
+     * 다음 샘플로 이동
+     */
+    step() {
+        if (this.index < this.values.length) {
+            this.index++;
+        }
+    }
+
+    /**
+     * 모든 샘플을 재생했는지 확인
+     * @returns {boolean} 끝에 도달했으면 true
+     */
+    isFinished() {
+        return this.index >= this.values.length;
+    }
+
+    /**
+     * 처음부터 다시 재생
+     */
+    reset() {
+        this.index = 0;
+    }
+
+    /**
+     * 현재 시간 반환 (균일 간격 가정)
+     * @returns {number} 현재 시간 (초)
+     */
+    getCurrentTime() {
+        return this.index / this.sampleRate;
+    }
+
+    /**
+     * 샘플링 레이트 설정
+     * @param {number} sampleRate - 새로운 샘플링 레이트
+     */
+    setSampleRate(sampleRate) {
+        this.sampleRate = sampleRate;
+        this.timeStep = 1 / sampleRate;
+    }
+
+    /**
+     * 전체 길이 (초)
+     * @returns {number} 재생 시간
+     */
+    getDuration() {
+        return this.values.length / this.sampleRate;
+    }
+}
+
+// 브라우저 환경에서 전역으로 사용 가능하게 만들기
+if (typeof window !== 'undefined') {
+    window.ImportedSignal = ImportedSignal;
+}
+
+// 모듈로 내보내기 (Node.js 환경에서 사용시)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImportedSignal;
+}
\ No newline at end of file
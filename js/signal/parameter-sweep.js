@@ -0,0 +1,93 @@
+// parameter-sweep.js - 필터 파라미터 하나를 범위에 걸쳐 바꿔 가며 같은 입력을 배치 처리하고 지표를 비교
+
+class ParameterSweep {
+    /**
+     * 비교할 지표 (goal: 최적값이 최소인지 최대인지)
+     */
+    static get METRICS() {
+        return {
+            rmse: { label: '기준 신호 대비 RMSE', goal: 'min', requiresReference: true },
+            lag: { label: '지연 (ms)', goal: 'min', requiresReference: false },
+            noiseReduction: { label: '노이즈 제거율 (%)', goal: 'max', requiresReference: true }
+        };
+    }
+
+    /**
+     * 범위를 양 끝을 포함해 나눈 후보 값 목록
+     * 양수 범위가 100배 이상이면 로그 간격, 정수 파라미터는 반올림 후 중복 제거
+     * @param {number} min - 시작 값
+     * @param {number} max - 끝 값
+     * @param {number} steps - 후보 개수 (2 이상)
+     * @param {boolean} integer - 정수 파라미터인지 (윈도우 크기, 탭 수 등)
+     * @returns {Object} {values, logScale}
+     */
+    static values(min, max, steps, integer = false) {
+        if (!(max > min)) {
+            throw new Error('끝 값은 시작 값보다 커야 합니다.');
+        }
+
+        const count = Math.max(2, Math.round(steps));
+        const logScale = min > 0 && max / min >= 100;
+        let values = Array.from({ length: count }, (_, i) => {
+            const t = i / (count - 1);
+            return logScale
+                ? Math.pow(10, Math.log10(min) + t * (Math.log10(max) - Math.log10(min)))
+                : min + t * (max - min);
+        });
+
+        if (integer) {
+            values = [...new Set(values.map(value => Math.round(value)))];
+        }
+        return { values, logScale };
+    }
+
+    /**
+     * 후보 값마다 새 필터를 만들어 입력 전체를 필터링하고 지표 계산
+     * @param {Object} input - {values, clean, reference} (BatchProcessor.generate 결과와 같은 형태)
+     * @param {Function} buildFilter - 파라미터 값 → 새 필터 인스턴스
+     * @param {Array} values - 후보 값 목록
+     * @param {number} sampleRate - 샘플링 레이트 (Hz)
+     * @returns {Object} {points: [{value, rmse, lag, noiseReduction}], elapsed} - lag는 ms, 기준 신호가 없으면 rmse, noiseReduction은 null
+     */
+    static run(input, buildFilter, values, sampleRate) {
+        const startTime = performance.now();
+
+        const points = values.map(value => {
+            const { outputs } = BatchProcessor.run(input.values, { sweep: buildFilter(value) }, input.reference);
+            const metrics = SignalMetrics.summarize(input.values, input.clean, outputs.sweep, sampleRate);
+            return {
+                value,
+                rmse: metrics.rmse,
+                lag: metrics.lag / sampleRate * 1000,
+                noiseReduction: metrics.noiseReduction
+            };
+        });
+
+        return { points, elapsed: performance.now() - startTime };
+    }
+
+    /**
+     * 지표가 가장 좋은 점 (같으면 앞쪽 값, 계산할 수 없는 점은 제외)
+     * @param {Array} points - run 결과의 points
+     * @param {string} metric - ParameterSweep.METRICS의 키
+     * @returns {Object|null} 최적 점
+     */
+    static optimum(points, metric) {
+        const sign = ParameterSweep.METRICS[metric].goal === 'min' ? 1 : -1;
+        return points.reduce((best, point) => {
+            const value = point[metric];
+            if (value === null || !Number.isFinite(value)) return best;
+            return !best || sign * value < sign * best[metric] ? point : best;
+        }, null);
+    }
+}
+
+// 브라우저 환경에서 전역으로 사용 가능하게 만들기
+if (typeof window !== 'undefined') {
+    window.ParameterSweep = ParameterSweep;
+}
+
+// 모듈로 내보내기 (Node.js 환경에서 사용시)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ParameterSweep;
+}
\ No newline at end of file
@@ -0,0 +1,66 @@
+// seeded-random.js - 시드로 재현 가능한 의사 난수 생성기 (mulberry32)
+
+class SeededRandom {
+    /**
+     * @param {number} seed - 32비트 부호 없는 정수 시드
+     */
+    constructor(seed = 1) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * 시드 설정 후 처음 상태로 되돌림
+     * @param {number} seed - 시드 (32비트 부호 없는 정수로 변환)
+     */
+    setSeed(seed) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.reset();
+    }
+
+    /**
+     * 같은 시드의 처음 상태로 되돌림 (같은 난수열을 다시 생성)
+     */
+    reset() {
+        this.state = this.seed;
+    }
+
+    /**
+     * 다음 난수 (mulberry32)
+     * @returns {number} [0, 1) 범위의 균등 분포 값
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * 시드 값을 32비트 부호 없는 정수로 변환 (숫자가 아니면 0)
+     * @param {number|string} seed - 입력 시드
+     * @returns {number} 0 ~ 4294967295
+     */
+    static normalizeSeed(seed) {
+        const value = Math.floor(Number(seed));
+        return Number.isFinite(value) ? value >>> 0 : 0;
+    }
+
+    /**
+     * 새 시드 하나 뽑기 (시드 선택에만 Math.random 사용)
+     * @returns {number} 0 ~ 999999 범위 정수 (화면에서 읽고 옮겨 적기 쉬운 크기)
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 1000000);
+    }
+}
+
+// 브라우저 환경에서 전역으로 사용 가능하게 만들기
+if (typeof window !== 'undefined') {
+    window.SeededRandom = SeededRandom;
+}
+
+// 모듈로 내보내기 (Node.js 환경에서 사용시)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SeededRandom;
+}
\ No newline at end of file
@@ -0,0 +1,96 @@
+// signal-exporter.js - 기록된 시계열과 설정 메타데이터를 CSV/JSON 파일로 내보내기
+
+class SignalExporter {
+    /**
+     * CSV 문자열 생성
+     * 메타데이터는 '# 키: JSON' 주석 줄로 앞에 붙임 (SignalImporter는 주석 줄을 건너뛰므로 다시 불러올 수 있음)
+     * @param {SignalRecorder} recorder - 기록 데이터
+     * @param {Object} metadata - 설정/필터 정보
+     * @returns {string} CSV 내용
+     */
+    static toCSV(recorder, metadata = {}) {
+        const columns = recorder.getColumns();
+        const lines = Object.entries(metadata).map(([key, value]) => `# ${key}: ${JSON.stringify(value)}`);
+
+        lines.push(columns.map(column => column.name).join(','));
+
+        for (let i = 0; i < recorder.getLength(); i++) {
+            lines.push(columns.map(column => SignalExporter.formatValue(column.values[i])).join(','));
+        }
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * JSON 문자열 생성
+     * samples는 {time, raw, ...} 객체 배열이라 SignalImporter로 다시 불러올 수 있음
+     * @param {SignalRecorder} recorder - 기록 데이터
+     * @param {Object} metadata - 설정/필터 정보
+     * @returns {string} JSON 내용
+     */
+    static toJSON(recorder, metadata = {}) {
+        const columns = recorder.getColumns();
+        const samples = [];
+
+        for (let i = 0; i < recorder.getLength(); i++) {
+            const sample = {};
+            columns.forEach(column => {
+                sample[column.name] = SignalExporter.roundValue(column.values[i]);
+            });
+            samples.push(sample);
+        }
+
+        return JSON.stringify({
+            metadata,
+            sampleRate: metadata.sampleRate,
+            columns: columns.map(column => column.name),
+            samples
+        }, null, 2);
+    }
+
+    /**
+     * CSV 셀 값 (없는 값은 빈 칸)
+     */
+    static formatValue(value) {
+        const rounded = SignalExporter.roundValue(value);
+        return rounded === null ? '' : String(rounded);
+    }
+
+    /**
+     * 부동소수점 오차 정리 (유효숫자 12자리)
+     */
+    static roundValue(value) {
+        if (value === null || value === undefined || !Number.isFinite(value)) return null;
+        return Number(value.toPrecision(12));
+    }
+
+    /**
+     * 문자열을 파일로 다운로드
+     * @param {string} content - 파일 내용
+     * @param {string} fileName - 저장할 파일 이름
+     * @param {string} mimeType - MIME 타입
+     */
+    static download(content, fileName, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        URL.revokeObjectURL(url);
+    }
+}
+
+// 브라우저 환경에서 전역으로 사용 가능하게 만들기
+if (typeof window !== 'undefined') {
+    window.SignalExporter = SignalExporter;
+}
+
+// 모듈로 내보내기 (Node.js 환경에서 사용시)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SignalExporter;
+}
\ No newline at end of file
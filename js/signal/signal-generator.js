@@ -1,10 +1,75 @@
 // signal-generator.js - 다양한 신호를 생성하는 클래스
 
 class SignalGenerator {
-    constructor() {
-        this.sampleRate = 1000; // 샘플링 레이트 (Hz)
+    /**
+     * @param {number} seed - 노이즈 난수 시드 (같은 시드와 설정이면 같은 신호를 생성)
+     */
+    constructor(seed = 1) {
+        this.sampleRate = 100;  // 샘플링 레이트 (Hz)
         this.time = 0;          // 현재 시간
         this.timeStep = 1 / this.sampleRate; // 시간 간격
+        this.lastCleanSample = 0; // 마지막으로 생성한 노이즈 없는 기본 신호
+        this.hasReference = true; // 노이즈 없는 기준 신호 제공 여부
+        this.random = new SeededRandom(seed); // 모든 노이즈가 사용하는 난수 생성기
+        this.referenceRandom = new SeededRandom(SignalGenerator.referenceSeed(seed)); // 참조 채널 간섭원 전용 (기존 노이즈 난수열에 영향 없음)
+        this.resetNoiseState();
+    }
+
+    /**
+     * 추가 파형의 설정 기본값
+     */
+    static get DEFAULT_WAVEFORM_OPTIONS() {
+        return {
+            chirpEndFrequency: 40,      // 처프 끝 주파수 (Hz, 시작 주파수는 frequency)
+            chirpDuration: 5,           // 처프 한 번 스윕하는 시간 (초)
+            stepTime: 1,                // 계단/임펄스 시점 (초)
+            dutyCycle: 0.25,            // PWM 듀티비
+            modulationFrequency: 1,     // AM/FM 변조 주파수 (Hz)
+            modulationDepth: 0.5,       // AM 변조 깊이
+            frequencyDeviation: 3,      // FM 최대 주파수 편이 (Hz)
+            tones: [                    // 다중 톤 구성 (진폭은 amplitude에 곱함)
+                { frequency: 5, amplitude: 1 },
+                { frequency: 12, amplitude: 0.5 },
+                { frequency: 30, amplitude: 0.25 }
+            ]
+        };
+    }
+
+    /**
+     * 노이즈 종류별 기본값 (0이면 사용 안 함)
+     * 백색 노이즈 레벨은 generateSample의 noiseLevel 인자로 따로 받음
+     */
+    static get DEFAULT_NOISE_MIX() {
+        return {
+            pink: 0,            // 핑크(1/f) 노이즈 표준편차
+            brown: 0,           // 브라운(1/f²) 노이즈 표준편차
+            spike: 0,           // 스파이크(임펄스) 노이즈 최대 크기
+            spikeRate: 2,       // 초당 평균 스파이크 수
+            drift: 0,           // 기저선 드리프트 표준편차
+            hum: 0,             // 전원 험 진폭
+            humFrequency: 50,   // 전원 주파수 (50 또는 60 Hz)
+            tone: 0,            // 간섭 톤 진폭 (특정 진동 주파수 하나)
+            toneFrequency: 10,  // 간섭 톤 주파수 (Hz)
+            quantization: 0,    // ADC 양자화 스텝 (0이면 양자화 안 함)
+            correlated: 0       // 상관 노이즈 진폭 (참조 채널로 함께 측정되는 간섭원이 전달 경로를 거쳐 섞임)
+        };
+    }
+
+    /**
+     * 간섭원에서 측정 센서까지의 전달 경로 (FIR 계수, 적응 노이즈 제거가 찾아야 하는 값)
+     * 측정 채널에는 correlated × (경로 * 간섭원)이 더해지고 참조 채널은 간섭원을 그대로 측정
+     */
+    static get REFERENCE_NOISE_PATH() {
+        return [0.8, -0.5, 0.3, -0.15, 0.05];
+    }
+
+    /**
+     * 참조 채널 난수 생성기의 시드 (노이즈 시드에서 정해지는 별도 난수열)
+     * @param {number} seed - 노이즈 난수 시드
+     * @returns {number} 참조 채널 시드
+     */
+    static referenceSeed(seed) {
+        return (SeededRandom.normalizeSeed(seed) + 0x9E3779B9) >>> 0;
     }
 
     /**
@@ -53,23 +118,223 @@ class SignalGenerator {
         return amplitude * (2 * triangleValue - 1);
     }
 
+    /**
+     * 톱니파 생성 (한 주기 동안 -1에서 1까지 선형 상승)
+     * @param {number} frequency - 주파수 (Hz)
+     * @param {number} amplitude - 진폭
+     * @returns {number} 톱니파 값
+     */
+    generateSawtooth(frequency, amplitude = 1) {
+        const phase = frequency * this.time;
+        return amplitude * (2 * (phase - Math.floor(phase)) - 1);
+    }
+
+    /**
+     * PWM(펄스 폭 변조) 파형 생성
+     * @param {number} frequency - 주파수 (Hz)
+     * @param {number} amplitude - 진폭
+     * @param {number} dutyCycle - 한 주기 중 높은 구간 비율 (0~1, 0.5이면 사각파)
+     * @returns {number} PWM 값
+     */
+    generatePWM(frequency, amplitude = 1, dutyCycle = 0.5) {
+        const phase = frequency * this.time;
+        return amplitude * (phase - Math.floor(phase) < dutyCycle ? 1 : -1);
+    }
+
+    /**
+     * 주파수 스윕(처프) 생성 - sweepDuration마다 시작 주파수부터 반복
+     * 위상을 시간에 대해 적분한 식으로 계산해 순간 주파수가 연속적으로 변함
+     * @param {number} startFrequency - 시작 주파수 (Hz)
+     * @param {number} endFrequency - 끝 주파수 (Hz)
+     * @param {number} sweepDuration - 한 번 스윕하는 시간 (초)
+     * @param {number} amplitude - 진폭
+     * @param {boolean} logarithmic - true면 로그 스윕 (옥타브당 같은 시간), false면 선형 스윕
+     * @returns {number} 처프 값
+     */
+    generateChirp(startFrequency, endFrequency, sweepDuration, amplitude = 1, logarithmic = false) {
+        const t = this.time % sweepDuration;
+        let phase;
+
+        if (logarithmic && startFrequency > 0 && endFrequency > 0 && startFrequency !== endFrequency) {
+            const ratio = endFrequency / startFrequency;
+            phase = startFrequency * sweepDuration / Math.log(ratio) * (Math.pow(ratio, t / sweepDuration) - 1);
+        } else {
+            phase = startFrequency * t + (endFrequency - startFrequency) * t * t / (2 * sweepDuration);
+        }
+
+        return amplitude * Math.sin(2 * Math.PI * phase);
+    }
+
+    /**
+     * 계단 입력 생성 (stepTime 이전에는 0, 이후에는 amplitude)
+     * @param {number} amplitude - 계단 크기
+     * @param {number} stepTime - 계단이 올라가는 시간 (초)
+     * @returns {number} 계단 값
+     */
+    generateStep(amplitude = 1, stepTime = 1) {
+        return this.getSampleIndex() >= Math.round(stepTime * this.sampleRate) ? amplitude : 0;
+    }
+
+    /**
+     * 임펄스 입력 생성 (stepTime의 한 샘플만 amplitude, 나머지는 0)
+     * @param {number} amplitude - 임펄스 크기
+     * @param {number} stepTime - 임펄스가 나오는 시간 (초)
+     * @returns {number} 임펄스 값
+     */
+    generateImpulse(amplitude = 1, stepTime = 1) {
+        return this.getSampleIndex() === Math.round(stepTime * this.sampleRate) ? amplitude : 0;
+    }
+
+    /**
+     * 진폭 변조(AM) 신호 생성 - 최대값이 amplitude가 되도록 (1 + depth)로 나눔
+     * @param {number} carrierFrequency - 반송파 주파수 (Hz)
+     * @param {number} amplitude - 진폭
+     * @param {number} modulationFrequency - 변조 주파수 (Hz)
+     * @param {number} depth - 변조 깊이 (0~1)
+     * @returns {number} AM 신호 값
+     */
+    generateAM(carrierFrequency, amplitude = 1, modulationFrequency = 1, depth = 0.5) {
+        const envelope = 1 + depth * Math.sin(2 * Math.PI * modulationFrequency * this.time);
+        return amplitude * envelope * Math.sin(2 * Math.PI * carrierFrequency * this.time) / (1 + depth);
+    }
+
+    /**
+     * 주파수 변조(FM) 신호 생성 - 순간 주파수가 carrier ± deviation 사이에서 변함
+     * @param {number} carrierFrequency - 반송파 주파수 (Hz)
+     * @param {number} amplitude - 진폭
+     * @param {number} modulationFrequency - 변조 주파수 (Hz)
+     * @param {number} deviation - 최대 주파수 편이 (Hz)
+     * @returns {number} FM 신호 값
+     */
+    generateFM(carrierFrequency, amplitude = 1, modulationFrequency = 1, deviation = 2) {
+        const modulationIndex = deviation / modulationFrequency;
+        return amplitude * Math.sin(
+            2 * Math.PI * carrierFrequency * this.time +
+            modulationIndex * Math.sin(2 * Math.PI * modulationFrequency * this.time)
+        );
+    }
+
+    /**
+     * 현재 시간의 샘플 번호 (누적된 시간의 부동소수점 오차를 반올림으로 제거)
+     * @returns {number} 0부터 시작하는 샘플 번호
+     */
+    getSampleIndex() {
+        return Math.round(this.time * this.sampleRate);
+    }
+
     /**
      * 가우시안 화이트 노이즈 생성
      * @param {number} amplitude - 노이즈 강도
+     * @param {SeededRandom} random - 사용할 난수 생성기 (기본값: 노이즈 난수 생성기)
      * @returns {number} 노이즈 값
      */
-    generateNoise(amplitude = 1) {
+    generateNoise(amplitude = 1, random = this.random) {
         // Box-Muller 변환을 사용한 가우시안 노이즈
-        let u1 = Math.random();
-        let u2 = Math.random();
+        let u1 = random.next();
+        let u2 = random.next();
         
         // 0이 되는 것을 방지
-        while (u1 === 0) u1 = Math.random();
+        while (u1 === 0) u1 = random.next();
         
         const z0 = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
         return amplitude * z0;
     }
 
+    /**
+     * 핑크(1/f) 노이즈 한 샘플 (Paul Kellet의 3극 근사 필터, 표준편차 약 1로 정규화)
+     * @param {number} white - 표준 정규 분포 백색 노이즈 샘플
+     * @returns {number} 핑크 노이즈 값
+     */
+    nextPinkNoise(white) {
+        const state = this.pinkState;
+        state[0] = 0.99765 * state[0] + white * 0.0990460;
+        state[1] = 0.96300 * state[1] + white * 0.2965164;
+        state[2] = 0.57000 * state[2] + white * 1.0526913;
+        return (state[0] + state[1] + state[2] + white * 0.1848) / 2.94;
+    }
+
+    /**
+     * 브라운(1/f²) 노이즈 한 샘플
+     * 백색 노이즈를 1 Hz 아래에서 적분하는 누설 적분기 (표준편차 1로 정규화)
+     * @param {number} white - 표준 정규 분포 백색 노이즈 샘플
+     * @returns {number} 브라운 노이즈 값
+     */
+    nextBrownNoise(white) {
+        const decay = Math.exp(-2 * Math.PI * 1 / this.sampleRate);
+        this.brownState = decay * this.brownState + Math.sqrt(1 - decay * decay) * white;
+        return this.brownState;
+    }
+
+    /**
+     * 기저선 드리프트 한 샘플 (시간 상수 10초의 느린 랜덤 변화, 표준편차 1로 정규화)
+     * @param {number} white - 표준 정규 분포 백색 노이즈 샘플
+     * @returns {number} 드리프트 값
+     */
+    nextDrift(white) {
+        const decay = Math.exp(-this.timeStep / 10);
+        this.driftState = decay * this.driftState + Math.sqrt(1 - decay * decay) * white;
+        return this.driftState;
+    }
+
+    /**
+     * 참조 채널 간섭원 한 샘플과 측정 채널에 섞일 성분
+     * 간섭원은 1차 AR(계수 0.8) 유색 노이즈(표준편차 1)라 LMS는 느리게, RLS는 빠르게 수렴하는 차이가 드러남
+     * @returns {Object} {reference, coupled} - 참조 채널 값, 전달 경로를 거친 값 (correlated를 곱하기 전)
+     */
+    nextReferenceNoise() {
+        const white = this.generateNoise(1, this.referenceRandom);
+        this.referenceState = 0.8 * this.referenceState + 0.6 * white;
+
+        this.referenceHistory.unshift(this.referenceState);
+        this.referenceHistory.pop();
+
+        const coupled = SignalGenerator.REFERENCE_NOISE_PATH.reduce((sum, coefficient, k) => sum + coefficient * this.referenceHistory[k], 0);
+        return { reference: this.referenceState, coupled };
+    }
+
+    /**
+     * 노이즈 구성에 따라 백색 노이즈 외의 노이즈 합 생성
+     * 레벨과 상관없이 매 샘플 같은 개수의 난수를 같은 순서로 사용하므로
+     * 한 종류의 레벨을 바꿔도 나머지 노이즈는 같은 시드에서 똑같이 나옴
+     * @param {Object} noiseMix - 노이즈 종류별 레벨 (DEFAULT_NOISE_MIX 형식)
+     * @returns {number} 더해질 노이즈 값
+     */
+    generateNoiseMix(noiseMix = {}) {
+        const mix = { ...SignalGenerator.DEFAULT_NOISE_MIX, ...noiseMix };
+
+        const pink = this.nextPinkNoise(this.generateNoise());
+        const brown = this.nextBrownNoise(this.generateNoise());
+        const drift = this.nextDrift(this.generateNoise());
+
+        // 스파이크: 발생 여부, 부호, 크기(최대값의 50~100%)
+        const spikeChance = this.random.next();
+        const spikeSign = this.random.next() < 0.5 ? -1 : 1;
+        const spikeSize = 0.5 + 0.5 * this.random.next();
+        const spike = spikeChance < mix.spikeRate / this.sampleRate ? spikeSign * spikeSize : 0;
+
+        // 전원 험: 나이퀴스트 주파수에서도 0이 되지 않도록 위상을 45° 이동
+        const hum = Math.sin(2 * Math.PI * mix.humFrequency * this.time + Math.PI / 4);
+        const tone = Math.sin(2 * Math.PI * mix.toneFrequency * this.time + Math.PI / 4);
+
+        return mix.pink * pink +
+            mix.brown * brown +
+            mix.drift * drift +
+            mix.spike * spike +
+            mix.hum * hum +
+            mix.tone * tone;
+    }
+
+    /**
+     * ADC 양자화 (가장 가까운 스텝 배수로 반올림)
+     * @param {number} value - 입력 값
+     * @param {number} step - 양자화 스텝 (0 이하이면 그대로 반환)
+     * @returns {number} 양자화된 값
+     */
+    quantize(value, step) {
+        if (!(step > 0)) return value;
+        return Math.round(value / step) * step;
+    }
+
     /**
      * 복합 신호 생성 (기본 신호 + 노이즈)
      * @param {string} signalType - 신호 타입 ('sine', 'square', 'triangle', 'noise')
@@ -79,6 +344,23 @@ class SignalGenerator {
      * @returns {number} 복합 신호 값
      */
     generateSignal(signalType, frequency, amplitude = 1, noiseLevel = 0) {
+        return this.generateSample(signalType, frequency, amplitude, noiseLevel).value;
+    }
+
+    /**
+     * 노이즈 섞인 측정값과 노이즈 없는 기준 신호를 함께 생성
+     * @param {string} signalType - 신호 타입 ('sine', 'square', 'triangle', 'sawtooth', 'pwm', 'chirp-linear', 'chirp-log',
+     *                              'step', 'impulse', 'am', 'fm', 'multitone', 'noise')
+     * @param {number} frequency - 주파수 (Hz, 처프는 시작 주파수, AM/FM은 반송파 주파수)
+     * @param {number} amplitude - 진폭
+     * @param {number} noiseLevel - 백색 노이즈 레벨 (0~1)
+     * @param {Object} noiseMix - 그 밖의 노이즈 종류별 레벨 (DEFAULT_NOISE_MIX 형식)
+     * @param {Object} waveform - 추가 파형 설정 (DEFAULT_WAVEFORM_OPTIONS 형식)
+     * @returns {Object} {value, clean, noise, referenceNoise} - 측정값, 기준(ground truth) 값, 더해진 노이즈(양자화 오차 포함),
+     *                   상관 노이즈의 참조 채널 값 (적응 필터의 참조 입력)
+     */
+    generateSample(signalType, frequency, amplitude = 1, noiseLevel = 0, noiseMix = {}, waveform = {}) {
+        const options = { ...SignalGenerator.DEFAULT_WAVEFORM_OPTIONS, ...waveform };
         let baseSignal = 0;
 
         switch (signalType) {
@@ -91,6 +373,35 @@ class SignalGenerator {
             case 'triangle':
                 baseSignal = this.generateTriangle(frequency, amplitude);
                 break;
+            case 'sawtooth':
+                baseSignal = this.generateSawtooth(frequency, amplitude);
+                break;
+            case 'pwm':
+                baseSignal = this.generatePWM(frequency, amplitude, options.dutyCycle);
+                break;
+            case 'chirp-linear':
+            case 'chirp-log':
+                baseSignal = this.generateChirp(frequency, options.chirpEndFrequency, options.chirpDuration,
+                    amplitude, signalType === 'chirp-log');
+                break;
+            case 'step':
+                baseSignal = this.generateStep(amplitude, options.stepTime);
+                break;
+            case 'impulse':
+                baseSignal = this.generateImpulse(amplitude, options.stepTime);
+                break;
+            case 'am':
+                baseSignal = this.generateAM(frequency, amplitude, options.modulationFrequency, options.modulationDepth);
+                break;
+            case 'fm':
+                baseSignal = this.generateFM(frequency, amplitude, options.modulationFrequency, options.frequencyDeviation);
+                break;
+            case 'multitone':
+                baseSignal = amplitude * this.generateComplexSignal(
+                    options.tones.map(tone => tone.frequency),
+                    options.tones.map(tone => tone.amplitude)
+                );
+                break;
             case 'noise':
                 baseSignal = this.generateNoise(amplitude);
                 break;
@@ -98,9 +409,22 @@ class SignalGenerator {
                 baseSignal = this.generateSine(frequency, amplitude);
         }
 
-        // 노이즈 추가
-        const noise = this.generateNoise(noiseLevel);
-        return baseSignal + noise;
+        this.lastCleanSample = baseSignal;
+
+        // 노이즈 추가 후 ADC 양자화
+        const interference = this.nextReferenceNoise();
+        const noisy = baseSignal + this.generateNoise(noiseLevel) + this.generateNoiseMix(noiseMix) +
+            (noiseMix.correlated || 0) * interference.coupled;
+        const value = this.quantize(noisy, noiseMix.quantization);
+        return { value, clean: baseSignal, noise: value - baseSignal, referenceNoise: interference.reference };
+    }
+
+    /**
+     * 마지막으로 생성한 샘플의 노이즈 없는 기본 신호 반환
+     * @returns {number} 기준(ground truth) 신호 값
+     */
+    getCleanSample() {
+        return this.lastCleanSample;
     }
 
     /**
@@ -111,10 +435,41 @@ class SignalGenerator {
     }
 
     /**
-     * 시간 리셋
+     * 시간 리셋 (난수열도 시드의 처음 상태로 되돌림)
      */
     reset() {
         this.time = 0;
+        this.random.reset();
+        this.referenceRandom.reset();
+        this.resetNoiseState();
+    }
+
+    /**
+     * 유색 노이즈, 드리프트, 참조 채널 간섭원의 필터 상태 초기화
+     */
+    resetNoiseState() {
+        this.pinkState = [0, 0, 0];
+        this.brownState = 0;
+        this.driftState = 0;
+        this.referenceState = 0;
+        this.referenceHistory = new Array(SignalGenerator.REFERENCE_NOISE_PATH.length).fill(0);
+    }
+
+    /**
+     * 노이즈 난수 시드 설정 (난수열을 처음부터 다시 시작)
+     * @param {number} seed - 새로운 시드
+     */
+    setSeed(seed) {
+        this.random.setSeed(seed);
+        this.referenceRandom.setSeed(SignalGenerator.referenceSeed(seed));
+    }
+
+    /**
+     * 현재 노이즈 난수 시드 반환
+     * @returns {number} 시드
+     */
+    getSeed() {
+        return this.random.seed;
     }
 
     /**
@@ -146,7 +501,7 @@ class SignalGenerator {
         
         for (let i = 0; i < frequencies.length; i++) {
             const freq = frequencies[i];
-            const amp = amplitudes[i] || 1;
+            const amp = amplitudes[i] !== undefined ? amplitudes[i] : 1;
             signal += this.generateSine(freq, amp);
         }
         
@@ -0,0 +1,290 @@
+// signal-importer.js - CSV/JSON로 기록된 신호를 읽어 필터에 넣을 수 있는 형태로 변환
+
+class SignalImporter {
+    /**
+     * 시간 열로 인식하는 열 이름 (소문자 비교)
+     */
+    static get TIME_COLUMN_PATTERN() {
+        return /^(t|time|timestamp|elapsed|sec|seconds|ms|millis|milliseconds)([\s_\-(\[].*)?$/;
+    }
+
+    /**
+     * 파일 이름(확장자)이나 내용을 보고 CSV/JSON 파서 선택
+     * @param {string} text - 파일 내용
+     * @param {string} fileName - 파일 이름
+     * @param {Object} options - {sampleRate, valueColumn, timeUnit}
+     * @returns {Object} 파싱 결과 (parseRows 참고)
+     */
+    static parse(text, fileName = '', options = {}) {
+        if (typeof text !== 'string' || text.trim() === '') {
+            throw new Error('파일이 비어 있습니다.');
+        }
+
+        const isJSON = /\.json$/i.test(fileName) || /^\s*[\[{]/.test(text);
+        return isJSON ? SignalImporter.parseJSON(text, options) : SignalImporter.parseCSV(text, options);
+    }
+
+    /**
+     * CSV 파싱
+     * - 구분자(쉼표, 세미콜론, 탭) 자동 감지, 세미콜론/탭이면 소수점 쉼표 허용
+     * - 첫 줄에 숫자가 아닌 값이 있으면 헤더로 처리
+     * - 헤더가 없고 열이 두 개 이상이면 첫 열을 시간(초)으로 간주
+     * - 빈 줄과 '#'으로 시작하는 주석 줄은 건너뜀
+     * @param {string} text - CSV 내용
+     * @param {Object} options - {sampleRate, valueColumn, timeUnit}
+     * @returns {Object} 파싱 결과
+     */
+    static parseCSV(text, options = {}) {
+        const lines = text.split(/\r?\n/)
+            .map((content, index) => ({ line: index + 1, content: content.trim() }))
+            .filter(({ content }) => content !== '' && !content.startsWith('#'));
+
+        if (lines.length === 0) {
+            throw new Error('CSV에 데이터 행이 없습니다.');
+        }
+
+        const delimiter = SignalImporter.detectDelimiter(lines[0].content);
+        const split = content => content.split(delimiter).map(cell => {
+            const unquoted = cell.trim().replace(/^"(.*)"$/, '$1');
+            return delimiter === ',' ? unquoted : unquoted.replace(/^(-?\d+),(\d+)$/, '$1.$2');
+        });
+
+        const firstCells = split(lines[0].content);
+        const hasHeader = firstCells.some(cell => cell !== '' && !isFinite(Number(cell)));
+
+        let columns;
+        let timeColumn;
+        if (hasHeader) {
+            columns = firstCells;
+            timeColumn = firstCells.findIndex(name => SignalImporter.TIME_COLUMN_PATTERN.test(name.toLowerCase()));
+        } else {
+            columns = firstCells.map((_, index) => `열 ${index + 1}`);
+            timeColumn = firstCells.length > 1 ? 0 : -1;
+        }
+
+        const rows = (hasHeader ? lines.slice(1) : lines).map(({ line, content }) => ({
+            line,
+            cells: split(content)
+        }));
+
+        return SignalImporter.parseRows(columns, rows, timeColumn, options);
+    }
+
+    /**
+     * JSON 파싱
+     * 지원 형식:
+     * - [1.2, 1.5, ...]                         숫자 배열
+     * - [[t, v], [t, v], ...]                   [시간, 값] 쌍 배열
+     * - [{"time": 0, "value": 1.2}, ...]        객체 배열
+     * - {"sampleRate": 50, "values": [...]}     샘플링 레이트가 들어 있는 객체 (values/data/samples)
+     * @param {string} text - JSON 내용
+     * @param {Object} options - {sampleRate, valueColumn, timeUnit}
+     * @returns {Object} 파싱 결과
+     */
+    static parseJSON(text, options = {}) {
+        let json;
+        try {
+            json = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`JSON 형식이 올바르지 않습니다: ${error.message}`);
+        }
+
+        let items = json;
+        let fileSampleRate = null;
+        if (!Array.isArray(json) && json !== null && typeof json === 'object') {
+            items = json.values || json.data || json.samples;
+            fileSampleRate = Number(json.sampleRate || json.fs) || null;
+        }
+
+        if (!Array.isArray(items) || items.length === 0) {
+            throw new Error('JSON에서 샘플 배열을 찾을 수 없습니다. (배열 또는 values/data/samples 필드 필요)');
+        }
+
+        // 항목 형태에 따라 열 구성
+        const first = items.find(item => item !== null && item !== undefined);
+        let columns;
+        let timeColumn = -1;
+        let toCells;
+
+        if (Array.isArray(first)) {
+            columns = first.map((_, index) => `열 ${index + 1}`);
+            timeColumn = first.length > 1 ? 0 : -1;
+            toCells = item => Array.isArray(item) ? item : [item];
+        } else if (first !== null && typeof first === 'object') {
+            columns = Object.keys(first);
+            timeColumn = columns.findIndex(name => SignalImporter.TIME_COLUMN_PATTERN.test(name.toLowerCase()));
+            toCells = item => (item !== null && typeof item === 'object') ? columns.map(key => item[key]) : [];
+        } else {
+            columns = ['value'];
+            toCells = item => [item];
+        }
+
+        const rows = items.map((item, index) => ({ line: index + 1, cells: toCells(item) }));
+
+        const result = SignalImporter.parseRows(columns, rows, timeColumn, {
+            ...options,
+            sampleRate: options.sampleRate || fileSampleRate
+        });
+        if (!options.sampleRate && fileSampleRate && result.sampleRateSource === 'user') {
+            result.sampleRateSource = 'file';
+        }
+        return result;
+    }
+
+    /**
+     * 공통 행 검증 및 신호 배열 생성
+     * 잘못된 행(열 부족, 숫자가 아닌 값, NaN, 시간 역행)은 건너뛰고 errors에 기록
+     * @param {Array} columns - 열 이름 배열
+     * @param {Array} rows - [{line, cells}] 배열
+     * @param {number} timeColumn - 시간 열 인덱스 (-1이면 없음)
+     * @param {Object} options - {sampleRate, valueColumn, timeUnit}
+     * @returns {Object} {values, times, sampleRate, sampleRateSource, columns, timeColumn, valueColumn, errors, warnings}
+     */
+    static parseRows(columns, rows, timeColumn, options = {}) {
+        const valueColumns = columns.map((_, index) => index).filter(index => index !== timeColumn);
+        if (valueColumns.length === 0) {
+            throw new Error('값 열이 없습니다. 시간 열 외에 최소 한 개의 숫자 열이 필요합니다.');
+        }
+
+        const valueColumn = valueColumns.includes(options.valueColumn) ? options.valueColumn : valueColumns[0];
+        const timeScale = SignalImporter.getTimeScale(timeColumn >= 0 ? columns[timeColumn] : '', options.timeUnit);
+
+        const values = [];
+        const times = [];
+        const errors = [];
+        let previousTime = -Infinity;
+
+        rows.forEach(({ line, cells }) => {
+            const needed = Math.max(valueColumn, timeColumn) + 1;
+            if (cells.length < needed) {
+                errors.push({ line, message: `열 개수 부족 (${needed}개 필요, ${cells.length}개 있음)` });
+                return;
+            }
+
+            const value = SignalImporter.toNumber(cells[valueColumn]);
+            if (value === null) {
+                errors.push({ line, message: `'${columns[valueColumn]}' 값이 숫자가 아닙니다: "${cells[valueColumn]}"` });
+                return;
+            }
+
+            if (timeColumn >= 0) {
+                const time = SignalImporter.toNumber(cells[timeColumn]);
+                if (time === null) {
+                    errors.push({ line, message: `시간 값이 숫자가 아닙니다: "${cells[timeColumn]}"` });
+                    return;
+                }
+                if (time * timeScale <= previousTime) {
+                    errors.push({ line, message: `시간이 증가하지 않습니다 (이전 ${previousTime.toFixed(4)}초, 현재 ${(time * timeScale).toFixed(4)}초)` });
+                    return;
+                }
+                previousTime = time * timeScale;
+                times.push(previousTime);
+            }
+
+            values.push(value);
+        });
+
+        if (values.length < 2) {
+            const detail = errors.length > 0 ? ` 첫 오류 - ${errors[0].line}행: ${errors[0].message}` : '';
+            throw new Error(`유효한 샘플이 2개 미만입니다.${detail}`);
+        }
+
+        // 샘플링 레이트 결정: 사용자 지정 > 타임스탬프 추정
+        const warnings = [];
+        let sampleRate = options.sampleRate || null;
+        let sampleRateSource = sampleRate ? 'user' : null;
+
+        if (times.length > 1) {
+            const timing = SignalImporter.inferSampleRate(times);
+            if (!sampleRate) {
+                sampleRate = timing.sampleRate;
+                sampleRateSource = 'timestamps';
+            }
+            if (timing.jitter > 0.1) {
+                warnings.push(`샘플 간격이 일정하지 않습니다 (최대 편차 ${(timing.jitter * 100).toFixed(0)}%). 균일 간격으로 가정하고 재생합니다.`);
+            }
+        }
+
+        return {
+            values,
+            times: times.length > 0 ? times : null,
+            sampleRate,
+            sampleRateSource,
+            columns,
+            timeColumn,
+            valueColumn,
+            valueColumns,
+            errors,
+            warnings
+        };
+    }
+
+    /**
+     * 타임스탬프 간격의 중앙값으로 샘플링 레이트 추정
+     * @param {Array} times - 증가하는 시간 배열 (초)
+     * @returns {Object} {sampleRate, jitter} - 추정 레이트와 중앙값 대비 최대 간격 편차 비율
+     */
+    static inferSampleRate(times) {
+        const intervals = [];
+        for (let i = 1; i < times.length; i++) {
+            intervals.push(times[i] - times[i - 1]);
+        }
+
+        const sorted = [...intervals].sort((a, b) => a - b);
+        const median = sorted[Math.floor(sorted.length / 2)];
+        // 펼침 인자(Math.max(...))는 수십만 행에서 호출 스택을 넘기므로 reduce로 계산
+        const jitter = intervals.reduce((max, dt) => Math.max(max, Math.abs(dt - median)), 0) / median;
+
+        return { sampleRate: 1 / median, jitter };
+    }
+
+    /**
+     * 첫 줄에서 가장 많이 나오는 구분자 선택
+     * @param {string} line - CSV 첫 줄
+     * @returns {string} 구분자
+     */
+    static detectDelimiter(line) {
+        const candidates = [',', ';', '\t'];
+        const counts = candidates.map(delimiter => line.split(delimiter).length - 1);
+        const best = counts.indexOf(Math.max(...counts));
+        return counts[best] > 0 ? candidates[best] : ',';
+    }
+
+    /**
+     * 시간 열 단위를 초로 바꾸는 배율
+     * 열 이름에 ms/milli가 있으면 밀리초, us/micro가 있으면 마이크로초로 본다
+     * @param {string} columnName - 시간 열 이름
+     * @param {string} timeUnit - 직접 지정한 단위 ('s', 'ms', 'us')
+     * @returns {number} 초 단위 배율
+     */
+    static getTimeScale(columnName, timeUnit) {
+        const unit = timeUnit || columnName.toLowerCase();
+        if (/(^|[^a-z])(us|micro)/.test(unit)) return 1e-6;
+        if (/(^|[^a-z])(ms|milli)/.test(unit)) return 1e-3;
+        return 1;
+    }
+
+    /**
+     * 셀 값을 유한한 숫자로 변환 (빈 값, NaN, Infinity는 null)
+     * @param {*} cell - 셀 값
+     * @returns {number|null} 숫자 또는 null
+     */
+    static toNumber(cell) {
+        if (cell === null || cell === undefined || (typeof cell === 'string' && cell.trim() === '')) {
+            return null;
+        }
+
+        const value = Number(cell);
+        return Number.isFinite(value) ? value : null;
+    }
+}
+
+// 브라우저 환경에서 전역으로 사용 가능하게 만들기
+if (typeof window !== 'undefined') {
+    window.SignalImporter = SignalImporter;
+}
+
+// 모듈로 내보내기 (Node.js 환경에서 사용시)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SignalImporter;
+}
\ No newline at end of file
@@ -0,0 +1,221 @@
+// signal-metrics.js - 기준 신호 대비 필터 성능 지표 계산
+
+class SignalMetrics {
+    /**
+     * 두 신호 사이의 RMS 오차
+     * @param {Array} signal - 평가할 신호
+     * @param {Array} reference - 기준 신호
+     * @returns {number} RMSE
+     */
+    static rmse(signal, reference) {
+        const length = Math.min(signal.length, reference.length);
+        if (length === 0) return 0;
+
+        let sum = 0;
+        for (let i = 0; i < length; i++) {
+            sum += (signal[i] - reference[i]) ** 2;
+        }
+        return Math.sqrt(sum / length);
+    }
+
+    /**
+     * 두 신호 사이의 평균 제곱 오차
+     * @param {Array} signal - 평가할 신호
+     * @param {Array} reference - 기준 신호
+     * @returns {number} MSE
+     */
+    static mse(signal, reference) {
+        return SignalMetrics.rmse(signal, reference) ** 2;
+    }
+
+    /**
+     * 기준 신호 대비 신호 대 잡음비 (dB)
+     * SNR = 10 log10(Σ clean² / Σ (signal - clean)²)
+     * @param {Array} signal - 평가할 신호
+     * @param {Array} clean - 노이즈 없는 기준 신호
+     * @returns {number} SNR (dB), 오차가 없으면 Infinity
+     */
+    static snrDb(signal, clean) {
+        const length = Math.min(signal.length, clean.length);
+        let signalPower = 0;
+        let errorPower = 0;
+
+        for (let i = 0; i < length; i++) {
+            signalPower += clean[i] ** 2;
+            errorPower += (signal[i] - clean[i]) ** 2;
+        }
+
+        if (errorPower === 0) return Infinity;
+        if (signalPower === 0) return -Infinity;
+        return 10 * Math.log10(signalPower / errorPower);
+    }
+
+    /**
+     * 피어슨 상관계수
+     * @param {Array} a - 첫 번째 신호
+     * @param {Array} b - 두 번째 신호
+     * @returns {number} 상관계수 (-1 ~ 1), 분산이 0이면 0
+     */
+    static correlation(a, b) {
+        const length = Math.min(a.length, b.length);
+        const meanA = SignalMetrics.mean(a.slice(0, length));
+        const meanB = SignalMetrics.mean(b.slice(0, length));
+
+        let covariance = 0;
+        let varianceA = 0;
+        let varianceB = 0;
+        for (let i = 0; i < length; i++) {
+            covariance += (a[i] - meanA) * (b[i] - meanB);
+            varianceA += (a[i] - meanA) ** 2;
+            varianceB += (b[i] - meanB) ** 2;
+        }
+
+        const denominator = Math.sqrt(varianceA * varianceB);
+        return denominator > 0 ? covariance / denominator : 0;
+    }
+
+    /**
+     * 노이즈 제거율 (%)
+     * 입력의 오차 대비 출력의 오차가 얼마나 줄었는지 (음수면 오히려 나빠짐)
+     * 지연을 주면 출력을 그만큼 앞당겨 비교하므로 지연 자체는 오차로 치지 않는다
+     * @param {Array} raw - 노이즈가 섞인 입력 신호
+     * @param {Array} filtered - 필터 출력
+     * @param {Array} clean - 노이즈 없는 기준 신호
+     * @param {number} lag - 필터 지연 (샘플)
+     * @returns {number} 노이즈 제거율 (%)
+     */
+    static noiseReduction(raw, filtered, clean, lag = 0) {
+        const inputError = SignalMetrics.rmse(raw, clean);
+        if (inputError === 0) return 0;
+
+        const outputError = SignalMetrics.rmse(filtered.slice(lag), clean.slice(0, clean.length - lag));
+        return (1 - outputError / inputError) * 100;
+    }
+
+    /**
+     * 교차상관으로 출력이 기준 신호보다 몇 샘플 늦는지 추정
+     * @param {Array} reference - 기준 신호
+     * @param {Array} signal - 지연된 신호 (필터 출력)
+     * @param {number} maxLag - 탐색할 최대 지연 (샘플)
+     * @returns {number} 추정 지연 (샘플)
+     */
+    static estimateLag(reference, signal, maxLag = 50) {
+        const length = Math.min(reference.length, signal.length);
+        const limit = Math.min(maxLag, Math.floor(length / 2));
+        const referenceMean = SignalMetrics.mean(reference.slice(0, length));
+        const signalMean = SignalMetrics.mean(signal.slice(0, length));
+
+        let bestLag = 0;
+        let bestCorrelation = -Infinity;
+
+        for (let lag = 0; lag <= limit; lag++) {
+            let sum = 0;
+            for (let i = lag; i < length; i++) {
+                sum += (signal[i] - signalMean) * (reference[i - lag] - referenceMean);
+            }
+            // 편향 추정(전체 길이로 나눔): 주기 신호에서 한 주기 뒤의 같은 봉우리보다 가까운 지연을 고름
+            const correlation = sum / length;
+
+            if (correlation > bestCorrelation) {
+                bestCorrelation = correlation;
+                bestLag = lag;
+            }
+        }
+
+        return bestLag;
+    }
+
+    /**
+     * 필터 출력 하나의 지연, 노이즈 제거율, RMSE (비교 표, 배치 결과, 파라미터 스윕 공통)
+     * 지연은 최대 0.5초까지, 긴 신호는 마지막 10초 구간으로 추정하고 출력이 입력보다 짧으면 뒤쪽을 맞춰 비교
+     * @param {Array} raw - 입력 신호
+     * @param {Array|null} clean - 기준 신호 (없으면 입력 대비 지연만 계산)
+     * @param {Array} output - 필터 출력
+     * @param {number} sampleRate - 샘플링 레이트 (Hz)
+     * @returns {Object} {lag (샘플), noiseReduction (%), rmse} - 기준 신호가 없으면 noiseReduction, rmse는 null
+     */
+    static summarize(raw, clean, output, sampleRate) {
+        const maxLag = Math.round(sampleRate / 2);
+        const lagWindow = Math.round(sampleRate * 10);
+
+        const length = Math.min(output.length, raw.length);
+        const rawTail = raw.slice(-length);
+        const outputTail = output.slice(-length);
+        const cleanTail = clean ? clean.slice(-length) : null;
+
+        const lag = SignalMetrics.estimateLag((cleanTail || rawTail).slice(-lagWindow), outputTail.slice(-lagWindow), maxLag);
+        return {
+            lag,
+            noiseReduction: cleanTail ? SignalMetrics.noiseReduction(rawTail, outputTail, cleanTail, lag) : null,
+            rmse: cleanTail ? SignalMetrics.rmse(outputTail, cleanTail) : null
+        };
+    }
+
+    /**
+     * 표준정규분포의 분위수 Φ⁻¹(p) (Acklam 유리함수 근사, 상대오차 약 1e-9)
+     * @param {number} p - 누적확률 (0 < p < 1)
+     * @returns {number} 분위수 z
+     */
+    static normalQuantile(p) {
+        const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+        const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+        const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+        const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+        const tail = 0.02425;
+
+        if (p <= 0) return -Infinity;
+        if (p >= 1) return Infinity;
+
+        if (p < tail || p > 1 - tail) {
+            // 양 끝 구간
+            const q = Math.sqrt(-2 * Math.log(Math.min(p, 1 - p)));
+            const z = (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+                ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+            return p < tail ? z : -z;
+        }
+
+        // 중앙 구간
+        const q = p - 0.5;
+        const r = q * q;
+        return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+            (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+    }
+
+    /**
+     * 카이제곱 분포의 분위수
+     * 자유도 1은 정규분포로 정확히 (z²), 그 이상은 윌슨-힐퍼티 근사
+     * @param {number} p - 누적확률 (0 < p < 1)
+     * @param {number} degreesOfFreedom - 자유도
+     * @returns {number} 분위수
+     */
+    static chiSquareQuantile(p, degreesOfFreedom) {
+        if (degreesOfFreedom === 1) {
+            return SignalMetrics.normalQuantile((1 + p) / 2) ** 2;
+        }
+
+        const k = degreesOfFreedom;
+        const z = SignalMetrics.normalQuantile(p);
+        const base = 1 - 2 / (9 * k) + z * Math.sqrt(2 / (9 * k));
+        return k * Math.max(base, 0) ** 3;
+    }
+
+    /**
+     * 평균값
+     * @param {Array} values - 데이터 배열
+     * @returns {number} 평균
+     */
+    static mean(values) {
+        if (values.length === 0) return 0;
+        return values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+}
+
+// 브라우저 환경에서 전역으로 사용 가능하게 만들기
+if (typeof window !== 'undefined') {
+    window.SignalMetrics = SignalMetrics;
+}
+
+// 모듈로 내보내기 (Node.js 환경에서 사용시)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SignalMetrics;
+}
\ No newline at end of file
@@ -0,0 +1,99 @@
+// signal-recorder.js - 내보내기용으로 입력/기준/필터 출력 시계열을 모두 기록하는 클래스
+
+class SignalRecorder {
+    /**
+     * @param {number} maxSamples - 최대 기록 샘플 수 (넘으면 오래된 샘플부터 버림)
+     */
+    constructor(maxSamples = 1000000) {
+        this.maxSamples = maxSamples;
+        this.clear();
+    }
+
+    /**
+     * 샘플 하나 기록
+     * 처음 보는 출력 이름은 새 열로 추가하고 이전 샘플은 null로 채운다
+     * @param {number} time - 시간 (초)
+     * @param {number} raw - 노이즈 포함 입력
+     * @param {number|null} clean - 노이즈 없는 기준 신호 (없으면 null)
+     * @param {Object} outputs - 출력 이름 → 값
+     */
+    record(time, raw, clean, outputs = {}) {
+        const index = this.time.length;
+
+        this.time.push(time);
+        this.raw.push(raw);
+        this.clean.push(clean);
+
+        Object.entries(outputs).forEach(([name, value]) => {
+            if (!this.outputs[name]) {
+                this.outputs[name] = new Array(index).fill(null);
+            }
+            this.outputs[name].push(value);
+        });
+
+        // 이번 샘플에 값이 없는 열은 null로 길이 맞춤
+        Object.values(this.outputs).forEach(values => {
+            if (values.length === index) {
+                values.push(null);
+            }
+        });
+
+        // 한도를 넘으면 앞쪽 10%를 한 번에 버려 매 샘플마다 배열을 옮기지 않도록 함
+        if (this.time.length > this.maxSamples) {
+            const dropCount = Math.ceil(this.maxSamples * 0.1);
+            [this.time, this.raw, this.clean, ...Object.values(this.outputs)].forEach(values => {
+                values.splice(0, dropCount);
+            });
+            this.truncated = true;
+        }
+    }
+
+    /**
+     * 기록 초기화
+     */
+    clear() {
+        this.time = [];
+        this.raw = [];
+        this.clean = [];
+        this.outputs = {};
+        this.truncated = false;   // maxSamples를 넘어 앞부분이 버려졌는지
+    }
+
+    /**
+     * 기록된 샘플 수
+     */
+    getLength() {
+        return this.time.length;
+    }
+
+    /**
+     * 내보낼 열 목록 (기준 신호가 하나도 없으면 clean 열 제외)
+     * @returns {Array} [{name, values}] 배열
+     */
+    getColumns() {
+        const columns = [
+            { name: 'time', values: this.time },
+            { name: 'raw', values: this.raw }
+        ];
+
+        if (this.clean.some(value => value !== null)) {
+            columns.push({ name: 'clean', values: this.clean });
+        }
+
+        Object.entries(this.outputs).forEach(([name, values]) => {
+            columns.push({ name, values });
+        });
+
+        return columns;
+    }
+}
+
+// 브라우저 환경에서 전역으로 사용 가능하게 만들기
+if (typeof window !== 'undefined') {
+    window.SignalRecorder = SignalRecorder;
+}
+
+// 모듈로 내보내기 (Node.js 환경에서 사용시)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SignalRecorder;
+}
\ No newline at end of file
@@ -0,0 +1,180 @@
+// transient-analyzer.js - 필터의 계단/임펄스 응답과 과도 응답 지표(상승 시간, 정착 시간, 오버슈트) 계산
+
+class TransientAnalyzer {
+    /**
+     * 새 필터 인스턴스에 계단 입력과 임펄스 입력을 넣어 응답과 지표 계산
+     * 필터가 첫 샘플로 상태를 초기화하므로 입력 전에 0을 충분히 넣어 정지 상태에서 시작
+     * @param {Function} createFilter - 매번 새 필터 인스턴스를 만드는 함수
+     * @param {number} sampleRate - 샘플링 레이트 (Hz)
+     * @param {number} duration - 응답을 기록할 길이 (초)
+     * @returns {Object} {sampleRate, step, impulse, stepMetrics, impulseMetrics}
+     */
+    static analyze(createFilter, sampleRate, duration = 5) {
+        const preRoll = Math.max(50, Math.round(sampleRate));
+        const length = Math.max(2, Math.round(duration * sampleRate));
+
+        const step = TransientAnalyzer.runInput(createFilter(), preRoll, length, () => 1);
+        const impulse = TransientAnalyzer.runInput(createFilter(), preRoll, length, index => (index === 0 ? 1 : 0));
+
+        return {
+            sampleRate,
+            step,
+            impulse,
+            stepMetrics: TransientAnalyzer.stepMetrics(step, sampleRate),
+            impulseMetrics: TransientAnalyzer.impulseMetrics(impulse, sampleRate)
+        };
+    }
+
+    /**
+     * 0을 preRoll개 넣은 뒤 입력 함수의 값을 length개 넣고 그 구간의 출력 반환
+     * @param {Object} filter - filter(input) 메서드가 있는 필터
+     * @param {number} preRoll - 앞에 넣을 0의 개수
+     * @param {number} length - 기록할 샘플 수
+     * @param {Function} input - 샘플 번호 → 입력 값
+     * @returns {Array} 출력 배열
+     */
+    static runInput(filter, preRoll, length, input) {
+        for (let i = 0; i < preRoll; i++) {
+            filter.filter(0);
+        }
+
+        const output = new Array(length);
+        for (let i = 0; i < length; i++) {
+            output[i] = filter.filter(input(i));
+        }
+        return output;
+    }
+
+    /**
+     * 단위 계단 응답 지표
+     * 최종값은 마지막 5% 구간 평균, 정착 기준은 최종값의 ±band
+     * 최종값이 0에 가까우면(하이패스 등) 최대 크기를 기준으로 정착을 판정하고 상승 시간/오버슈트는 null
+     * @param {Array} response - 계단 응답
+     * @param {number} sampleRate - 샘플링 레이트 (Hz)
+     * @param {number} band - 정착 허용 범위 비율 (기본값: 2%)
+     * @returns {Object} {finalValue, steadyStateError, riseTime, settlingTime, settled, overshoot, peak}
+     */
+    static stepMetrics(response, sampleRate, band = 0.02) {
+        const finalValue = TransientAnalyzer.tailMean(response);
+        const peakAbs = response.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+        const hasLevel = Math.abs(finalValue) >= 0.05 * peakAbs;
+        const settling = TransientAnalyzer.settlingTime(response, finalValue,
+            band * (hasLevel ? Math.abs(finalValue) : peakAbs), sampleRate);
+
+        let riseTime = null;
+        let overshoot = null;
+        if (hasLevel) {
+            const start = TransientAnalyzer.crossingTime(response, 0.1 * finalValue, sampleRate);
+            const end = TransientAnalyzer.crossingTime(response, 0.9 * finalValue, sampleRate);
+            if (start !== null && end !== null) {
+                riseTime = end - start;
+            }
+
+            const extreme = finalValue > 0 ? TransientAnalyzer.max(response) : TransientAnalyzer.min(response);
+            overshoot = Math.max(0, (extreme - finalValue) / finalValue * 100);
+        }
+
+        return {
+            finalValue,
+            steadyStateError: 1 - finalValue,
+            riseTime,
+            settlingTime: settling.time,
+            settled: settling.settled,
+            overshoot,
+            peak: TransientAnalyzer.max(response)
+        };
+    }
+
+    /**
+     * 단위 임펄스 응답 지표
+     * @param {Array} response - 임펄스 응답
+     * @param {number} sampleRate - 샘플링 레이트 (Hz)
+     * @param {number} band - 정착 허용 범위 (최대 크기 대비 비율, 기본값: 2%)
+     * @returns {Object} {peak, peakTime, dcGain, settlingTime, settled} - dcGain은 응답의 합(기록 구간 내)
+     */
+    static impulseMetrics(response, sampleRate, band = 0.02) {
+        let peakIndex = 0;
+        response.forEach((value, index) => {
+            if (Math.abs(value) > Math.abs(response[peakIndex])) {
+                peakIndex = index;
+            }
+        });
+
+        const peak = response[peakIndex];
+        const settling = TransientAnalyzer.settlingTime(response, 0, band * Math.abs(peak), sampleRate);
+
+        return {
+            peak,
+            peakTime: peakIndex / sampleRate,
+            dcGain: response.reduce((sum, value) => sum + value, 0),
+            settlingTime: settling.time,
+            settled: settling.settled
+        };
+    }
+
+    /**
+     * 배열 최대값 (긴 배열도 인자 개수 제한 없이 처리)
+     */
+    static max(values) {
+        return values.reduce((max, value) => Math.max(max, value), -Infinity);
+    }
+
+    /**
+     * 배열 최소값
+     */
+    static min(values) {
+        return values.reduce((min, value) => Math.min(min, value), Infinity);
+    }
+
+    /**
+     * 마지막 5% 구간 평균 (정상 상태 값)
+     */
+    static tailMean(response) {
+        const tail = Math.max(1, Math.floor(response.length * 0.05));
+        const values = response.slice(-tail);
+        return values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+
+    /**
+     * 응답이 target ± tolerance 안에 들어와 계속 머무르기 시작하는 시간
+     * 기록 끝 무렵에야 범위에 들어온 경우는 아직 천천히 움직이는 중일 수 있으므로
+     * 마지막 20% 구간 전체를 범위 안에서 머물렀을 때만 정착한 것으로 봄
+     * @returns {Object} {time, settled}
+     */
+    static settlingTime(response, target, tolerance, sampleRate) {
+        let index = response.length;
+        while (index > 0 && Math.abs(response[index - 1] - target) <= tolerance) {
+            index--;
+        }
+
+        return { time: index / sampleRate, settled: index <= response.length * 0.8 };
+    }
+
+    /**
+     * 응답이 처음으로 level을 지나는 시간 (샘플 사이는 선형 보간)
+     * @returns {number|null} 시간 (초), 지나지 않으면 null
+     */
+    static crossingTime(response, level, sampleRate) {
+        const reached = value => (level >= 0 ? value >= level : value <= level);
+
+        for (let i = 0; i < response.length; i++) {
+            if (!reached(response[i])) continue;
+            if (i === 0) return 0;
+
+            const fraction = (level - response[i - 1]) / (response[i] - response[i - 1]);
+            return (i - 1 + fraction) / sampleRate;
+        }
+
+        return null;
+    }
+}
+
+// 브라우저 환경에서 전역으로 사용 가능하게 만들기
+if (typeof window !== 'undefined') {
+    window.TransientAnalyzer = TransientAnalyzer;
+}
+
+// 모듈로 내보내기 (Node.js 환경에서 사용시)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TransientAnalyzer;
+}
\ No newline at end of file
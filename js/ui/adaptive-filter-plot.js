@@ -0,0 +1,292 @@
+// adaptive-filter-plot.js - 적응 필터의 학습 곡선(위, 오차 전력 dB)과 가중치 변화(아래)를 그리는 클래스
+// 수렴 전체 과정을 보여야 하므로 시간 창 대신 처음부터 기록하고, 점이 많아지면 절반씩 솎아 냄
+
+class AdaptiveFilterPlot extends CanvasVisualizer {
+    constructor(canvasId, options = {}) {
+        super(canvasId, {
+            errorColor: '#FF9800',
+            residualColor: '#4CAF50',
+            noiseColor: '#999999',
+            averaging: 50,          // 전력 평활 시간 상수 (샘플)
+            placeholder: '학습 곡선은 적응 필터를 재생하면 표시됩니다 (신호 설정의 상관 노이즈를 켜세요)',
+            ...options
+        });
+
+        // data: [{time, errorPower, residualPower, noisePower, weights}] (전력은 평활값, 기준 신호가 없으면 null)
+        this.targetWeights = null;  // 실제 전달 경로 계수 (알 때만, 가중치 그래프에 점선으로)
+        this.resetAccumulators();
+    }
+
+    /**
+     * 전력 평활 상태와 기록 간격 초기화
+     */
+    resetAccumulators() {
+        this.count = 0;
+        this.stride = 1;            // 몇 샘플마다 한 점을 기록할지 (솎아 낼 때마다 2배)
+        this.power = { error: 0, residual: 0, noise: 0 };
+    }
+
+    /**
+     * 가중치가 수렴해야 할 실제 경로 계수 설정 (모르면 null)
+     * @param {Array|null} weights - 탭별 계수
+     */
+    setTargetWeights(weights) {
+        this.targetWeights = weights ? weights.slice() : null;
+    }
+
+    /**
+     * 샘플 하나 추가 (매 샘플 호출, 그리기는 update에서)
+     * @param {Object} sample - {error, clean, input, weights} - 필터 출력 e, 기준 신호(없으면 null), 측정 채널 d, 가중치
+     * @param {number} time - 현재 시간
+     */
+    addSample(sample, time) {
+        this.count++;
+        const rate = 1 / Math.min(this.count, this.options.averaging);
+        const smooth = (key, value) => {
+            this.power[key] += (value - this.power[key]) * rate;
+            return this.power[key];
+        };
+
+        const hasClean = sample.clean !== null && sample.clean !== undefined;
+        const point = {
+            time,
+            errorPower: smooth('error', sample.error * sample.error),
+            residualPower: hasClean ? smooth('residual', (sample.error - sample.clean) ** 2) : null,
+            noisePower: hasClean ? smooth('noise', (sample.input - sample.clean) ** 2) : null,
+            weights: sample.weights
+        };
+
+        if ((this.count - 1) % this.stride !== 0) return;
+
+        this.data.push(point);
+        if (this.data.length > this.maxDataPoints) {
+            this.data = this.data.filter((_, i) => i % 2 === 0);
+            this.stride *= 2;
+        }
+    }
+
+    /**
+     * 최근 상태 요약 (평활 전력은 dB)
+     * @returns {Object|null} {count, errorPowerDb, residualPowerDb, noisePowerDb, cancellationDb, weights, weightError}
+     */
+    getSummary() {
+        if (this.data.length === 0) return null;
+
+        const latest = this.data[this.data.length - 1];
+        const toDb = value => (value === null ? null : AdaptiveFilterPlot.toDb(value));
+        const residualPowerDb = toDb(latest.residualPower);
+        const noisePowerDb = toDb(latest.noisePower);
+
+        let weightError = null;
+        if (this.targetWeights) {
+            const size = Math.max(this.targetWeights.length, latest.weights.length);
+            let sum = 0;
+            for (let i = 0; i < size; i++) {
+                sum += ((latest.weights[i] || 0) - (this.targetWeights[i] || 0)) ** 2;
+            }
+            weightError = Math.sqrt(sum);
+        }
+
+        return {
+            count: this.count,
+            errorPowerDb: toDb(latest.errorPower),
+            residualPowerDb,
+            noisePowerDb,
+            cancellationDb: residualPowerDb !== null ? noisePowerDb - residualPowerDb : null,
+            weights: latest.weights.slice(),
+            weightError
+        };
+    }
+
+    /**
+     * 전력 → dB (0은 -120 dB로)
+     */
+    static toDb(power) {
+        return 10 * Math.log10(Math.max(power, 1e-12));
+    }
+
+    /**
+     * 각 그래프 영역 계산 (위: 학습 곡선, 아래: 가중치)
+     */
+    getPanels() {
+        const height = (this.height - 20) / 2;
+        return {
+            power: { top: 8, bottom: height - 6 },
+            weights: { top: height + 8, bottom: this.height - 20 }
+        };
+    }
+
+    /**
+     * 축 그리기
+     */
+    drawAxis() {
+        const panels = this.getPanels();
+        this.ctx.strokeStyle = this.options.axisColor;
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+
+        Object.values(panels).forEach(panel => {
+            this.ctx.moveTo(40, panel.top);
+            this.ctx.lineTo(40, panel.bottom);
+            this.ctx.lineTo(this.width, panel.bottom);
+        });
+
+        this.ctx.stroke();
+
+        this.ctx.fillStyle = '#666';
+        this.ctx.font = '10px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText('Time (s)', this.width / 2, this.height - 5);
+    }
+
+    /**
+     * 패널 내 Y 좌표 변환 (범위를 벗어나면 경계에 붙임)
+     */
+    valueToPanelY(value, range, panel) {
+        const clamped = Math.min(Math.max(value, range[0]), range[1]);
+        const normalized = (clamped - range[0]) / (range[1] - range[0]);
+        return panel.bottom - normalized * (panel.bottom - panel.top);
+    }
+
+    /**
+     * 패널에 시계열 하나 그리기
+     * @param {Function} getValue - 점 → 값 (null이면 건너뜀)
+     */
+    drawPanelSeries(points, getValue, range, panel, color, width, dash, earliestTime, latestTime) {
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = width;
+        this.ctx.setLineDash(dash);
+        this.ctx.beginPath();
+
+        let started = false;
+        points.forEach(point => {
+            const value = getValue(point);
+            if (value === null) return;
+
+            const x = this.timeToX(point.time, earliestTime, latestTime);
+            const y = this.valueToPanelY(value, range, panel);
+            if (!started) {
+                this.ctx.moveTo(x, y);
+                started = true;
+            } else {
+                this.ctx.lineTo(x, y);
+            }
+        });
+
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+    }
+
+    /**
+     * 패널 제목과 값 범위 표시
+     */
+    drawPanelLabels(panel, title, range, color, unit = '') {
+        this.ctx.font = '10px Arial';
+        this.ctx.fillStyle = color;
+        this.ctx.textAlign = 'left';
+        this.ctx.fillText(title, 45, panel.top + 10);
+
+        this.ctx.fillStyle = '#666';
+        this.ctx.textAlign = 'right';
+        this.ctx.fillText(Number(range[1].toPrecision(2)) + unit, 38, panel.top + 8);
+        this.ctx.fillText(Number(range[0].toPrecision(2)) + unit, 38, panel.bottom);
+    }
+
+    /**
+     * 탭별 색상 (색상환을 탭 수로 나눔)
+     */
+    static tapColor(index, count) {
+        return `hsl(${Math.round(index * 300 / Math.max(count, 1))}, 70%, 45%)`;
+    }
+
+    /**
+     * 학습 곡선(오차·잔여 노이즈·입력 노이즈 전력, dB)과 가중치 변화(점선: 실제 경로 계수) 그리기
+     */
+    drawSignal() {
+        if (this.data.length < 2) {
+            this.ctx.fillStyle = '#999';
+            this.ctx.font = '13px Arial';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText(this.options.placeholder, this.width / 2, this.height / 2 - 8);
+            return;
+        }
+
+        const points = this.data;
+        const earliestTime = points[0].time;
+        const latestTime = points[points.length - 1].time;
+        const panels = this.getPanels();
+
+        // 학습 곡선: 표시할 전력 곡선의 dB 범위
+        const curves = [
+            { get: d => AdaptiveFilterPlot.toDb(d.errorPower), color: this.options.errorColor, width: 1.5, dash: [] },
+            { get: d => (d.residualPower === null ? null : AdaptiveFilterPlot.toDb(d.residualPower)), color: this.options.residualColor, width: 2, dash: [] },
+            { get: d => (d.noisePower === null ? null : AdaptiveFilterPlot.toDb(d.noisePower)), color: this.options.noiseColor, width: 1, dash: [4, 3] }
+        ];
+        const values = [];
+        curves.forEach(curve => points.forEach(d => {
+            const value = curve.get(d);
+            if (value !== null) values.push(value);
+        }));
+        const low = Math.min(...values);
+        const high = Math.max(...values);
+        const margin = Math.max((high - low) * 0.1, 1);
+        const powerRange = [low - margin, high + margin];
+
+        curves.forEach(curve => {
+            this.drawPanelSeries(points, curve.get, powerRange, panels.power, curve.color, curve.width, curve.dash, earliestTime, latestTime);
+        });
+        const hasClean = points[points.length - 1].residualPower !== null;
+        this.drawPanelLabels(
+            panels.power,
+            hasClean ? '학습 곡선: 오차 e² (주황), 잔여 노이즈 (e - s)² (초록), 입력 노이즈 (d - s)² (점선)' : '학습 곡선: 오차 전력 e²',
+            powerRange,
+            this.options.errorColor,
+            ' dB'
+        );
+
+        // 가중치: 모든 탭의 궤적과 실제 경로 계수
+        const tapCount = points[points.length - 1].weights.length;
+        const target = this.targetWeights || [];
+        let weightMax = target.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+        points.forEach(d => d.weights.forEach(value => {
+            weightMax = Math.max(weightMax, Math.abs(value));
+        }));
+        weightMax = weightMax > 0 ? weightMax * 1.1 : 1;
+        const weightRange = [-weightMax, weightMax];
+
+        for (let i = 0; i < tapCount; i++) {
+            const color = AdaptiveFilterPlot.tapColor(i, tapCount);
+            if (i < target.length) {
+                const y = this.valueToPanelY(target[i], weightRange, panels.weights);
+                this.ctx.strokeStyle = color;
+                this.ctx.lineWidth = 1;
+                this.ctx.setLineDash([3, 3]);
+                this.ctx.beginPath();
+                this.ctx.moveTo(40, y);
+                this.ctx.lineTo(this.width, y);
+                this.ctx.stroke();
+                this.ctx.setLineDash([]);
+            }
+            this.drawPanelSeries(points, d => (i < d.weights.length ? d.weights[i] : null), weightRange, panels.weights, color, 1.5, [], earliestTime, latestTime);
+        }
+        this.drawPanelLabels(
+            panels.weights,
+            `가중치 ${tapCount}탭 (w₀부터 색상 순서)${target.length > 0 ? ', 점선: 실제 경로 계수' : ''}`,
+            weightRange,
+            '#333'
+        );
+    }
+
+    /**
+     * 데이터 초기화
+     */
+    clearData() {
+        this.resetAccumulators();
+        super.clearData();
+    }
+}
+
+// 브라우저 환경에서 전역으로 사용 가능하게 만들기
+if (typeof window !== 'undefined') {
+    window.AdaptiveFilterPlot = AdaptiveFilterPlot;
+}
\ No newline at end of file
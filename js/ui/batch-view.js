@@ -0,0 +1,282 @@
+// batch-view.js - 배치 처리 결과 전체를 확대/축소, 이동하며 볼 수 있는 시계열 뷰
+
+class BatchView extends CanvasVisualizer {
+    constructor(canvasId, options = {}) {
+        super(canvasId, {
+            minVisibleSamples: 20,   // 최대 확대 시 화면에 남는 최소 샘플 수
+            ...options
+        });
+
+        this.series = [];        // [{label, color, width, dash, values}]
+        this.sampleRate = 1;
+        this.length = 0;
+        this.viewStart = 0;      // 표시 구간 시작 (초)
+        this.viewEnd = 0;        // 표시 구간 끝 (초)
+        this.dragState = null;   // 드래그 이동 중인 시작 위치와 구간
+
+        this.setupInteraction();
+    }
+
+    /**
+     * 마우스 휠 확대/축소, 드래그 이동, 더블클릭 전체 보기
+     */
+    setupInteraction() {
+        this.canvas.addEventListener('wheel', (e) => {
+            if (this.length < 2) return;
+            e.preventDefault();
+            this.zoom(e.deltaY < 0 ? 0.8 : 1.25, this.xToTime(e.offsetX));
+        }, { passive: false });
+
+        this.canvas.addEventListener('mousedown', (e) => {
+            this.dragState = { x: e.offsetX, start: this.viewStart, end: this.viewEnd };
+        });
+
+        this.canvas.addEventListener('mousemove', (e) => {
+            if (!this.dragState) return;
+
+            const { x, start, end } = this.dragState;
+            const deltaTime = (e.offsetX - x) / (this.width - 60) * (end - start);
+            this.setView(start - deltaTime, end - deltaTime);
+        });
+
+        ['mouseup', 'mouseleave'].forEach(eventName => {
+            this.canvas.addEventListener(eventName, () => {
+                this.dragState = null;
+            });
+        });
+
+        this.canvas.addEventListener('dblclick', () => this.resetView());
+    }
+
+    /**
+     * 표시할 시계열 설정 후 전체 구간 보기
+     * @param {Array} series - [{label, color, width, dash, values}] (모든 values 길이가 같아야 함)
+     * @param {number} sampleRate - 샘플링 레이트 (Hz)
+     */
+    setData(series, sampleRate) {
+        this.series = series;
+        this.sampleRate = sampleRate;
+        this.length = series.length > 0 ? series[0].values.length : 0;
+        this.resetView();
+    }
+
+    /**
+     * 마지막 샘플의 시간 (초)
+     */
+    getDuration() {
+        return Math.max(0, this.length - 1) / this.sampleRate;
+    }
+
+    /**
+     * 표시 구간 설정 (데이터 범위와 최소 샘플 수 안으로 제한)
+     * @param {number} start - 시작 시간 (초)
+     * @param {number} end - 끝 시간 (초)
+     */
+    setView(start, end) {
+        const duration = this.getDuration();
+        const minSpan = Math.min(duration, this.options.minVisibleSamples / this.sampleRate);
+        const span = Math.min(Math.max(end - start, minSpan), duration);
+
+        this.viewStart = Math.min(Math.max(start, 0), duration - span);
+        this.viewEnd = this.viewStart + span;
+        this.update();
+    }
+
+    /**
+     * 전체 구간 보기
+     */
+    resetView() {
+        this.setView(0, this.getDuration());
+    }
+
+    /**
+     * 확대/축소
+     * @param {number} factor - 구간 배율 (1보다 작으면 확대)
+     * @param {number} centerTime - 고정할 기준 시간 (기본값: 구간 중앙)
+     */
+    zoom(factor, centerTime = (this.viewStart + this.viewEnd) / 2) {
+        this.setView(
+            centerTime - (centerTime - this.viewStart) * factor,
+            centerTime + (this.viewEnd - centerTime) * factor
+        );
+    }
+
+    /**
+     * X 좌표를 시간으로 변환 (timeToX의 역변환)
+     */
+    xToTime(x) {
+        return this.viewStart + (x - 50) / (this.width - 60) * (this.viewEnd - this.viewStart);
+    }
+
+    /**
+     * 표시 구간의 샘플 인덱스 범위
+     * @returns {Object} {first, last}
+     */
+    getVisibleRange() {
+        return {
+            first: Math.max(0, Math.floor(this.viewStart * this.sampleRate)),
+            last: Math.min(this.length - 1, Math.ceil(this.viewEnd * this.sampleRate))
+        };
+    }
+
+    /**
+     * 표시 구간에 맞춰 Y축 스케일 조정
+     */
+    updateScale() {
+        const { first, last } = this.getVisibleRange();
+        let min = Infinity;
+        let max = -Infinity;
+
+        this.series.forEach(series => {
+            for (let i = first; i <= last; i++) {
+                const value = series.values[i];
+                if (value < min) min = value;
+                if (value > max) max = value;
+            }
+        });
+
+        const range = max - min;
+        if (!isFinite(range) || range < 1e-9) {
+            this.options.yMin = (isFinite(min) ? min : 0) - 1;
+            this.options.yMax = (isFinite(max) ? max : 0) + 1;
+            return;
+        }
+
+        this.options.yMin = min - range * 0.1;
+        this.options.yMax = max + range * 0.1;
+    }
+
+    /**
+     * 전체 그래프 업데이트 (스케일 → 클리어 → 그리기)
+     */
+    update() {
+        if (this.length > 1) {
+            this.updateScale();
+        }
+        this.clear();
+        this.drawSignal();
+    }
+
+    /**
+     * 축 레이블 그리기 (표시 구간 시작/끝 시간 포함)
+     */
+    drawAxisLabels() {
+        super.drawAxisLabels();
+        if (!(this.length > 1)) return;   // 부모 생성자에서 그릴 때는 아직 데이터 필드가 없음
+
+        this.ctx.fillStyle = '#666';
+        this.ctx.font = '10px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.fillText(this.viewStart.toFixed(2) + ' s', 50, this.height - 5);
+        this.ctx.textAlign = 'right';
+        this.ctx.fillText(this.viewEnd.toFixed(2) + ' s', this.width - 10, this.height - 5);
+    }
+
+    /**
+     * 모든 시계열 그리기
+     */
+    drawSignal() {
+        if (this.length < 2) {
+            this.ctx.fillStyle = '#999';
+            this.ctx.font = '13px Arial';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText('배치 실행 결과가 여기에 표시됩니다', this.width / 2, this.height / 2 - 10);
+            return;
+        }
+
+        this.series.forEach(series => this.drawDecimatedSeries(series));
+        this.drawLegend();
+    }
+
+    /**
+     * 시계열 하나 그리기
+     * 한 픽셀에 여러 샘플이 들어가면 픽셀 열마다 최소/최대값만 그려 긴 신호도 빠르게 표시
+     * @param {Object} series - {color, width, dash, values}
+     */
+    drawDecimatedSeries(series) {
+        const { first, last } = this.getVisibleRange();
+        const plotWidth = this.width - 60;
+        const samplesPerPixel = (last - first + 1) / plotWidth;
+
+        this.ctx.strokeStyle = series.color;
+        this.ctx.lineWidth = series.width || 1;
+        this.ctx.setLineDash(series.dash || []);
+        this.ctx.beginPath();
+
+        if (samplesPerPixel <= 2) {
+            for (let i = first; i <= last; i++) {
+                const x = this.timeToX(i / this.sampleRate, this.viewStart, this.viewEnd);
+                const y = this.valueToY(series.values[i]);
+                if (i === first) {
+                    this.ctx.moveTo(x, y);
+                } else {
+                    this.ctx.lineTo(x, y);
+                }
+            }
+        } else {
+            for (let column = 0; column < plotWidth; column++) {
+                const start = first + Math.floor(column * samplesPerPixel);
+                const end = Math.min(last, first + Math.floor((column + 1) * samplesPerPixel) - 1);
+
+                let min = Infinity;
+                let max = -Infinity;
+                for (let i = start; i <= end; i++) {
+                    const value = series.values[i];
+                    if (value < min) min = value;
+                    if (value > max) max = value;
+                }
+                if (!isFinite(min)) continue;
+
+                const x = 50 + column;
+                if (column === 0) {
+                    this.ctx.moveTo(x, this.valueToY(min));
+                } else {
+                    this.ctx.lineTo(x, this.valueToY(min));
+                }
+                this.ctx.lineTo(x, this.valueToY(max));
+            }
+        }
+
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+    }
+
+    /**
+     * 범례 그리기
+     */
+    drawLegend() {
+        this.ctx.font = '11px Arial';
+        this.ctx.textAlign = 'left';
+
+        this.series.forEach((series, index) => {
+            const y = 14 + index * 15;
+            this.ctx.strokeStyle = series.color;
+            this.ctx.lineWidth = 2;
+            this.ctx.setLineDash(series.dash || []);
+            this.ctx.beginPath();
+            this.ctx.moveTo(this.width - 140, y - 4);
+            this.ctx.lineTo(this.width - 122, y - 4);
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+
+            this.ctx.fillStyle = '#333';
+            this.ctx.fillText(series.label, this.width - 116, y);
+        });
+    }
+
+    /**
+     * 데이터 초기화
+     */
+    clearData() {
+        this.series = [];
+        this.length = 0;
+        this.viewStart = 0;
+        this.viewEnd = 0;
+        this.update();
+    }
+}
+
+// 브라우저 환경에서 전역으로 사용 가능하게 만들기
+if (typeof window !== 'undefined') {
+    window.BatchView = BatchView;
+}
\ No newline at end of file
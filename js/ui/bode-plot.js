@@ -0,0 +1,318 @@
+// bode-plot.js - 필터 주파수 응답을 보드 선도(크기 dB / 위상)로 그리는 클래스
+
+class BodePlot extends CanvasVisualizer {
+    constructor(canvasId, options = {}) {
+        super(canvasId, {
+            magnitudeColor: '#667eea',
+            phaseColor: '#764ba2',
+            minFrequency: 0.1,    // X축 최소 주파수 (Hz)
+            maxFrequency: 50,     // X축 최대 주파수 (Hz)
+            dbFloor: -60,         // 크기 그래프 최소값 (dB)
+            ...options
+        });
+
+        // 주파수 응답 데이터 {frequencies, magnitudesDb, phasesDeg}
+        this.response = null;
+
+        // 세로 표시선 [{frequency, label, color}]
+        this.markers = [];
+    }
+
+    /**
+     * 로그 간격 주파수 배열 생성
+     * @param {number} minFrequency - 최소 주파수 (Hz)
+     * @param {number} maxFrequency - 최대 주파수 (Hz)
+     * @param {number} points - 점 개수
+     * @returns {Array} 주파수 배열
+     */
+    static logspace(minFrequency, maxFrequency, points = 200) {
+        const logMin = Math.log10(minFrequency);
+        const logMax = Math.log10(maxFrequency);
+        const frequencies = [];
+
+        for (let i = 0; i < points; i++) {
+            frequencies.push(Math.pow(10, logMin + (logMax - logMin) * i / (points - 1)));
+        }
+
+        return frequencies;
+    }
+
+    /**
+     * 위상 언래핑 (2π 점프 제거)
+     * @param {Array} phases - 라디안 위상 배열
+     * @returns {Array} 언래핑된 위상 배열
+     */
+    static unwrapPhase(phases) {
+        const result = [];
+        let offset = 0;
+
+        for (let i = 0; i < phases.length; i++) {
+            if (i > 0) {
+                const delta = phases[i] + offset - result[i - 1];
+                if (delta > Math.PI) {
+                    offset -= 2 * Math.PI * Math.round(delta / (2 * Math.PI));
+                } else if (delta < -Math.PI) {
+                    offset += 2 * Math.PI * Math.round(-delta / (2 * Math.PI));
+                }
+            }
+            result.push(phases[i] + offset);
+        }
+
+        return result;
+    }
+
+    /**
+     * 최대 이득 대비 -3dB 선을 지나는 모든 주파수 찾기
+     * 저역/고역 통과형은 하나, 대역 통과형은 양쪽 경계 두 개가 나온다
+     * @returns {Array} -3dB 주파수 배열 (Hz)
+     */
+    static findCutoffs(frequencies, magnitudesDb) {
+        const threshold = Math.max(...magnitudesDb) - 3;
+        const cutoffs = [];
+
+        for (let i = 0; i < magnitudesDb.length - 1; i++) {
+            const above = magnitudesDb[i] >= threshold;
+            const nextAbove = magnitudesDb[i + 1] >= threshold;
+            if (above !== nextAbove) {
+                const t = (threshold - magnitudesDb[i]) / (magnitudesDb[i + 1] - magnitudesDb[i]);
+                cutoffs.push(frequencies[i] + t * (frequencies[i + 1] - frequencies[i]));
+            }
+        }
+
+        return cutoffs;
+    }
+
+    /**
+     * 각 그래프 영역 계산 (위: 크기, 아래: 위상)
+     */
+    getPanels() {
+        const half = this.height / 2;
+        return {
+            magnitude: { top: 8, bottom: half - 12 },
+            phase: { top: half + 8, bottom: this.height - 20 }
+        };
+    }
+
+    /**
+     * 로그 주파수 격자 그리기 (1-2-5 눈금)
+     */
+    drawGrid() {
+        this.ctx.strokeStyle = this.options.gridColor;
+        this.ctx.lineWidth = 0.5;
+        this.ctx.setLineDash([2, 2]);
+        this.ctx.beginPath();
+
+        this.getFrequencyTicks().forEach(frequency => {
+            const x = this.frequencyToX(frequency);
+            this.ctx.moveTo(x, 0);
+            this.ctx.lineTo(x, this.height - 20);
+        });
+
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+    }
+
+    /**
+     * 표시 범위 내의 1-2-5 주파수 눈금 목록
+     */
+    getFrequencyTicks() {
+        const ticks = [];
+        const startDecade = Math.floor(Math.log10(this.options.minFrequency));
+        const endDecade = Math.ceil(Math.log10(this.options.maxFrequency));
+
+        for (let decade = startDecade; decade <= endDecade; decade++) {
+            [1, 2, 5].forEach(mantissa => {
+                const frequency = mantissa * Math.pow(10, decade);
+                if (frequency >= this.options.minFrequency && frequency <= this.options.maxFrequency) {
+                    ticks.push(frequency);
+                }
+            });
+        }
+
+        return ticks;
+    }
+
+    /**
+     * 축 그리기
+     */
+    drawAxis() {
+        const panels = this.getPanels();
+        this.ctx.strokeStyle = this.options.axisColor;
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+
+        Object.values(panels).forEach(panel => {
+            this.ctx.moveTo(40, panel.top);
+            this.ctx.lineTo(40, panel.bottom);
+            this.ctx.lineTo(this.width, panel.bottom);
+        });
+
+        this.ctx.stroke();
+        this.drawAxisLabels();
+    }
+
+    /**
+     * 축 레이블 그리기
+     */
+    drawAxisLabels() {
+        const panels = this.getPanels();
+        this.ctx.fillStyle = '#666';
+        this.ctx.font = '10px Arial';
+
+        // 주파수 눈금
+        this.ctx.textAlign = 'center';
+        this.getFrequencyTicks().forEach(frequency => {
+            const label = frequency < 1 ? frequency.toPrecision(1) : frequency.toFixed(0);
+            this.ctx.fillText(label, this.frequencyToX(frequency), this.height - 8);
+        });
+
+        this.ctx.textAlign = 'right';
+        this.ctx.fillText('Frequency (Hz)', this.width - 5, this.height - 24);
+
+        if (!this.response) return;
+
+        // 크기/위상 범위
+        const { magnitudeRange, phaseRange } = this.response;
+        this.ctx.fillText(magnitudeRange[1].toFixed(0) + ' dB', 38, panels.magnitude.top + 8);
+        this.ctx.fillText(magnitudeRange[0].toFixed(0) + ' dB', 38, panels.magnitude.bottom);
+        this.ctx.fillText(phaseRange[1].toFixed(0) + '°', 38, panels.phase.top + 8);
+        this.ctx.fillText(phaseRange[0].toFixed(0) + '°', 38, panels.phase.bottom);
+    }
+
+    /**
+     * 주파수를 X 좌표로 변환 (로그 스케일)
+     */
+    frequencyToX(frequency) {
+        const logMin = Math.log10(this.options.minFrequency);
+        const logMax = Math.log10(this.options.maxFrequency);
+        const normalized = (Math.log10(frequency) - logMin) / (logMax - logMin);
+        return 50 + normalized * (this.width - 60);
+    }
+
+    /**
+     * 값을 그래프 영역 내 Y 좌표로 변환
+     */
+    valueToPanelY(value, range, panel) {
+        const clamped = Math.min(Math.max(value, range[0]), range[1]);
+        const normalized = (clamped - range[0]) / (range[1] - range[0]);
+        return panel.bottom - normalized * (panel.bottom - panel.top);
+    }
+
+    /**
+     * 곡선 하나 그리기
+     */
+    drawCurve(values, range, panel, color) {
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = this.options.signalWidth;
+        this.ctx.setLineDash([]);
+        this.ctx.beginPath();
+
+        values.forEach((value, i) => {
+            const x = this.frequencyToX(this.response.frequencies[i]);
+            const y = this.valueToPanelY(value, range, panel);
+            if (i === 0) {
+                this.ctx.moveTo(x, y);
+            } else {
+                this.ctx.lineTo(x, y);
+            }
+        });
+
+        this.ctx.stroke();
+    }
+
+    /**
+     * 크기/위상 곡선과 표시선 그리기
+     */
+    drawSignal() {
+        if (!this.response) return;
+
+        const panels = this.getPanels();
+        const { magnitudesDb, phasesDeg, magnitudeRange, phaseRange } = this.response;
+
+        this.drawCurve(magnitudesDb, magnitudeRange, panels.magnitude, this.options.magnitudeColor);
+        this.drawCurve(phasesDeg, phaseRange, panels.phase, this.options.phaseColor);
+
+        this.drawMarkers();
+    }
+
+    /**
+     * 컷오프, 입력 주파수 등 세로 표시선 그리기
+     */
+    drawMarkers() {
+        this.ctx.font = '10px Arial';
+        this.ctx.textAlign = 'left';
+
+        this.markers.forEach((marker, index) => {
+            if (marker.frequency < this.options.minFrequency || marker.frequency > this.options.maxFrequency) {
+                return;
+            }
+
+            const x = this.frequencyToX(marker.frequency);
+            this.ctx.strokeStyle = marker.color;
+            this.ctx.lineWidth = 1;
+            this.ctx.setLineDash([4, 3]);
+            this.ctx.beginPath();
+            this.ctx.moveTo(x, 0);
+            this.ctx.lineTo(x, this.height - 20);
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+
+            this.ctx.fillStyle = marker.color;
+            this.ctx.fillText(`${marker.label} ${marker.frequency.toFixed(2)} Hz`, x + 3, 18 + index * 12);
+        });
+    }
+
+    /**
+     * 주파수 응답 설정 후 다시 그리기
+     * @param {Array} frequencies - 주파수 배열 (Hz)
+     * @param {Array} responses - [{magnitude, phase}] 배열 (phase는 라디안)
+     * @param {Array} markers - [{frequency, label, color}] 추가 표시선
+     */
+    setResponse(frequencies, responses, markers = []) {
+        const magnitudesDb = responses.map(r => 20 * Math.log10(Math.max(r.magnitude, 1e-10)));
+        const phasesDeg = BodePlot.unwrapPhase(responses.map(r => r.phase)).map(p => p * 180 / Math.PI);
+
+        const peak = Math.max(...magnitudesDb);
+        const magnitudeRange = [this.options.dbFloor, Math.max(5, Math.ceil(peak / 10) * 10)];
+        const phaseRange = [
+            Math.floor(Math.min(...phasesDeg) / 90) * 90,
+            Math.ceil(Math.max(...phasesDeg) / 90) * 90
+        ];
+        if (phaseRange[0] === phaseRange[1]) {
+            phaseRange[0] -= 90;
+            phaseRange[1] += 90;
+        }
+
+        this.response = { frequencies, magnitudesDb, phasesDeg, magnitudeRange, phaseRange };
+
+        // -3dB 지점 자동 표시
+        this.markers = BodePlot.findCutoffs(frequencies, magnitudesDb).map(frequency => (
+            { frequency, label: '-3 dB', color: '#e53935' }
+        ));
+        this.markers.push(...markers);
+
+        this.update();
+    }
+
+    /**
+     * 데이터 초기화
+     * @param {string} message - 빈 그래프에 표시할 안내 문구 (선택)
+     */
+    clearData(message = '') {
+        this.response = null;
+        this.markers = [];
+        this.clear();
+
+        if (message) {
+            this.ctx.fillStyle = '#999';
+            this.ctx.font = '13px Arial';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText(message, this.width / 2, this.height / 2);
+        }
+    }
+}
+
+// 브라우저 환경에서 전역으로 사용 가능하게 만들기
+if (typeof window !== 'undefined') {
+    window.BodePlot = BodePlot;
+}
\ No newline at end of file
@@ -17,13 +17,16 @@ class CanvasVisualizer {
             autoScale: true,
             yMin: -2,
             yMax: 2,
+            placeholder: '',        // 데이터가 없을 때 표시할 안내 문구
             ...options
         };
 
         // 데이터 관리
         this.data = [];
-        this.maxDataPoints = 400;
-        this.timeWindow = 2; // 초 단위로 표시할 시간 윈도우
+        this.overlays = {};         // 함께 그릴 추가 시계열 (이름 → {label, color, dash, data})
+        this.bands = {};            // 채워서 그릴 범위 (신뢰 구간 등, 이름 → {label, color, data})
+        this.maxDataPoints = 500;
+        this.timeWindow = 4; // 초 단위로 표시할 시간 윈도우
         
         // 캔버스 크기 설정
         this.setupCanvas();
@@ -172,6 +175,12 @@ class CanvasVisualizer {
      */
     updateScale() {
         const values = this.data.map(d => d.value);
+        Object.values(this.overlays).forEach(overlay => {
+            overlay.data.forEach(d => values.push(d.value));
+        });
+        Object.values(this.bands).forEach(band => {
+            band.data.forEach(d => values.push(d.lower, d.upper));
+        });
         const max = Math.max(...values);
         const min = Math.min(...values);
         
@@ -193,22 +202,93 @@ class CanvasVisualizer {
      * 신호 그래프 그리기
      */
     drawSignal() {
-        if (this.data.length < 2) return;
+        if (this.data.length < 2) {
+            if (this.options.placeholder) {
+                this.ctx.fillStyle = '#999';
+                this.ctx.font = '13px Arial';
+                this.ctx.textAlign = 'center';
+                this.ctx.fillText(this.options.placeholder, this.width / 2, this.height / 2 - 8);
+            }
+            return;
+        }
 
-        this.ctx.strokeStyle = this.options.signalColor;
-        this.ctx.lineWidth = this.options.signalWidth;
-        this.ctx.setLineDash([]);
+        // 시간 범위 계산
+        const latestTime = this.data[this.data.length - 1].time;
+        let earliestTime;
+
+        // 데이터가 충분히 쌓이기 전에는 전체 데이터를 화면에 맞춰 표시
+        if (this.data.length < this.maxDataPoints * 0.8) {
+            earliestTime = this.data[0].time;
+        } else {
+            earliestTime = latestTime - this.timeWindow;
+        }
+
+        // 범위 → 추가 시계열 → 주 신호 순으로 겹쳐 그림
+        Object.values(this.bands).forEach(band => {
+            this.drawBand(band.data, band.color, earliestTime, latestTime);
+        });
+        Object.values(this.overlays).forEach(overlay => {
+            this.drawSeries(overlay.data, overlay.color, overlay.width, overlay.dash, earliestTime, latestTime);
+        });
+        this.drawSeries(this.data, this.options.signalColor, this.options.signalWidth, [], earliestTime, latestTime);
+
+        if (Object.keys(this.overlays).length > 0 || Object.keys(this.bands).length > 0) {
+            this.drawLegend();
+        }
+    }
 
+    /**
+     * 위/아래 경계 사이를 채워 범위 그리기
+     * @param {Array} data - [{lower, upper, time}] 배열
+     * @param {string} color - 채우기 색상 (반투명 권장)
+     * @param {number} earliestTime - 표시 시작 시간
+     * @param {number} latestTime - 표시 끝 시간
+     */
+    drawBand(data, color, earliestTime, latestTime) {
+        const visible = data.filter(point => point.time >= earliestTime);
+        if (visible.length < 2) return;
+
+        this.ctx.fillStyle = color;
         this.ctx.beginPath();
 
-        // 시간 범위 계산
-        const latestTime = this.data[this.data.length - 1].time;
-        const earliestTime = latestTime - this.timeWindow;
+        // 위 경계를 따라 오른쪽으로, 아래 경계를 따라 왼쪽으로 돌아오는 다각형
+        visible.forEach((point, i) => {
+            const x = this.timeToX(point.time, earliestTime, latestTime);
+            const y = this.valueToY(point.upper);
+            if (i === 0) {
+                this.ctx.moveTo(x, y);
+            } else {
+                this.ctx.lineTo(x, y);
+            }
+        });
+        for (let i = visible.length - 1; i >= 0; i--) {
+            this.ctx.lineTo(this.timeToX(visible[i].time, earliestTime, latestTime), this.valueToY(visible[i].lower));
+        }
+
+        this.ctx.closePath();
+        this.ctx.fill();
+    }
+
+    /**
+     * 시계열 하나를 선으로 그리기
+     * @param {Array} data - [{value, time}] 배열
+     * @param {string} color - 선 색상
+     * @param {number} width - 선 두께
+     * @param {Array} dash - 점선 패턴 (빈 배열이면 실선)
+     * @param {number} earliestTime - 표시 시작 시간
+     * @param {number} latestTime - 표시 끝 시간
+     */
+    drawSeries(data, color, width, dash, earliestTime, latestTime) {
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = width;
+        this.ctx.setLineDash(dash);
+
+        this.ctx.beginPath();
 
         let firstPoint = true;
 
-        for (let i = 0; i < this.data.length; i++) {
-            const point = this.data[i];
+        for (let i = 0; i < data.length; i++) {
+            const point = data[i];
             
             // 시간 윈도우 내의 데이터만 그리기
             if (point.time < earliestTime) continue;
@@ -225,6 +305,124 @@ class CanvasVisualizer {
         }
 
         this.ctx.stroke();
+        this.ctx.setLineDash([]);
+    }
+
+    /**
+     * 범례 그리기 (주 신호 + 추가 시계열)
+     */
+    drawLegend() {
+        const entries = [
+            { label: this.options.signalLabel || '출력', color: this.options.signalColor, dash: [] },
+            ...Object.values(this.overlays),
+            ...Object.values(this.bands).map(band => ({ label: band.label, color: band.color, dash: [], fill: true }))
+        ];
+
+        this.ctx.font = '11px Arial';
+        this.ctx.textAlign = 'left';
+
+        entries.forEach((entry, index) => {
+            const y = 14 + index * 15;
+            if (entry.fill) {
+                this.ctx.fillStyle = entry.color;
+                this.ctx.fillRect(this.width - 140, y - 9, 18, 10);
+            } else {
+                this.ctx.strokeStyle = entry.color;
+                this.ctx.lineWidth = 2;
+                this.ctx.setLineDash(entry.dash);
+                this.ctx.beginPath();
+                this.ctx.moveTo(this.width - 140, y - 4);
+                this.ctx.lineTo(this.width - 122, y - 4);
+                this.ctx.stroke();
+                this.ctx.setLineDash([]);
+            }
+
+            this.ctx.fillStyle = '#333';
+            this.ctx.fillText(entry.label, this.width - 116, y);
+        });
+    }
+
+    /**
+     * 추가 시계열 등록 (이미 있으면 표시 옵션만 갱신)
+     * @param {string} name - 시계열 이름
+     * @param {Object} options - {label, color, width, dash}
+     */
+    setOverlay(name, options = {}) {
+        const existing = this.overlays[name];
+        this.overlays[name] = {
+            label: name,
+            color: '#999999',
+            width: 1,
+            dash: [],
+            ...existing,
+            ...options,
+            data: existing ? existing.data : []
+        };
+    }
+
+    /**
+     * 추가 시계열에 데이터 포인트 추가
+     * @param {string} name - 시계열 이름
+     * @param {number} value - Y축 값
+     * @param {number} time - X축 값 (시간)
+     */
+    addOverlayPoint(name, value, time) {
+        const overlay = this.overlays[name];
+        if (!overlay) return;
+
+        overlay.data.push({ value, time });
+        if (overlay.data.length > this.maxDataPoints) {
+            overlay.data.shift();
+        }
+    }
+
+    /**
+     * 추가 시계열 제거
+     * @param {string} name - 시계열 이름
+     */
+    removeOverlay(name) {
+        delete this.overlays[name];
+    }
+
+    /**
+     * 범위 등록 (이미 있으면 표시 옵션만 갱신)
+     * @param {string} name - 범위 이름
+     * @param {Object} options - {label, color}
+     */
+    setBand(name, options = {}) {
+        const existing = this.bands[name];
+        this.bands[name] = {
+            label: name,
+            color: 'rgba(0, 0, 0, 0.1)',
+            ...existing,
+            ...options,
+            data: existing ? existing.data : []
+        };
+    }
+
+    /**
+     * 범위에 데이터 포인트 추가
+     * @param {string} name - 범위 이름
+     * @param {number} lower - 아래 경계
+     * @param {number} upper - 위 경계
+     * @param {number} time - X축 값 (시간)
+     */
+    addBandPoint(name, lower, upper, time) {
+        const band = this.bands[name];
+        if (!band) return;
+
+        band.data.push({ lower, upper, time });
+        if (band.data.length > this.maxDataPoints) {
+            band.data.shift();
+        }
+    }
+
+    /**
+     * 모든 추가 시계열과 범위 제거
+     */
+    clearOverlays() {
+        this.overlays = {};
+        this.bands = {};
     }
 
     /**
@@ -268,7 +466,13 @@ class CanvasVisualizer {
      */
     clearData() {
         this.data = [];
-        this.clear();
+        Object.values(this.overlays).forEach(overlay => {
+            overlay.data = [];
+        });
+        Object.values(this.bands).forEach(band => {
+            band.data = [];
+        });
+        this.update();
     }
 
     /**
@@ -349,11 +553,10 @@ if (typeof window !== 'undefined') {
 if (typeof window !== 'undefined') {
     window.addEventListener('resize', () => {
         // 전역 캔버스 인스턴스들이 있다면 크기 조정
-        if (window.originalVisualizer) {
-            window.originalVisualizer.resize();
-        }
-        if (window.filteredVisualizer) {
-            window.filteredVisualizer.resize();
-        }
+        ['originalVisualizer', 'filteredVisualizer', 'velocityVisualizer', 'kalmanDiagnosticsPlot', 'adaptiveFilterPlot', 'spectrumVisualizer', 'bodePlot', 'transientPlot', 'poleZeroPlot', 'impulseResponsePlot', 'batchView', 'sweepPlot'].forEach(name => {
+            if (window[name]) {
+                window[name].resize();
+            }
+        });
     });
 }
\ No newline at end of file
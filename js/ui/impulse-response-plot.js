@@ -0,0 +1,156 @@
+// impulse-response-plot.js - FIR 필터 계수(= 임펄스 응답)를 막대(stem) 그래프로 그리는 클래스
+
+class ImpulseResponsePlot extends CanvasVisualizer {
+    constructor(canvasId, options = {}) {
+        super(canvasId, {
+            stemColor: '#795548',
+            centerColor: '#e53935',
+            ...options
+        });
+
+        // 계수 배열, 없으면 안내 문구 표시
+        this.coefficients = null;
+    }
+
+    /**
+     * 그래프 영역
+     */
+    getArea() {
+        return { left: 50, right: this.width - 10, top: 10, bottom: this.height - 20 };
+    }
+
+    /**
+     * 표시할 값 범위 (0을 항상 포함)
+     */
+    getRange() {
+        if (!this.coefficients) return [-1, 1];
+
+        const min = this.coefficients.reduce((value, c) => Math.min(value, c), 0);
+        const max = this.coefficients.reduce((value, c) => Math.max(value, c), 0);
+        const margin = Math.max(max - min, 1e-6) * 0.1;
+        return [min - margin, max + margin];
+    }
+
+    /**
+     * 탭 인덱스를 X 좌표로 변환
+     */
+    indexToX(index) {
+        const area = this.getArea();
+        const count = this.coefficients ? this.coefficients.length : 1;
+        return area.left + (index + 0.5) / count * (area.right - area.left);
+    }
+
+    /**
+     * 값을 Y 좌표로 변환
+     */
+    coefficientToY(value) {
+        const area = this.getArea();
+        const [min, max] = this.getRange();
+        return area.bottom - (value - min) / (max - min) * (area.bottom - area.top);
+    }
+
+    /**
+     * 축 그리기 (0 기준선 포함)
+     */
+    drawAxis() {
+        const area = this.getArea();
+        this.ctx.strokeStyle = this.options.axisColor;
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        this.ctx.moveTo(area.left - 10, area.top);
+        this.ctx.lineTo(area.left - 10, area.bottom);
+        this.ctx.lineTo(area.right, area.bottom);
+        if (this.coefficients) {
+            const zeroY = this.coefficientToY(0);
+            this.ctx.moveTo(area.left - 10, zeroY);
+            this.ctx.lineTo(area.right, zeroY);
+        }
+        this.ctx.stroke();
+
+        this.drawAxisLabels();
+    }
+
+    /**
+     * 축 레이블 그리기 (값 범위, 첫/가운데/마지막 탭 번호)
+     */
+    drawAxisLabels() {
+        if (!this.coefficients) return;
+
+        const area = this.getArea();
+        const [min, max] = this.getRange();
+        const last = this.coefficients.length - 1;
+        this.ctx.fillStyle = '#666';
+        this.ctx.font = '10px Arial';
+
+        this.ctx.textAlign = 'right';
+        this.ctx.fillText(max.toPrecision(2), area.left - 12, area.top + 8);
+        this.ctx.fillText(min.toPrecision(2), area.left - 12, area.bottom);
+
+        this.ctx.textAlign = 'center';
+        [...new Set([0, Math.floor(last / 2), last])].forEach(index => {
+            this.ctx.fillText(`n=${index}`, this.indexToX(index), this.height - 6);
+        });
+    }
+
+    /**
+     * 탭마다 0에서 값까지 막대와 끝점 그리기 (대칭 중심 탭은 다른 색)
+     */
+    drawSignal() {
+        if (!this.coefficients) {
+            this.ctx.fillStyle = '#999';
+            this.ctx.font = '13px Arial';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText('임펄스 응답(계수)은 FIR 필터에서 표시됩니다', this.width / 2, this.height / 2);
+            return;
+        }
+
+        const zeroY = this.coefficientToY(0);
+        const center = (this.coefficients.length - 1) / 2;
+        const radius = this.coefficients.length > 100 ? 1.5 : 3;
+        this.ctx.lineWidth = 1;
+
+        this.coefficients.forEach((value, index) => {
+            const x = this.indexToX(index);
+            const y = this.coefficientToY(value);
+            const color = index === center ? this.options.centerColor : this.options.stemColor;
+
+            this.ctx.strokeStyle = color;
+            this.ctx.beginPath();
+            this.ctx.moveTo(x, zeroY);
+            this.ctx.lineTo(x, y);
+            this.ctx.stroke();
+
+            this.ctx.fillStyle = color;
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, radius, 0, 2 * Math.PI);
+            this.ctx.fill();
+        });
+
+        this.ctx.fillStyle = '#333';
+        this.ctx.font = '11px Arial';
+        this.ctx.textAlign = 'right';
+        this.ctx.fillText(`${this.coefficients.length}탭`, this.width - 12, 16);
+    }
+
+    /**
+     * 계수 설정 후 다시 그리기
+     * @param {Array} coefficients - FIR 계수 배열
+     */
+    setCoefficients(coefficients) {
+        this.coefficients = coefficients;
+        this.update();
+    }
+
+    /**
+     * 데이터 초기화 (안내 문구만 표시)
+     */
+    clearData() {
+        this.coefficients = null;
+        this.update();
+    }
+}
+
+// 브라우저 환경에서 전역으로 사용 가능하게 만들기
+if (typeof window !== 'undefined') {
+    window.ImpulseResponsePlot = ImpulseResponsePlot;
+}
\ No newline at end of file
@@ -0,0 +1,292 @@
+// kalman-diagnostics-plot.js - 칼만 필터의 게인(위), 잔차(가운데), NIS(아래)를 실시간으로 그리는 클래스
+// Q, R 튜닝용: 잔차가 ±2√S 안에 약 95% 들어오고 NIS 평균이 카이제곱 구간 안이면 모델이 실제 노이즈와 맞는 것
+
+class KalmanDiagnosticsPlot extends CanvasVisualizer {
+    constructor(canvasId, options = {}) {
+        super(canvasId, {
+            gainColor: '#E91E63',
+            innovationColor: '#3F51B5',
+            boundColor: 'rgba(63, 81, 181, 0.15)',
+            nisColor: '#FF9800',
+            averageColor: '#4CAF50',
+            referenceColor: '#999999',
+            confidence: 0.95,
+            placeholder: '진단은 칼만 필터를 재생하면 표시됩니다',
+            ...options
+        });
+
+        // data: [{time, gain, innovation, bound, nis, averageNis}]
+        this.nisWindow = 50;    // NIS 이동평균 구간 (샘플)
+        this.nisQueue = [];
+        this.nisSum = 0;
+    }
+
+    /**
+     * NIS의 카이제곱 신뢰 구간 (스칼라 측정이므로 자유도 1)
+     * 샘플 하나는 χ²(1), N개 평균은 χ²(N)/N을 따름
+     * @param {number} count - 평균에 쓴 샘플 수
+     * @param {number} confidence - 양측 신뢰 수준
+     * @returns {Object} {single: [하한, 상한], average: [하한, 상한]}
+     */
+    static getNisBounds(count, confidence = 0.95) {
+        const lowerP = (1 - confidence) / 2;
+        const upperP = 1 - lowerP;
+        const n = Math.max(1, count);
+
+        return {
+            single: [SignalMetrics.chiSquareQuantile(lowerP, 1), SignalMetrics.chiSquareQuantile(upperP, 1)],
+            average: [SignalMetrics.chiSquareQuantile(lowerP, n) / n, SignalMetrics.chiSquareQuantile(upperP, n) / n]
+        };
+    }
+
+    /**
+     * 각 그래프 영역 계산 (위: 게인, 가운데: 잔차, 아래: NIS)
+     */
+    getPanels() {
+        const height = (this.height - 20) / 3;
+        return {
+            gain: { top: 8, bottom: height - 6 },
+            innovation: { top: height + 8, bottom: 2 * height - 6 },
+            nis: { top: 2 * height + 8, bottom: this.height - 20 }
+        };
+    }
+
+    /**
+     * NIS 이동평균 구간 설정 (샘플)
+     */
+    setNisWindow(size) {
+        if (size < 1) {
+            throw new Error('NIS 평균 구간은 1 이상이어야 합니다.');
+        }
+        this.nisWindow = Math.round(size);
+        while (this.nisQueue.length > this.nisWindow) {
+            this.nisSum -= this.nisQueue.shift();
+        }
+    }
+
+    /**
+     * 진단 값 추가 (매 샘플 호출, 그리기는 update에서)
+     * @param {Object} diagnostics - KalmanFilter.getDiagnostics 결과
+     * @param {number} time - 현재 시간
+     */
+    addDiagnostics(diagnostics, time) {
+        this.nisQueue.push(diagnostics.nis);
+        this.nisSum += diagnostics.nis;
+        if (this.nisQueue.length > this.nisWindow) {
+            this.nisSum -= this.nisQueue.shift();
+        }
+
+        this.data.push({
+            time,
+            gain: diagnostics.gain[0],
+            innovation: diagnostics.innovation,
+            bound: 2 * Math.sqrt(diagnostics.innovationVariance),
+            nis: diagnostics.nis,
+            averageNis: this.nisSum / this.nisQueue.length
+        });
+        if (this.data.length > this.maxDataPoints) {
+            this.data.shift();
+        }
+    }
+
+    /**
+     * 최근 구간의 일관성 지표
+     * - NIS 평균: 최근 nisWindow 샘플, 기대값 1
+     * - ±2√S 포함 비율: 저장된 전체 샘플, 기대값 약 95%
+     * - 잔차 1차 자기상관: 백색이면 0 근처 (크면 Q가 작아 추정이 신호를 늦게 따라감)
+     * @returns {Object|null} {count, averageNis, averageCount, bounds, insideRatio, autocorrelation, autocorrelationBound}
+     */
+    getSummary() {
+        if (this.data.length < 2) return null;
+
+        const inside = this.data.filter(d => Math.abs(d.innovation) <= d.bound).length;
+
+        let lagged = 0;
+        let energy = 0;
+        this.data.forEach((d, i) => {
+            energy += d.innovation * d.innovation;
+            if (i > 0) lagged += d.innovation * this.data[i - 1].innovation;
+        });
+
+        return {
+            count: this.data.length,
+            averageNis: this.nisSum / this.nisQueue.length,
+            averageCount: this.nisQueue.length,
+            bounds: KalmanDiagnosticsPlot.getNisBounds(this.nisQueue.length, this.options.confidence),
+            insideRatio: inside / this.data.length,
+            autocorrelation: energy > 0 ? lagged / energy : 0,
+            autocorrelationBound: 1.96 / Math.sqrt(this.data.length)
+        };
+    }
+
+    /**
+     * 축 그리기
+     */
+    drawAxis() {
+        const panels = this.getPanels();
+        this.ctx.strokeStyle = this.options.axisColor;
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+
+        Object.values(panels).forEach(panel => {
+            this.ctx.moveTo(40, panel.top);
+            this.ctx.lineTo(40, panel.bottom);
+            this.ctx.lineTo(this.width, panel.bottom);
+        });
+
+        this.ctx.stroke();
+
+        this.ctx.fillStyle = '#666';
+        this.ctx.font = '10px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText('Time (s)', this.width / 2, this.height - 5);
+    }
+
+    /**
+     * 패널 내 Y 좌표 변환 (범위를 벗어나면 경계에 붙임)
+     */
+    valueToPanelY(value, range, panel) {
+        const clamped = Math.min(Math.max(value, range[0]), range[1]);
+        const normalized = (clamped - range[0]) / (range[1] - range[0]);
+        return panel.bottom - normalized * (panel.bottom - panel.top);
+    }
+
+    /**
+     * 패널에 시계열 하나 그리기
+     */
+    drawPanelSeries(points, key, range, panel, color, width, earliestTime, latestTime) {
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = width;
+        this.ctx.setLineDash([]);
+        this.ctx.beginPath();
+
+        points.forEach((point, i) => {
+            const x = this.timeToX(point.time, earliestTime, latestTime);
+            const y = this.valueToPanelY(point[key], range, panel);
+            if (i === 0) {
+                this.ctx.moveTo(x, y);
+            } else {
+                this.ctx.lineTo(x, y);
+            }
+        });
+
+        this.ctx.stroke();
+    }
+
+    /**
+     * 패널에 가로 기준선 그리기
+     */
+    drawPanelLevel(value, range, panel, color, dash) {
+        if (value < range[0] || value > range[1]) return;
+
+        const y = this.valueToPanelY(value, range, panel);
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash(dash);
+        this.ctx.beginPath();
+        this.ctx.moveTo(40, y);
+        this.ctx.lineTo(this.width, y);
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+    }
+
+    /**
+     * 패널 제목과 값 범위 표시
+     */
+    drawPanelLabels(panel, title, range, color) {
+        this.ctx.font = '10px Arial';
+        this.ctx.fillStyle = color;
+        this.ctx.textAlign = 'left';
+        this.ctx.fillText(title, 45, panel.top + 10);
+
+        this.ctx.fillStyle = '#666';
+        this.ctx.textAlign = 'right';
+        this.ctx.fillText(Number(range[1].toPrecision(2)), 38, panel.top + 8);
+        this.ctx.fillText(Number(range[0].toPrecision(2)), 38, panel.bottom);
+    }
+
+    /**
+     * 게인, 잔차(±2√S 음영), NIS(이동평균과 카이제곱 구간) 그리기
+     */
+    drawSignal() {
+        if (this.data.length < 2) {
+            this.ctx.fillStyle = '#999';
+            this.ctx.font = '13px Arial';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText(this.options.placeholder, this.width / 2, this.height / 2 - 8);
+            return;
+        }
+
+        const latestTime = this.data[this.data.length - 1].time;
+        const earliestTime = this.data.length < this.maxDataPoints * 0.8
+            ? this.data[0].time
+            : latestTime - this.timeWindow;
+        const points = this.data.filter(d => d.time >= earliestTime);
+        if (points.length < 2) return;
+
+        const panels = this.getPanels();
+        const latest = points[points.length - 1];
+
+        // 게인: 0 ~ 최대값
+        const gainMax = points.reduce((max, d) => Math.max(max, d.gain), 0);
+        const gainRange = [0, gainMax > 0 ? gainMax * 1.2 : 1];
+        this.drawPanelSeries(points, 'gain', gainRange, panels.gain, this.options.gainColor, 1.5, earliestTime, latestTime);
+        this.drawPanelLabels(panels.gain, `위치 게인 K₀ = ${latest.gain.toFixed(4)}`, gainRange, this.options.gainColor);
+
+        // 잔차: 0 대칭, ±2√S 범위를 음영으로
+        const innovationMax = points.reduce((max, d) => Math.max(max, Math.abs(d.innovation), d.bound), 1e-9) * 1.1;
+        const innovationRange = [-innovationMax, innovationMax];
+        this.ctx.fillStyle = this.options.boundColor;
+        this.ctx.beginPath();
+        points.forEach((d, i) => {
+            const x = this.timeToX(d.time, earliestTime, latestTime);
+            const y = this.valueToPanelY(d.bound, innovationRange, panels.innovation);
+            if (i === 0) {
+                this.ctx.moveTo(x, y);
+            } else {
+                this.ctx.lineTo(x, y);
+            }
+        });
+        for (let i = points.length - 1; i >= 0; i--) {
+            const d = points[i];
+            this.ctx.lineTo(this.timeToX(d.time, earliestTime, latestTime), this.valueToPanelY(-d.bound, innovationRange, panels.innovation));
+        }
+        this.ctx.closePath();
+        this.ctx.fill();
+        this.drawPanelLevel(0, innovationRange, panels.innovation, this.options.referenceColor, [2, 2]);
+        this.drawPanelSeries(points, 'innovation', innovationRange, panels.innovation, this.options.innovationColor, 1, earliestTime, latestTime);
+        this.drawPanelLabels(panels.innovation, '잔차 y = z - Hx̂ (음영: ±2√S)', innovationRange, this.options.innovationColor);
+
+        // NIS: 샘플별(주황)과 이동평균(초록), 95% 카이제곱 구간(점선)
+        const bounds = KalmanDiagnosticsPlot.getNisBounds(this.nisWindow, this.options.confidence);
+        const nisMax = points.reduce((max, d) => Math.max(max, d.nis), 0);
+        const nisRange = [0, Math.min(Math.max(nisMax, bounds.single[1] * 1.2), bounds.single[1] * 4)];
+        this.drawPanelLevel(bounds.single[1], nisRange, panels.nis, this.options.nisColor, [4, 3]);
+        this.drawPanelLevel(1, nisRange, panels.nis, this.options.referenceColor, [2, 2]);
+        bounds.average.forEach(value => {
+            this.drawPanelLevel(value, nisRange, panels.nis, this.options.averageColor, [4, 3]);
+        });
+        this.drawPanelSeries(points, 'nis', nisRange, panels.nis, this.options.nisColor, 1, earliestTime, latestTime);
+        this.drawPanelSeries(points, 'averageNis', nisRange, panels.nis, this.options.averageColor, 2, earliestTime, latestTime);
+        this.drawPanelLabels(
+            panels.nis,
+            `NIS (초록: ${this.nisWindow}샘플 평균 = ${latest.averageNis.toFixed(2)}, 점선: ${Math.round(this.options.confidence * 100)}% 카이제곱 구간)`,
+            nisRange,
+            this.options.nisColor
+        );
+    }
+
+    /**
+     * 데이터 초기화
+     */
+    clearData() {
+        this.nisQueue = [];
+        this.nisSum = 0;
+        super.clearData();
+    }
+}
+
+// 브라우저 환경에서 전역으로 사용 가능하게 만들기
+if (typeof window !== 'undefined') {
+    window.KalmanDiagnosticsPlot = KalmanDiagnosticsPlot;
+}
\ No newline at end of file
@@ -0,0 +1,208 @@
+// pole-zero-plot.js - z 평면에 필터의 극점(×)과 영점(○)을 단위원과 함께 그리는 클래스
+
+class PoleZeroPlot extends CanvasVisualizer {
+    constructor(canvasId, options = {}) {
+        super(canvasId, {
+            poleColor: '#e53935',
+            zeroColor: '#3F51B5',
+            circleColor: '#999999',
+            markerSize: 5,
+            ...options
+        });
+
+        // {zeros, poles} - 근은 {re, im}, 없으면 안내 문구 표시
+        this.roots = null;
+    }
+
+    /**
+     * z 평면 영역 (가운데 정사각형) 과 표시 반경
+     */
+    getPlane() {
+        const size = Math.min(this.width, this.height) - 30;
+        let radius = 1.2;
+        if (this.roots) {
+            [...this.roots.poles, ...this.roots.zeros].forEach(root => {
+                radius = Math.max(radius, Math.hypot(root.re, root.im) * 1.1);
+            });
+        }
+
+        return {
+            centerX: this.width / 2,
+            centerY: this.height / 2,
+            scale: size / 2 / radius,
+            radius
+        };
+    }
+
+    /**
+     * 복소수를 캔버스 좌표로 변환
+     */
+    rootToPoint(root, plane) {
+        return {
+            x: plane.centerX + root.re * plane.scale,
+            y: plane.centerY - root.im * plane.scale
+        };
+    }
+
+    /**
+     * 격자 그리기 (0.5 간격)
+     */
+    drawGrid() {
+        const plane = this.getPlane();
+        this.ctx.strokeStyle = this.options.gridColor;
+        this.ctx.lineWidth = 0.5;
+        this.ctx.setLineDash([2, 2]);
+        this.ctx.beginPath();
+
+        const limit = Math.floor(plane.radius * 2) / 2;
+        for (let value = -limit; value <= limit + 1e-9; value += 0.5) {
+            const offset = value * plane.scale;
+            this.ctx.moveTo(plane.centerX + offset, plane.centerY - plane.radius * plane.scale);
+            this.ctx.lineTo(plane.centerX + offset, plane.centerY + plane.radius * plane.scale);
+            this.ctx.moveTo(plane.centerX - plane.radius * plane.scale, plane.centerY - offset);
+            this.ctx.lineTo(plane.centerX + plane.radius * plane.scale, plane.centerY - offset);
+        }
+
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+    }
+
+    /**
+     * 실수축, 허수축과 단위원 그리기
+     */
+    drawAxis() {
+        const plane = this.getPlane();
+        const extent = plane.radius * plane.scale;
+
+        this.ctx.strokeStyle = this.options.axisColor;
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        this.ctx.moveTo(plane.centerX - extent, plane.centerY);
+        this.ctx.lineTo(plane.centerX + extent, plane.centerY);
+        this.ctx.moveTo(plane.centerX, plane.centerY - extent);
+        this.ctx.lineTo(plane.centerX, plane.centerY + extent);
+        this.ctx.stroke();
+
+        // 단위원 (안쪽에 있는 극점만 안정)
+        this.ctx.strokeStyle = this.options.circleColor;
+        this.ctx.beginPath();
+        this.ctx.arc(plane.centerX, plane.centerY, plane.scale, 0, 2 * Math.PI);
+        this.ctx.stroke();
+
+        this.drawAxisLabels();
+    }
+
+    /**
+     * 축 레이블 그리기
+     */
+    drawAxisLabels() {
+        const plane = this.getPlane();
+        this.ctx.fillStyle = '#666';
+        this.ctx.font = '10px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.fillText('Re', plane.centerX + plane.radius * plane.scale - 14, plane.centerY - 4);
+        this.ctx.fillText('Im', plane.centerX + 4, plane.centerY - plane.radius * plane.scale + 10);
+        this.ctx.fillText('1', plane.centerX + plane.scale + 3, plane.centerY + 12);
+        this.ctx.fillText('-1', plane.centerX - plane.scale + 3, plane.centerY + 12);
+    }
+
+    /**
+     * 같은 위치에 겹친 근을 묶음 (중복도 표시용)
+     * @param {Array} roots - [{re, im}]
+     * @returns {Array} [{root, count}]
+     */
+    static groupRoots(roots) {
+        const groups = [];
+        roots.forEach(root => {
+            const group = groups.find(g => Math.hypot(g.root.re - root.re, g.root.im - root.im) < 1e-6);
+            if (group) {
+                group.count++;
+            } else {
+                groups.push({ root, count: 1 });
+            }
+        });
+        return groups;
+    }
+
+    /**
+     * 극점(×)과 영점(○) 그리기, 겹친 근은 개수 표시
+     */
+    drawSignal() {
+        if (!this.roots) {
+            this.ctx.fillStyle = '#999';
+            this.ctx.font = '13px Arial';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText('극점/영점은 IIR(2차 섹션) 필터에서 표시됩니다', this.width / 2, 20);
+            return;
+        }
+
+        const plane = this.getPlane();
+        const size = this.options.markerSize;
+        this.ctx.lineWidth = 2;
+        this.ctx.font = '10px Arial';
+        this.ctx.textAlign = 'left';
+
+        PoleZeroPlot.groupRoots(this.roots.zeros).forEach(({ root, count }) => {
+            const { x, y } = this.rootToPoint(root, plane);
+            this.ctx.strokeStyle = this.options.zeroColor;
+            this.ctx.beginPath();
+            this.ctx.arc(x, y, size, 0, 2 * Math.PI);
+            this.ctx.stroke();
+            if (count > 1) {
+                this.ctx.fillStyle = this.options.zeroColor;
+                this.ctx.fillText(count, x + size + 2, y + size + 8);
+            }
+        });
+
+        PoleZeroPlot.groupRoots(this.roots.poles).forEach(({ root, count }) => {
+            const { x, y } = this.rootToPoint(root, plane);
+            this.ctx.strokeStyle = this.options.poleColor;
+            this.ctx.beginPath();
+            this.ctx.moveTo(x - size, y - size);
+            this.ctx.lineTo(x + size, y + size);
+            this.ctx.moveTo(x + size, y - size);
+            this.ctx.lineTo(x - size, y + size);
+            this.ctx.stroke();
+            if (count > 1) {
+                this.ctx.fillStyle = this.options.poleColor;
+                this.ctx.fillText(count, x + size + 2, y - size);
+            }
+        });
+
+        this.drawLegend();
+    }
+
+    /**
+     * 범례 그리기
+     */
+    drawLegend() {
+        this.ctx.font = '11px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.fillStyle = this.options.poleColor;
+        this.ctx.fillText(`× 극점 ${this.roots.poles.length}개`, 10, 16);
+        this.ctx.fillStyle = this.options.zeroColor;
+        this.ctx.fillText(`○ 영점 ${this.roots.zeros.length}개`, 10, 31);
+    }
+
+    /**
+     * 극점/영점 설정 후 다시 그리기
+     * @param {Object} roots - {zeros, poles}
+     */
+    setRoots(roots) {
+        this.roots = roots;
+        this.update();
+    }
+
+    /**
+     * 데이터 초기화 (안내 문구만 표시)
+     */
+    clearData() {
+        this.roots = null;
+        this.update();
+    }
+}
+
+// 브라우저 환경에서 전역으로 사용 가능하게 만들기
+if (typeof window !== 'undefined') {
+    window.PoleZeroPlot = PoleZeroPlot;
+}
\ No newline at end of file
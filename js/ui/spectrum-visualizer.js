@@ -0,0 +1,180 @@
+// spectrum-visualizer.js - 주파수 스펙트럼(FFT 크기)을 겹쳐 그리는 클래스
+
+class SpectrumVisualizer extends CanvasVisualizer {
+    constructor(canvasId, options = {}) {
+        super(canvasId, {
+            scale: 'db',          // 'linear' 또는 'db'
+            dbFloor: -80,         // dB 스케일 최소값
+            maxFrequency: 50,     // X축 최대 주파수 (Hz)
+            yMin: -80,
+            yMax: 0,
+            ...options
+        });
+
+        // 겹쳐 그릴 스펙트럼 목록 [{label, color, frequencies, magnitudes, magnitudesDb}]
+        this.spectra = [];
+    }
+
+    /**
+     * 축 그리기 (주파수 축은 하단에 위치)
+     */
+    drawAxis() {
+        this.ctx.strokeStyle = this.options.axisColor;
+        this.ctx.lineWidth = 1;
+
+        this.ctx.beginPath();
+
+        // X축 (하단 가로선)
+        this.ctx.moveTo(40, this.height - 20);
+        this.ctx.lineTo(this.width, this.height - 20);
+
+        // Y축 (왼쪽 세로선)
+        this.ctx.moveTo(40, 0);
+        this.ctx.lineTo(40, this.height);
+
+        this.ctx.stroke();
+
+        this.drawAxisLabels();
+    }
+
+    /**
+     * 축 레이블 그리기
+     */
+    drawAxisLabels() {
+        this.ctx.fillStyle = '#666';
+        this.ctx.font = '10px Arial';
+
+        // Y축 레이블 (크기 또는 dB)
+        const unit = this.options.scale === 'db' ? ' dB' : '';
+        const digits = this.options.scale === 'db' ? 0 : 2;
+        this.ctx.textAlign = 'right';
+        this.ctx.fillText(this.options.yMax.toFixed(digits) + unit, 38, 12);
+        this.ctx.fillText(this.options.yMin.toFixed(digits) + unit, 38, this.height - 24);
+
+        // X축 레이블 (주파수 눈금)
+        this.ctx.textAlign = 'center';
+        const tickCount = 5;
+        for (let i = 0; i <= tickCount; i++) {
+            const frequency = this.options.maxFrequency * i / tickCount;
+            this.ctx.fillText(frequency.toFixed(0), this.frequencyToX(frequency), this.height - 8);
+        }
+        this.ctx.textAlign = 'right';
+        this.ctx.fillText('Frequency (Hz)', this.width - 5, this.height - 24);
+    }
+
+    /**
+     * 주파수를 X 좌표로 변환
+     */
+    frequencyToX(frequency) {
+        return 50 + (frequency / this.options.maxFrequency) * (this.width - 60);
+    }
+
+    /**
+     * 값을 Y 좌표로 변환 (하단 축 여백 고려)
+     */
+    valueToY(value) {
+        const plotHeight = this.height - 20;
+        const range = this.options.yMax - this.options.yMin;
+        const normalizedValue = (value - this.options.yMin) / range;
+        return plotHeight - (normalizedValue * plotHeight);
+    }
+
+    /**
+     * Y축 범위를 현재 스펙트럼에 맞게 조정 (스펙트럼이 없으면 기본 범위)
+     */
+    updateScale() {
+        if (this.options.scale === 'db') {
+            const peak = Math.max(...this.spectra.map(s => Math.max(...s.magnitudesDb)));
+            this.options.yMin = this.options.dbFloor;
+            this.options.yMax = Math.max(this.options.dbFloor + 20, Math.ceil((peak + 5) / 10) * 10);
+        } else {
+            const peak = Math.max(...this.spectra.map(s => Math.max(...s.magnitudes)));
+            this.options.yMin = 0;
+            this.options.yMax = peak > 0 ? peak * 1.1 : 1;
+        }
+    }
+
+    /**
+     * 스펙트럼 곡선 그리기
+     */
+    drawSignal() {
+        const useDb = this.options.scale === 'db';
+
+        this.spectra.forEach(spectrum => {
+            this.ctx.strokeStyle = spectrum.color;
+            this.ctx.lineWidth = this.options.signalWidth;
+            this.ctx.setLineDash([]);
+            this.ctx.beginPath();
+
+            const values = useDb ? spectrum.magnitudesDb : spectrum.magnitudes;
+            for (let k = 0; k < values.length; k++) {
+                const x = this.frequencyToX(spectrum.frequencies[k]);
+                const value = Math.max(values[k], this.options.yMin);
+                const y = this.valueToY(value);
+
+                if (k === 0) {
+                    this.ctx.moveTo(x, y);
+                } else {
+                    this.ctx.lineTo(x, y);
+                }
+            }
+
+            this.ctx.stroke();
+        });
+
+        this.drawLegend();
+    }
+
+    /**
+     * 범례 그리기
+     */
+    drawLegend() {
+        this.ctx.font = '11px Arial';
+        this.ctx.textAlign = 'left';
+
+        this.spectra.forEach((spectrum, index) => {
+            const y = 14 + index * 16;
+            this.ctx.fillStyle = spectrum.color;
+            this.ctx.fillRect(this.width - 110, y - 8, 12, 3);
+            this.ctx.fillStyle = '#333';
+            this.ctx.fillText(spectrum.label, this.width - 92, y - 3);
+        });
+    }
+
+    /**
+     * 표시할 스펙트럼 설정 후 다시 그리기
+     * @param {Array} spectra - [{label, color, frequencies, magnitudes, magnitudesDb}]
+     * @param {number} maxFrequency - 표시할 최대 주파수 (보통 나이퀴스트 주파수)
+     */
+    setSpectra(spectra, maxFrequency) {
+        this.spectra = spectra;
+        if (maxFrequency) {
+            this.options.maxFrequency = maxFrequency;
+        }
+        this.updateScale();
+        this.update();
+    }
+
+    /**
+     * 크기 스케일 설정
+     * @param {string} scale - 'linear' 또는 'db'
+     */
+    setScale(scale) {
+        this.options.scale = scale;
+        this.updateScale();
+        this.update();
+    }
+
+    /**
+     * 데이터 초기화
+     */
+    clearData() {
+        this.spectra = [];
+        this.clear();
+    }
+}
+
+// 브라우저 환경에서 전역으로 사용 가능하게 만들기
+if (typeof window !== 'undefined') {
+    window.SpectrumVisualizer = SpectrumVisualizer;
+}
\ No newline at end of file
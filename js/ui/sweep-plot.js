@@ -0,0 +1,233 @@
+// sweep-plot.js - 파라미터 스윕 결과(지표 vs 파라미터 값)를 그리고 최적값과 현재 값을 표시하는 클래스
+
+class SweepPlot extends CanvasVisualizer {
+    constructor(canvasId, options = {}) {
+        super(canvasId, {
+            curveColor: '#667eea',
+            optimumColor: '#e53935',
+            currentColor: '#999999',
+            placeholder: '파라미터와 범위를 고르고 스윕을 실행하면 지표 곡선이 표시됩니다',
+            ...options
+        });
+
+        // {points, metric, metricLabel, parameterLabel, logScale, optimum, current, range}
+        this.result = null;
+    }
+
+    /**
+     * 그래프 영역 (왼쪽 축 레이블, 아래쪽 눈금 자리를 뺀 부분)
+     */
+    getArea() {
+        return { left: 50, right: this.width - 10, top: 8, bottom: this.height - 34 };
+    }
+
+    /**
+     * 파라미터 값을 X 좌표로 변환 (로그 스케일 선택)
+     */
+    valueToPlotX(value) {
+        const area = this.getArea();
+        const first = this.result.points[0].value;
+        const last = this.result.points[this.result.points.length - 1].value;
+        const transform = this.result.logScale ? Math.log10 : x => x;
+        const normalized = last === first ? 0.5 : (transform(value) - transform(first)) / (transform(last) - transform(first));
+        return area.left + normalized * (area.right - area.left);
+    }
+
+    /**
+     * 지표 값을 Y 좌표로 변환
+     */
+    metricToY(value) {
+        const area = this.getArea();
+        const [low, high] = this.result.range;
+        const normalized = (value - low) / (high - low);
+        return area.bottom - normalized * (area.bottom - area.top);
+    }
+
+    /**
+     * 파라미터 눈금 (로그 스케일이면 decade마다 1-2-5, 아니면 1-2-5 간격으로 약 6개)
+     */
+    getValueTicks() {
+        const first = this.result.points[0].value;
+        const last = this.result.points[this.result.points.length - 1].value;
+        const ticks = [];
+
+        if (this.result.logScale) {
+            for (let decade = Math.floor(Math.log10(first)); decade <= Math.ceil(Math.log10(last)); decade++) {
+                [1, 2, 5].forEach(mantissa => {
+                    const value = mantissa * Math.pow(10, decade);
+                    if (value >= first && value <= last) ticks.push(value);
+                });
+            }
+            return ticks;
+        }
+
+        const rough = (last - first) / 6;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+        const spacing = [1, 2, 5, 10].map(m => m * magnitude).find(value => value >= rough);
+        for (let value = Math.ceil(first / spacing) * spacing; value <= last + spacing * 1e-9; value += spacing) {
+            ticks.push(value);
+        }
+        return ticks;
+    }
+
+    /**
+     * 파라미터 눈금 격자 그리기
+     */
+    drawGrid() {
+        if (!this.result) {
+            super.drawGrid();
+            return;
+        }
+
+        const area = this.getArea();
+        this.ctx.strokeStyle = this.options.gridColor;
+        this.ctx.lineWidth = 0.5;
+        this.ctx.setLineDash([2, 2]);
+        this.ctx.beginPath();
+
+        this.getValueTicks().forEach(value => {
+            const x = this.valueToPlotX(value);
+            this.ctx.moveTo(x, area.top);
+            this.ctx.lineTo(x, area.bottom);
+        });
+
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+    }
+
+    /**
+     * 축과 눈금 레이블 그리기
+     */
+    drawAxis() {
+        const area = this.getArea();
+        this.ctx.strokeStyle = this.options.axisColor;
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        this.ctx.moveTo(area.left - 10, area.top);
+        this.ctx.lineTo(area.left - 10, area.bottom);
+        this.ctx.lineTo(area.right, area.bottom);
+        this.ctx.stroke();
+
+        if (!this.result) return;
+
+        this.ctx.fillStyle = '#666';
+        this.ctx.font = '10px Arial';
+        this.ctx.textAlign = 'center';
+        this.getValueTicks().forEach(value => {
+            this.ctx.fillText(Number(value.toPrecision(3)).toString(), this.valueToPlotX(value), area.bottom + 12);
+        });
+        this.ctx.fillText(this.result.parameterLabel + (this.result.logScale ? ' (로그 스케일)' : ''), (area.left + area.right) / 2, this.height - 5);
+
+        const [low, high] = this.result.range;
+        this.ctx.textAlign = 'right';
+        this.ctx.fillText(Number(high.toPrecision(3)).toString(), area.left - 12, area.top + 8);
+        this.ctx.fillText(Number(low.toPrecision(3)).toString(), area.left - 12, area.bottom);
+
+        this.ctx.textAlign = 'left';
+        this.ctx.fillText(this.result.metricLabel, area.left, area.top + 10);
+    }
+
+    /**
+     * 세로 표시선과 레이블 (최적값, 현재 값)
+     */
+    drawValueMarker(value, label, color, dash) {
+        const area = this.getArea();
+        const x = this.valueToPlotX(value);
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash(dash);
+        this.ctx.beginPath();
+        this.ctx.moveTo(x, area.top);
+        this.ctx.lineTo(x, area.bottom);
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+
+        // 오른쪽 끝 근처면 레이블을 선 왼쪽에
+        this.ctx.fillStyle = color;
+        this.ctx.font = '10px Arial';
+        const alignRight = x > area.right - 120;
+        this.ctx.textAlign = alignRight ? 'right' : 'left';
+        this.ctx.fillText(label, x + (alignRight ? -3 : 3), area.top + 22);
+    }
+
+    /**
+     * 지표 곡선과 점, 최적값(빨간 원), 현재 값(회색 점선) 그리기
+     */
+    drawSignal() {
+        if (!this.result) {
+            this.ctx.fillStyle = '#999';
+            this.ctx.font = '13px Arial';
+            this.ctx.textAlign = 'center';
+            this.ctx.fillText(this.options.placeholder, this.width / 2, this.height / 2 - 8);
+            return;
+        }
+
+        const { points, metric, optimum, current } = this.result;
+        const valid = points.filter(point => point[metric] !== null && Number.isFinite(point[metric]));
+        const first = points[0].value;
+        const last = points[points.length - 1].value;
+
+        if (current !== null && current >= first && current <= last) {
+            this.drawValueMarker(current, `현재 ${Number(current.toPrecision(4))}`, this.options.currentColor, [2, 3]);
+        }
+
+        this.ctx.strokeStyle = this.options.curveColor;
+        this.ctx.lineWidth = this.options.signalWidth;
+        this.ctx.beginPath();
+        valid.forEach((point, i) => {
+            const x = this.valueToPlotX(point.value);
+            const y = this.metricToY(point[metric]);
+            if (i === 0) {
+                this.ctx.moveTo(x, y);
+            } else {
+                this.ctx.lineTo(x, y);
+            }
+        });
+        this.ctx.stroke();
+
+        this.ctx.fillStyle = this.options.curveColor;
+        valid.forEach(point => {
+            this.ctx.beginPath();
+            this.ctx.arc(this.valueToPlotX(point.value), this.metricToY(point[metric]), 2.5, 0, 2 * Math.PI);
+            this.ctx.fill();
+        });
+
+        if (optimum) {
+            this.drawValueMarker(optimum.value, `최적 ${Number(optimum.value.toPrecision(4))} → ${Number(optimum[metric].toPrecision(4))}`, this.options.optimumColor, [4, 3]);
+            this.ctx.strokeStyle = this.options.optimumColor;
+            this.ctx.lineWidth = 2;
+            this.ctx.beginPath();
+            this.ctx.arc(this.valueToPlotX(optimum.value), this.metricToY(optimum[metric]), 5, 0, 2 * Math.PI);
+            this.ctx.stroke();
+        }
+    }
+
+    /**
+     * 스윕 결과 설정 후 다시 그리기
+     * @param {Object} result - {points, metric, metricLabel, parameterLabel, logScale, optimum, current}
+     */
+    setResult(result) {
+        const values = result.points
+            .map(point => point[result.metric])
+            .filter(value => value !== null && Number.isFinite(value));
+        const low = values.length > 0 ? Math.min(...values) : 0;
+        const high = values.length > 0 ? Math.max(...values) : 1;
+        const margin = Math.max(high - low, Math.abs(high) * 1e-3, 1e-9) * 0.1;
+
+        this.result = { ...result, range: [low - margin, high + margin] };
+        this.update();
+    }
+
+    /**
+     * 데이터 초기화
+     */
+    clearData() {
+        this.result = null;
+        this.update();
+    }
+}
+
+// 브라우저 환경에서 전역으로 사용 가능하게 만들기
+if (typeof window !== 'undefined') {
+    window.SweepPlot = SweepPlot;
+}
\ No newline at end of file
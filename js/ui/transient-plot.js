@@ -0,0 +1,254 @@
+// transient-plot.js - 필터의 계단 응답(위)과 임펄스 응답(아래)을 그리는 클래스
+
+class TransientPlot extends CanvasVisualizer {
+    constructor(canvasId, options = {}) {
+        super(canvasId, {
+            stepColor: '#667eea',
+            impulseColor: '#764ba2',
+            referenceColor: '#999999',
+            markerColor: '#e53935',
+            ...options
+        });
+
+        // TransientAnalyzer.analyze 결과 + 패널별 Y 범위
+        this.result = null;
+    }
+
+    /**
+     * 각 그래프 영역 계산 (위: 계단 응답, 아래: 임펄스 응답)
+     */
+    getPanels() {
+        const half = this.height / 2;
+        return {
+            step: { top: 8, bottom: half - 12 },
+            impulse: { top: half + 8, bottom: this.height - 20 }
+        };
+    }
+
+    /**
+     * 표시 구간 길이 (초)
+     */
+    getDuration() {
+        if (!this.result) return 1;
+        return (this.result.step.length - 1) / this.result.sampleRate;
+    }
+
+    /**
+     * 시간 눈금 격자 그리기
+     */
+    drawGrid() {
+        this.ctx.strokeStyle = this.options.gridColor;
+        this.ctx.lineWidth = 0.5;
+        this.ctx.setLineDash([2, 2]);
+        this.ctx.beginPath();
+
+        this.getTimeTicks().forEach(time => {
+            const x = this.timeToPlotX(time);
+            this.ctx.moveTo(x, 0);
+            this.ctx.lineTo(x, this.height - 20);
+        });
+
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+    }
+
+    /**
+     * 1-2-5 간격의 시간 눈금 (약 5~10개)
+     */
+    getTimeTicks() {
+        const duration = this.getDuration();
+        const rough = duration / 6;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+        const spacing = [1, 2, 5, 10].map(m => m * magnitude).find(value => value >= rough);
+
+        const ticks = [];
+        for (let time = 0; time <= duration + 1e-9; time += spacing) {
+            ticks.push(time);
+        }
+        return ticks;
+    }
+
+    /**
+     * 축 그리기
+     */
+    drawAxis() {
+        const panels = this.getPanels();
+        this.ctx.strokeStyle = this.options.axisColor;
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+
+        Object.values(panels).forEach(panel => {
+            this.ctx.moveTo(40, panel.top);
+            this.ctx.lineTo(40, panel.bottom);
+            this.ctx.lineTo(this.width, panel.bottom);
+        });
+
+        this.ctx.stroke();
+        this.drawAxisLabels();
+    }
+
+    /**
+     * 축 레이블 그리기
+     */
+    drawAxisLabels() {
+        const panels = this.getPanels();
+        this.ctx.fillStyle = '#666';
+        this.ctx.font = '10px Arial';
+
+        // 시간 눈금
+        this.ctx.textAlign = 'center';
+        this.getTimeTicks().forEach(time => {
+            this.ctx.fillText(Number(time.toPrecision(3)) + 's', this.timeToPlotX(time), this.height - 8);
+        });
+
+        this.ctx.textAlign = 'left';
+        this.ctx.fillText('계단 응답', 45, panels.step.top + 10);
+        this.ctx.fillText('임펄스 응답', 45, panels.impulse.top + 10);
+
+        if (!this.result) return;
+
+        // 패널별 값 범위
+        const { stepRange, impulseRange } = this.result;
+        this.ctx.textAlign = 'right';
+        this.ctx.fillText(stepRange[1].toFixed(2), 38, panels.step.top + 8);
+        this.ctx.fillText(stepRange[0].toFixed(2), 38, panels.step.bottom);
+        this.ctx.fillText(impulseRange[1].toPrecision(2), 38, panels.impulse.top + 8);
+        this.ctx.fillText(impulseRange[0].toPrecision(2), 38, panels.impulse.bottom);
+    }
+
+    /**
+     * 시간을 X 좌표로 변환
+     */
+    timeToPlotX(time) {
+        return 50 + time / this.getDuration() * (this.width - 60);
+    }
+
+    /**
+     * 값을 그래프 영역 내 Y 좌표로 변환
+     */
+    valueToPanelY(value, range, panel) {
+        const clamped = Math.min(Math.max(value, range[0]), range[1]);
+        const normalized = (clamped - range[0]) / (range[1] - range[0]);
+        return panel.bottom - normalized * (panel.bottom - panel.top);
+    }
+
+    /**
+     * 곡선 하나 그리기
+     */
+    drawCurve(values, range, panel, color) {
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = this.options.signalWidth;
+        this.ctx.setLineDash([]);
+        this.ctx.beginPath();
+
+        values.forEach((value, i) => {
+            const x = this.timeToPlotX(i / this.result.sampleRate);
+            const y = this.valueToPanelY(value, range, panel);
+            if (i === 0) {
+                this.ctx.moveTo(x, y);
+            } else {
+                this.ctx.lineTo(x, y);
+            }
+        });
+
+        this.ctx.stroke();
+    }
+
+    /**
+     * 가로 기준선 그리기 (목표값, 최종값 등)
+     */
+    drawLevel(value, range, panel, color, dash) {
+        const y = this.valueToPanelY(value, range, panel);
+        this.ctx.strokeStyle = color;
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash(dash);
+        this.ctx.beginPath();
+        this.ctx.moveTo(40, y);
+        this.ctx.lineTo(this.width, y);
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+    }
+
+    /**
+     * 세로 시간 표시선과 레이블 그리기
+     */
+    drawTimeMarker(time, label, panel) {
+        const x = this.timeToPlotX(time);
+        this.ctx.strokeStyle = this.options.markerColor;
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash([4, 3]);
+        this.ctx.beginPath();
+        this.ctx.moveTo(x, panel.top);
+        this.ctx.lineTo(x, panel.bottom);
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+
+        this.ctx.fillStyle = this.options.markerColor;
+        this.ctx.font = '10px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.fillText(label, x + 3, panel.top + 22);
+    }
+
+    /**
+     * 응답 곡선, 기준선, 정착 시간 표시선 그리기
+     */
+    drawSignal() {
+        if (!this.result) return;
+
+        const panels = this.getPanels();
+        const { step, impulse, stepMetrics, impulseMetrics, stepRange, impulseRange } = this.result;
+
+        // 계단 응답: 목표값 1(회색 점선), 최종값(빨간 점선), 정착 시간
+        this.drawLevel(1, stepRange, panels.step, this.options.referenceColor, [2, 2]);
+        this.drawLevel(stepMetrics.finalValue, stepRange, panels.step, this.options.markerColor, [4, 3]);
+        this.drawCurve(step, stepRange, panels.step, this.options.stepColor);
+        if (stepMetrics.settled) {
+            this.drawTimeMarker(stepMetrics.settlingTime, `정착 ${stepMetrics.settlingTime.toFixed(2)}s`, panels.step);
+        }
+
+        // 임펄스 응답: 0 기준선, 정착 시간
+        this.drawLevel(0, impulseRange, panels.impulse, this.options.referenceColor, [2, 2]);
+        this.drawCurve(impulse, impulseRange, panels.impulse, this.options.impulseColor);
+        if (impulseMetrics.settled) {
+            this.drawTimeMarker(impulseMetrics.settlingTime, `정착 ${impulseMetrics.settlingTime.toFixed(2)}s`, panels.impulse);
+        }
+    }
+
+    /**
+     * 분석 결과 설정 후 다시 그리기
+     * @param {Object} result - TransientAnalyzer.analyze 결과
+     */
+    setResponse(result) {
+        const padRange = (min, max) => {
+            const margin = Math.max(max - min, 1e-6) * 0.1;
+            return [min - margin, max + margin];
+        };
+
+        this.result = {
+            ...result,
+            stepRange: padRange(
+                result.step.reduce((min, value) => Math.min(min, value), 0),
+                result.step.reduce((max, value) => Math.max(max, value), 1)
+            ),
+            impulseRange: padRange(
+                result.impulse.reduce((min, value) => Math.min(min, value), 0),
+                result.impulse.reduce((max, value) => Math.max(max, value), 0)
+            )
+        };
+
+        this.update();
+    }
+
+    /**
+     * 데이터 초기화
+     */
+    clearData() {
+        this.result = null;
+        this.clear();
+    }
+}
+
+// 브라우저 환경에서 전역으로 사용 가능하게 만들기
+if (typeof window !== 'undefined') {
+    window.TransientPlot = TransientPlot;
+}
\ No newline at end of file